@@ -16,4 +16,12 @@ module.exports = {
       return webpackConfig;
     },
   },
+  jest: {
+    configure: {
+      // Jest 27 ignores package exports: use three's CommonJS build, not the deprecated UMD one
+      moduleNameMapper: {
+        '^three$': '<rootDir>/node_modules/three/build/three.cjs',
+      },
+    },
+  },
 };
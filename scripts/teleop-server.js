@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+/**
+ * Teleop Echo/Recorder Server
+ * Minimal local WebSocket endpoint for testing the teleoperation bridge without a robot
+ *
+ * - Acknowledges heartbeats (the app shows the round-trip latency)
+ * - Prints a once-per-second summary of joint commands and every dead-man stop
+ * - Optionally echoes every message back (--echo) and records all messages as JSON Lines (--record)
+ *
+ * Usage:
+ *   node scripts/teleop-server.js [--port 9090] [--echo] [--record teleop-session.jsonl]
+ *
+ * No dependencies - implements just enough of RFC 6455 (text frames, ping/pong, close).
+ * Message schema: see Docs/TeleopBridge.md
+ */
+
+const http = require('http')
+const crypto = require('crypto')
+const fs = require('fs')
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+
+// Frame opcodes
+const OPCODE_CONTINUATION = 0x0
+const OPCODE_TEXT = 0x1
+const OPCODE_CLOSE = 0x8
+const OPCODE_PING = 0x9
+const OPCODE_PONG = 0xa
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{port: number, echo: boolean, record: string|null}}
+ */
+function parseArgs(argv) {
+  const options = { port: 9090, echo: false, record: null }
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--port':
+        options.port = Number(argv[++i])
+        break
+      case '--echo':
+        options.echo = true
+        break
+      case '--record':
+        options.record = argv[++i]
+        break
+      default:
+        console.error(`Unknown argument: ${argv[i]}`)
+        process.exit(1)
+    }
+  }
+  return options
+}
+
+/**
+ * Encode a server-to-client frame (servers never mask)
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+  let header
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length])
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4)
+    header[0] = 0x80 | opcode
+    header[1] = 126
+    header.writeUInt16BE(payload.length, 2)
+  } else {
+    header = Buffer.alloc(10)
+    header[0] = 0x80 | opcode
+    header[1] = 127
+    // 64-bit length: Buffers stay far below 2^32 bytes, so the high word is 0
+    header.writeUInt32BE(0, 2)
+    header.writeUInt32BE(payload.length, 6)
+  }
+  return Buffer.concat([header, payload])
+}
+
+/**
+ * Decode one frame from the start of a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @returns {{fin: boolean, opcode: number, payload: Buffer, length: number}|null} - null if incomplete
+ */
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null
+
+  const fin = (buffer[0] & 0x80) !== 0
+  const opcode = buffer[0] & 0x0f
+  const masked = (buffer[1] & 0x80) !== 0
+  let payloadLength = buffer[1] & 0x7f
+  let offset = 2
+
+  if (payloadLength === 126) {
+    if (buffer.length < offset + 2) return null
+    payloadLength = buffer.readUInt16BE(offset)
+    offset += 2
+  } else if (payloadLength === 127) {
+    if (buffer.length < offset + 8) return null
+    payloadLength = buffer.readUInt32BE(offset) * 2 ** 32 + buffer.readUInt32BE(offset + 4)
+    offset += 8
+  }
+
+  const maskOffset = offset
+  if (masked) offset += 4
+  if (buffer.length < offset + payloadLength) return null
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + payloadLength))
+  if (masked) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= buffer[maskOffset + (i % 4)]
+    }
+  }
+
+  return { fin, opcode, payload, length: offset + payloadLength }
+}
+
+/**
+ * Wrap an upgraded socket as a minimal WebSocket connection
+ * @param {net.Socket} socket - Upgraded TCP socket
+ * @param {Function} onMessage - Called with each text message
+ * @param {Function} onClose - Called once when the connection closes
+ * @returns {{send: Function}}
+ */
+function createConnection(socket, onMessage, onClose) {
+  let buffer = Buffer.alloc(0)
+  let fragments = []
+  let closed = false
+
+  const close = () => {
+    if (closed) return
+    closed = true
+    socket.end()
+    onClose()
+  }
+
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk])
+
+    let frame
+    while ((frame = decodeFrame(buffer))) {
+      buffer = buffer.subarray(frame.length)
+
+      switch (frame.opcode) {
+        case OPCODE_TEXT:
+        case OPCODE_CONTINUATION:
+          fragments.push(frame.payload)
+          if (frame.fin) {
+            onMessage(Buffer.concat(fragments).toString('utf8'))
+            fragments = []
+          }
+          break
+        case OPCODE_PING:
+          socket.write(encodeFrame(OPCODE_PONG, frame.payload))
+          break
+        case OPCODE_CLOSE:
+          socket.write(encodeFrame(OPCODE_CLOSE, frame.payload.subarray(0, 2)))
+          close()
+          return
+        default:
+          // Binary frames and pongs are not used by the bridge
+          break
+      }
+    }
+  })
+
+  socket.on('close', close)
+  socket.on('error', close)
+
+  return {
+    send: (text) => {
+      if (!closed) socket.write(encodeFrame(OPCODE_TEXT, Buffer.from(text, 'utf8')))
+    }
+  }
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2))
+  const recordStream = options.record ? fs.createWriteStream(options.record, { flags: 'a' }) : null
+
+  const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' })
+    res.end('WebSocket endpoint - connect with ws://\n')
+  })
+
+  server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key']
+    if (!key || req.headers.upgrade?.toLowerCase() !== 'websocket') {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n')
+      return
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64')
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '\r\n'
+    ].join('\r\n'))
+
+    const client = `${req.socket.remoteAddress}:${req.socket.remotePort}`
+    let commandCount = 0
+    let lastSummary = Date.now()
+    console.log(`🔌 Connected: ${client}`)
+
+    const connection = createConnection(socket, (text) => {
+      let message
+      try {
+        message = JSON.parse(text)
+      } catch (err) {
+        console.warn('⚠️ Ignoring non-JSON message')
+        return
+      }
+
+      if (recordStream) {
+        recordStream.write(JSON.stringify({ receivedAt: Date.now() / 1000, message }) + '\n')
+      }
+      if (options.echo) {
+        connection.send(text)
+      }
+
+      switch (message.type) {
+        case 'hello':
+          console.log(`👋 ${message.protocol} v${message.version} @ ${message.rate} Hz (dead-man ${message.deadmanTimeout} ms)`)
+          break
+        case 'heartbeat':
+          connection.send(JSON.stringify({ type: 'heartbeat_ack', seq: message.seq, stamp: Date.now() / 1000 }))
+          break
+        case 'stop':
+          console.log(`🛑 STOP ${message.hand} (${message.reason})`)
+          break
+        case 'joint_command': {
+          commandCount++
+          const now = Date.now()
+          if (now - lastSummary >= 1000) {
+            const hands = Object.entries(message.hands)
+              .map(([side, hand]) => `${side}=${hand.model} [${hand.position.map(value => value.toFixed(2)).join(' ')}]`)
+              .join('  ')
+            console.log(`🤖 ${commandCount} cmd/s  ${hands}`)
+            commandCount = 0
+            lastSummary = now
+          }
+          break
+        }
+        default:
+          console.log('📨', message)
+      }
+    }, () => {
+      console.log(`🔌 Disconnected: ${client}`)
+    })
+  })
+
+  server.listen(options.port, () => {
+    console.log(`🚀 Teleop server listening on ws://localhost:${options.port}`)
+    if (options.echo) console.log('   Echoing messages back to the client')
+    if (recordStream) console.log(`   Recording messages to ${options.record}`)
+  })
+
+  process.on('SIGINT', () => {
+    if (recordStream) recordStream.end()
+    server.close()
+    process.exit(0)
+  })
+}
+
+if (require.main === module) {
+  main()
+}
+
+module.exports = { encodeFrame, decodeFrame }
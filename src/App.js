@@ -3,10 +3,30 @@ import HandTrackingCamera from './components/HandTrackingCamera'
 import Scene3D from './components/Scene3D'
 import InspectorPanel from './components/InspectorPanel'
 import DebugPanel from './components/DebugPanel'
+import SessionControls from './components/SessionControls'
+import OfflineVideoPanel from './components/OfflineVideoPanel'
 import { CalibrationManager } from './utils/coordinateMapping'
+import { SessionRecorder } from './utils/sessionRecorder'
+import { JointTrajectoryRecorder } from './utils/trajectoryExporter'
+import { TeleopBridge } from './utils/teleopBridge'
+import { computeURDFJointValues } from './utils/urdfJointMapping'
+import { getMimicJointNames } from './utils/urdfParser'
+import { ARM_MODELS, getArmMount } from './utils/urdfConfig'
+import { getModelEntries } from './utils/modelRegistry'
+import { collectDroppedFiles, analyzeDroppedFiles, registerSessionModel } from './utils/sessionModels'
 import { getShortestRotation } from './utils/handKinematics'
+import { DEFAULT_WRIST_POSE_CONFIG, calibratePalmSize } from './utils/wristPose'
+import { buildRangeMapping, loadRangeMappingConfig, saveRangeMappingConfig } from './utils/rangeMapper'
+import { DEFAULT_SMOOTHING_CONFIG } from './utils/motionFilter'
+import { DEFAULT_LANDMARK_FILTER_CONFIG } from './utils/landmarkFilter'
+import { DEFAULT_TRACKING_STATE_CONFIG } from './input/trackingState'
+import { DEFAULT_HAND_IDENTITY_CONFIG } from './input/handIdentity'
+import { HandTrackingWorker } from './input/handTrackingWorker'
+import { DEFAULT_HAND_MAPPING_CONFIG, getDrivingSides, toModelSides, mapRotationsToModels, mapPositionsToModels } from './utils/handMapping'
 import { applyMetalMaterial } from './components/URDFHandModel'
 import { IKController } from './ik'
+import FingertipRetargetingController from './components/FingertipRetargetingController'
+import URDFImportDialog from './components/URDFImportDialog'
 
 // Detect if user is on mobile device
 const isMobileDevice = () => {
@@ -14,81 +34,20 @@ const isMobileDevice = () => {
     (window.innerWidth <= 768)
 }
 
-// Available hand models configuration
-const HAND_MODELS = [
-  { id: 'ability_left', name: 'Ability Hand (Left)', path: 'ability_hand', side: 'left' },
-  { id: 'ability_right', name: 'Ability Hand (Right)', path: 'ability_hand', side: 'right' },
-  { id: 'shadow_left', name: 'Shadow Hand (Left)', path: 'shadow_hand', side: 'left' },
-  { id: 'shadow_right', name: 'Shadow Hand (Right)', path: 'shadow_hand', side: 'right' },
-  { id: 'allegro_left', name: 'Allegro Hand (Left)', path: 'allegro_hand', side: 'left' },
-  { id: 'allegro_right', name: 'Allegro Hand (Right)', path: 'allegro_hand', side: 'right' },
-  { id: 'inspire_left', name: 'Inspire Hand (Left)', path: 'inspire_hand', side: 'left' },
-  { id: 'inspire_right', name: 'Inspire Hand (Right)', path: 'inspire_hand', side: 'right' },
-  { id: 'leap_left', name: 'Leap Hand (Left)', path: 'leap_hand', side: 'left' },
-  { id: 'leap_right', name: 'Leap Hand (Right)', path: 'leap_hand', side: 'right' },
-  { id: 'schunk_left', name: 'Schunk SVH Hand (Left)', path: 'schunk_hand', side: 'left' },
-  { id: 'schunk_right', name: 'Schunk SVH Hand (Right)', path: 'schunk_hand', side: 'right' },
-  { id: 'barrett', name: 'Barrett Hand', path: 'barrett_hand', side: null },
-  { id: 'dclaw', name: 'DClaw Gripper', path: 'dclaw_gripper', side: null },
-  { id: 'panda', name: 'Panda Gripper', path: 'panda_gripper', side: null },
-  { id: 'linker_l6_left', name: 'Linker Hand L6 (Left)', path: 'linker_l6', side: 'left' },
-  { id: 'linker_l6_right', name: 'Linker Hand L6 (Right)', path: 'linker_l6', side: 'right' },
-  { id: 'linker_l10_left', name: 'Linker Hand L10 (Left)', path: 'linker_l10', side: 'left' },
-  { id: 'linker_l10_right', name: 'Linker Hand L10 (Right)', path: 'linker_l10', side: 'right' },
-  { id: 'linker_l20_left', name: 'Linker Hand L20 (Left)', path: 'linker_l20', side: 'left' },
-  { id: 'linker_l20_right', name: 'Linker Hand L20 (Right)', path: 'linker_l20', side: 'right' },
-  { id: 'linker_l20pro_right', name: 'Linker Hand L20 Pro (Right)', path: 'linker_l20pro', side: 'right' },
-  { id: 'linker_l21_left', name: 'Linker Hand L21 (Left)', path: 'linker_l21', side: 'left' },
-  { id: 'linker_l21_right', name: 'Linker Hand L21 (Right)', path: 'linker_l21', side: 'right' },
-  { id: 'linker_l25_left', name: 'Linker Hand L25 (Left)', path: 'linker_l25', side: 'left' },
-  { id: 'linker_l25_right', name: 'Linker Hand L25 (Right)', path: 'linker_l25', side: 'right' },
-  { id: 'linker_l30_right', name: 'Linker Hand L30 (Right)', path: 'linker_l30', side: 'right' },
-  { id: 'linker_o6_left', name: 'Linker Hand O6 (Left)', path: 'linker_o6', side: 'left' },
-  { id: 'linker_o6_right', name: 'Linker Hand O6 (Right)', path: 'linker_o6', side: 'right' },
-  { id: 'linker_o7_left', name: 'Linker Hand O7 (Left)', path: 'linker_o7', side: 'left' },
-  { id: 'linker_o7_right', name: 'Linker Hand O7 (Right)', path: 'linker_o7', side: 'right' },
-]
+// Whether a drag event carries files (URDF import) rather than page content
+const isFileDrag = (e) => Array.from(e.dataTransfer?.types || []).includes('Files')
+
+// Bundled hand models (model manifests, see modelRegistry.js)
+const HAND_MODELS = getModelEntries()
 
-// Model display order and visibility configuration
-// Format: [modelId, isVisible]
-// - Order in this array determines display order in the modal
-// - true = visible in modal, false = hidden
-// - Models not listed here will be hidden by default
-const MODEL_DISPLAY_ORDER = [
-  ['ability_left', true],
-  ['ability_right', true],
-  ['linker_o6_left', true],
-  ['linker_o6_right', true],
-  ['linker_o7_left', true],
-  ['linker_o7_right', true],
-  ['linker_l10_left', true],
-  ['linker_l10_right', true],
-  ['linker_l20_left', true],
-  ['linker_l20_right', true],
-  ['linker_l20pro_right', true],
-  ['linker_l30_right', true],
-  ['shadow_left', true],
-  ['shadow_right', true],
-  ['allegro_left', true],
-  ['allegro_right', true],
-  ['inspire_left', true],
-  ['inspire_right', true],
-  ['leap_left', true],
-  ['leap_right', true],
-  ['schunk_left', true],
-  ['schunk_right', true],
-  ['barrett', true],
-  ['dclaw', true],
-  ['panda', true],
-  ['linker_l6_left', true],
-  ['linker_l6_right', true],
-  
-  ['linker_l21_left', true],
-  ['linker_l21_right', true],
-  ['linker_l25_left', true],
-  ['linker_l25_right', true],
-  ['linker_l30_right', true],
+// Wrist poses of trajectory frames that have none (a constant, so memoized consumers stay put)
+const NO_WRIST_POSES = { left: null, right: null }
 
+// Robot arms for assembly mode (the hand is mounted on the arm's flange)
+// 'none' shows the hands on their own
+const ARM_OPTIONS = [
+  { id: 'none', name: 'No Arm', path: null, side: null },
+  ...Object.entries(ARM_MODELS).map(([id, arm]) => ({ id, name: arm.name, path: id, side: null }))
 ]
 
 // Initialize joint rotations for all 21 joints
@@ -130,6 +89,16 @@ export default function App() {
   const [selectedLeftModel, setSelectedLeftModel] = useState('linker_l10_left')
   const [selectedRightModel, setSelectedRightModel] = useState('linker_l10_right')
 
+  // Models imported from dropped URDF files (sessionModels.js) and the import under review
+  const [sessionModels, setSessionModels] = useState([])
+  const [importDraft, setImportDraft] = useState(null)
+  const [isDraggingFiles, setIsDraggingFiles] = useState(false)
+
+  // Assembly mode: arm carrying both hands, edited mount transforms and arm IK stats per side
+  const [selectedArm, setSelectedArm] = useState('none')
+  const [armMountOverrides, setArmMountOverrides] = useState({ left: null, right: null })
+  const [armIKStats, setArmIKStats] = useState({ left: null, right: null })
+
   const [handTrackingData, setHandTrackingData] = useState(null)
 
   // Separate joint rotations for left and right hands
@@ -148,12 +117,49 @@ export default function App() {
     right: {}
   })
 
+  // Fingertip retargeting joint rotations and solver stats (URDF joint values per model)
+  const [retargetJointRotations, setRetargetJointRotations] = useState({
+    left: {},
+    right: {}
+  })
+  const [retargetingStats, setRetargetingStats] = useState({ left: null, right: null })
+
   // Hand positions from camera tracking
   const [cameraHandPositions, setCameraHandPositions] = useState({
     left: null,
     right: null
   })
 
+  // Metric wrist poses from camera tracking (camera frame, keyed by tracked hand)
+  const [cameraWristPoses, setCameraWristPoses] = useState({
+    left: null,
+    right: null
+  })
+
+  // Wrist pose estimation settings (intrinsics, palm size, metric position)
+  const [wristPoseConfig, setWristPoseConfig] = useState(DEFAULT_WRIST_POSE_CONFIG)
+
+  // Motion filter smoothing per joint group (EMA, One Euro or Kalman)
+  const [smoothingConfig, setSmoothingConfig] = useState(DEFAULT_SMOOTHING_CONFIG)
+
+  // Landmark filtering ahead of the kinematics (outlier rejection, smoothing, bone lengths)
+  const [landmarkFilterConfig, setLandmarkFilterConfig] = useState(DEFAULT_LANDMARK_FILTER_CONFIG)
+
+  // Tracking loss handling (loss behavior, ease-in on reacquisition) and the live state per tracked hand
+  const [trackingStateConfig, setTrackingStateConfig] = useState(DEFAULT_TRACKING_STATE_CONFIG)
+  const [cameraTrackingStates, setCameraTrackingStates] = useState({
+    left: null,
+    right: null
+  })
+
+  // Hand identity tracking across frames, and which tracked hand drives which model (mirror / swap)
+  const [handIdentityConfig, setHandIdentityConfig] = useState(DEFAULT_HAND_IDENTITY_CONFIG)
+  const [handMappingConfig, setHandMappingConfig] = useState(DEFAULT_HAND_MAPPING_CONFIG)
+  const drivingSides = useMemo(() => getDrivingSides(handMappingConfig), [handMappingConfig])
+
+  // Range mapping of the human joint ranges onto the joint limits (response curves per channel)
+  const [rangeMappingConfig, setRangeMappingConfig] = useState(loadRangeMappingConfig)
+
   // Raw camera landmarks (MediaPipe 21 points per hand)
   const [cameraLandmarks, setCameraLandmarks] = useState({
     left: null,
@@ -197,6 +203,9 @@ export default function App() {
   // Debug labels visibility toggle (default: disabled)
   const [showDebugLabels, setShowDebugLabels] = useState(true)
 
+  // Joint limit clamp warnings in the 3D view (default: enabled)
+  const [showClampWarnings, setShowClampWarnings] = useState(true)
+
   // Camera position tracking toggle (default: disabled)
   const [enableCameraPosition, setEnableCameraPosition] = useState(false)
 
@@ -212,9 +221,12 @@ export default function App() {
   // IK visualization toggle (default: enabled)
   const [showIKVisualization, setShowIKVisualization] = useState(true)
 
+  // IK solver used in IK mode ('ccd', 'dls' or 'fabrik')
+  const [ikSolver, setIkSolver] = useState('dls')
+
   const [selectedJoint, setSelectedJoint] = useState('wrist')
   const [selectedHand, setSelectedHand] = useState('left') // Which hand to control in manual mode
-  const [controlMode, setControlMode] = useState('camera') // 'manual' or 'camera' - default to camera
+  const [controlMode, setControlMode] = useState('camera') // 'manual', 'camera', 'ik' or 'retarget' - default to camera
   const [calibrationStatus, setCalibrationStatus] = useState({ isCalibrated: false })
 
   // Panel visibility states - camera preview always visible, control panel only on desktop, debug enabled
@@ -225,6 +237,7 @@ export default function App() {
   // Robot references for applying material changes
   const leftRobotRef = useRef(null)
   const rightRobotRef = useRef(null)
+  const robotRefs = useMemo(() => ({ left: leftRobotRef, right: rightRobotRef }), [])
 
   // 🔥 STEP 9: Joint config state for multi-DoF support
   const [leftHandJointConfig, setLeftHandJointConfig] = useState(null)
@@ -237,6 +250,9 @@ export default function App() {
   // Thumb 3DOF addon toggle (default: disabled, only works with quaternion tracking)
   const [useThumb3DoF, setUseThumb3DoF] = useState(false)
 
+  // Kinematics on MediaPipe world landmarks (default: enabled, image landmarks when disabled or missing)
+  const [useWorldLandmarks, setUseWorldLandmarks] = useState(true)
+
   // Hierarchy panel state - for editor tools
   const [sceneGraph, setSceneGraph] = useState([])
   const [selectedObject, setSelectedObject] = useState(null)
@@ -248,47 +264,146 @@ export default function App() {
     calibrationManagerRef.current = new CalibrationManager()
   }
 
+  // Session recorder for capturing landmark sessions (persistent across renders)
+  const sessionRecorderRef = useRef(null)
+  if (sessionRecorderRef.current === null) {
+    sessionRecorderRef.current = new SessionRecorder()
+  }
+
+  // Joint trajectory recorder for exporting applied URDF joint values (persistent across renders)
+  const trajectoryRecorderRef = useRef(null)
+  if (trajectoryRecorderRef.current === null) {
+    trajectoryRecorderRef.current = new JointTrajectoryRecorder()
+  }
+
+  // Teleoperation bridge streaming retargeted joint commands (persistent across renders)
+  const teleopBridgeRef = useRef(null)
+  if (teleopBridgeRef.current === null) {
+    teleopBridgeRef.current = new TeleopBridge()
+  }
+  const [teleopStatus, setTeleopStatus] = useState({ status: 'disconnected', message: null })
+
+  // Active input source (webcam, video file, recording, synthetic, WebSocket) and its status
+  const [sourceConfig, setSourceConfig] = useState({ type: 'webcam' })
+  const [sourceStatus, setSourceStatus] = useState(null)
+
+  // MediaPipe and the tracking pipeline in a worker (webcam and video file sources), and
+  // the frame-drop / latency readout of the live source
+  const [useInferenceWorker, setUseInferenceWorker] = useState(() => HandTrackingWorker.isSupported())
+  const [frameStats, setFrameStats] = useState(null)
+
+  // Session replay player when a recording is the active source
+  const replayPlayer = sourceConfig.type === 'recording' ? sourceConfig.player : null
+
+  // Offline-processed video trajectory under review (replaces live camera tracking while set)
+  const [offlineTrajectory, setOfflineTrajectory] = useState(null)
+  const [trajectoryFrameIndex, setTrajectoryFrameIndex] = useState(0)
+  const trajectoryFrame = offlineTrajectory ? offlineTrajectory.frames[trajectoryFrameIndex] : null
+  const trackedJointRotations = trajectoryFrame ? trajectoryFrame.rotations : cameraJointRotations
+  const trackedHandPositions = trajectoryFrame ? trajectoryFrame.positions : cameraHandPositions
+  const trackedWristPoses = useMemo(() => (trajectoryFrame
+    ? (trajectoryFrame.wristPoses || NO_WRIST_POSES)
+    : cameraWristPoses
+  ), [trajectoryFrame, cameraWristPoses])
+  // 'tracking', 'lost' or 'recovering' per tracked hand (null for trajectories without states)
+  const cameraLeftState = cameraTrackingStates.left?.state || null
+  const cameraRightState = cameraTrackingStates.right?.state || null
+  const trackedHandStates = useMemo(() => (trajectoryFrame
+    ? (trajectoryFrame.tracking || { left: null, right: null })
+    : { left: cameraLeftState, right: cameraRightState }
+  ), [trajectoryFrame, cameraLeftState, cameraRightState])
+
+  // Latest wrist poses for the trajectory recorder, which samples on its own timer
+  const trackedWristPosesRef = useRef(trackedWristPoses)
+  trackedWristPosesRef.current = trackedWristPoses
+
+  // Camera and retarget modes are driven by hand tracking
+  const isTrackingMode = controlMode === 'camera' || controlMode === 'retarget'
+  // IK targets follow the tracked hands too, so losing a hand stops the robot in IK mode as well
+  const isTrackingDriven = isTrackingMode || controlMode === 'ik'
+
   // Update calibration status on mount
   useEffect(() => {
     setCalibrationStatus(calibrationManagerRef.current.getStatus())
   }, [])
 
   const currentLeftModel = useMemo(() =>
-    HAND_MODELS.find(m => m.id === selectedLeftModel),
-    [selectedLeftModel]
+    HAND_MODELS.find(m => m.id === selectedLeftModel) || sessionModels.find(m => m.id === selectedLeftModel),
+    [selectedLeftModel, sessionModels]
   )
 
   const currentRightModel = useMemo(() =>
-    HAND_MODELS.find(m => m.id === selectedRightModel),
-    [selectedRightModel]
+    HAND_MODELS.find(m => m.id === selectedRightModel) || sessionModels.find(m => m.id === selectedRightModel),
+    [selectedRightModel, sessionModels]
   )
 
-  // Filter and sort models based on MODEL_DISPLAY_ORDER
-  const visibleModels = useMemo(() => {
-    // Create a map for quick lookup of order and visibility
-    const orderMap = new Map(MODEL_DISPLAY_ORDER)
-
-    // Filter visible models and sort by order
-    return HAND_MODELS
-      .filter(model => orderMap.get(model.id) === true)
-      .sort((a, b) => {
-        const indexA = MODEL_DISPLAY_ORDER.findIndex(([id]) => id === a.id)
-        const indexB = MODEL_DISPLAY_ORDER.findIndex(([id]) => id === b.id)
-        return indexA - indexB
-      })
-  }, [])
+  // Mount transform per side: edited in the Inspector, else the arm/hand preset
+  const armMounts = useMemo(() => ({
+    left: armMountOverrides.left || getArmMount(selectedArm, currentLeftModel?.path, currentLeftModel?.side),
+    right: armMountOverrides.right || getArmMount(selectedArm, currentRightModel?.path, currentRightModel?.side)
+  }), [selectedArm, armMountOverrides, currentLeftModel, currentRightModel])
+
+  // Active models and their parsed URDF config, used to map joint rotations to URDF joint values
+  // Range mapping per model, from the profile of the tracked hand driving it (mapped like
+  // the joint rotations); only tracking modes are range mapped
+  const rangeMappings = useMemo(() => ({
+    left: buildRangeMapping(rangeMappingConfig, calibrationStatus.hands?.[drivingSides.left]),
+    right: buildRangeMapping(rangeMappingConfig, calibrationStatus.hands?.[drivingSides.right])
+  }), [rangeMappingConfig, calibrationStatus, drivingSides])
+
+  const activeModelConfigs = useMemo(() => ({
+    left: { modelPath: currentLeftModel?.path, ...leftHandJointConfig, rangeMapping: rangeMappings.left },
+    right: { modelPath: currentRightModel?.path, ...rightHandJointConfig, rangeMapping: rangeMappings.right }
+  }), [currentLeftModel, currentRightModel, leftHandJointConfig, rightHandJointConfig, rangeMappings])
+
+  // Loaded robots to sample when recording a joint trajectory, with the wrist pose of the
+  // tracked hand driving each model in tracking modes (mapped like the joint rotations)
+  const getTrajectoryTargets = useCallback(() => ({
+    left: {
+      robot: leftRobotRef.current,
+      jointConfig: leftHandJointConfig?.jointConfig,
+      modelPath: currentLeftModel?.path,
+      getWristPose: isTrackingMode ? () => trackedWristPosesRef.current[drivingSides.left] : null
+    },
+    right: {
+      robot: rightRobotRef.current,
+      jointConfig: rightHandJointConfig?.jointConfig,
+      modelPath: currentRightModel?.path,
+      getWristPose: isTrackingMode ? () => trackedWristPosesRef.current[drivingSides.right] : null
+    }
+  }), [currentLeftModel, currentRightModel, leftHandJointConfig, rightHandJointConfig, isTrackingMode, drivingSides])
+
+  // Tracking data keyed by the model each tracked hand drives (mirror / swap settings)
+  const modelJointRotations = useMemo(
+    () => mapRotationsToModels(trackedJointRotations, drivingSides),
+    [trackedJointRotations, drivingSides]
+  )
+  const modelHandPositions = useMemo(
+    () => mapPositionsToModels(trackedHandPositions, handMappingConfig),
+    [trackedHandPositions, handMappingConfig]
+  )
+  const modelLandmarks = useMemo(() => toModelSides(cameraLandmarks, drivingSides), [cameraLandmarks, drivingSides])
+
+  // Bundled models in manifest order, session models last
+  const visibleModels = useMemo(() => [...HAND_MODELS, ...sessionModels], [sessionModels])
 
   // Determine which joint rotations to use based on control mode
   const finalJointRotations = useMemo(() => {
     if (controlMode === 'camera') {
-      // Camera mode: Swap hands for back view (camera looking from behind)
-      // This makes the virtual hands mirror your real hands naturally
+      // Camera mode: each model follows its driving hand (by default the tracked right hand
+      // drives the left model, so in the back view the virtual hands follow your real hands)
+      return {
+        left: modelJointRotations.left || {},
+        right: modelJointRotations.right || {}
+      }
+    } else if (controlMode === 'retarget') {
+      // Retarget mode: fingertip retargeting output (already swapped per model)
       return {
-        left: cameraJointRotations.right || {},
-        right: cameraJointRotations.left || {}
+        left: retargetJointRotations.left || {},
+        right: retargetJointRotations.right || {}
       }
     } else if (controlMode === 'ik') {
-      // IK mode: Use IK solver output, no hand swapping
+      // IK mode: Use IK solver output (URDF joint values per model, solved from the driving hands)
       // Camera continues running, but IK solver processes the data
       return {
         left: ikJointRotations.left || {},
@@ -302,7 +417,50 @@ export default function App() {
         right: manualJointRotations.right || {}
       }
     }
-  }, [controlMode, cameraJointRotations, manualJointRotations, ikJointRotations])
+  }, [controlMode, modelJointRotations, manualJointRotations, ikJointRotations, retargetJointRotations])
+
+  // Feed the teleop bridge with the joint values applied to each model
+  useEffect(() => {
+    const bridge = teleopBridgeRef.current
+    if (!bridge.isActive) return
+
+    // Tracked hand driving each model
+    const trackedSides = drivingSides
+
+    // Held and frozen hands are not tracked; trajectories without states fall back to the position
+    const isHandTracked = (trackedSide) => trackedHandStates[trackedSide]
+      ? trackedHandStates[trackedSide] !== 'lost'
+      : !!trackedHandPositions[trackedSide]
+
+    Object.entries(activeModelConfigs).forEach(([side, model]) => {
+      const joints = model.modelPath && model.jointConfig
+        ? computeURDFJointValues(finalJointRotations[side], model.retargeting, {
+          semanticMapping: model.semanticMapping,
+          useMultiDoF,
+          mimicJointNames: getMimicJointNames(model.jointConfig),
+          jointNames: Object.keys(model.jointConfig),
+          jointLimits: model.jointLimits,
+          rangeMapping: isTrackingMode ? model.rangeMapping : null
+        })
+        : null
+
+      bridge.update(side, joints, {
+        model: model.modelPath,
+        tracked: isTrackingDriven ? isHandTracked(trackedSides[side]) : null,
+        wristPose: isTrackingMode ? trackedWristPoses[trackedSides[side]] : null
+      })
+    })
+  }, [finalJointRotations, trackedHandPositions, trackedHandStates, trackedWristPoses, activeModelConfigs, useMultiDoF, isTrackingMode, isTrackingDriven, teleopStatus, drivingSides])
+
+  // Subscribe to bridge status, and stop the robot when the app unmounts
+  useEffect(() => {
+    const bridge = teleopBridgeRef.current
+    bridge.onStatusChange = setTeleopStatus
+    return () => {
+      bridge.onStatusChange = null
+      bridge.disconnect()
+    }
+  }, [])
 
   const handleJointRotationChange = useCallback((rotation) => {
     setManualJointRotations(prev => ({
@@ -341,6 +499,61 @@ export default function App() {
     setCameraHandPositions(positions)
   }, [])
 
+  const handleCameraWristPoses = useCallback((poses) => {
+    setCameraWristPoses(poses)
+  }, [])
+
+  const handleWristPoseConfigChange = useCallback((changes) => {
+    setWristPoseConfig(prev => ({ ...prev, ...changes }))
+  }, [])
+
+  const handleSmoothingConfigChange = useCallback((group, changes) => {
+    setSmoothingConfig(prev => group
+      ? { ...prev, [group]: { ...prev[group], ...changes } }
+      : DEFAULT_SMOOTHING_CONFIG)
+  }, [])
+
+  const handleCameraTrackingStates = useCallback((states) => {
+    setCameraTrackingStates(states)
+  }, [])
+
+  const handleHandIdentityConfigChange = useCallback((changes) => {
+    setHandIdentityConfig(prev => (changes ? { ...prev, ...changes } : DEFAULT_HAND_IDENTITY_CONFIG))
+  }, [])
+
+  const handleHandMappingConfigChange = useCallback((changes) => {
+    setHandMappingConfig(prev => (changes ? { ...prev, ...changes } : DEFAULT_HAND_MAPPING_CONFIG))
+  }, [])
+
+  const handleTrackingStateConfigChange = useCallback((changes) => {
+    setTrackingStateConfig(prev => changes ? { ...prev, ...changes } : DEFAULT_TRACKING_STATE_CONFIG)
+  }, [])
+
+  const handleLandmarkFilterConfigChange = useCallback((changes) => {
+    setLandmarkFilterConfig(prev => changes ? { ...prev, ...changes } : DEFAULT_LANDMARK_FILTER_CONFIG)
+  }, [])
+
+  const handleRangeMappingConfigChange = useCallback((changes) => {
+    setRangeMappingConfig(prev => {
+      const next = { ...prev, ...changes }
+      saveRangeMappingConfig(next)
+      return next
+    })
+  }, [])
+
+  // Calibrate the palm size from the tracked hands held at a measured camera distance
+  const handleCalibratePalmSize = useCallback((distance) => {
+    const sizes = Object.values(trackedWristPoses)
+      .map(pose => calibratePalmSize(pose, distance, wristPoseConfig.palmSize))
+      .filter(size => size !== null)
+    if (sizes.length === 0) return false
+
+    const palmSize = sizes.reduce((sum, size) => sum + size, 0) / sizes.length
+    console.log(`✋ Palm size calibrated at ${(distance * 100).toFixed(0)}cm: ${(palmSize * 1000).toFixed(1)}mm`)
+    setWristPoseConfig(prev => ({ ...prev, palmSize }))
+    return true
+  }, [trackedWristPoses, wristPoseConfig.palmSize])
+
   const handleCameraLandmarks = useCallback((landmarks) => {
     setCameraLandmarks(landmarks)
 
@@ -370,10 +583,34 @@ export default function App() {
     setPersistedLandmarks({ left: null, right: null })
   }, [])
 
+  const handleSourceConfigChange = useCallback((config) => {
+    setSourceConfig(config)
+  }, [])
+
+  // Loading/exiting a replay from the session controls switches the input source
+  const handleReplayPlayerChange = useCallback((player) => {
+    setSourceConfig(player ? { type: 'recording', player } : { type: 'webcam' })
+  }, [])
+
+  // Release the session player when leaving a recording source
+  useEffect(() => {
+    if (sourceConfig.type !== 'recording') return
+    const player = sourceConfig.player
+    return () => player.dispose()
+  }, [sourceConfig])
+
   const handleIKJointRotations = useCallback((rotations) => {
     setIkJointRotations(rotations)
   }, [])
 
+  // Keep the last solution of a model whose driving hand is not tracked this frame
+  const handleRetargetJointRotations = useCallback((rotations) => {
+    setRetargetJointRotations(prev => ({
+      left: rotations.left || prev.left,
+      right: rotations.right || prev.right
+    }))
+  }, [])
+
   const handleIKDebugData = useCallback((debugData) => {
     setIkDebugData(debugData)
   }, [])
@@ -382,20 +619,31 @@ export default function App() {
     setControlMode(mode)
   }, [])
 
+  // Capture the rest pose of every currently tracked hand into the active calibration profile
   const handleCalibrate = useCallback(() => {
-    // For now, calibrate using right hand (or first available)
-    const calibrationData = cameraJointRotations.right || cameraJointRotations.left
-    if (!calibrationData || Object.keys(calibrationData).length === 0) {
+    const trackedSides = ['left', 'right'].filter(side => cameraTrackingStates[side]?.state === 'tracking')
+    if (trackedSides.length === 0) {
       alert('No hand detected. Please show your hand to the camera first.')
       return
     }
 
-    const success = calibrationManagerRef.current.calibrate(calibrationData)
-    if (success) {
+    const calibrated = calibrationManagerRef.current.calibrate(trackedSides)
+    if (calibrated.length > 0) {
       setCalibrationStatus(calibrationManagerRef.current.getStatus())
-      // console.log('Calibration successful!')
     }
-  }, [cameraJointRotations])
+  }, [cameraTrackingStates])
+
+  // Profiles changed (wizard, switch, import): refresh the status and use the profile's palm size
+  const handleCalibrationChange = useCallback(() => {
+    const status = calibrationManagerRef.current.getStatus()
+    setCalibrationStatus(status)
+
+    const palmSizes = ['left', 'right'].map(side => status.hands[side]?.palmSize).filter(Boolean)
+    if (palmSizes.length > 0) {
+      const palmSize = palmSizes.reduce((sum, size) => sum + size, 0) / palmSizes.length
+      setWristPoseConfig(prev => ({ ...prev, palmSize }))
+    }
+  }, [])
 
   // Handlers for manual Z-axis rotation (90 degree increments)
   const handleLeftHandRotateZ = useCallback((direction) => {
@@ -433,7 +681,71 @@ export default function App() {
     }
   }, [])
 
+  // URDF import: analyze the dropped files, then review them in URDFImportDialog
+  const handleImportModelFiles = useCallback((files) => {
+    analyzeDroppedFiles(files)
+      .then(setImportDraft)
+      .catch(err => setImportDraft({ files, name: '', urdfs: [], errors: [err.message] }))
+  }, [])
+
+  const handleConfirmImport = useCallback((review) => {
+    let entries
+    try {
+      entries = registerSessionModel(importDraft, review)
+    } catch (err) {
+      setImportDraft(prev => ({ ...prev, errors: [err.message] }))
+      return
+    }
+
+    setSessionModels(prev => [...prev, ...entries])
+    setImportDraft(null)
+
+    // Show the new model on the side(s) it was imported for
+    entries.forEach(entry => {
+      if (entry.side !== 'right') setSelectedLeftModel(entry.id)
+      if (entry.side !== 'left') setSelectedRightModel(entry.id)
+    })
+  }, [importDraft])
+
+  const handleDragOver = useCallback((e) => {
+    if (!isFileDrag(e)) return
+    e.preventDefault()
+    e.dataTransfer.dropEffect = 'copy'
+    setIsDraggingFiles(true)
+  }, [])
+
+  const handleDragLeave = useCallback((e) => {
+    // Only when leaving the window, not when moving between children
+    if (!e.relatedTarget) setIsDraggingFiles(false)
+  }, [])
+
+  const handleDrop = useCallback((e) => {
+    if (!isFileDrag(e)) return
+    e.preventDefault()
+    setIsDraggingFiles(false)
+    collectDroppedFiles(e.dataTransfer)
+      .then(handleImportModelFiles)
+      .catch(err => setImportDraft({ files: [], name: '', urdfs: [], errors: [err.message] }))
+  }, [handleImportModelFiles])
+
   // Handler for applying metal material to both hand models
+  // Switching arms starts from the new arm's mount presets
+  const handleArmChange = useCallback((armId) => {
+    setSelectedArm(armId)
+    setArmMountOverrides({ left: null, right: null })
+  }, [])
+
+  const handleArmMountChange = useCallback((side, mount) => {
+    setArmMountOverrides(prev => ({ ...prev, [side]: mount }))
+  }, [])
+
+  const handleLeftArmIKStats = useCallback((stats) => {
+    setArmIKStats(prev => ({ ...prev, left: stats }))
+  }, [])
+  const handleRightArmIKStats = useCallback((stats) => {
+    setArmIKStats(prev => ({ ...prev, right: stats }))
+  }, [])
+
   const handleApplyMetalMaterial = useCallback(() => {
     let applied = false
 
@@ -480,11 +792,13 @@ export default function App() {
     setSelectedObject(object)
   }, [])
 
-  // Merge persisted landmarks with manual overrides for IK
+  // Merge persisted landmarks of each model's driving hand with manual overrides for IK
+  // (keyed by model side, like the overrides dragged in the IK visualization)
   const finalLandmarksForIK = useMemo(() => {
+    const driving = toModelSides(persistedLandmarks, drivingSides)
     const merged = {
-      left: persistedLandmarks.left ? [...persistedLandmarks.left] : null,
-      right: persistedLandmarks.right ? [...persistedLandmarks.right] : null
+      left: driving.left ? [...driving.left] : null,
+      right: driving.right ? [...driving.right] : null
     }
 
     // Apply manual overrides
@@ -505,18 +819,23 @@ export default function App() {
     }
 
     return merged
-  }, [persistedLandmarks, manualLandmarkOverrides])
+  }, [persistedLandmarks, manualLandmarkOverrides, drivingSides])
 
   return (
-    <div style={{ position: 'relative', width: '100vw', height: '100vh' }}>
+    <div
+      style={{ position: 'relative', width: '100vw', height: '100vh' }}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
       <Scene3D
         leftModel={currentLeftModel}
         rightModel={currentRightModel}
         handTrackingData={handTrackingData}
         leftJointRotations={finalJointRotations.left}
         rightJointRotations={finalJointRotations.right}
-        leftHandPosition={controlMode === 'camera' ? cameraHandPositions.left : null}
-        rightHandPosition={controlMode === 'camera' ? cameraHandPositions.right : null}
+        leftHandPosition={isTrackingMode ? modelHandPositions.left : null}
+        rightHandPosition={isTrackingMode ? modelHandPositions.right : null}
         leftHandGimbal={leftHandGimbal}
         rightHandGimbal={rightHandGimbal}
         onLeftGimbalChange={setLeftHandGimbal}
@@ -525,6 +844,7 @@ export default function App() {
         showJointGimbals={showJointGimbals}
         showAxes={showAxes}
         showDebugLabels={showDebugLabels}
+        showClampWarnings={showClampWarnings}
         enableCameraPosition={enableCameraPosition}
         leftHandZRotation={leftHandZRotation}
         rightHandZRotation={rightHandZRotation}
@@ -539,31 +859,108 @@ export default function App() {
         ikDebugData={ikDebugData}
         showIKVisualization={showIKVisualization}
         onManualLandmarkDrag={handleManualLandmarkDrag}
-        cameraLandmarks={cameraLandmarks}
+        cameraLandmarks={modelLandmarks}
+        mirrorView={handMappingConfig.mirror}
+        armModel={selectedArm === 'none' ? null : selectedArm}
+        armMounts={armMounts}
+        onLeftArmIKStats={handleLeftArmIKStats}
+        onRightArmIKStats={handleRightArmIKStats}
+        rangeMappings={isTrackingMode ? rangeMappings : undefined}
       />
 
       <HandTrackingCamera
         onHandResults={handleHandResults}
         onJointRotations={handleCameraJointRotations}
         onHandPositions={handleCameraHandPositions}
+        onWristPoses={handleCameraWristPoses}
         onRawLandmarks={handleCameraLandmarks}
         calibrationManager={calibrationManagerRef.current}
         showPreview={showCameraPreview}
         useQuaternionTracking={useQuaternionTracking}
         useThumb3DoF={useThumb3DoF}
-        robotRefs={{ left: leftRobotRef, right: rightRobotRef }}
+        useWorldLandmarks={useWorldLandmarks}
+        robotRefs={robotRefs}
+        wristPoseConfig={wristPoseConfig}
+        smoothingConfig={smoothingConfig}
+        landmarkFilterConfig={landmarkFilterConfig}
+        trackingStateConfig={trackingStateConfig}
+        handIdentityConfig={handIdentityConfig}
+        onTrackingStates={handleCameraTrackingStates}
+        useInferenceWorker={useInferenceWorker}
+        onFrameStats={setFrameStats}
+        sessionRecorder={sessionRecorderRef.current}
+        sourceConfig={sourceConfig}
+        onSourceStatusChange={setSourceStatus}
       />
 
+      {/* Session record/replay and offline video controls - below the camera preview */}
+      {!isMobile && (
+        <div style={{
+          position: 'absolute',
+          top: showCameraPreview ? 272 : 20,
+          left: 20,
+          zIndex: 10,
+          display: 'flex',
+          flexDirection: 'column',
+          gap: '6px'
+        }}>
+          <SessionControls
+            sessionRecorder={sessionRecorderRef.current}
+            replayPlayer={replayPlayer}
+            onReplayPlayerChange={handleReplayPlayerChange}
+          />
+          <OfflineVideoPanel
+            models={activeModelConfigs}
+            useMultiDoF={useMultiDoF}
+            pipelineOptions={{
+              calibrationManager: calibrationManagerRef.current,
+              useQuaternionTracking,
+              useThumb3DoF,
+              useWorldLandmarks,
+              robotRefs: { left: leftRobotRef, right: rightRobotRef },
+              wristPoseConfig,
+              smoothingConfig,
+              landmarkFilterConfig,
+              trackingStateConfig,
+              handIdentityConfig
+            }}
+            drivingSides={drivingSides}
+            trajectory={offlineTrajectory}
+            onTrajectoryChange={setOfflineTrajectory}
+            frameIndex={trajectoryFrameIndex}
+            onFrameIndexChange={setTrajectoryFrameIndex}
+          />
+        </div>
+      )}
+
+      {/* Fingertip Retargeting - solves URDF joint values from tracked fingertips in retarget mode */}
+      {controlMode === 'retarget' && (
+        <FingertipRetargetingController
+          robotRefs={robotRefs}
+          modelConfigs={activeModelConfigs}
+          landmarks={modelLandmarks}
+          trackedJointRotations={modelJointRotations}
+          drivingSides={drivingSides}
+          onJointRotations={handleRetargetJointRotations}
+          onStats={setRetargetingStats}
+        />
+      )}
+
       {/* IK Controller - processes camera data through IK solver when in IK mode */}
       {controlMode === 'ik' && (
         <IKController
+          robotRefs={robotRefs}
+          modelConfigs={activeModelConfigs}
           cameraLandmarks={finalLandmarksForIK}
+          trackedJointRotations={modelJointRotations}
+          drivingSides={drivingSides}
           onIKJointRotations={handleIKJointRotations}
           onIKDebugData={handleIKDebugData}
           ikOptions={{
+            solver: ikSolver,
             maxIterations: 10,
             convergenceThreshold: 0.001,
-            damping: 0.5
+            damping: 0.01
           }}
         />
       )}
@@ -582,10 +979,39 @@ export default function App() {
           onLeftModelChange={setSelectedLeftModel}
           onRightModelChange={setSelectedRightModel}
           models={visibleModels}
+          onImportModelFiles={handleImportModelFiles}
+          arms={ARM_OPTIONS}
+          selectedArm={selectedArm}
+          onArmChange={handleArmChange}
+          armMounts={armMounts}
+          onArmMountChange={handleArmMountChange}
+          armIKStats={armIKStats}
           controlMode={controlMode}
           onControlModeChange={handleControlModeChange}
+          retargetingStats={retargetingStats}
+          ikSolver={ikSolver}
+          onIKSolverChange={setIkSolver}
+          ikDebugData={ikDebugData}
           onCalibrate={handleCalibrate}
           calibrationStatus={calibrationStatus}
+          calibrationManager={calibrationManagerRef.current}
+          onCalibrationChange={handleCalibrationChange}
+          smoothingConfig={smoothingConfig}
+          onSmoothingConfigChange={handleSmoothingConfigChange}
+          landmarkFilterConfig={landmarkFilterConfig}
+          onLandmarkFilterConfigChange={handleLandmarkFilterConfigChange}
+          trackingStateConfig={trackingStateConfig}
+          onTrackingStateConfigChange={handleTrackingStateConfigChange}
+          trackingStates={cameraTrackingStates}
+          handIdentityConfig={handIdentityConfig}
+          onHandIdentityConfigChange={handleHandIdentityConfigChange}
+          handMappingConfig={handMappingConfig}
+          onHandMappingConfigChange={handleHandMappingConfigChange}
+          drivingSides={drivingSides}
+          rangeMappingConfig={rangeMappingConfig}
+          onRangeMappingConfigChange={handleRangeMappingConfigChange}
+          rangeMappings={rangeMappings}
+          modelConfigs={activeModelConfigs}
           showGimbals={showGimbals}
           onShowGimbalsChange={setShowGimbals}
           showJointGimbals={showJointGimbals}
@@ -594,8 +1020,14 @@ export default function App() {
           onShowAxesChange={setShowAxes}
           showDebugLabels={showDebugLabels}
           onShowDebugLabelsChange={setShowDebugLabels}
+          showClampWarnings={showClampWarnings}
+          onShowClampWarningsChange={setShowClampWarnings}
           enableCameraPosition={enableCameraPosition}
           onEnableCameraPositionChange={setEnableCameraPosition}
+          wristPoseConfig={wristPoseConfig}
+          onWristPoseConfigChange={handleWristPoseConfigChange}
+          wristPoses={trackedWristPoses}
+          onCalibratePalmSize={handleCalibratePalmSize}
           leftHandZRotation={leftHandZRotation}
           rightHandZRotation={rightHandZRotation}
           onLeftHandRotateZ={handleLeftHandRotateZ}
@@ -612,6 +1044,8 @@ export default function App() {
           onUseQuaternionTrackingChange={setUseQuaternionTracking}
           useThumb3DoF={useThumb3DoF}
           onUseThumb3DoFChange={setUseThumb3DoF}
+          useWorldLandmarks={useWorldLandmarks}
+          onUseWorldLandmarksChange={setUseWorldLandmarks}
           showIKVisualization={showIKVisualization}
           onShowIKVisualizationChange={setShowIKVisualization}
           isTrackingLocked={isTrackingLocked}
@@ -620,6 +1054,15 @@ export default function App() {
           sceneGraph={sceneGraph}
           selectedObject={selectedObject}
           onSelectObject={handleSelectObject}
+          sourceConfig={sourceConfig}
+          onSourceConfigChange={handleSourceConfigChange}
+          sourceStatus={sourceStatus}
+          useInferenceWorker={useInferenceWorker}
+          onUseInferenceWorkerChange={setUseInferenceWorker}
+          trajectoryRecorder={trajectoryRecorderRef.current}
+          getTrajectoryTargets={getTrajectoryTargets}
+          teleopBridge={teleopBridgeRef.current}
+          teleopStatus={teleopStatus}
         />
       )}
 
@@ -654,6 +1097,8 @@ export default function App() {
       {showDebugPanel && (
         <DebugPanel
           handTrackingData={handTrackingData}
+          useWorldLandmarks={useWorldLandmarks}
+          frameStats={frameStats}
           onReset={handleResetGimbals}
           onClose={() => setShowDebugPanel(false)}
         />
@@ -691,6 +1136,38 @@ export default function App() {
           Show Debug
         </button>
       )}
+
+      {/* URDF import: drop hint while files are dragged over the app, then the review */}
+      {isDraggingFiles && (
+        <div
+          style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            border: '3px dashed rgba(100, 150, 255, 0.9)',
+            backgroundColor: 'rgba(20, 20, 30, 0.6)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            color: 'white',
+            fontSize: '16px',
+            fontWeight: '600',
+            zIndex: 1200,
+            pointerEvents: 'none'
+          }}
+        >
+          Drop a URDF and its mesh folder to import it
+        </div>
+      )}
+      {importDraft && (
+        <URDFImportDialog
+          draft={importDraft}
+          onConfirm={handleConfirmImport}
+          onCancel={() => setImportDraft(null)}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,169 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { createPortal } from '@react-three/fiber'
+import * as THREE from 'three'
+import { ARM_MODELS } from '../utils/urdfConfig'
+import { createURDFLoader, disposeRobot } from '../utils/urdfLoader'
+import { ArmIKSolver } from '../utils/armIK'
+
+/**
+ * ArmAssembly Component
+ * Loads a robot arm and mounts its children (the hand model) on the arm's flange through
+ * the mount transform. The arm IK moves the flange so that the mounted hand follows the
+ * target wrist pose; the hand's own joints are driven as usual.
+ *
+ * @param {string} armId - Arm id (key of ARM_MODELS)
+ * @param {Object} mount - Flange → hand root transform ({xyz, rpy}, URDF convention)
+ * @param {Object} targetRotation - Target wrist orientation ({x, y, z} Euler, as applied by GimbalControl)
+ * @param {Object|null} targetPosition - Tracked wrist offset ({x, y, z}), null to stay at home
+ * @param {Function} onIKStats - Receives {positionError, orientationError, iterations, converged} or null
+ * @param {ReactNode} children - Hand model mounted on the flange
+ */
+export default function ArmAssembly({
+  armId,
+  mount,
+  targetRotation = { x: 0, y: 0, z: 0 },
+  targetPosition = null,
+  onIKStats = null,
+  children
+}) {
+  const arm = ARM_MODELS[armId]
+  const [robot, setRobot] = useState(null)
+  const [error, setError] = useState(null)
+  const solverRef = useRef(null)
+
+  // Hand mount frame, attached to the flange once the arm is loaded
+  const mountGroup = useMemo(() => new THREE.Group(), [])
+
+  // Load arm URDF
+  useEffect(() => {
+    if (!arm) {
+      setError(`No arm found for ${armId}`)
+      return
+    }
+
+    setRobot(null)
+    setError(null)
+    let isCancelled = false
+    let loadedRobot = null
+
+    const manager = new THREE.LoadingManager()
+    manager.onError = (url) => {
+      console.error('Error loading:', url)
+    }
+
+    const loader = createURDFLoader(arm.urdf, manager)
+    loader.load(
+      arm.urdf,
+      (result) => {
+        if (isCancelled) {
+          disposeRobot(result)
+          return
+        }
+        loadedRobot = result
+
+        const flange = result.links[arm.flange]
+        if (!flange) {
+          setError(`Flange link ${arm.flange} not found in ${arm.urdf}`)
+          return
+        }
+
+        const solver = new ArmIKSolver(result, { flange: arm.flange, restPose: arm.restPose })
+        solver.reset()
+        solverRef.current = solver
+        flange.add(mountGroup)
+
+        console.log(`🦾 Arm loaded: ${arm.name} (${solver.variables.length} joints, flange ${arm.flange})`)
+        setRobot(result)
+      },
+      undefined,
+      (err) => {
+        console.error('Failed to load arm URDF:', err)
+        setError(`Failed to load arm URDF: ${err.message || 'Unknown error'}`)
+      }
+    )
+
+    return () => {
+      isCancelled = true
+      solverRef.current = null
+      // Detach the hand before disposing, the hand model disposes its own meshes
+      mountGroup.removeFromParent()
+      if (loadedRobot) {
+        disposeRobot(loadedRobot)
+      }
+    }
+  }, [arm, armId, mountGroup])
+
+  // Apply the mount transform (URDF rpy is applied in ZYX order)
+  useEffect(() => {
+    if (!mount) return
+    mountGroup.position.set(...mount.xyz)
+    mountGroup.rotation.set(mount.rpy[0], mount.rpy[1], mount.rpy[2], 'ZYX')
+  }, [mountGroup, mount])
+
+  // Solve the arm so that the mounted hand reaches the target wrist pose
+  const { x: rx, y: ry, z: rz } = targetRotation
+  const px = targetPosition?.x ?? 0
+  const py = targetPosition?.y ?? 0
+  const pz = targetPosition?.z ?? 0
+  useEffect(() => {
+    const solver = solverRef.current
+    if (!robot || !solver || !mount) return
+
+    // Hand root target in the assembly frame: wrist orientation, then the tracked offset
+    // (the same pose GimbalControl → HandModel gives the hand without an arm)
+    const target = new THREE.Matrix4()
+      .makeRotationFromEuler(new THREE.Euler(rx, ry, rz))
+      .multiply(new THREE.Matrix4().makeTranslation(px, py, pz))
+
+    // Flange target in the arm frame: base⁻¹ · hand target · mount⁻¹
+    const base = new THREE.Matrix4().compose(
+      new THREE.Vector3(...arm.base.position),
+      new THREE.Quaternion().setFromEuler(new THREE.Euler(...arm.base.rotation)),
+      new THREE.Vector3(1, 1, 1)
+    )
+    const mountMatrix = new THREE.Matrix4().compose(
+      new THREE.Vector3(...mount.xyz),
+      new THREE.Quaternion().setFromEuler(new THREE.Euler(mount.rpy[0], mount.rpy[1], mount.rpy[2], 'ZYX')),
+      new THREE.Vector3(1, 1, 1)
+    )
+    const flangeTarget = base.invert().multiply(target).multiply(mountMatrix.invert())
+
+    const result = solver.solve(flangeTarget)
+    if (onIKStats) {
+      onIKStats(result && {
+        positionError: result.positionError,
+        orientationError: result.orientationError,
+        iterations: result.iterations,
+        converged: result.converged
+      })
+    }
+  }, [robot, arm, mount, rx, ry, rz, px, py, pz, onIKStats])
+
+  // Clear the stats when the arm is removed
+  useEffect(() => {
+    return () => {
+      if (onIKStats) {
+        onIKStats(null)
+      }
+    }
+  }, [armId, onIKStats])
+
+  if (!arm || error) {
+    console.error('ArmAssembly error:', error || `No arm found for ${armId}`)
+    return (
+      <mesh>
+        <boxGeometry args={[0.2, 0.2, 0.2]} />
+        <meshStandardMaterial color="red" opacity={0.5} transparent />
+      </mesh>
+    )
+  }
+
+  return (
+    <>
+      <group position={arm.base.position} rotation={arm.base.rotation}>
+        {robot && <primitive object={robot} />}
+      </group>
+      {createPortal(children, mountGroup)}
+    </>
+  )
+}
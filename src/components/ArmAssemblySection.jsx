@@ -0,0 +1,78 @@
+import React, { memo } from 'react'
+import { Button } from './ui/button'
+
+const RAD_TO_DEG = 180 / Math.PI
+
+// Mount fields: translation in mm, rotation (URDF rpy) in degrees
+const MOUNT_FIELDS = [
+  { key: 'xyz', index: 0, label: 'x', unit: 1000 },
+  { key: 'xyz', index: 1, label: 'y', unit: 1000 },
+  { key: 'xyz', index: 2, label: 'z', unit: 1000 },
+  { key: 'rpy', index: 0, label: 'r', unit: RAD_TO_DEG },
+  { key: 'rpy', index: 1, label: 'p', unit: RAD_TO_DEG },
+  { key: 'rpy', index: 2, label: 'y', unit: RAD_TO_DEG }
+]
+
+/**
+ * ArmAssemblySection Component
+ * Edits the flange → hand mount transform of the selected hand and shows the arm IK error
+ *
+ * @param {string} side - Hand whose mount is edited ('left' or 'right')
+ * @param {Object} mount - Current mount transform of that hand ({xyz, rpy})
+ * @param {Function} onMountChange - Called with (side, mount), or (side, null) to restore the preset
+ * @param {Object} armIKStats - {left, right} arm IK stats ({positionError, orientationError, iterations, converged})
+ */
+const ArmAssemblySection = ({ side, mount, onMountChange, armIKStats }) => {
+  if (!mount) return null
+
+  const handleFieldChange = (field, text) => {
+    const value = parseFloat(text)
+    if (!Number.isFinite(value)) return
+
+    const next = { xyz: [...mount.xyz], rpy: [...mount.rpy] }
+    next[field.key][field.index] = value / field.unit
+    onMountChange(side, next)
+  }
+
+  return (
+    <div className="p-2 bg-primary/10 border border-primary/30 rounded">
+      <div className="flex items-center justify-between mb-1.5">
+        <span className="text-[11px] font-medium text-panel-foreground">Mount ({side})</span>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => onMountChange(side, null)}
+          className="text-[10px] h-6 px-2"
+        >
+          Preset
+        </Button>
+      </div>
+      <div className="grid grid-cols-3 gap-1">
+        {MOUNT_FIELDS.map(field => (
+          <label key={`${field.key}-${field.index}`} className="flex items-center gap-1 text-[10px] text-panel-muted-foreground">
+            <span className="w-2">{field.label}</span>
+            <input
+              type="number"
+              step={field.key === 'xyz' ? 1 : 5}
+              value={+(mount[field.key][field.index] * field.unit).toFixed(1)}
+              onChange={(e) => handleFieldChange(field, e.target.value)}
+              className="w-full h-6 px-1 rounded bg-panel-muted/30 border border-panel-border text-[10px] text-panel-foreground font-mono"
+            />
+          </label>
+        ))}
+      </div>
+      <div className="text-[10px] text-panel-muted-foreground mt-1">xyz mm · rpy deg</div>
+      <div className="text-[10px] text-panel-muted-foreground leading-tight font-mono mt-1.5">
+        {['left', 'right'].map(hand => {
+          const stats = armIKStats?.[hand]
+          const text = stats
+            ? `arm ${(stats.positionError * 1000).toFixed(1)}mm · ${(stats.orientationError * RAD_TO_DEG).toFixed(1)}° · ${stats.iterations} it${stats.converged ? ' ✓' : ''}`
+            : '—'
+          return <div key={hand}>{hand}: {text}</div>
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default memo(ArmAssemblySection)
@@ -0,0 +1,254 @@
+import React, { useState, useRef, useEffect, memo } from 'react'
+import { Button } from './ui/button'
+import { CALIBRATION_POSES, downloadProfile, loadProfileFile } from '../utils/handProfiles'
+
+// How long each wizard pose is captured
+const CAPTURE_DURATION_MS = 1500
+
+const INPUT_CLASS = 'h-7 px-2 rounded bg-panel-muted/30 border border-panel-border text-[10px] text-panel-foreground'
+
+/**
+ * One-line summary of a hand's calibration
+ * @param {Object|null} hand - Profile hand calibration
+ * @returns {string}
+ */
+function describeHand(hand) {
+  if (!hand) return '—'
+  const parts = [hand.rest ? 'rest ✓' : 'no rest']
+  const rangeCount = Object.keys(hand.ranges || {}).length
+  if (rangeCount > 0) parts.push(`${rangeCount} ranges`)
+  if (hand.palmSize) parts.push(`palm ${(hand.palmSize * 1000).toFixed(0)}mm`)
+  return parts.join(' · ')
+}
+
+/**
+ * CalibrationSection Component
+ * Per-operator calibration profiles: quick rest-pose calibration, a guided wizard that
+ * captures the flat, fist, spread and thumb opposition poses per hand, and profile
+ * switching, export and import
+ *
+ * @param {CalibrationManager} calibrationManager - Profile store and pose capture
+ * @param {Object} calibrationStatus - Latest calibrationManager.getStatus()
+ * @param {Function} onCalibrate - Quick rest-pose calibration of the tracked hands
+ * @param {Function} onCalibrationChange - Called after the profiles or the active profile changed
+ */
+const CalibrationSection = ({ calibrationManager, calibrationStatus, onCalibrate, onCalibrationChange }) => {
+  const [newProfileName, setNewProfileName] = useState('')
+  const [error, setError] = useState(null)
+  const importInputRef = useRef(null)
+
+  // Wizard: current pose index (null = closed), capture state and per-pose sample counts
+  const [wizardStep, setWizardStep] = useState(null)
+  const [isCapturing, setIsCapturing] = useState(false)
+  const [captureCounts, setCaptureCounts] = useState({})
+  const captureTimerRef = useRef(null)
+
+  // Stop a running capture if the panel goes away
+  useEffect(() => {
+    return () => {
+      if (captureTimerRef.current) {
+        clearTimeout(captureTimerRef.current)
+        calibrationManager.resetWizard()
+      }
+    }
+  }, [calibrationManager])
+
+  const handleCreateProfile = () => {
+    if (calibrationManager.createProfile(newProfileName)) {
+      setNewProfileName('')
+      setError(null)
+      onCalibrationChange()
+    }
+  }
+
+  const handleSelectProfile = (name) => {
+    calibrationManager.selectProfile(name)
+    onCalibrationChange()
+  }
+
+  const handleDeleteProfile = () => {
+    const name = calibrationStatus.activeProfile
+    if (!name || !window.confirm(`Delete calibration profile "${name}"?`)) return
+    calibrationManager.deleteProfile(name)
+    onCalibrationChange()
+  }
+
+  const handleExport = () => {
+    const profile = calibrationManager.exportCalibration()
+    if (profile) downloadProfile(profile)
+  }
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      const data = await loadProfileFile(file)
+      calibrationManager.importCalibration(data)
+      setError(null)
+      onCalibrationChange()
+    } catch (err) {
+      console.error('Failed to import calibration profile:', err)
+      setError(err.message)
+    }
+  }
+
+  const handleStartWizard = () => {
+    calibrationManager.resetWizard()
+    setCaptureCounts({})
+    setError(null)
+    setWizardStep(0)
+  }
+
+  const handleCancelWizard = () => {
+    if (captureTimerRef.current) {
+      clearTimeout(captureTimerRef.current)
+      captureTimerRef.current = null
+    }
+    calibrationManager.resetWizard()
+    setIsCapturing(false)
+    setWizardStep(null)
+  }
+
+  const handleCapture = () => {
+    const pose = CALIBRATION_POSES[wizardStep]
+    calibrationManager.startPoseCapture(pose.id)
+    setIsCapturing(true)
+
+    captureTimerRef.current = setTimeout(() => {
+      captureTimerRef.current = null
+      const counts = calibrationManager.stopPoseCapture()
+      setIsCapturing(false)
+      setCaptureCounts(prev => ({ ...prev, [pose.id]: counts }))
+    }, CAPTURE_DURATION_MS)
+  }
+
+  const handleFinishWizard = () => {
+    const calibrated = calibrationManager.finishWizard()
+    setWizardStep(null)
+    if (calibrated.length === 0) {
+      setError('No hand was captured')
+      return
+    }
+    onCalibrationChange()
+  }
+
+  const profiles = calibrationStatus?.profiles || []
+  const pose = wizardStep !== null ? CALIBRATION_POSES[wizardStep] : null
+  const counts = pose ? captureCounts[pose.id] : null
+  const isLastStep = wizardStep === CALIBRATION_POSES.length - 1
+  const hasCaptures = Object.keys(captureCounts).length > 0
+
+  return (
+    <div className="p-2 bg-primary/10 border border-primary/30 rounded">
+      <div className="flex items-center justify-between mb-1.5">
+        <span className="text-[11px] font-medium text-panel-foreground">Calibration</span>
+        <span className="text-[10px] font-medium">
+          {calibrationStatus?.isCalibrated ? '✓' : '⚠'}
+        </span>
+      </div>
+
+      {/* Operator profiles */}
+      <div className="flex gap-1 items-center">
+        <select
+          value={calibrationStatus?.activeProfile || ''}
+          onChange={(e) => handleSelectProfile(e.target.value)}
+          disabled={profiles.length === 0}
+          className={`flex-1 min-w-0 ${INPUT_CLASS}`}
+        >
+          {profiles.length === 0 && <option value="">No profile</option>}
+          {profiles.map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        <Button variant="outline" size="sm" onClick={handleExport} disabled={!calibrationStatus?.activeProfile} className="text-[10px] h-7 px-2">
+          Export
+        </Button>
+        <Button variant="outline" size="sm" onClick={() => importInputRef.current?.click()} className="text-[10px] h-7 px-2">
+          Import
+        </Button>
+        <Button variant="outline" size="sm" onClick={handleDeleteProfile} disabled={!calibrationStatus?.activeProfile} className="text-[10px] h-7 px-2" title="Delete profile">
+          ✕
+        </Button>
+      </div>
+      <div className="flex gap-1 items-center mt-1">
+        <input
+          type="text"
+          value={newProfileName}
+          onChange={(e) => setNewProfileName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleCreateProfile()}
+          placeholder="Operator name"
+          className={`flex-1 min-w-0 font-mono ${INPUT_CLASS}`}
+        />
+        <Button variant="outline" size="sm" onClick={handleCreateProfile} disabled={!newProfileName.trim()} className="text-[10px] h-7 px-2">
+          New profile
+        </Button>
+      </div>
+
+      {/* Active profile per tracked hand */}
+      <div className="text-[10px] text-panel-muted-foreground leading-tight font-mono mt-1.5">
+        {['left', 'right'].map(hand => (
+          <div key={hand}>{hand}: {describeHand(calibrationStatus?.hands?.[hand])}</div>
+        ))}
+      </div>
+
+      {pose ? (
+        // Guided capture, one pose at a time
+        <div className="mt-1.5 p-1.5 rounded border border-panel-border">
+          <div className="text-[11px] font-medium text-panel-foreground">
+            {wizardStep + 1}/{CALIBRATION_POSES.length} · {pose.label}
+          </div>
+          <div className="text-[10px] text-panel-muted-foreground leading-tight mt-0.5">
+            {pose.instruction} Show both hands to calibrate both.
+          </div>
+          <div className="text-[10px] text-panel-muted-foreground font-mono mt-0.5">
+            {isCapturing
+              ? 'capturing…'
+              : counts
+                ? `samples: left ${counts.left} · right ${counts.right}`
+                : 'not captured'}
+          </div>
+          <div className="flex gap-1 mt-1">
+            <Button size="sm" onClick={handleCapture} disabled={isCapturing} className="flex-1 text-[10px] h-7">
+              {counts ? 'Recapture' : 'Capture'}
+            </Button>
+            {isLastStep ? (
+              <Button size="sm" onClick={handleFinishWizard} disabled={isCapturing || !hasCaptures} className="flex-1 text-[10px] h-7">
+                Finish
+              </Button>
+            ) : (
+              <Button variant="outline" size="sm" onClick={() => setWizardStep(wizardStep + 1)} disabled={isCapturing} className="flex-1 text-[10px] h-7">
+                {counts ? 'Next' : 'Skip'}
+              </Button>
+            )}
+            <Button variant="outline" size="sm" onClick={handleCancelWizard} className="text-[10px] h-7 px-2">
+              Cancel
+            </Button>
+          </div>
+        </div>
+      ) : (
+        <div className="flex gap-1 mt-1.5">
+          <Button
+            onClick={onCalibrate}
+            size="sm"
+            className="flex-1 text-[11px] h-7"
+            title="Hold the hands relaxed and open, and capture their rest pose"
+          >
+            Calibrate rest
+          </Button>
+          <Button variant="outline" size="sm" onClick={handleStartWizard} className="flex-1 text-[11px] h-7">
+            Wizard
+          </Button>
+        </div>
+      )}
+
+      {error && (
+        <div className="mt-1 text-[10px] text-red-400 leading-tight">{error}</div>
+      )}
+      <input ref={importInputRef} type="file" accept=".json,application/json" onChange={handleImportFile} className="hidden" />
+    </div>
+  )
+}
+
+export default memo(CalibrationSection)
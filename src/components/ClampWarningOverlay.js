@@ -0,0 +1,72 @@
+/**
+ * Clamp Warning Overlay
+ * Lists the joints whose commanded value was clamped to a joint limit, per hand model,
+ * so retargeting that asks for impossible poses is visible in the 3D view
+ *
+ * Red: the URDF (hard) limit was exceeded. Amber: only a soft limit was exceeded.
+ */
+
+const HARD_COLOR = '#ff5c5c'
+const SOFT_COLOR = '#ffb020'
+
+/**
+ * @param {Object} clampedJoints - {left, right}: {clamped, jointLimits} reported by URDFHandModel
+ */
+export default function ClampWarningOverlay({ clampedJoints }) {
+  const sides = ['left', 'right'].filter(side =>
+    Object.keys(clampedJoints[side]?.clamped || {}).length > 0
+  )
+
+  if (sides.length === 0) return null
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: 12,
+      left: '50%',
+      transform: 'translateX(-50%)',
+      display: 'flex',
+      gap: 8,
+      pointerEvents: 'none',
+      zIndex: 10
+    }}>
+      {sides.map(side => {
+        const { clamped, jointLimits } = clampedJoints[side]
+        const entries = Object.entries(clamped).sort(([a], [b]) => a.localeCompare(b))
+        const isHard = entries.some(([, info]) => !info.soft)
+
+        return (
+          <div
+            key={side}
+            style={{
+              background: 'rgba(0, 0, 0, 0.75)',
+              border: `1px solid ${isHard ? HARD_COLOR : SOFT_COLOR}`,
+              borderRadius: 6,
+              padding: '6px 10px',
+              fontFamily: 'monospace',
+              fontSize: 11,
+              color: 'white',
+              minWidth: 180
+            }}
+          >
+            <div style={{ fontWeight: 'bold', marginBottom: 4, color: isHard ? HARD_COLOR : SOFT_COLOR }}>
+              ⚠️ {side} model: {entries.length} joint{entries.length > 1 ? 's' : ''} clamped
+            </div>
+            {entries.map(([jointName, info]) => {
+              const limits = jointLimits?.[jointName]
+              const limitValue = info.bound === 'upper' ? limits?.upper : limits?.lower
+
+              return (
+                <div key={jointName} style={{ color: info.soft ? SOFT_COLOR : HARD_COLOR }}>
+                  {info.bound === 'upper' ? '▲' : '▼'} {jointName}
+                  {limitValue !== undefined && ` ${info.bound === 'upper' ? '≤' : '≥'} ${limitValue.toFixed(2)}`}
+                  {info.soft && ' (soft)'}
+                </div>
+              )
+            })}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
@@ -1,32 +1,86 @@
-import { useState, useEffect } from 'react'
-import { landmarksToJointRotations } from '../utils/handKinematics'
+import { useState, useEffect, useMemo } from 'react'
+import { landmarksToJointRotations, selectKinematicLandmarks } from '../utils/handKinematics'
+
+// |Δ| thresholds (deg) of the comparison colors
+const DIFF_WARN_DEG = 5
+const DIFF_BAD_DEG = 10
+
+/**
+ * Color of a world/image joint-angle difference
+ * @param {number} diffDeg - Absolute difference (deg)
+ * @returns {string}
+ */
+function getDiffColor(diffDeg) {
+  if (diffDeg >= DIFF_BAD_DEG) return '#ff6b6b'
+  if (diffDeg >= DIFF_WARN_DEG) return '#ffe66d'
+  return '#95e1a3'
+}
+
+// Capture-to-render latency (ms) and frame-drop rate thresholds of the readout colors
+const LATENCY_WARN_MS = 80
+const LATENCY_BAD_MS = 150
+const DROP_WARN_RATE = 0.1
+const DROP_BAD_RATE = 0.3
+
+/**
+ * Color of a timing readout
+ * @param {number} value - Measured value
+ * @param {number} warn - Warning threshold
+ * @param {number} bad - Bad threshold
+ * @returns {string}
+ */
+function getTimingColor(value, warn, bad) {
+  if (value >= bad) return '#ff6b6b'
+  if (value >= warn) return '#ffe66d'
+  return '#95e1a3'
+}
+
+/**
+ * Format a duration readout
+ * @param {number|null} ms - Duration (ms), null if not measured yet
+ * @returns {string}
+ */
+function formatMs(ms) {
+  return ms === null || ms === undefined ? '—' : `${ms.toFixed(0)}ms`
+}
 
 /**
  * DebugPanel Component
  * Displays joint angles (curl values) in real-time from hand landmark positions
+ *
+ * The angles come from the same landmarks as the tracking pipeline (world landmarks when
+ * available). Compare mode shows the angles from both the world and the image landmarks
+ * side by side, with their difference. For live MediaPipe sources it also shows where
+ * inference runs, frame drops and the capture-to-render latency.
  */
 export default function DebugPanel({
   onReset,
   onClose,
-  handTrackingData // Raw landmark position data from MediaPipe
+  handTrackingData, // Raw landmark position data from MediaPipe
+  useWorldLandmarks = true, // Same kinematics source as the tracking pipeline
+  frameStats = null // Frame-drop and latency readout of the live source (see input/frameStats.js)
 }) {
   // State for selected hand
   const [selectedHand, setSelectedHand] = useState('left')
 
-  // State to persist last valid joint angles
+  // World vs image landmark comparison mode
+  const [compareSources, setCompareSources] = useState(false)
+
+  // State to persist last valid joint angles ({joints, source, world, image})
   const [lastValidJoints, setLastValidJoints] = useState(null)
 
   // Convert radians to degrees and format (1 decimal place)
   const formatDeg = (radians) => ((radians || 0) * 180 / Math.PI).toFixed(1)
 
-  // Convert position data to joint rotations using handKinematics
-  const convertedJoints = (() => {
+  // Convert position data to joint rotations using handKinematics (once per frame)
+  const convertedJoints = useMemo(() => {
     if (!handTrackingData || !handTrackingData.multiHandLandmarks) {
       return null
     }
 
     // Find the landmarks for the selected hand
     let selectedLandmarks = null
+    let selectedWorldLandmarks = null
     let selectedHandedness = null
 
     handTrackingData.multiHandLandmarks.forEach((landmarks, index) => {
@@ -36,6 +90,7 @@ export default function DebugPanel({
 
       if ((selectedHand === 'left' && isLeft) || (selectedHand === 'right' && isRight)) {
         selectedLandmarks = landmarks
+        selectedWorldLandmarks = handTrackingData.multiHandWorldLandmarks?.[index] || null
         selectedHandedness = handedness
       }
     })
@@ -44,10 +99,20 @@ export default function DebugPanel({
       return null
     }
 
-    // Convert landmarks to joint rotations and extract joints object
-    const result = landmarksToJointRotations(selectedLandmarks, selectedHandedness)
-    return result.joints
-  })()
+    // Convert both landmark sets to joint rotations and extract the joints objects
+    const image = landmarksToJointRotations(selectedLandmarks, selectedHandedness).joints
+    const world = selectedWorldLandmarks?.length === 21
+      ? landmarksToJointRotations(selectedWorldLandmarks, selectedHandedness).joints
+      : null
+    const { source } = selectKinematicLandmarks(selectedLandmarks, selectedWorldLandmarks, useWorldLandmarks)
+
+    return {
+      joints: source === 'world' ? world : image,
+      source,
+      world,
+      image
+    }
+  }, [handTrackingData, selectedHand, useWorldLandmarks])
 
   // Update last valid joints when new valid data is available
   useEffect(() => {
@@ -56,6 +121,43 @@ export default function DebugPanel({
     }
   }, [convertedJoints])
 
+  const isComparing = compareSources && !!lastValidJoints?.world
+
+  /**
+   * Angle cell contents: the pipeline angle, or world / image angles and their difference
+   * @param {string} jointName - Joint key (e.g. 'index_mcp')
+   * @param {string} color - Value color
+   */
+  const renderAngle = (jointName, color) => {
+    if (!isComparing) {
+      return <span style={{ color }}>{formatDeg(lastValidJoints?.joints?.[jointName])}°</span>
+    }
+
+    const world = lastValidJoints.world[jointName] || 0
+    const image = lastValidJoints.image[jointName] || 0
+    const diffDeg = Math.abs(world - image) * 180 / Math.PI
+    return (
+      <>
+        <span style={{ color }}>{formatDeg(world)}</span>
+        <span style={{ color: 'rgba(255, 255, 255, 0.5)' }}> / {formatDeg(image)}</span>
+        <div style={{ fontSize: '9px', color: getDiffColor(diffDeg) }}>Δ {diffDeg.toFixed(1)}°</div>
+      </>
+    )
+  }
+
+  // Mean and largest |world − image| over all joints
+  const comparisonSummary = (() => {
+    if (!isComparing) return null
+    const diffs = Object.keys(lastValidJoints.world).map(name => ({
+      name,
+      diff: Math.abs((lastValidJoints.world[name] || 0) - (lastValidJoints.image[name] || 0)) * 180 / Math.PI
+    }))
+    if (diffs.length === 0) return null
+    const largest = diffs.reduce((max, entry) => (entry.diff > max.diff ? entry : max))
+    const mean = diffs.reduce((sum, entry) => sum + entry.diff, 0) / diffs.length
+    return { mean, largest }
+  })()
+
   // Finger names and segments
   const fingers = ['thumb', 'index', 'middle', 'ring', 'pinky']
   const segments = ['tip', 'dip', 'pip', 'mcp']
@@ -127,6 +229,30 @@ export default function DebugPanel({
           RIGHT
         </button>
 
+        {/* World vs image landmark comparison */}
+        <button
+          onClick={() => setCompareSources(!compareSources)}
+          title="Compare joint angles from world landmarks (metric) and image landmarks"
+          style={{
+            flex: 1,
+            padding: '4px 8px',
+            fontSize: '10px',
+            backgroundColor: compareSources
+              ? 'rgba(149, 225, 163, 0.8)'
+              : 'rgba(255, 255, 255, 0.15)',
+            color: 'white',
+            border: compareSources
+              ? '2px solid rgba(149, 225, 163, 1)'
+              : '1px solid rgba(255, 255, 255, 0.3)',
+            borderRadius: '3px',
+            cursor: 'pointer',
+            fontWeight: compareSources ? 'bold' : 'normal',
+            fontFamily: 'monospace'
+          }}
+        >
+          WORLD vs IMAGE
+        </button>
+
         {/* Spacer */}
         <div style={{ flex: 1 }} />
 
@@ -157,6 +283,28 @@ export default function DebugPanel({
         </button>
       </div>
 
+      {/* Inference timing - live MediaPipe sources only */}
+      {frameStats && (
+        <div style={{
+          display: 'flex',
+          gap: '10px',
+          marginBottom: '6px',
+          padding: '3px 6px',
+          backgroundColor: 'rgba(255, 255, 255, 0.08)',
+          borderRadius: '3px'
+        }}>
+          <span>{frameStats.mode === 'worker' ? '🧵 worker' : '⚠️ main thread'}</span>
+          <span>{frameStats.fps === null ? '—' : frameStats.fps.toFixed(1)} fps</span>
+          <span>inference {formatMs(frameStats.inferenceTime)}</span>
+          <span style={{ color: frameStats.latency === null ? 'white' : getTimingColor(frameStats.latency, LATENCY_WARN_MS, LATENCY_BAD_MS) }}>
+            capture→render {formatMs(frameStats.latency)} (peak {formatMs(frameStats.peakLatency)})
+          </span>
+          <span style={{ color: getTimingColor(frameStats.dropRate, DROP_WARN_RATE, DROP_BAD_RATE) }}>
+            dropped {frameStats.dropped}/{frameStats.presented} ({(frameStats.dropRate * 100).toFixed(1)}%)
+          </span>
+        </div>
+      )}
+
       {/* Joint Angles - Main Display */}
       {/* Joint Angles Grid */}
       <div style={{
@@ -167,8 +315,24 @@ export default function DebugPanel({
         paddingBottom: '2px'
       }}>
         Joint Angles (deg) - Curl Values
+        <span style={{ fontWeight: 'normal', color: 'rgba(255, 255, 255, 0.6)' }}>
+          {' '}· {isComparing ? 'world / image landmarks' : `${lastValidJoints?.source || '—'} landmarks`}
+        </span>
       </div>
 
+      {compareSources && !isComparing && (
+        <div style={{ marginBottom: '4px', color: 'rgba(255, 255, 255, 0.6)' }}>
+          No world landmarks from this source - nothing to compare
+        </div>
+      )}
+      {comparisonSummary && (
+        <div style={{ marginBottom: '4px' }}>
+          mean |Δ| <span style={{ color: getDiffColor(comparisonSummary.mean) }}>{comparisonSummary.mean.toFixed(1)}°</span>
+          {' '}· max |Δ| <span style={{ color: getDiffColor(comparisonSummary.largest.diff) }}>{comparisonSummary.largest.diff.toFixed(1)}°</span>
+          {' '}({comparisonSummary.largest.name})
+        </div>
+      )}
+
           {/* Grid Table */}
           <div style={{ overflowX: 'auto' }}>
             <table style={{
@@ -216,7 +380,6 @@ export default function DebugPanel({
                       </td>
                       {fingers.map(finger => {
                         const jointName = `${finger}_${segment}`
-                        const jointAngle = lastValidJoints?.[jointName] || 0
 
                         return (
                           <td key={jointName} style={{
@@ -224,10 +387,9 @@ export default function DebugPanel({
                             textAlign: 'center',
                             borderLeft: finger !== 'thumb' ? '1px solid rgba(255, 255, 255, 0.1)' : 'none',
                             fontSize: '11px',
-                            color: '#4ecdc4',
                             fontWeight: 'bold'
                           }}>
-                            {formatDeg(jointAngle)}°
+                            {renderAngle(jointName, '#4ecdc4')}
                           </td>
                         )
                       })}
@@ -249,7 +411,6 @@ export default function DebugPanel({
                   </td>
                   {fingers.map(finger => {
                     const rollKey = `${finger}_roll`
-                    const rollAngle = lastValidJoints?.[rollKey] || 0
 
                     return (
                       <td key={rollKey} style={{
@@ -258,10 +419,9 @@ export default function DebugPanel({
                         borderLeft: finger !== 'thumb' ? '1px solid rgba(255, 255, 255, 0.1)' : 'none',
                         borderTop: '1px solid rgba(255, 255, 255, 0.3)',
                         fontSize: '11px',
-                        color: '#ffe66d',
                         fontWeight: 'bold'
                       }}>
-                        {formatDeg(rollAngle)}°
+                        {renderAngle(rollKey, '#ffe66d')}
                       </td>
                     )
                   })}
@@ -281,7 +441,6 @@ export default function DebugPanel({
                   {fingers.map(finger => {
                     const yawKey = `${finger}_yaw`
                     const hasYaw = finger === 'thumb'
-                    const yawAngle = hasYaw ? (lastValidJoints?.[yawKey] || 0) : null
 
                     return (
                       <td key={yawKey} style={{
@@ -292,7 +451,7 @@ export default function DebugPanel({
                         color: hasYaw ? '#ff6b6b' : 'rgba(255, 255, 255, 0.3)',
                         fontWeight: hasYaw ? 'bold' : 'normal'
                       }}>
-                        {hasYaw ? `${formatDeg(yawAngle)}°` : 'N/A'}
+                        {hasYaw ? renderAngle(yawKey, '#ff6b6b') : 'N/A'}
                       </td>
                     )
                   })}
@@ -317,7 +476,7 @@ export default function DebugPanel({
             </div>
             <div style={{ paddingLeft: '4px', lineHeight: '1.3', fontSize: '11px' }}>
               {(() => {
-                const wristAngle = lastValidJoints?.wrist || 0
+                const wristAngle = lastValidJoints?.joints?.wrist || 0
                 return (
                   <span style={{ color: '#4ecdc4', fontWeight: 'bold' }}>
                     {formatDeg(wristAngle)}°
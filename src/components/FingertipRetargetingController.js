@@ -0,0 +1,125 @@
+/**
+ * FingertipRetargetingController.js
+ *
+ * React component that drives the URDF hand models by fingertip retargeting:
+ * each tracked hand's landmarks are solved into robot joint values with FingertipRetargeter
+ */
+
+import { useEffect, useRef } from 'react'
+import { FingertipRetargeter } from '../utils/fingertipRetargeting'
+import { getDrivingSides } from '../utils/handMapping'
+
+const OPPOSITE_SIDE = { left: 'right', right: 'left' }
+
+// Default hand mapping (module constant so the solve effect doesn't rerun every render)
+const DEFAULT_DRIVING_SIDES = getDrivingSides()
+
+/**
+ * FingertipRetargetingController Component
+ * Solves joint values for each model from the tracked hand that drives it (utils/handMapping.js,
+ * as in camera mode)
+ *
+ * @param {Object} robotRefs - {left, right} refs to the loaded URDF robots (stable object)
+ * @param {Object} modelConfigs - {left, right} loaded model configs ({jointConfig, retargeting, jointLimits})
+ * @param {Object} landmarks - {left, right} landmarks of the driving hand, keyed by model side
+ * @param {Object} trackedJointRotations - {left, right} rotations of the driving hand, keyed by model
+ *   side (wrist orientation is kept)
+ * @param {Object} drivingSides - Tracked hand driving each model side (getDrivingSides)
+ * @param {Function} onJointRotations - Receives {left, right} joint rotations with `urdfJoints`
+ * @param {Function} onStats - Receives {left, right} solver stats ({error, iterations, supported})
+ * @param {Object} options - FingertipRetargeter options plus `aspectRatio` of the landmark source
+ */
+export default function FingertipRetargetingController({
+  robotRefs,
+  modelConfigs,
+  landmarks = { left: null, right: null },
+  trackedJointRotations = { left: null, right: null },
+  drivingSides = DEFAULT_DRIVING_SIDES,
+  onJointRotations,
+  onStats,
+  options = {}
+}) {
+  // One retargeter per model side, rebuilt when a model (re)loads
+  const retargetersRef = useRef({ left: null, right: null })
+
+  // Tracked rotations only provide the wrist orientation - don't solve again when they change
+  const trackedJointRotationsRef = useRef(trackedJointRotations)
+  useEffect(() => {
+    trackedJointRotationsRef.current = trackedJointRotations
+  }, [trackedJointRotations])
+
+  const { aspectRatio = 4 / 3, ...solverOptions } = options
+  const optionsKey = JSON.stringify(solverOptions)
+
+  useEffect(() => {
+    const retargeters = {}
+    Object.keys(OPPOSITE_SIDE).forEach(side => {
+      const robot = robotRefs[side]?.current
+      const config = modelConfigs[side]
+      if (!robot || !config?.jointConfig) {
+        retargeters[side] = null
+        return
+      }
+
+      const retargeter = new FingertipRetargeter(robot, {
+        side: config.retargeting?.side ?? null,
+        jointLimits: config.jointLimits || {},
+        fingertips: config.retargeting?.fingertips || {},
+        ...JSON.parse(optionsKey)
+      })
+      if (!retargeter.isSupported()) {
+        console.warn(`⚠️ [FingertipRetargeting] ${config.modelPath} (${side}): fingertips not found (${retargeter.fingers.join(', ') || 'none'})`)
+      } else {
+        console.log(`🎯 [FingertipRetargeting] ${config.modelPath} (${side}): ${retargeter.fingers.join(', ')} · ${retargeter.variables.length} joints`)
+      }
+      retargeters[side] = retargeter
+    })
+    retargetersRef.current = retargeters
+  }, [robotRefs, modelConfigs, optionsKey])
+
+  // Solve each model from its driving hand
+  useEffect(() => {
+    const rotations = { left: null, right: null }
+    const stats = { left: null, right: null }
+
+    Object.entries(retargetersRef.current).forEach(([side, retargeter]) => {
+      if (!retargeter) return
+
+      const trackedSide = drivingSides[side]
+      const handLandmarks = landmarks[side]
+      if (!retargeter.isSupported()) {
+        stats[side] = { supported: false }
+        return
+      }
+      if (!handLandmarks) return
+
+      // Unmirrored camera images show the tracked hand with the opposite chirality of its label
+      const humanChirality = OPPOSITE_SIDE[trackedSide]
+      const mirror = retargeter.side !== null && humanChirality !== retargeter.side
+
+      try {
+        const result = retargeter.solve(handLandmarks, { aspectRatio, mirror })
+        if (!result) return
+
+        rotations[side] = {
+          wristOrientation: trackedJointRotationsRef.current[side]?.wristOrientation,
+          joints: {},
+          urdfJoints: result.joints
+        }
+        stats[side] = { supported: true, error: result.error, iterations: result.iterations }
+      } catch (error) {
+        console.error(`${side} fingertip retargeting error:`, error)
+      }
+    })
+
+    if (onJointRotations) {
+      onJointRotations(rotations)
+    }
+    if (onStats) {
+      onStats(stats)
+    }
+  }, [landmarks, drivingSides, aspectRatio, onJointRotations, onStats])
+
+  // FingertipRetargetingController doesn't render anything visible
+  return null
+}
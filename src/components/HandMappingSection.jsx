@@ -0,0 +1,103 @@
+import React, { memo } from 'react'
+import { Button } from './ui/button'
+
+const INPUT_CLASS = 'w-full h-6 px-1 rounded bg-panel-muted/30 border border-panel-border text-[10px] text-panel-foreground font-mono'
+
+// Tunable parameters of the hand identity tracker
+const IDENTITY_FIELDS = [
+  { key: 'maxGap', label: 'gap ms', step: 100, title: 'Time after which a hand\'s last position no longer counts' },
+  { key: 'historyTimeConstant', label: 'history ms', step: 100, title: 'Averaging of the handedness history (longer = slower to relabel)' }
+]
+
+/**
+ * HandMappingSection Component
+ * Chooses which tracked hand drives which model (mirror / swap) and tunes the identity
+ * tracking that keeps the hands from swapping when they cross
+ *
+ * @param {Object} config - Hand mapping settings (DEFAULT_HAND_MAPPING_CONFIG shape)
+ * @param {Function} onConfigChange - Called with the changed settings, or (null) to restore the defaults
+ * @param {Object} identityConfig - Identity settings (DEFAULT_HAND_IDENTITY_CONFIG shape)
+ * @param {Function} onIdentityConfigChange - Called with the changed settings, or (null) to restore the defaults
+ * @param {Object} drivingSides - Tracked hand driving each model ({left, right})
+ */
+const HandMappingSection = ({ config, onConfigChange, identityConfig, onIdentityConfigChange, drivingSides }) => {
+  const handleIdentityFieldChange = (key, text) => {
+    const value = parseFloat(text)
+    if (Number.isFinite(value) && value >= 0) onIdentityConfigChange({ [key]: value })
+  }
+
+  const toggles = [
+    ['mirror', 'Mirror', 'Front view: the models mirror you and positions are mirrored'],
+    ['swapHands', 'Swap hands', 'Swap the hands driving the two models']
+  ]
+
+  return (
+    <div className="p-2 bg-primary/10 border border-primary/30 rounded">
+      <div className="flex items-center justify-between mb-1.5">
+        <span className="text-[11px] font-medium text-panel-foreground">Hand Mapping</span>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => {
+            onConfigChange(null)
+            onIdentityConfigChange(null)
+          }}
+          className="text-[10px] h-6 px-2"
+        >
+          Defaults
+        </Button>
+      </div>
+
+      <div className="flex gap-1">
+        {toggles.map(([key, label, title]) => (
+          <Button
+            key={key}
+            variant={config[key] ? 'default' : 'outline'}
+            size="sm"
+            onClick={() => onConfigChange({ [key]: !config[key] })}
+            className="flex-1 text-[10px] h-6 px-1"
+            title={title}
+          >
+            {label}
+          </Button>
+        ))}
+      </div>
+      <div className="text-[10px] text-panel-muted-foreground leading-tight font-mono mt-1">
+        {['left', 'right'].map(side => (
+          <div key={side}>{side} model ← tracked {drivingSides[side]}</div>
+        ))}
+      </div>
+
+      <div className="flex gap-1 mt-1.5">
+        <Button
+          variant={identityConfig.enabled ? 'default' : 'outline'}
+          size="sm"
+          onClick={() => onIdentityConfigChange({ enabled: !identityConfig.enabled })}
+          className="flex-1 text-[10px] h-6 px-1"
+          title="Keep each hand's identity by wrist continuity and handedness history instead of the per-frame label"
+        >
+          Identity tracking
+        </Button>
+      </div>
+      {identityConfig.enabled && (
+        <div className="grid grid-cols-2 gap-1 mt-0.5">
+          {IDENTITY_FIELDS.map(field => (
+            <label key={field.key} className="text-[10px] text-panel-muted-foreground" title={field.title}>
+              {field.label}
+              <input
+                type="number"
+                min={0}
+                step={field.step}
+                value={identityConfig[field.key]}
+                onChange={(e) => handleIdentityFieldChange(field.key, e.target.value)}
+                className={INPUT_CLASS}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default memo(HandMappingSection)
@@ -1,5 +1,4 @@
 import { Suspense, useState, useEffect } from 'react'
-import { Text } from '@react-three/drei'
 import AbilityHand from '../models/AbilityHand'
 import InspireHand from '../models/InspireHand'
 import URDFHandModel from './URDFHandModel'
@@ -17,91 +16,37 @@ function HandModelInner({
   useMultiDoF = false,
   showJointGimbals = false,
   cameraLandmarks = null,
-  onPalmLengthCalculated = null
+  onPalmLengthCalculated = null,
+  onJointsClamped = null,
+  rangeMapping = null
 }) {
+  const renderURDFModel = () => (
+    <URDFHandModel
+      modelPath={modelPath}
+      side={side}
+      jointRotations={jointRotations}
+      position={[0, 0, 0]}
+      cameraPosition={cameraPosition}
+      onRobotLoaded={onRobotLoaded}
+      useMultiDoF={useMultiDoF}
+      showJointGimbals={showJointGimbals}
+      onPalmLengthCalculated={onPalmLengthCalculated}
+      onJointsClamped={onJointsClamped}
+      rangeMapping={rangeMapping}
+    />
+  )
+
   // Select the appropriate model component based on modelPath
   const renderModel = () => {
-    switch (modelPath) {
-      case 'ability_hand':
-        // Use URDF loader for AbilityHand (fixes finger positioning/rotation issues)
-        if (hasURDFSupport(modelPath)) {
-          return (
-            <URDFHandModel
-              modelPath={modelPath}
-              side={side}
-              jointRotations={jointRotations}
-              position={[0, 0, 0]}
-              cameraPosition={cameraPosition}
-              onRobotLoaded={onRobotLoaded}
-              useMultiDoF={useMultiDoF}
-              showJointGimbals={showJointGimbals}
-              onPalmLengthCalculated={onPalmLengthCalculated}
-            />
-          )
-        }
-        // Fallback to manual implementation if URDF not available
-        return <AbilityHand side={side} jointRotations={jointRotations} />
-
-      case 'inspire_hand':
-        // Keep manual InspireHand implementation
-        return <InspireHand side={side} />
-
-      case 'shadow_hand':
-      case 'allegro_hand':
-      case 'leap_hand':
-      case 'schunk_hand':
-      case 'barrett_hand':
-      case 'dclaw_gripper':
-      case 'panda_gripper':
-      case 'linker_l6':
-      case 'linker_l10':
-      case 'linker_l20':
-      case 'linker_l20pro':
-      case 'linker_l21':
-      case 'linker_l25':
-      case 'linker_l30':
-      case 'linker_o6':
-      case 'linker_o7':
-        // Use URDF loader for these models if available
-        if (hasURDFSupport(modelPath)) {
-          return (
-            <URDFHandModel
-              modelPath={modelPath}
-              side={side}
-              jointRotations={jointRotations}
-              position={[0, 0, 0]}
-              cameraPosition={cameraPosition}
-              onRobotLoaded={onRobotLoaded}
-              useMultiDoF={useMultiDoF}
-              showJointGimbals={showJointGimbals}
-              onPalmLengthCalculated={onPalmLengthCalculated}
-            />
-          )
-        }
-        // Fallback if URDF not available
-        return (
-          <group>
-            <Text
-              position={[0, 0, 0]}
-              fontSize={0.1}
-              color="white"
-              anchorX="center"
-              anchorY="middle"
-            >
-              {modelPath.replace('_', ' ').toUpperCase()}
-              {'\n'}
-              (Coming Soon)
-            </Text>
-            <mesh>
-              <boxGeometry args={[0.5, 0.5, 0.5]} />
-              <meshStandardMaterial color="orange" opacity={0.5} transparent />
-            </mesh>
-          </group>
-        )
-
-      default:
-        return null
+    // Registered models (bundled manifests and session imports) load their URDF
+    if (hasURDFSupport(modelPath)) {
+      return renderURDFModel()
     }
+
+    // Built-in fallbacks for models without a URDF
+    if (modelPath === 'ability_hand') return <AbilityHand side={side} jointRotations={jointRotations} />
+    if (modelPath === 'inspire_hand') return <InspireHand side={side} />
+    return null
   }
 
   return (
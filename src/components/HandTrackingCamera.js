@@ -1,35 +1,188 @@
 import { useRef, useEffect, useState } from 'react'
 import { Hands } from '@mediapipe/hands'
 import { drawConnectors } from '@mediapipe/drawing_utils'
-import { landmarksToJointRotations } from '../utils/handKinematics'
-import { MotionFilter } from '../utils/motionFilter'
-import { landmarksToQuaternions } from '../utils/handKinematicsQuaternion'
-import { quaternionsToURDFJoints } from '../utils/quaternionToAxisAngles'
-import { createQuaternionFilter } from '../utils/quaternionMotionFilter'
-import { applyThumb3DoFAddon, shouldApplyThumb3DoF, mergeThumbOverrides } from '../utils/thumbAddon3DoF'
-
-export default function HandTrackingCamera({ onHandResults, onJointRotations, onHandPositions, onRawLandmarks, calibrationManager, showPreview = true, useQuaternionTracking = false, useThumb3DoF = false, robotRefs = { left: null, right: null } }) {
+import { TrackingPipeline, createInputSource } from '../input'
+import { DEFAULT_WRIST_POSE_CONFIG } from '../utils/wristPose'
+
+// Default input source (module constant so the source effect doesn't restart every render)
+const DEFAULT_SOURCE_CONFIG = { type: 'webcam' }
+
+// How often the frame-drop and latency readout is reported (ms)
+const FRAME_STATS_INTERVAL = 500
+
+// Tracking state badge colors in the preview
+const TRACKING_STATE_COLORS = {
+  tracking: '#00FF00',
+  recovering: '#FFC800',
+  lost: '#FF4040'
+}
+
+/**
+ * Key of what the preview badges show, so the preview only re-renders when it changes
+ * @param {Object} tracking - {left, right} tracking status from the pipeline
+ * @returns {string}
+ */
+function getTrackingDisplayKey(tracking) {
+  return ['left', 'right']
+    .map(side => `${tracking[side].state}:${Math.round(tracking[side].detectionConfidence * 20)}`)
+    .join('|')
+}
+
+/**
+ * Draw landmarks, connections and hand labels for one frame
+ * @param {HTMLCanvasElement} canvas - Overlay canvas
+ * @param {Object} results - Landmark frame
+ */
+function drawLandmarks(canvas, results) {
+  const ctx = canvas.getContext('2d')
+
+  // Clear canvas
+  ctx.clearRect(0, 0, canvas.width, canvas.height)
+
+  // Draw hand landmarks and connections
+  if (results.multiHandLandmarks) {
+    results.multiHandLandmarks.forEach((landmarks, index) => {
+      // Draw connections between landmarks
+      drawConnectors(ctx, landmarks, Hands.HAND_CONNECTIONS, {
+        color: '#00FF00',
+        lineWidth: 2
+      })
+
+      // Draw landmark points with depth-based size, color, and opacity
+      landmarks.forEach(landmark => {
+        // Get depth value (z coordinate)
+        // MediaPipe z: negative = toward camera, positive = away from camera
+        // Typical range: [-0.2, 0.2]
+        const depth = landmark.z
+
+        // Normalize depth to 0-1 range (0 = close, 1 = far)
+        // Clamp depth to reasonable range and invert so closer = higher value
+        const normalizedDepth = Math.max(0, Math.min(1, (-depth + 0.2) / 0.4))
+
+        // Map depth to size (closer = larger: 2-15px)
+        const radius = 2 + normalizedDepth * 11
+
+        // Map depth to color brightness (closer = brighter red 255, further = darker red 100)
+        const redValue = Math.floor(100 + normalizedDepth * 155)
+
+        // Map depth to opacity (closer = opaque 1.0, further = transparent 0.3)
+        const opacity = 0.3 + normalizedDepth * 0.7
+
+        // Convert normalized coordinates to canvas coordinates
+        const x = landmark.x * canvas.width
+        const y = landmark.y * canvas.height
+
+        // Draw the landmark point
+        ctx.beginPath()
+        ctx.arc(x, y, radius, 0, 2 * Math.PI)
+        ctx.fillStyle = `rgba(${redValue}, 0, 0, ${opacity})`
+        ctx.fill()
+        ctx.strokeStyle = `rgba(${Math.max(0, redValue - 50)}, 0, 0, ${opacity})`
+        ctx.lineWidth = 1
+        ctx.stroke()
+      })
+
+      // Draw hand label above the highest point
+      // Use handedness-based labels: Left = HAND 1, Right = HAND 2
+      const handedness = results.multiHandedness?.[index]?.label || 'Right'
+      const handLabel = handedness === 'Left' ? 'HAND 1' : 'HAND 2'
+
+      // Find the highest point (minimum y-coordinate) among all 21 landmarks
+      let highestY = landmarks[0].y
+      let highestX = landmarks[0].x
+      for (let i = 1; i < landmarks.length; i++) {
+        if (landmarks[i].y < highestY) {
+          highestY = landmarks[i].y
+          highestX = landmarks[i].x
+        }
+      }
+
+      // Convert normalized coordinates to canvas coordinates
+      const labelX = highestX * canvas.width
+      const labelY = highestY * canvas.height - 30 // Position 30px above highest point
+
+      // Save the current canvas state
+      ctx.save()
+
+      // Apply horizontal flip to compensate for CSS transform: scaleX(-1)
+      // This makes text readable when the canvas element itself is flipped
+      ctx.scale(-1, 1)
+      ctx.translate(-canvas.width, 0)
+
+      // Mirror the x-coordinate for the flipped coordinate system
+      const flippedLabelX = canvas.width - labelX
+
+      // Draw label with background
+      ctx.font = 'bold 20px Arial'
+      ctx.textAlign = 'center'
+      ctx.textBaseline = 'middle'
+
+      // Measure text for background
+      const textMetrics = ctx.measureText(handLabel)
+      const padding = 8
+      const bgWidth = textMetrics.width + padding * 2
+      const bgHeight = 28
+
+      // Draw semi-transparent background
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.7)'
+      ctx.fillRect(
+        flippedLabelX - bgWidth / 2,
+        labelY - bgHeight / 2,
+        bgWidth,
+        bgHeight
+      )
+
+      // Draw text - different colors for each hand based on handedness
+      ctx.fillStyle = handedness === 'Left' ? '#00BFFF' : '#00FF00'
+      ctx.fillText(handLabel, flippedLabelX, labelY)
+
+      // Restore the canvas state
+      ctx.restore()
+    })
+  }
+}
+
+/**
+ * HandTrackingCamera Component
+ * Consumes landmark frames from the selected input source (webcam, video file, recording,
+ * synthetic generator, WebSocket), draws the overlay and runs them through the tracking pipeline
+ *
+ * With `useInferenceWorker`, webcam and video file sources run MediaPipe and the pipeline in a
+ * worker and their frames arrive already processed; `onFrameStats` receives their frame-drop
+ * and capture-to-render latency readout (see input/frameStats.js)
+ */
+export default function HandTrackingCamera({ onHandResults, onJointRotations, onHandPositions, onWristPoses, onRawLandmarks, calibrationManager, showPreview = true, useQuaternionTracking = false, useThumb3DoF = false, useWorldLandmarks = true, robotRefs = { left: null, right: null }, wristPoseConfig = DEFAULT_WRIST_POSE_CONFIG, smoothingConfig = null, landmarkFilterConfig = null, trackingStateConfig = null, handIdentityConfig = null, onTrackingStates = null, useInferenceWorker = false, onFrameStats = null, sessionRecorder = null, sourceConfig = DEFAULT_SOURCE_CONFIG, onSourceStatusChange = null }) {
   const videoRef = useRef(null)
   const canvasRef = useRef(null)
   const onHandResultsRef = useRef(onHandResults)
   const onJointRotationsRef = useRef(onJointRotations)
   const onHandPositionsRef = useRef(onHandPositions)
+  const onWristPosesRef = useRef(onWristPoses)
   const onRawLandmarksRef = useRef(onRawLandmarks)
+  const onTrackingStatesRef = useRef(onTrackingStates)
+  const onFrameStatsRef = useRef(onFrameStats)
+  const onSourceStatusChangeRef = useRef(onSourceStatusChange)
+  const sessionRecorderRef = useRef(sessionRecorder)
+
+  // Pipeline options read on every frame (kept in a ref so sources don't restart when they change)
+  const pipelineOptionsRef = useRef({})
+  pipelineOptionsRef.current = { calibrationManager, useQuaternionTracking, useThumb3DoF, useWorldLandmarks, robotRefs, wristPoseConfig, smoothingConfig, landmarkFilterConfig, trackingStateConfig, handIdentityConfig }
+
+  // The Thumb 3DoF addon needs the loaded robot, so it keeps inference on the main thread
+  const useWorker = useInferenceWorker && !(useQuaternionTracking && useThumb3DoF)
 
   // State to track horizontal flip
   const [isFlipped, setIsFlipped] = useState(false)
 
-  // Initialize motion filter (persistent across renders)
-  const motionFilterRef = useRef(new MotionFilter({
-    alpha: 0.3, // Smoothing strength (lower = smoother but more lag)
-    maxVelocity: 5.0, // Max radians per second
-    enableSmoothing: true,
-    enableVelocityLimiting: true,
-    enableConstraints: true
-  }))
+  // Tracking state of each hand shown in the preview
+  const [trackingStates, setTrackingStates] = useState(null)
+  const trackingDisplayKeyRef = useRef(null)
 
-  // Initialize quaternion filter (persistent across renders)
-  const quaternionFilterRef = useRef(createQuaternionFilter(0.3))
+  // Tracking pipeline - kinematics, motion filtering and calibration (persistent across renders)
+  const pipelineRef = useRef(null)
+  if (pipelineRef.current === null) {
+    pipelineRef.current = new TrackingPipeline()
+  }
 
   // Keep the refs updated without triggering re-initialization
   useEffect(() => {
@@ -44,315 +197,161 @@ export default function HandTrackingCamera({ onHandResults, onJointRotations, on
     onHandPositionsRef.current = onHandPositions
   }, [onHandPositions])
 
+  useEffect(() => {
+    onWristPosesRef.current = onWristPoses
+  }, [onWristPoses])
+
   useEffect(() => {
     onRawLandmarksRef.current = onRawLandmarks
   }, [onRawLandmarks])
 
   useEffect(() => {
-    let hands = null
-    let animationId = null
-    let canvasSizeSet = false
+    onTrackingStatesRef.current = onTrackingStates
+  }, [onTrackingStates])
 
-    // Initialize MediaPipe Hands
-    const initializeHandTracking = () => {
-      hands = new Hands({
-        locateFile: (file) => {
-          return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`
-        }
-      })
+  useEffect(() => {
+    onFrameStatsRef.current = onFrameStats
+  }, [onFrameStats])
 
-      hands.setOptions({
-        maxNumHands: 2,
-        modelComplexity: 1,
-        minDetectionConfidence: 0.5,
-        minTrackingConfidence: 0.5
-      })
+  useEffect(() => {
+    onSourceStatusChangeRef.current = onSourceStatusChange
+  }, [onSourceStatusChange])
 
-      hands.onResults(onResults)
-    }
+  useEffect(() => {
+    sessionRecorderRef.current = sessionRecorder
+  }, [sessionRecorder])
+
+  // Start the selected input source and route its frames through the pipeline
+  useEffect(() => {
+    const isReplay = sourceConfig.type === 'recording'
+    let canvasSizeSet = false
+    // Overlay of this source, cleared when it stops
+    const overlayCanvas = canvasRef.current
 
-    // Handle hand detection results
-    const onResults = (results) => {
+    // Handle landmark frames from the source
+    const onFrame = (frame) => {
       const canvas = canvasRef.current
       const video = videoRef.current
 
       if (!canvas || !video) return
 
-      const ctx = canvas.getContext('2d')
+      // Record live frames only (never re-record a replay)
+      if (!isReplay && sessionRecorderRef.current?.isRecording) {
+        sessionRecorderRef.current.recordFrame(frame, frame.timestamp)
+      }
 
       // Set canvas size to match video (only once)
-      if (!canvasSizeSet && video.videoWidth > 0) {
-        canvas.width = video.videoWidth
-        canvas.height = video.videoHeight
+      // Sources without video (recording, synthetic, WebSocket) use a 640x480 overlay
+      if (!canvasSizeSet) {
+        canvas.width = video.videoWidth || 640
+        canvas.height = video.videoHeight || 480
         canvasSizeSet = true
       }
 
-      // Clear canvas
-      ctx.clearRect(0, 0, canvas.width, canvas.height)
-
-      // Draw hand landmarks and connections
-      if (results.multiHandLandmarks) {
-        results.multiHandLandmarks.forEach((landmarks, index) => {
-          // Draw connections between landmarks
-          drawConnectors(ctx, landmarks, Hands.HAND_CONNECTIONS, {
-            color: '#00FF00',
-            lineWidth: 2
-          })
-
-          // Draw landmark points with depth-based size, color, and opacity
-          landmarks.forEach(landmark => {
-            // Get depth value (z coordinate)
-            // MediaPipe z: negative = toward camera, positive = away from camera
-            // Typical range: [-0.2, 0.2]
-            const depth = landmark.z
-
-            // Normalize depth to 0-1 range (0 = close, 1 = far)
-            // Clamp depth to reasonable range and invert so closer = higher value
-            const normalizedDepth = Math.max(0, Math.min(1, (-depth + 0.2) / 0.4))
-
-            // Map depth to size (closer = larger: 2-15px)
-            const radius = 2 + normalizedDepth * 11
-
-            // Map depth to color brightness (closer = brighter red 255, further = darker red 100)
-            const redValue = Math.floor(100 + normalizedDepth * 155)
-
-            // Map depth to opacity (closer = opaque 1.0, further = transparent 0.3)
-            const opacity = 0.3 + normalizedDepth * 0.7
-
-            // Convert normalized coordinates to canvas coordinates
-            const x = landmark.x * canvas.width
-            const y = landmark.y * canvas.height
-
-            // Draw the landmark point
-            ctx.beginPath()
-            ctx.arc(x, y, radius, 0, 2 * Math.PI)
-            ctx.fillStyle = `rgba(${redValue}, 0, 0, ${opacity})`
-            ctx.fill()
-            ctx.strokeStyle = `rgba(${Math.max(0, redValue - 50)}, 0, 0, ${opacity})`
-            ctx.lineWidth = 1
-            ctx.stroke()
-          })
-
-          // Draw hand label above the highest point
-          // Use handedness-based labels: Left = HAND 1, Right = HAND 2
-          const handedness = results.multiHandedness?.[index]?.label || 'Right'
-          const handLabel = handedness === 'Left' ? 'HAND 1' : 'HAND 2'
-
-          // Find the highest point (minimum y-coordinate) among all 21 landmarks
-          let highestY = landmarks[0].y
-          let highestX = landmarks[0].x
-          for (let i = 1; i < landmarks.length; i++) {
-            if (landmarks[i].y < highestY) {
-              highestY = landmarks[i].y
-              highestX = landmarks[i].x
-            }
-          }
-
-          // Convert normalized coordinates to canvas coordinates
-          const labelX = highestX * canvas.width
-          const labelY = highestY * canvas.height - 30 // Position 30px above highest point
-
-          // Save the current canvas state
-          ctx.save()
-
-          // Apply horizontal flip to compensate for CSS transform: scaleX(-1)
-          // This makes text readable when the canvas element itself is flipped
-          ctx.scale(-1, 1)
-          ctx.translate(-canvas.width, 0)
-
-          // Mirror the x-coordinate for the flipped coordinate system
-          const flippedLabelX = canvas.width - labelX
-
-          // Draw label with background
-          ctx.font = 'bold 20px Arial'
-          ctx.textAlign = 'center'
-          ctx.textBaseline = 'middle'
-
-          // Measure text for background
-          const textMetrics = ctx.measureText(handLabel)
-          const padding = 8
-          const bgWidth = textMetrics.width + padding * 2
-          const bgHeight = 28
-
-          // Draw semi-transparent background
-          ctx.fillStyle = 'rgba(0, 0, 0, 0.7)'
-          ctx.fillRect(
-            flippedLabelX - bgWidth / 2,
-            labelY - bgHeight / 2,
-            bgWidth,
-            bgHeight
-          )
-
-          // Draw text - different colors for each hand based on handedness
-          ctx.fillStyle = handedness === 'Left' ? '#00BFFF' : '#00FF00'
-          ctx.fillText(handLabel, flippedLabelX, labelY)
-
-          // Restore the canvas state
-          ctx.restore()
+      // Process landmarks to joint rotations, positions and wrist poses
+      // (the overlay matches the landmark image size); hands that are not detected
+      // follow the pipeline's loss behavior (hold, rest or freeze).
+      // Frames from the inference worker arrive processed, with the uncalibrated samples
+      // for the calibration profile
+      let output = frame.pipelineOutput
+      if (output) {
+        const { calibrationManager: manager } = pipelineOptionsRef.current
+        if (manager && frame.calibrationSamples) {
+          frame.calibrationSamples.forEach(sample => manager.addSample(sample.side, sample.rotations, sample.landmarks, sample.source))
+        }
+      } else {
+        output = pipelineRef.current.process(frame, {
+          ...pipelineOptionsRef.current,
+          imageSize: { width: canvas.width, height: canvas.height }
         })
       }
 
+      // Overlay and debug consumers see the tracked hand identities, not the raw labels
+      const labeledFrame = { ...frame, multiHandedness: output.handedness }
+      drawLandmarks(canvas, labeledFrame)
+
       // Pass results to parent component if callback provided
       if (onHandResultsRef.current) {
-        onHandResultsRef.current(results)
+        onHandResultsRef.current(labeledFrame)
       }
 
-      // Process landmarks to joint rotations and positions
-      if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-        const handRotations = { left: null, right: null }
-        const handPositions = { left: null, right: null }
-        const rawLandmarks = { left: null, right: null }
-
-        // Process each detected hand
-        results.multiHandLandmarks.forEach((landmarks, index) => {
-          const handedness = results.multiHandedness?.[index]?.label || 'Right'
-
-          // console.log(`Processing hand ${index}: ${handedness}`)
-
-          let rotations
-
-          // Choose processing path based on useQuaternionTracking flag
-          if (useQuaternionTracking) {
-            // QUATERNION PATH: Convert landmarks → quaternions → axis angles
-            const quaternions = landmarksToQuaternions(landmarks, handedness)
-
-            // Apply quaternion filtering (SLERP)
-            const filteredQuaternions = quaternionFilterRef.current.filter(quaternions, Date.now())
-
-            // Decompose quaternions to URDF joint angles
-            rotations = quaternionsToURDFJoints(filteredQuaternions)
-
-            // 🔥 THUMB 3DOF ADDON: Override thumb joints with full 3-axis decomposition
-            const handSide = handedness === 'Left' ? 'left' : 'right'
-            const robot = robotRefs[handSide]?.current
-
-            if (shouldApplyThumb3DoF(useThumb3DoF, useQuaternionTracking, robot)) {
-              const thumbOverrides = applyThumb3DoFAddon(filteredQuaternions, robot, handedness)
-              rotations = mergeThumbOverrides(rotations, thumbOverrides)
-              console.log('🔧 [Thumb3DoF] Applied thumb overrides for', handedness, 'hand')
-            }
-
-            console.log('🔄 Quaternion tracking:', handedness, rotations)
-          } else {
-            // ORIGINAL PATH: Convert landmarks to joint rotations (1-DOF)
-            rotations = landmarksToJointRotations(landmarks, handedness)
-
-            // Create hand prefix for filter (lowercase for consistency)
-            const handPrefix = handedness === 'Left' ? 'left' : 'right'
-
-            // Apply motion filtering with hand-specific prefix
-            rotations = motionFilterRef.current.filter(rotations, Date.now(), handPrefix)
-          }
-
-          // Extract wrist position (landmark 0 is always the wrist)
-          const wristLandmark = landmarks[0]
-          // Convert MediaPipe coordinates to Three.js space
-          // MediaPipe: x right, y down, z toward camera (negative = away)
-          // Three.js: x right, y up, z toward viewer (positive = toward)
-          // Scale and center the position
-          const position = {
-            x: (wristLandmark.x - 0.5) * 2,  // Center around 0, scale to -1 to 1
-            y: -(wristLandmark.y - 0.5) * 2, // Invert Y and center
-            z: -wristLandmark.z * 2           // Invert Z and scale
-          }
-
-          // Apply calibration if available
-          if (calibrationManager) {
-            rotations = calibrationManager.applyCalibration(rotations)
-          }
-
-          // Apply hand-specific orientation corrections for right hand
-          // Right hand needs 180-degree flip to correct inverted orientation
-          if (handedness === 'Right' && rotations.wristOrientation) {
-            rotations.wristOrientation = {
-              x: -rotations.wristOrientation.x,
-              y: rotations.wristOrientation.y,
-              z: -rotations.wristOrientation.z
-            }
-          }
-
-          // Store rotations, positions, and raw landmarks by hand side
-          if (handedness === 'Left') {
-            handRotations.left = rotations
-            handPositions.left = position
-            rawLandmarks.left = landmarks
-          } else {
-            handRotations.right = rotations
-            handPositions.right = position
-            rawLandmarks.right = landmarks
-          }
-        })
+      // Send rotations to parent component
+      if (onJointRotationsRef.current) {
+        onJointRotationsRef.current(output.rotations)
+      }
 
-        // Send rotations to parent component
-        if (onJointRotationsRef.current) {
-          onJointRotationsRef.current(handRotations)
-        }
+      // Send positions to parent component
+      if (onHandPositionsRef.current) {
+        onHandPositionsRef.current(output.positions)
+      }
 
-        // Send positions to parent component
-        if (onHandPositionsRef.current) {
-          onHandPositionsRef.current(handPositions)
-        }
+      // Send metric wrist poses to parent component
+      if (onWristPosesRef.current) {
+        onWristPosesRef.current(output.wristPoses)
+      }
 
-        // Send raw landmarks to parent component
-        if (onRawLandmarksRef.current) {
-          onRawLandmarksRef.current(rawLandmarks)
-        }
-      } else {
-        // No hands detected - reset positions and landmarks but preserve rotations
-        if (onHandPositionsRef.current) {
-          onHandPositionsRef.current({ left: null, right: null })
-        }
-        if (onRawLandmarksRef.current) {
-          onRawLandmarksRef.current({ left: null, right: null })
-        }
-        // Note: We don't reset onJointRotations - this preserves the last known pose
+      // Send raw landmarks to parent component
+      if (onRawLandmarksRef.current) {
+        onRawLandmarksRef.current(output.landmarks)
+      }
+
+      // Send tracking states to parent component, and update the preview badges
+      if (onTrackingStatesRef.current) {
+        onTrackingStatesRef.current(output.tracking)
+      }
+      const displayKey = getTrackingDisplayKey(output.tracking)
+      if (displayKey !== trackingDisplayKeyRef.current) {
+        trackingDisplayKeyRef.current = displayKey
+        setTrackingStates(output.tracking)
       }
-    }
 
-    // Process video frames
-    const detectHands = async () => {
-      if (videoRef.current && videoRef.current.readyState === 4) {
-        await hands.send({ image: videoRef.current })
+      // Capture-to-render latency: the result is on screen with the next animation frame
+      if (frame.captureTime !== undefined && source.frameStats) {
+        const stats = source.frameStats
+        requestAnimationFrame(() => stats.recordRender(frame.captureTime))
       }
-      animationId = requestAnimationFrame(detectHands)
     }
 
-    // Access the user's camera
-    const startCamera = async () => {
-      try {
-        const stream = await navigator.mediaDevices.getUserMedia({
-          video: { width: 640, height: 480 }
-        })
-        if (videoRef.current) {
-          videoRef.current.srcObject = stream
-
-          // Wait for video to load before starting hand detection
-          videoRef.current.onloadedmetadata = () => {
-            initializeHandTracking()
-            detectHands()
-          }
-        }
-      } catch (err) {
-        console.error("Error accessing camera:", err)
+    let source
+    try {
+      source = createInputSource(sourceConfig, { video: videoRef.current, useWorker })
+    } catch (err) {
+      console.error('Error creating input source:', err)
+      return
+    }
+
+    // Filters are time-based - start fresh so timestamps from different sources don't mix
+    pipelineRef.current.reset()
+
+    source.onFrame = onFrame
+    source.getPipelineOptions = () => pipelineOptionsRef.current
+    source.onStatusChange = (status) => {
+      if (onSourceStatusChangeRef.current) {
+        onSourceStatusChangeRef.current(status)
       }
     }
+    source.start()
 
-    startCamera()
+    // Frame-drop and latency readout of live MediaPipe sources
+    const statsInterval = setInterval(() => {
+      if (source.frameStats && onFrameStatsRef.current) {
+        onFrameStatsRef.current(source.frameStats.getSnapshot())
+      }
+    }, FRAME_STATS_INTERVAL)
 
-    // Cleanup function to stop camera and hand detection when component unmounts
+    // Cleanup function to stop the source when it changes or the component unmounts
     return () => {
-      if (animationId) {
-        cancelAnimationFrame(animationId)
-      }
-      if (hands) {
-        hands.close()
+      clearInterval(statsInterval)
+      if (onFrameStatsRef.current) {
+        onFrameStatsRef.current(null)
       }
-      if (videoRef.current && videoRef.current.srcObject) {
-        const tracks = videoRef.current.srcObject.getTracks()
-        tracks.forEach(track => track.stop())
+      source.onFrame = null
+      source.stop()
+      if (overlayCanvas) {
+        overlayCanvas.getContext('2d').clearRect(0, 0, overlayCanvas.width, overlayCanvas.height)
       }
     }
-  }, []) // Empty dependency array - only initialize once
+  }, [sourceConfig, useWorker])
 
   // Don't render preview if showPreview is false, but keep processing
   if (!showPreview) {
@@ -416,6 +415,38 @@ export default function HandTrackingCamera({ onHandResults, onJointRotations, on
           transform: isFlipped ? 'scaleX(1)' : 'scaleX(-1)'
         }}
       />
+      {trackingStates && (
+        <div
+          style={{
+            position: 'absolute',
+            bottom: 4,
+            left: 4,
+            right: 4,
+            display: 'flex',
+            justifyContent: 'space-between',
+            pointerEvents: 'none'
+          }}
+        >
+          {/* HAND 1 / HAND 2 match the overlay labels (MediaPipe Left / Right) */}
+          {[['left', 'HAND 1'], ['right', 'HAND 2']].map(([side, label]) => {
+            const status = trackingStates[side]
+            return (
+              <span
+                key={side}
+                style={{
+                  padding: '1px 6px',
+                  borderRadius: 4,
+                  background: 'rgba(0, 0, 0, 0.7)',
+                  color: TRACKING_STATE_COLORS[status.state],
+                  font: 'bold 11px Arial'
+                }}
+              >
+                {label} {status.state} {(status.detectionConfidence * 100).toFixed(0)}%
+              </span>
+            )
+          })}
+        </div>
+      )}
     </div>
   )
 }
@@ -0,0 +1,132 @@
+import React, { useState, useRef, memo } from 'react'
+import { Button } from './ui/button'
+import { cn } from '../lib/utils'
+import { INPUT_SOURCE_TYPES, HandTrackingWorker } from '../input'
+import { SessionPlayer, loadSessionFile } from '../utils/sessionRecorder'
+
+const DEFAULT_WEBSOCKET_URL = 'ws://localhost:8765'
+
+// Sources that run MediaPipe (and can run it in a worker)
+const INFERENCE_SOURCE_TYPES = ['webcam', 'video']
+
+// Status dot colors
+const STATUS_COLORS = {
+  running: 'bg-green-500',
+  connecting: 'bg-yellow-500',
+  error: 'bg-red-500',
+  stopped: 'bg-panel-muted-foreground',
+  idle: 'bg-panel-muted-foreground'
+}
+
+/**
+ * InputSourceSection Component
+ * Selects where hand landmarks come from (webcam, video file, recording, synthetic, WebSocket)
+ *
+ * @param {Object} sourceConfig - Active source config ({type, ...})
+ * @param {Function} onSourceConfigChange - Called with the new source config
+ * @param {Object} sourceStatus - Latest status from the source ({status, message})
+ * @param {boolean} useWorker - Whether MediaPipe and the tracking pipeline run in a worker
+ * @param {Function} onUseWorkerChange - Called with the new worker setting
+ */
+const InputSourceSection = ({ sourceConfig, onSourceConfigChange, sourceStatus, useWorker, onUseWorkerChange }) => {
+  const [websocketUrl, setWebsocketUrl] = useState(DEFAULT_WEBSOCKET_URL)
+  const [error, setError] = useState(null)
+  const videoInputRef = useRef(null)
+  const sessionInputRef = useRef(null)
+
+  const handleSelect = (type) => {
+    setError(null)
+    switch (type) {
+      case 'video':
+        videoInputRef.current?.click()
+        break
+      case 'recording':
+        sessionInputRef.current?.click()
+        break
+      case 'websocket':
+        onSourceConfigChange({ type, url: websocketUrl })
+        break
+      default:
+        onSourceConfigChange({ type })
+    }
+  }
+
+  const handleVideoFile = (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (file) {
+      onSourceConfigChange({ type: 'video', file })
+    }
+  }
+
+  const handleSessionFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      const session = await loadSessionFile(file)
+      onSourceConfigChange({ type: 'recording', player: new SessionPlayer(session) })
+    } catch (err) {
+      console.error('Failed to load session:', err)
+      setError(err.message)
+    }
+  }
+
+  const status = sourceStatus?.status || 'idle'
+  const message = error || (status === 'error' ? sourceStatus?.message : null)
+
+  return (
+    <div className="p-2 bg-primary/10 border border-primary/30 rounded">
+      <div className="flex items-center justify-between mb-1.5">
+        <span className="text-[11px] font-medium text-panel-foreground">Input Source</span>
+        <span className="flex items-center gap-1 text-[10px] text-panel-muted-foreground">
+          <span className={cn('w-1.5 h-1.5 rounded-full', STATUS_COLORS[status] || STATUS_COLORS.idle)} />
+          {status}
+        </span>
+      </div>
+      <div className="grid grid-cols-3 gap-1">
+        {INPUT_SOURCE_TYPES.map(({ id, label }) => (
+          <Button
+            key={id}
+            variant={sourceConfig.type === id ? 'default' : 'outline'}
+            size="sm"
+            onClick={() => handleSelect(id)}
+            className="text-[10px] h-7 px-1"
+          >
+            {label}
+          </Button>
+        ))}
+      </div>
+      <input
+        type="text"
+        value={websocketUrl}
+        onChange={(e) => setWebsocketUrl(e.target.value)}
+        placeholder={DEFAULT_WEBSOCKET_URL}
+        className="mt-1.5 w-full h-7 px-2 rounded bg-panel-muted/30 border border-panel-border text-[10px] text-panel-foreground font-mono"
+      />
+      {INFERENCE_SOURCE_TYPES.includes(sourceConfig.type) && (
+        <Button
+          variant={useWorker ? 'default' : 'outline'}
+          size="sm"
+          onClick={() => onUseWorkerChange(!useWorker)}
+          disabled={!HandTrackingWorker.isSupported()}
+          className="mt-1 w-full text-[10px] h-6 px-1"
+          title="Run MediaPipe and the tracking pipeline in a Web Worker, so inference doesn't compete with rendering"
+        >
+          {useWorker ? 'Inference in worker' : 'Inference on main thread'}
+        </Button>
+      )}
+      {sourceConfig.type === 'video' && sourceConfig.file && (
+        <div className="mt-1 text-[10px] text-panel-muted-foreground truncate">{sourceConfig.file.name}</div>
+      )}
+      {message && (
+        <div className="mt-1 text-[10px] text-red-400 leading-tight">{message}</div>
+      )}
+      <input ref={videoInputRef} type="file" accept="video/mp4,video/webm" onChange={handleVideoFile} className="hidden" />
+      <input ref={sessionInputRef} type="file" accept=".json,application/json" onChange={handleSessionFile} className="hidden" />
+    </div>
+  )
+}
+
+export default memo(InputSourceSection)
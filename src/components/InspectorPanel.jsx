@@ -7,8 +7,20 @@ import { Slider } from './ui/slider'
 import { Button } from './ui/button'
 import { Badge } from './ui/badge'
 import { cn } from '../lib/utils'
+import { supportsControlMode } from '../utils/modelRegistry'
 import ModelSelectorModal from './ModelSelectorModal'
 import HierarchyPanel from '../editor/HierarchyPanel'
+import InputSourceSection from './InputSourceSection'
+import TrajectoryExportSection from './TrajectoryExportSection'
+import TeleopSection from './TeleopSection'
+import RetargetingSection from './RetargetingSection'
+import ArmAssemblySection from './ArmAssemblySection'
+import WristPoseSection from './WristPoseSection'
+import CalibrationSection from './CalibrationSection'
+import RangeMappingSection from './RangeMappingSection'
+import SmoothingSection from './SmoothingSection'
+import TrackingLossSection from './TrackingLossSection'
+import HandMappingSection from './HandMappingSection'
 
 // Joint Button Component
 const JointButton = memo(({ jointName, label, isAvailable, selectedJoint, onSelectedJointChange }) => {
@@ -78,6 +90,19 @@ const MODEL_JOINT_AVAILABILITY = {
   }
 }
 
+// Models without an entry above: the channels of their loaded retargeting config
+const getRetargetingAvailability = (retargeting, modelPath) => {
+  if (!retargeting || retargeting.model !== modelPath) return null
+  return Object.fromEntries(Object.keys(retargeting.channels).map(channel => [channel, true]))
+}
+
+// IK solvers selectable in IK mode
+const IK_SOLVERS = [
+  { id: 'ccd', label: 'CCD' },
+  { id: 'dls', label: 'DLS' },
+  { id: 'fabrik', label: 'FABRIK' }
+]
+
 const InspectorPanel = ({
   jointRotations,
   cameraJointRotations,
@@ -91,16 +116,49 @@ const InspectorPanel = ({
   onLeftModelChange,
   onRightModelChange,
   models,
+  onImportModelFiles,
+  arms,
+  selectedArm,
+  onArmChange,
+  armMounts,
+  onArmMountChange,
+  armIKStats,
   controlMode,
   onControlModeChange,
+  retargetingStats,
+  ikSolver,
+  onIKSolverChange,
+  ikDebugData,
   onCalibrate,
   calibrationStatus,
+  calibrationManager,
+  onCalibrationChange,
+  smoothingConfig,
+  onSmoothingConfigChange,
+  landmarkFilterConfig,
+  onLandmarkFilterConfigChange,
+  trackingStateConfig,
+  onTrackingStateConfigChange,
+  trackingStates,
+  handIdentityConfig,
+  onHandIdentityConfigChange,
+  handMappingConfig,
+  onHandMappingConfigChange,
+  drivingSides,
+  rangeMappingConfig,
+  onRangeMappingConfigChange,
+  rangeMappings,
+  modelConfigs,
   showGimbals,
   onShowGimbalsChange,
   showJointGimbals,
   onShowJointGimbalsChange,
   enableCameraPosition,
   onEnableCameraPositionChange,
+  wristPoseConfig,
+  onWristPoseConfigChange,
+  wristPoses,
+  onCalibratePalmSize,
   showAxes,
   onShowAxesChange,
   leftHandZRotation,
@@ -109,6 +167,8 @@ const InspectorPanel = ({
   onRightHandRotateZ,
   showDebugLabels,
   onShowDebugLabelsChange,
+  showClampWarnings,
+  onShowClampWarningsChange,
   disableWristRotation,
   onDisableWristRotationChange,
   onApplyMetalMaterial,
@@ -121,6 +181,8 @@ const InspectorPanel = ({
   onUseQuaternionTrackingChange,
   useThumb3DoF,
   onUseThumb3DoFChange,
+  useWorldLandmarks,
+  onUseWorldLandmarksChange,
   showIKVisualization,
   onShowIKVisualizationChange,
   isTrackingLocked,
@@ -128,7 +190,16 @@ const InspectorPanel = ({
   onResetHandPose,
   sceneGraph,
   selectedObject,
-  onSelectObject
+  onSelectObject,
+  sourceConfig,
+  onSourceConfigChange,
+  sourceStatus,
+  useInferenceWorker,
+  onUseInferenceWorkerChange,
+  trajectoryRecorder,
+  getTrajectoryTargets,
+  teleopBridge,
+  teleopStatus
 }) => {
   // Collapsible section states (all open by default)
   const [controlsOpen, setControlsOpen] = useState(true)
@@ -139,12 +210,16 @@ const InspectorPanel = ({
   // State for modal visibility
   const [isLeftModalOpen, setIsLeftModalOpen] = useState(false)
   const [isRightModalOpen, setIsRightModalOpen] = useState(false)
+  const [isArmModalOpen, setIsArmModalOpen] = useState(false)
 
   // Get model path for the currently selected hand to determine joint availability
   const currentModelId = selectedHand === 'left' ? selectedLeftModel : selectedRightModel
   const currentModelData = models.find(m => m.id === currentModelId)
   const modelPath = currentModelData?.path || 'default'
-  const jointAvailability = MODEL_JOINT_AVAILABILITY[modelPath] || MODEL_JOINT_AVAILABILITY.default
+  const currentHandJointConfig = selectedHand === 'left' ? leftHandJointConfig : rightHandJointConfig
+  const jointAvailability = MODEL_JOINT_AVAILABILITY[modelPath] ||
+    getRetargetingAvailability(currentHandJointConfig?.retargeting, modelPath) ||
+    MODEL_JOINT_AVAILABILITY.default
 
   // Get current rotation for the selected hand and joint
   const currentHandRotations = jointRotations[selectedHand] || {}
@@ -153,6 +228,20 @@ const InspectorPanel = ({
   const isManualMode = controlMode === 'manual'
   const isCameraMode = controlMode === 'camera'
   const isIKMode = controlMode === 'ik'
+  const isRetargetMode = controlMode === 'retarget'
+  // Camera and retarget modes are driven by hand tracking
+  const isTrackingMode = isCameraMode || isRetargetMode
+
+  // Selected models whose manifest does not list a control mode
+  const selectedModels = [selectedLeftModel, selectedRightModel]
+    .map(id => models.find(m => m.id === id))
+    .filter(Boolean)
+  const getModeHint = (mode, description = '') => {
+    const unsupported = selectedModels.filter(model => !supportsControlMode(model.path, mode))
+    if (unsupported.length === 0) return { className: '', title: description || undefined }
+    const note = `Not supported by ${unsupported.map(model => model.name).join(', ')}`
+    return { className: 'opacity-50', title: description ? `${description} (${note})` : note }
+  }
 
   const fingers = [
     { name: 'thumb', label: 'Thumb' },
@@ -197,12 +286,13 @@ const InspectorPanel = ({
                     <label className="text-xs font-medium text-panel-foreground block mb-1">
                       Control Mode
                     </label>
-                    <div className="grid grid-cols-3 gap-1.5">
+                    <div className="grid grid-cols-4 gap-1.5">
                       <Button
                         variant={isManualMode ? "default" : "outline"}
                         size="sm"
                         onClick={() => onControlModeChange('manual')}
-                        className="text-xs uppercase"
+                        className={cn("text-xs uppercase", getModeHint('manual').className)}
+                        title={getModeHint('manual').title}
                       >
                         Manual
                       </Button>
@@ -210,7 +300,8 @@ const InspectorPanel = ({
                         variant={isCameraMode ? "default" : "outline"}
                         size="sm"
                         onClick={() => onControlModeChange('camera')}
-                        className="text-xs uppercase"
+                        className={cn("text-xs uppercase", getModeHint('camera').className)}
+                        title={getModeHint('camera').title}
                       >
                         Camera
                       </Button>
@@ -218,37 +309,116 @@ const InspectorPanel = ({
                         variant={isIKMode ? "default" : "outline"}
                         size="sm"
                         onClick={() => onControlModeChange('ik')}
-                        className="text-xs uppercase"
+                        className={cn("text-xs uppercase", getModeHint('ik').className)}
+                        title={getModeHint('ik').title}
                       >
                         IK
                       </Button>
+                      <Button
+                        variant={isRetargetMode ? "default" : "outline"}
+                        size="sm"
+                        onClick={() => onControlModeChange('retarget')}
+                        className={cn("text-xs uppercase px-1", getModeHint('retarget').className)}
+                        title={getModeHint('retarget', 'Fingertip retargeting: solve robot joints so the fingertips match yours').title}
+                      >
+                        Tips
+                      </Button>
                     </div>
                   </div>
 
-                  {/* Calibration - Camera mode only */}
-                  {isCameraMode && (
+                  {/* Fingertip Retargeting - retarget mode only */}
+                  {isRetargetMode && (
                     <div className="p-2 bg-primary/10 border border-primary/30 rounded">
-                      <div className="text-[11px] font-medium text-panel-foreground mb-1.5">
-                        Calibration
-                      </div>
-                      <div className="text-[10px] text-panel-muted-foreground mb-1 leading-tight">
-                        Hold hand relaxed, open position and click calibrate.
+                      <div className="text-[11px] font-medium text-panel-foreground mb-1">
+                        Fingertip Retargeting
                       </div>
-                      <div className="flex gap-2 items-center">
-                        <Button
-                          onClick={onCalibrate}
-                          size="sm"
-                          className="flex-1 text-[11px] h-7"
-                        >
-                          Calibrate
-                        </Button>
-                        <div className="text-[10px] font-medium">
-                          {calibrationStatus?.isCalibrated ? '✓' : '⚠'}
-                        </div>
+                      <div className="text-[10px] text-panel-muted-foreground leading-tight font-mono">
+                        {['left', 'right'].map(side => {
+                          const stats = retargetingStats?.[side]
+                          let text = '—'
+                          if (stats?.supported === false) {
+                            text = 'fingertips not found'
+                          } else if (stats) {
+                            text = `error ${(stats.error * 1000).toFixed(1)}mm · ${stats.iterations} it`
+                          }
+                          return <div key={side}>{side}: {text}</div>
+                        })}
                       </div>
                     </div>
                   )}
 
+                  {/* Input Source - tracking modes only */}
+                  {isTrackingMode && (
+                    <InputSourceSection
+                      sourceConfig={sourceConfig}
+                      onSourceConfigChange={onSourceConfigChange}
+                      sourceStatus={sourceStatus}
+                      useWorker={useInferenceWorker}
+                      onUseWorkerChange={onUseInferenceWorkerChange}
+                    />
+                  )}
+
+                  {/* Tracked hand → model mapping - modes driven by the tracked hands */}
+                  {(isTrackingMode || isIKMode) && (
+                    <HandMappingSection
+                      config={handMappingConfig}
+                      onConfigChange={onHandMappingConfigChange}
+                      identityConfig={handIdentityConfig}
+                      onIdentityConfigChange={onHandIdentityConfigChange}
+                      drivingSides={drivingSides}
+                    />
+                  )}
+
+                  {/* Tracking loss handling - tracking modes only */}
+                  {isTrackingMode && (
+                    <TrackingLossSection
+                      config={trackingStateConfig}
+                      onConfigChange={onTrackingStateConfigChange}
+                      trackingStates={trackingStates}
+                    />
+                  )}
+
+                  {/* Motion filter smoothing per joint group - tracking modes only */}
+                  {isTrackingMode && (
+                    <SmoothingSection
+                      config={smoothingConfig}
+                      onConfigChange={onSmoothingConfigChange}
+                      landmarkConfig={landmarkFilterConfig}
+                      onLandmarkConfigChange={onLandmarkFilterConfigChange}
+                    />
+                  )}
+
+                  {/* Metric wrist pose - tracking modes only */}
+                  {isTrackingMode && (
+                    <WristPoseSection
+                      config={wristPoseConfig}
+                      onConfigChange={onWristPoseConfigChange}
+                      wristPoses={wristPoses}
+                      onCalibratePalmSize={onCalibratePalmSize}
+                    />
+                  )}
+
+                  {/* Calibration profiles - tracking modes only */}
+                  {isTrackingMode && (
+                    <CalibrationSection
+                      calibrationManager={calibrationManager}
+                      calibrationStatus={calibrationStatus}
+                      onCalibrate={onCalibrate}
+                      onCalibrationChange={onCalibrationChange}
+                    />
+                  )}
+
+                  {/* Human range → joint limit mapping - tracking modes only */}
+                  {isTrackingMode && (
+                    <RangeMappingSection
+                      config={rangeMappingConfig}
+                      onConfigChange={onRangeMappingConfigChange}
+                      rangeMappings={rangeMappings}
+                      modelConfigs={modelConfigs}
+                      jointRotations={jointRotations}
+                    />
+                  )}
+
                   {/* IK Controls - IK mode only */}
                   {isIKMode && (
                     <div className="p-2 bg-cyan-500/10 border border-cyan-500/30 rounded">
@@ -276,6 +446,31 @@ const InspectorPanel = ({
                           Reset Pose
                         </Button>
                       </div>
+                      <div className="text-[10px] text-panel-muted-foreground mt-2 mb-1">
+                        Solver
+                      </div>
+                      <div className="grid grid-cols-3 gap-1.5">
+                        {IK_SOLVERS.map(({ id, label }) => (
+                          <Button
+                            key={id}
+                            variant={ikSolver === id ? "default" : "outline"}
+                            size="sm"
+                            onClick={() => onIKSolverChange(id)}
+                            className="text-[11px] h-7"
+                          >
+                            {label}
+                          </Button>
+                        ))}
+                      </div>
+                      <div className="text-[10px] text-panel-muted-foreground leading-tight font-mono mt-1.5">
+                        {['left', 'right'].map(side => {
+                          const data = ikDebugData?.[side]
+                          const text = data?.error !== undefined
+                            ? `error ${(data.error * 1000).toFixed(1)}mm · ${data.iterations} it${data.converged ? ' ✓' : ''}`
+                            : '—'
+                          return <div key={side}>{side}: {text}</div>
+                        })}
+                      </div>
                     </div>
                   )}
 
@@ -317,9 +512,35 @@ const InspectorPanel = ({
                           <span>▼</span>
                         </Button>
                       </div>
+                      <div>
+                        <label className="text-[10px] text-panel-muted-foreground block mb-1">
+                          Arm
+                        </label>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => setIsArmModalOpen(true)}
+                          className="w-full justify-between text-xs h-8"
+                        >
+                          <span className="truncate">
+                            {arms.find(m => m.id === selectedArm)?.name || 'Select'}
+                          </span>
+                          <span>▼</span>
+                        </Button>
+                      </div>
                     </div>
                   </div>
 
+                  {/* Arm assembly mount - hand mounted on the arm's flange */}
+                  {selectedArm !== 'none' && (
+                    <ArmAssemblySection
+                      side={selectedHand}
+                      mount={armMounts[selectedHand]}
+                      onMountChange={onArmMountChange}
+                      armIKStats={armIKStats}
+                    />
+                  )}
+
                   {/* Apply Metal Material */}
                   <Button
                     variant="outline"
@@ -331,6 +552,21 @@ const InspectorPanel = ({
                     Apply Metal Material
                   </Button>
 
+                  {/* Retargeting config validation - all modes */}
+                  <RetargetingSection
+                    leftHandJointConfig={leftHandJointConfig}
+                    rightHandJointConfig={rightHandJointConfig}
+                  />
+
+                  {/* Joint Trajectory Export - all modes */}
+                  <TrajectoryExportSection
+                    trajectoryRecorder={trajectoryRecorder}
+                    getTrajectoryTargets={getTrajectoryTargets}
+                  />
+
+                  {/* Teleoperation Bridge - all modes */}
+                  <TeleopSection teleopBridge={teleopBridge} teleopStatus={teleopStatus} />
+
                   {/* Z-Axis Rotation */}
                   <div>
                     <label className="text-xs font-medium text-panel-foreground block mb-1">
@@ -537,8 +773,8 @@ const InspectorPanel = ({
                               const currentValue = currentHandRotations[jointName]?.[axis] || 0
 
                               // Get camera angle for comparison
-                              // Note: Camera data is swapped in App.js for back view, so we need to access the opposite hand
-                              const cameraHand = selectedHand === 'left' ? 'right' : 'left'
+                              // Note: Camera data is keyed by tracked hand, so read the hand driving this model
+                              const cameraHand = drivingSides[selectedHand]
                               const cameraData = cameraJointRotations?.[cameraHand]
                               let cameraAngle = null
 
@@ -709,6 +945,19 @@ const InspectorPanel = ({
               Labels
             </button>
 
+            {/* Joint limit clamp warnings */}
+            <button
+              onClick={() => onShowClampWarningsChange(!showClampWarnings)}
+              className={cn(
+                "px-2 py-1.5 rounded text-[10px] font-medium transition-all",
+                showClampWarnings
+                  ? "bg-primary text-primary-foreground"
+                  : "bg-secondary/20 text-muted-foreground hover:bg-secondary/40"
+              )}
+            >
+              Limits
+            </button>
+
             {/* Multi-DoF */}
             <button
               onClick={() => {
@@ -745,6 +994,26 @@ const InspectorPanel = ({
               </button>
             )}
 
+            {/* World Landmarks (kinematics source) */}
+            {isCameraMode && (
+              <button
+                onClick={() => {
+                  const newValue = !useWorldLandmarks
+                  onUseWorldLandmarksChange(newValue)
+                  console.log('🌐 [InspectorPanel] World landmarks toggled:', newValue)
+                }}
+                className={cn(
+                  "px-2 py-1.5 rounded text-[10px] font-medium transition-all",
+                  useWorldLandmarks
+                    ? "bg-primary text-primary-foreground"
+                    : "bg-secondary/20 text-muted-foreground hover:bg-secondary/40"
+                )}
+                title="Compute joint angles from MediaPipe's metric world landmarks (off: image landmarks)"
+              >
+                World LM
+              </button>
+            )}
+
             {/* Thumb 3DOF Addon (only when quaternion tracking is enabled) */}
             {isCameraMode && useQuaternionTracking && (
               <button
@@ -834,6 +1103,7 @@ const InspectorPanel = ({
         models={models.filter(m => m.side === 'left' || m.side === null)}
         currentModel={selectedLeftModel}
         title="Select Left Hand Model"
+        onImportFiles={onImportModelFiles}
       />
       <ModelSelectorModal
         isOpen={isRightModalOpen}
@@ -842,6 +1112,15 @@ const InspectorPanel = ({
         models={models.filter(m => m.side === 'right' || m.side === null)}
         currentModel={selectedRightModel}
         title="Select Right Hand Model"
+        onImportFiles={onImportModelFiles}
+      />
+      <ModelSelectorModal
+        isOpen={isArmModalOpen}
+        onClose={() => setIsArmModalOpen(false)}
+        onSelectModel={onArmChange}
+        models={arms}
+        currentModel={selectedArm}
+        title="Select Arm"
       />
     </div>
   )
@@ -1,28 +1,121 @@
-import { memo } from 'react'
-
-// Map model paths to their preview images
-const getModelImage = (modelPath) => {
-  const imageMap = {
-    'ability_hand': './assets/doc/gallery/ability_rt.webp',
-    'shadow_hand': './assets/doc/gallery/shadow_rt.webp',
-    'allegro_hand': './assets/doc/gallery/allegro_rt.webp',
-    'inspire_hand': './assets/doc/gallery/inspire_rt.webp',
-    'leap_hand': './assets/doc/gallery/leap_rt.webp',
-    'schunk_hand': './assets/doc/gallery/svh_rt.webp',
-    'barrett_hand': './assets/doc/gallery/bhand_rt.webp',
-    'dclaw_gripper': './assets/doc/gallery/dclaw_rt.webp',
-    'panda_gripper': './assets/doc/gallery/panda_rt.webp',
-    'linker_l6': './assets/doc/gallery/linker_l6_rt.png',
-    'linker_l10': './assets/doc/gallery/linker_l10_rt.png',
-    'linker_l20': './assets/doc/gallery/linker_l20_rt.png',
-    'linker_l20pro': './assets/doc/gallery/linker_l20pro_rt.png',
-    'linker_l21': null, // No preview image available
-    'linker_l25': null, // No preview image available
-    'linker_l30': './assets/doc/gallery/linker_l30_rt.png',
-    'linker_o6': './assets/doc/gallery/linker_o6_rt.png',
-    'linker_o7': './assets/doc/gallery/linker_o7_rt.png'
+import { memo, useEffect, useMemo, useRef, useState } from 'react'
+import { getInputFiles } from '../utils/sessionModels'
+import { getModelPreview } from '../utils/modelRegistry'
+import { getModelThumbnail, exportGalleryThumbnails } from '../utils/thumbnailRenderer'
+
+// DoF filter ranges: [value, label, min, max]
+const DOF_RANGES = [
+  ['all', 'Any DoF', 0, Infinity],
+  ['low', '≤ 6 DoF', 0, 6],
+  ['mid', '7–12 DoF', 7, 12],
+  ['high', '13–20 DoF', 13, 20],
+  ['max', '> 20 DoF', 21, Infinity]
+]
+
+// Control mode labels, as on the Inspector's mode buttons
+const CONTROL_MODE_LABELS = {
+  manual: 'Manual',
+  camera: 'Camera',
+  ik: 'IK',
+  retarget: 'Tips'
+}
+
+const inputStyle = {
+  backgroundColor: 'rgba(255, 255, 255, 0.08)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.25)',
+  borderRadius: '4px',
+  fontSize: '12px',
+  padding: '5px 8px'
+}
+
+const cellStyle = {
+  padding: '6px 8px',
+  borderBottom: '1px solid rgba(255, 255, 255, 0.1)',
+  textAlign: 'left',
+  verticalAlign: 'middle'
+}
+
+const chipStyle = {
+  display: 'inline-block',
+  padding: '1px 5px',
+  marginRight: '3px',
+  marginBottom: '2px',
+  borderRadius: '3px',
+  backgroundColor: 'rgba(255, 255, 255, 0.1)',
+  fontSize: '10px'
+}
+
+/**
+ * Whether a model entry matches the search query (every word in name, vendor, path or tags)
+ * @param {Object} model - Model entry (modelRegistry.getModelEntries)
+ * @param {string} query
+ * @returns {boolean}
+ */
+const matchesQuery = (model, query) => {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean)
+  const text = [model.name, model.path, model.manifest?.vendor, ...(model.manifest?.tags || [])]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase()
+  return words.every(word => text.includes(word))
+}
+
+/**
+ * Preview image of a model: its gallery image, or a thumbnail rendered offscreen when it
+ * has none or the image fails to load
+ * @param {string} modelPath - Model path
+ * @param {string} alt - Image description
+ * @param {Object} style - Image style (also used by the placeholder while rendering)
+ */
+const ModelPreview = ({ modelPath, alt, style }) => {
+  const galleryImage = getModelPreview(modelPath)
+  const [galleryFailed, setGalleryFailed] = useState(false)
+  const [thumbnail, setThumbnail] = useState(null)
+  const [thumbnailFailed, setThumbnailFailed] = useState(false)
+  const needsThumbnail = !galleryImage || galleryFailed
+
+  useEffect(() => {
+    if (!needsThumbnail) return
+    let cancelled = false
+    getModelThumbnail(modelPath).then(url => {
+      if (cancelled) return
+      setThumbnail(url)
+      setThumbnailFailed(!url)
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [modelPath, needsThumbnail])
+
+  const src = needsThumbnail ? thumbnail : galleryImage
+  if (!src) {
+    return (
+      <div
+        title={thumbnailFailed ? 'No preview' : 'Rendering preview…'}
+        style={{
+          ...style,
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          color: 'rgba(255, 255, 255, 0.3)',
+          fontSize: '12px'
+        }}
+      >
+        {thumbnailFailed ? '—' : '⋯'}
+      </div>
+    )
   }
-  return imageMap[modelPath] || null
+  return (
+    <img
+      src={src}
+      alt={alt}
+      style={style}
+      onError={() => {
+        if (!needsThumbnail) setGalleryFailed(true)
+      }}
+    />
+  )
 }
 
 const ModelSelectorModal = memo(({
@@ -31,8 +124,48 @@ const ModelSelectorModal = memo(({
   onSelectModel,
   models,
   currentModel,
-  title
+  title,
+  onImportFiles = null
 }) => {
+  const folderInputRef = useRef(null)
+  const [query, setQuery] = useState('')
+  const [vendor, setVendor] = useState('all')
+  const [dofRange, setDofRange] = useState('all')
+  const [view, setView] = useState('grid')
+  const [exportStatus, setExportStatus] = useState(null)
+  const [exporting, setExporting] = useState(false)
+
+  const vendors = useMemo(() => (
+    [...new Set(models.map(model => model.manifest?.vendor).filter(Boolean))].sort()
+  ), [models])
+
+  const filteredModels = useMemo(() => {
+    const [, , minDof, maxDof] = DOF_RANGES.find(([value]) => value === dofRange)
+    return models.filter(model => {
+      const dof = model.manifest?.dof
+      if (vendor !== 'all' && model.manifest?.vendor !== vendor) return false
+      if (dofRange !== 'all' && (dof == null || dof < minDof || dof > maxDof)) return false
+      return matchesQuery(model, query)
+    })
+  }, [models, query, vendor, dofRange])
+
+  // Bundled models without a gallery image, for the preview export
+  const missingPreviews = useMemo(() => (
+    [...new Map(models.map(model => [model.path, model.manifest])).values()]
+      .filter(manifest => manifest && !manifest.session && !manifest.preview)
+  ), [models])
+
+  // Comparison table rows: one per model, with its side entries
+  const tableRows = useMemo(() => {
+    const rows = new Map()
+    filteredModels.forEach(model => {
+      const row = rows.get(model.path) || { path: model.path, manifest: model.manifest, name: model.name, entries: [] }
+      row.entries.push(model)
+      rows.set(model.path, row)
+    })
+    return [...rows.values()]
+  }, [filteredModels])
+
   if (!isOpen) return null
 
   const handleBackdropClick = (e) => {
@@ -46,6 +179,33 @@ const ModelSelectorModal = memo(({
     onClose()
   }
 
+  const handleExportPreviews = async () => {
+    setExporting(true)
+    try {
+      const results = await exportGalleryThumbnails(missingPreviews, {
+        onProgress: (done, total) => setExportStatus(`Rendering ${done}/${total}…`)
+      })
+      const written = results.filter(result => result.file).length
+      const failed = results.length - written
+      setExportStatus(results.length === 0
+        ? null
+        : `Wrote ${written} preview${written === 1 ? '' : 's'}${failed > 0 ? `, ${failed} failed` : ''} (see the console for the manifest entries)`)
+    } catch (err) {
+      setExportStatus(`Export failed: ${err.message}`)
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  const handleFolderPicked = (e) => {
+    const files = getInputFiles(e.target.files)
+    e.target.value = ''
+    if (files.length > 0) {
+      onImportFiles(files)
+      onClose()
+    }
+  }
+
   return (
     <div
       onClick={handleBackdropClick}
@@ -92,101 +252,172 @@ const ModelSelectorModal = memo(({
           }}>
             {title}
           </h2>
-          <button
-            onClick={onClose}
-            style={{
-              background: 'none',
-              border: 'none',
-              color: 'rgba(255, 255, 255, 0.7)',
-              fontSize: '24px',
-              cursor: 'pointer',
-              padding: '0 8px',
-              lineHeight: '1',
-              transition: 'color 0.2s'
-            }}
-            onMouseOver={(e) => {
-              e.currentTarget.style.color = 'white'
-            }}
-            onMouseOut={(e) => {
-              e.currentTarget.style.color = 'rgba(255, 255, 255, 0.7)'
-            }}
-          >
-            ×
-          </button>
-        </div>
-
-        {/* Model Grid */}
-        <div style={{
-          maxHeight: 'calc(85vh - 100px)',
-          overflowY: 'auto',
-          paddingRight: '8px',
-          display: 'grid',
-          gridTemplateColumns: 'repeat(5, 1fr)',
-          gap: '16px'
-        }}>
-          {models.map((model) => {
-            const isSelected = model.id === currentModel
-            const imagePath = getModelImage(model.path)
-            return (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            {exportStatus && (
+              <span style={{ color: 'rgba(255, 255, 255, 0.6)', fontSize: '11px' }}>
+                {exportStatus}
+              </span>
+            )}
+            {missingPreviews.length > 0 && (
+              <button
+                onClick={handleExportPreviews}
+                disabled={exporting}
+                title={`Render ${missingPreviews.map(manifest => manifest.name).join(', ')} and save the images for public/assets/doc/gallery`}
+                style={{ ...inputStyle, cursor: exporting ? 'wait' : 'pointer', opacity: exporting ? 0.5 : 1 }}
+              >
+                Export previews ({missingPreviews.length})
+              </button>
+            )}
+            {[['grid', 'Gallery'], ['table', 'Compare']].map(([value, label]) => (
               <button
-                key={model.id}
-                onClick={() => handleModelSelect(model.id)}
+                key={value}
+                onClick={() => setView(value)}
                 style={{
-                  padding: '12px',
-                  backgroundColor: isSelected
-                    ? 'rgba(100, 150, 255, 0.3)'
-                    : 'rgba(255, 255, 255, 0.05)',
-                  border: isSelected
-                    ? '2px solid rgba(100, 150, 255, 1)'
-                    : '1px solid rgba(255, 255, 255, 0.2)',
-                  borderRadius: '8px',
+                  ...inputStyle,
                   cursor: 'pointer',
-                  transition: 'all 0.2s',
-                  position: 'relative',
-                  display: 'flex',
-                  flexDirection: 'column',
-                  alignItems: 'stretch'
-                }}
-                onMouseOver={(e) => {
-                  if (!isSelected) {
-                    e.currentTarget.style.backgroundColor = 'rgba(255, 255, 255, 0.1)'
-                    e.currentTarget.style.borderColor = 'rgba(255, 255, 255, 0.4)'
-                    e.currentTarget.style.transform = 'translateY(-2px)'
-                  }
-                }}
-                onMouseOut={(e) => {
-                  if (!isSelected) {
-                    e.currentTarget.style.backgroundColor = 'rgba(255, 255, 255, 0.05)'
-                    e.currentTarget.style.borderColor = 'rgba(255, 255, 255, 0.2)'
-                    e.currentTarget.style.transform = 'translateY(0)'
-                  }
+                  backgroundColor: view === value ? 'rgba(100, 150, 255, 0.9)' : inputStyle.backgroundColor
                 }}
               >
-                {/* Selected Checkmark Badge */}
-                {isSelected && (
-                  <div style={{
-                    position: 'absolute',
-                    top: '8px',
-                    right: '8px',
-                    backgroundColor: 'rgba(100, 200, 255, 1)',
-                    color: 'rgba(20, 20, 30, 1)',
-                    width: '28px',
-                    height: '28px',
-                    borderRadius: '50%',
+                {label}
+              </button>
+            ))}
+            <button
+              onClick={onClose}
+              style={{
+                background: 'none',
+                border: 'none',
+                color: 'rgba(255, 255, 255, 0.7)',
+                fontSize: '24px',
+                cursor: 'pointer',
+                padding: '0 8px',
+                lineHeight: '1',
+                transition: 'color 0.2s'
+              }}
+              onMouseOver={(e) => {
+                e.currentTarget.style.color = 'white'
+              }}
+              onMouseOut={(e) => {
+                e.currentTarget.style.color = 'rgba(255, 255, 255, 0.7)'
+              }}
+            >
+              ×
+            </button>
+          </div>
+        </div>
+
+        {/* Search and filters */}
+        <div style={{ display: 'flex', gap: '8px', marginBottom: '16px' }}>
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search name, vendor, tags…"
+            style={{ ...inputStyle, flex: 1 }}
+          />
+          <select value={vendor} onChange={(e) => setVendor(e.target.value)} style={inputStyle}>
+            <option value="all">All vendors</option>
+            {vendors.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+          <select value={dofRange} onChange={(e) => setDofRange(e.target.value)} style={inputStyle}>
+            {DOF_RANGES.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </div>
+
+        {filteredModels.length === 0 && (
+          <div style={{ color: 'rgba(255, 255, 255, 0.5)', fontSize: '12px', marginBottom: '16px' }}>
+            No models match the filters
+          </div>
+        )}
+
+        {/* Model Grid */}
+        {view === 'grid' && (
+          <div style={{
+            maxHeight: 'calc(85vh - 160px)',
+            overflowY: 'auto',
+            paddingRight: '8px',
+            display: 'grid',
+            gridTemplateColumns: 'repeat(5, 1fr)',
+            gap: '16px'
+          }}>
+            {filteredModels.map((model) => {
+              const isSelected = model.id === currentModel
+              return (
+                <button
+                  key={model.id}
+                  onClick={() => handleModelSelect(model.id)}
+                  style={{
+                    padding: '12px',
+                    backgroundColor: isSelected
+                      ? 'rgba(100, 150, 255, 0.3)'
+                      : 'rgba(255, 255, 255, 0.05)',
+                    border: isSelected
+                      ? '2px solid rgba(100, 150, 255, 1)'
+                      : '1px solid rgba(255, 255, 255, 0.2)',
+                    borderRadius: '8px',
+                    cursor: 'pointer',
+                    transition: 'all 0.2s',
+                    position: 'relative',
                     display: 'flex',
-                    alignItems: 'center',
-                    justifyContent: 'center',
-                    fontSize: '16px',
-                    fontWeight: 'bold',
-                    zIndex: 1,
-                    boxShadow: '0 2px 8px rgba(0, 0, 0, 0.3)'
-                  }}>
-                    ✓
-                  </div>
-                )}
+                    flexDirection: 'column',
+                    alignItems: 'stretch'
+                  }}
+                  onMouseOver={(e) => {
+                    if (!isSelected) {
+                      e.currentTarget.style.backgroundColor = 'rgba(255, 255, 255, 0.1)'
+                      e.currentTarget.style.borderColor = 'rgba(255, 255, 255, 0.4)'
+                      e.currentTarget.style.transform = 'translateY(-2px)'
+                    }
+                  }}
+                  onMouseOut={(e) => {
+                    if (!isSelected) {
+                      e.currentTarget.style.backgroundColor = 'rgba(255, 255, 255, 0.05)'
+                      e.currentTarget.style.borderColor = 'rgba(255, 255, 255, 0.2)'
+                      e.currentTarget.style.transform = 'translateY(0)'
+                    }
+                  }}
+                >
+                  {/* Selected Checkmark Badge */}
+                  {isSelected && (
+                    <div style={{
+                      position: 'absolute',
+                      top: '8px',
+                      right: '8px',
+                      backgroundColor: 'rgba(100, 200, 255, 1)',
+                      color: 'rgba(20, 20, 30, 1)',
+                      width: '28px',
+                      height: '28px',
+                      borderRadius: '50%',
+                      display: 'flex',
+                      alignItems: 'center',
+                      justifyContent: 'center',
+                      fontSize: '16px',
+                      fontWeight: 'bold',
+                      zIndex: 1,
+                      boxShadow: '0 2px 8px rgba(0, 0, 0, 0.3)'
+                    }}>
+                      ✓
+                    </div>
+                  )}
+
+                  {/* Session Model Badge */}
+                  {model.session && (
+                    <div style={{
+                      position: 'absolute',
+                      top: '8px',
+                      left: '8px',
+                      padding: '2px 6px',
+                      backgroundColor: 'rgba(255, 180, 80, 0.9)',
+                      color: 'rgba(20, 20, 30, 1)',
+                      borderRadius: '4px',
+                      fontSize: '9px',
+                      fontWeight: 'bold',
+                      zIndex: 1
+                    }}>
+                      SESSION
+                    </div>
+                  )}
 
-                {/* Preview Image */}
-                {imagePath && (
+                  {/* Preview Image (rendered offscreen for models without one) */}
                   <div style={{
                     width: '100%',
                     paddingTop: '100%',
@@ -196,8 +427,8 @@ const ModelSelectorModal = memo(({
                     overflow: 'hidden',
                     backgroundColor: 'rgba(255, 255, 255, 0.05)'
                   }}>
-                    <img
-                      src={imagePath}
+                    <ModelPreview
+                      modelPath={model.path}
                       alt={model.name}
                       style={{
                         position: 'absolute',
@@ -207,39 +438,152 @@ const ModelSelectorModal = memo(({
                         height: '100%',
                         objectFit: 'cover'
                       }}
-                      onError={(e) => {
-                        e.currentTarget.style.display = 'none'
-                      }}
                     />
                   </div>
-                )}
 
-                {/* Model Info */}
-                <div style={{
-                  textAlign: 'center'
-                }}>
+                  {/* Model Info */}
                   <div style={{
-                    color: 'white',
-                    fontSize: '13px',
-                    fontWeight: '600',
-                    marginBottom: '4px'
+                    textAlign: 'center'
                   }}>
-                    {model.name}
-                  </div>
-                  {model.path && (
                     <div style={{
-                      color: 'rgba(255, 255, 255, 0.5)',
-                      fontSize: '10px',
-                      fontFamily: 'monospace'
+                      color: 'white',
+                      fontSize: '13px',
+                      fontWeight: '600',
+                      marginBottom: '4px'
                     }}>
-                      {model.path}
+                      {model.name}
                     </div>
-                  )}
+                    {model.path && (
+                      <div style={{
+                        color: 'rgba(255, 255, 255, 0.5)',
+                        fontSize: '10px',
+                        fontFamily: 'monospace'
+                      }}>
+                        {model.path}
+                      </div>
+                    )}
+                    {model.manifest && (
+                      <div style={{
+                        color: 'rgba(255, 255, 255, 0.5)',
+                        fontSize: '10px',
+                        marginTop: '2px'
+                      }}>
+                        {[model.manifest.vendor, model.manifest.dof != null && `${model.manifest.dof} DoF`].filter(Boolean).join(' · ')}
+                      </div>
+                    )}
+                  </div>
+                </button>
+              )
+            })}
+
+            {/* Import a URDF for this session */}
+            {onImportFiles && (
+              <button
+                onClick={() => folderInputRef.current?.click()}
+                title="Pick the folder with the URDF and its meshes, or drop it anywhere on the app"
+                style={{
+                  padding: '12px',
+                  backgroundColor: 'transparent',
+                  border: '1px dashed rgba(255, 255, 255, 0.4)',
+                  borderRadius: '8px',
+                  cursor: 'pointer',
+                  color: 'rgba(255, 255, 255, 0.7)',
+                  display: 'flex',
+                  flexDirection: 'column',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  gap: '6px',
+                  minHeight: '80px'
+                }}
+              >
+                <div style={{ fontSize: '24px', lineHeight: '1' }}>+</div>
+                <div style={{ fontSize: '13px', fontWeight: '600' }}>Import URDF</div>
+                <div style={{ fontSize: '10px', color: 'rgba(255, 255, 255, 0.5)' }}>
+                  URDF + mesh folder (STL/GLB/DAE/OBJ)
                 </div>
               </button>
-            )
-          })}
-        </div>
+            )}
+            {onImportFiles && (
+              <input
+                ref={folderInputRef}
+                type="file"
+                webkitdirectory=""
+                multiple
+                onChange={handleFolderPicked}
+                style={{ display: 'none' }}
+              />
+            )}
+          </div>
+        )}
+
+        {/* Comparison Table */}
+        {view === 'table' && tableRows.length > 0 && (
+          <div style={{ maxHeight: 'calc(85vh - 160px)', overflowY: 'auto', paddingRight: '8px' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', color: 'white', fontSize: '12px' }}>
+              <thead>
+                <tr style={{ color: 'rgba(255, 255, 255, 0.6)', fontSize: '11px' }}>
+                  {['', 'Model', 'Vendor', 'DoF', 'Select', 'Control modes', 'Mapping', 'Tags'].map(label => (
+                    <th key={label} style={{ ...cellStyle, fontWeight: '600', position: 'sticky', top: 0, backgroundColor: 'rgba(20, 20, 30, 1)' }}>
+                      {label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {tableRows.map(row => {
+                  const { manifest } = row
+                  const isCurrent = row.entries.some(entry => entry.id === currentModel)
+                  return (
+                    <tr key={row.path} style={{ backgroundColor: isCurrent ? 'rgba(100, 150, 255, 0.15)' : 'transparent' }}>
+                      <td style={{ ...cellStyle, width: '48px' }}>
+                        <ModelPreview
+                          modelPath={row.path}
+                          alt=""
+                          style={{ width: '40px', height: '40px', objectFit: 'cover', borderRadius: '4px', display: 'block' }}
+                        />
+                      </td>
+                      <td style={cellStyle}>
+                        <div style={{ fontWeight: '600' }}>{manifest?.name || row.name}</div>
+                        <div style={{ fontSize: '10px', fontFamily: 'monospace', color: 'rgba(255, 255, 255, 0.5)' }}>{row.path}</div>
+                      </td>
+                      <td style={cellStyle}>{manifest?.vendor || '—'}</td>
+                      <td style={{ ...cellStyle, fontFamily: 'monospace' }}>{manifest?.dof ?? '—'}</td>
+                      <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>
+                        {row.entries.map(entry => (
+                          <button
+                            key={entry.id}
+                            onClick={() => handleModelSelect(entry.id)}
+                            style={{
+                              ...inputStyle,
+                              fontSize: '11px',
+                              padding: '2px 8px',
+                              marginRight: '4px',
+                              cursor: 'pointer',
+                              backgroundColor: entry.id === currentModel ? 'rgba(100, 150, 255, 0.9)' : inputStyle.backgroundColor
+                            }}
+                          >
+                            {entry.side === 'left' ? 'Left' : entry.side === 'right' ? 'Right' : 'Use'}
+                          </button>
+                        ))}
+                      </td>
+                      <td style={cellStyle}>
+                        {(manifest?.controlModes || []).map(mode => (
+                          <span key={mode} style={chipStyle}>{CONTROL_MODE_LABELS[mode] || mode}</span>
+                        ))}
+                      </td>
+                      <td style={cellStyle}>{manifest?.mapping || manifest?.session ? '✓' : '—'}</td>
+                      <td style={cellStyle}>
+                        {(manifest?.tags || []).map(tag => (
+                          <span key={tag} style={{ ...chipStyle, color: 'rgba(255, 255, 255, 0.7)' }}>{tag}</span>
+                        ))}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
       </div>
     </div>
   )
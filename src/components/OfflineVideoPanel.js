@@ -0,0 +1,259 @@
+import { useState, useEffect, useRef } from 'react'
+import { processVideoFile, findTrajectoryFrame, downloadTrajectory } from '../input'
+
+const FPS_OPTIONS = [10, 15, 30, 60]
+
+// Shared button style for the panel
+const buttonStyle = (active = false, color = '100, 150, 255') => ({
+  padding: '4px 8px',
+  fontSize: '10px',
+  backgroundColor: active ? `rgba(${color}, 0.9)` : 'rgba(255, 255, 255, 0.15)',
+  color: 'white',
+  border: active ? `1px solid rgba(${color}, 1)` : '1px solid rgba(255, 255, 255, 0.3)',
+  borderRadius: '3px',
+  cursor: 'pointer',
+  fontWeight: '600',
+  fontFamily: 'monospace'
+})
+
+// Format milliseconds as m:ss.s
+const formatTime = (ms) => {
+  const totalSeconds = ms / 1000
+  const minutes = Math.floor(totalSeconds / 60)
+  const seconds = (totalSeconds % 60).toFixed(1).padStart(4, '0')
+  return `${minutes}:${seconds}`
+}
+
+/**
+ * OfflineVideoPanel Component
+ * Processes a video file frame by frame into a joint trajectory, then scrubs it in the 3D scene
+ *
+ * @param {Object} models - {left, right} model info ({modelPath, jointConfig, semanticMapping})
+ * @param {boolean} useMultiDoF - Use the URDF semantic mapping for multi-DoF joints
+ * @param {Object} pipelineOptions - TrackingPipeline.process() options
+ * @param {Object} drivingSides - Tracked hand driving each model side (utils/handMapping.js)
+ * @param {Object|null} trajectory - Processed trajectory being reviewed (null = live tracking)
+ * @param {Function} onTrajectoryChange - Called with a new trajectory, or null to return to live tracking
+ * @param {number} frameIndex - Trajectory frame shown in the scene
+ * @param {Function} onFrameIndexChange - Called with the frame index to show
+ */
+export default function OfflineVideoPanel({
+  models,
+  useMultiDoF = false,
+  pipelineOptions = {},
+  drivingSides,
+  trajectory,
+  onTrajectoryChange,
+  frameIndex,
+  onFrameIndexChange,
+  style = {}
+}) {
+  const [fps, setFps] = useState(30)
+  const [progress, setProgress] = useState(null)
+  const [error, setError] = useState(null)
+  const [isPlaying, setIsPlaying] = useState(false)
+  const fileInputRef = useRef(null)
+  const abortControllerRef = useRef(null)
+  const frameIndexRef = useRef(frameIndex)
+
+  useEffect(() => {
+    frameIndexRef.current = frameIndex
+  }, [frameIndex])
+
+  // Cancel processing on unmount
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort()
+  }, [])
+
+  // Play back the trajectory in video time
+  useEffect(() => {
+    if (!isPlaying || !trajectory) return
+
+    const startFrame = frameIndexRef.current
+    const startTime = performance.now() - trajectory.frames[startFrame].t
+    let animationId
+
+    const tick = () => {
+      const index = findTrajectoryFrame(trajectory, performance.now() - startTime)
+      if (index !== frameIndexRef.current) {
+        onFrameIndexChange(index)
+      }
+      if (index >= trajectory.frames.length - 1) {
+        setIsPlaying(false)
+        return
+      }
+      animationId = requestAnimationFrame(tick)
+    }
+
+    animationId = requestAnimationFrame(tick)
+    return () => cancelAnimationFrame(animationId)
+  }, [isPlaying, trajectory, onFrameIndexChange])
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    const abortController = new AbortController()
+    abortControllerRef.current = abortController
+    setError(null)
+    setIsPlaying(false)
+    setProgress({ frameIndex: 0, frameCount: 0 })
+
+    try {
+      const result = await processVideoFile(file, {
+        fps,
+        models,
+        useMultiDoF,
+        pipelineOptions,
+        drivingSides,
+        onProgress: setProgress,
+        signal: abortController.signal
+      })
+      console.log(`🎞️ Processed ${result.frames.length} frames from ${file.name}`)
+      onFrameIndexChange(0)
+      onTrajectoryChange(result)
+    } catch (err) {
+      console.error('Video processing failed:', err)
+      setError(err.message)
+    } finally {
+      abortControllerRef.current = null
+      setProgress(null)
+    }
+  }
+
+  const handleExit = () => {
+    setIsPlaying(false)
+    onTrajectoryChange(null)
+  }
+
+  const isProcessing = progress !== null
+  const frameCount = trajectory ? trajectory.frames.length : 0
+  const currentFrame = trajectory ? trajectory.frames[frameIndex] : null
+
+  return (
+    <div style={{
+      backgroundColor: 'rgba(0, 0, 0, 0.6)',
+      color: 'white',
+      padding: '6px 8px',
+      borderRadius: '6px',
+      fontFamily: 'monospace',
+      fontSize: '10px',
+      border: '1px solid rgba(255, 255, 255, 0.3)',
+      width: '320px',
+      boxSizing: 'border-box',
+      ...style
+    }}>
+      {/* Processing */}
+      <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          disabled={isProcessing}
+          style={{ ...buttonStyle(), opacity: isProcessing ? 0.5 : 1 }}
+        >
+          🎞 Process Video
+        </button>
+        <select
+          value={fps}
+          onChange={(e) => setFps(Number(e.target.value))}
+          disabled={isProcessing}
+          style={{ ...buttonStyle(), padding: '3px 4px' }}
+        >
+          {FPS_OPTIONS.map(option => (
+            <option key={option} value={option} style={{ color: 'black' }}>{option} fps</option>
+          ))}
+        </select>
+        {isProcessing && (
+          <button onClick={() => abortControllerRef.current?.abort()} style={{ ...buttonStyle(true, '239, 68, 68'), marginLeft: 'auto' }}>
+            Cancel
+          </button>
+        )}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="video/mp4,video/webm"
+          onChange={handleFileChange}
+          style={{ display: 'none' }}
+        />
+      </div>
+
+      {isProcessing && (
+        <div style={{ marginTop: '4px' }}>
+          <div style={{ height: '4px', backgroundColor: 'rgba(255, 255, 255, 0.15)', borderRadius: '2px' }}>
+            <div style={{
+              height: '100%',
+              width: progress.frameCount ? `${(progress.frameIndex / progress.frameCount) * 100}%` : '0%',
+              backgroundColor: 'rgba(100, 150, 255, 0.9)',
+              borderRadius: '2px'
+            }} />
+          </div>
+          <div style={{ marginTop: '2px', color: 'rgba(255, 255, 255, 0.7)' }}>
+            {progress.frameCount ? `Frame ${progress.frameIndex} / ${progress.frameCount}` : 'Loading model…'}
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div style={{ marginTop: '4px', color: '#ff6b6b' }}>{error}</div>
+      )}
+
+      {/* Trajectory review */}
+      {trajectory && currentFrame && (
+        <div style={{ marginTop: '6px', paddingTop: '6px', borderTop: '1px solid rgba(255, 255, 255, 0.2)' }}>
+          <div style={{ display: 'flex', gap: '4px', alignItems: 'center', marginBottom: '4px' }}>
+            <button
+              onClick={() => onFrameIndexChange(Math.max(0, frameIndex - 1))}
+              style={buttonStyle()}
+            >
+              ◀
+            </button>
+            <button
+              onClick={() => {
+                if (!isPlaying && frameIndex >= frameCount - 1) onFrameIndexChange(0)
+                setIsPlaying(!isPlaying)
+              }}
+              style={buttonStyle(isPlaying)}
+            >
+              {isPlaying ? '❚❚' : '▶'}
+            </button>
+            <button
+              onClick={() => onFrameIndexChange(Math.min(frameCount - 1, frameIndex + 1))}
+              style={buttonStyle()}
+            >
+              ▶▶
+            </button>
+            <span style={{ color: 'rgba(255, 255, 255, 0.7)' }}>
+              {formatTime(currentFrame.t)} / {formatTime(trajectory.source.duration)}
+            </span>
+          </div>
+          <input
+            type="range"
+            min={0}
+            max={frameCount - 1}
+            step={1}
+            value={frameIndex}
+            onChange={(e) => {
+              setIsPlaying(false)
+              onFrameIndexChange(Number(e.target.value))
+            }}
+            style={{ width: '100%' }}
+          />
+          <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+            <span style={{ color: 'rgba(255, 255, 255, 0.5)', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+              Frame {frameIndex + 1} / {frameCount} · {trajectory.source.fileName}
+            </span>
+            <button
+              onClick={() => downloadTrajectory(trajectory, `${trajectory.source.fileName.replace(/\.[^.]+$/, '')}-trajectory.json`)}
+              style={{ ...buttonStyle(), marginLeft: 'auto' }}
+            >
+              ⬇ Save
+            </button>
+            <button onClick={handleExit} style={buttonStyle()}>
+              Live
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,273 @@
+import React, { useState, useRef, memo } from 'react'
+import { Button } from './ui/button'
+import { CURVE_PRESETS, getDefaultCurve, normalizeCurve, evaluateCurve } from '../utils/rangeMapper'
+
+const RAD_TO_DEG = 180 / Math.PI
+
+// Curve editor size (SVG units) and inner padding
+const PLOT_WIDTH = 200
+const PLOT_HEIGHT = 110
+const PLOT_PADDING = 6
+
+// Closest two control points may get along t
+const MIN_POINT_GAP = 0.02
+
+const PRESET_LABELS = [
+  ['linear', 'Linear'],
+  ['ease_in', 'Ease in'],
+  ['ease_out', 'Ease out'],
+  ['s_curve', 'S'],
+  ['deadband', 'Deadband']
+]
+
+const SELECT_CLASS = 'h-7 px-1 rounded bg-panel-muted/30 border border-panel-border text-[10px] text-panel-foreground'
+
+const toPlotX = t => PLOT_PADDING + t * (PLOT_WIDTH - 2 * PLOT_PADDING)
+const toPlotY = y => PLOT_HEIGHT - PLOT_PADDING - y * (PLOT_HEIGHT - 2 * PLOT_PADDING)
+
+/**
+ * Format a range in degrees
+ * @param {number} from
+ * @param {number} to
+ * @returns {string}
+ */
+function formatRange(from, to) {
+  return `${(from * RAD_TO_DEG).toFixed(0)}°…${(to * RAD_TO_DEG).toFixed(0)}°`
+}
+
+/**
+ * RangeMappingSection Component
+ * Maps the human range of motion of each channel onto the target joint's limits, with an
+ * editable response curve per channel: drag the control points, double-click the plot to
+ * add a point and double-click a point to remove it
+ *
+ * @param {Object} config - Range mapping config ({enabled, curves})
+ * @param {Function} onConfigChange - Called with the changed config fields
+ * @param {Object} rangeMappings - {left, right} resolved range mappings (buildRangeMapping) per model
+ * @param {Object} modelConfigs - {left, right} loaded model configs ({retargeting, jointLimits})
+ * @param {Object} jointRotations - {left, right} joint rotations applied to each model
+ */
+const RangeMappingSection = ({ config, onConfigChange, rangeMappings, modelConfigs, jointRotations }) => {
+  const [side, setSide] = useState('left')
+  const [selectedChannel, setSelectedChannel] = useState('index_mcp')
+  const svgRef = useRef(null)
+  const dragIndexRef = useRef(null)
+
+  const mapping = rangeMappings?.[side]
+  const retargeting = modelConfigs?.[side]?.retargeting
+  const channels = mapping && retargeting
+    ? Object.keys(mapping.ranges).filter(name => retargeting.channels[name])
+    : []
+  const channel = channels.includes(selectedChannel) ? selectedChannel : channels[0]
+
+  const curve = normalizeCurve(config.curves[channel] || getDefaultCurve(channel))
+  const humanRange = channel ? mapping.ranges[channel] : null
+  const targetChannel = channel ? retargeting.channels[channel] : null
+  const targetLimits = targetChannel ? modelConfigs[side].jointLimits?.[targetChannel.joint] : null
+
+  // Live input of the channel on the curve
+  const joints = jointRotations?.[side]?.joints || jointRotations?.[side] || {}
+  const angle = channel ? joints[channel] : undefined
+  let liveT = null
+  if (Number.isFinite(angle) && humanRange && humanRange.max > humanRange.min) {
+    liveT = Math.max(0, Math.min(1, (angle - humanRange.min) / (humanRange.max - humanRange.min)))
+    if (curve.invert) liveT = 1 - liveT
+  }
+
+  const setCurve = (next) => {
+    onConfigChange({ curves: { ...config.curves, [channel]: next } })
+  }
+
+  const handleResetCurve = () => {
+    const { [channel]: removed, ...curves } = config.curves
+    onConfigChange({ curves })
+  }
+
+  // Pointer position as normalized curve coordinates
+  const getCurvePoint = (e) => {
+    const rect = svgRef.current.getBoundingClientRect()
+    const x = (e.clientX - rect.left) / rect.width * PLOT_WIDTH
+    const y = (e.clientY - rect.top) / rect.height * PLOT_HEIGHT
+    return [
+      Math.max(0, Math.min(1, (x - PLOT_PADDING) / (PLOT_WIDTH - 2 * PLOT_PADDING))),
+      Math.max(0, Math.min(1, (PLOT_HEIGHT - PLOT_PADDING - y) / (PLOT_HEIGHT - 2 * PLOT_PADDING)))
+    ]
+  }
+
+  const handlePointerDown = (index) => (e) => {
+    e.stopPropagation()
+    dragIndexRef.current = index
+    svgRef.current.setPointerCapture(e.pointerId)
+  }
+
+  const handlePointerMove = (e) => {
+    const index = dragIndexRef.current
+    if (index === null) return
+
+    const [t, y] = getCurvePoint(e)
+    const points = curve.points.map(point => [...point])
+    const last = points.length - 1
+    // End points stay at t = 0 and t = 1, inner points stay between their neighbours
+    points[index] = [
+      index === 0 ? 0 : index === last ? 1 : Math.max(points[index - 1][0] + MIN_POINT_GAP, Math.min(points[index + 1][0] - MIN_POINT_GAP, t)),
+      y
+    ]
+    setCurve({ ...curve, points })
+  }
+
+  const handlePointerUp = (e) => {
+    if (dragIndexRef.current === null) return
+    dragIndexRef.current = null
+    svgRef.current.releasePointerCapture(e.pointerId)
+  }
+
+  const handleAddPoint = (e) => {
+    const [t, y] = getCurvePoint(e)
+    if (curve.points.some(([pointT]) => Math.abs(pointT - t) < MIN_POINT_GAP)) return
+    setCurve({ ...curve, points: [...curve.points, [t, y]].sort((a, b) => a[0] - b[0]) })
+  }
+
+  const handleRemovePoint = (index) => (e) => {
+    e.stopPropagation()
+    if (index === 0 || index === curve.points.length - 1) return
+    setCurve({ ...curve, points: curve.points.filter((_, i) => i !== index) })
+  }
+
+  return (
+    <div className="p-2 bg-primary/10 border border-primary/30 rounded">
+      <div className="flex items-center justify-between mb-1.5">
+        <span className="text-[11px] font-medium text-panel-foreground">Range Mapping</span>
+        <Button
+          variant={config.enabled ? 'default' : 'outline'}
+          size="sm"
+          onClick={() => onConfigChange({ enabled: !config.enabled })}
+          className="text-[10px] h-6 px-2"
+          title="Map each channel's calibrated human range onto the target joint's limits"
+        >
+          {config.enabled ? 'On' : 'Off'}
+        </Button>
+      </div>
+
+      {!config.enabled ? (
+        <div className="text-[10px] text-panel-muted-foreground leading-tight">
+          Channels use the retargeting config's scale and offset.
+        </div>
+      ) : (
+        <>
+          <div className="flex gap-1 items-center">
+            {['left', 'right'].map(hand => (
+              <Button
+                key={hand}
+                variant={side === hand ? 'default' : 'outline'}
+                size="sm"
+                onClick={() => setSide(hand)}
+                className="text-[10px] h-7 px-2"
+              >
+                {hand === 'left' ? 'L' : 'R'}
+              </Button>
+            ))}
+            <select
+              value={channel || ''}
+              onChange={(e) => setSelectedChannel(e.target.value)}
+              disabled={channels.length === 0}
+              className={`flex-1 min-w-0 ${SELECT_CLASS}`}
+            >
+              {channels.length === 0 && <option value="">No model loaded</option>}
+              {channels.map(name => (
+                <option key={name} value={name}>{name}{config.curves[name] ? ' *' : ''}</option>
+              ))}
+            </select>
+          </div>
+
+          {channel && (
+            <>
+              <div className="text-[10px] text-panel-muted-foreground leading-tight font-mono mt-1">
+                <div>human {formatRange(humanRange.min, humanRange.max)} ({humanRange.source})</div>
+                <div className="truncate" title={targetChannel.joint}>
+                  {targetChannel.joint} {targetLimits ? formatRange(targetLimits.lower, targetLimits.upper) : 'unlimited'}
+                  {targetChannel.sign < 0 ? ' (reversed)' : ''}
+                </div>
+              </div>
+
+              {/* Response curve: human range (x) → joint range (y) */}
+              <svg
+                ref={svgRef}
+                viewBox={`0 0 ${PLOT_WIDTH} ${PLOT_HEIGHT}`}
+                className="w-full mt-1 rounded border border-panel-border bg-panel-muted/20 touch-none select-none"
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onDoubleClick={handleAddPoint}
+              >
+                {[0.25, 0.5, 0.75].map(v => (
+                  <g key={v} stroke="currentColor" strokeOpacity={0.12} strokeWidth={0.5}>
+                    <line x1={toPlotX(v)} y1={toPlotY(0)} x2={toPlotX(v)} y2={toPlotY(1)} />
+                    <line x1={toPlotX(0)} y1={toPlotY(v)} x2={toPlotX(1)} y2={toPlotY(v)} />
+                  </g>
+                ))}
+                <polyline
+                  points={curve.points.map(([t, y]) => `${toPlotX(t)},${toPlotY(y)}`).join(' ')}
+                  fill="none"
+                  stroke="#60a5fa"
+                  strokeWidth={1.5}
+                />
+                {liveT !== null && (
+                  <circle cx={toPlotX(liveT)} cy={toPlotY(evaluateCurve(curve.points, liveT))} r={3} fill="#f59e0b" />
+                )}
+                {curve.points.map(([t, y], index) => (
+                  <circle
+                    key={index}
+                    cx={toPlotX(t)}
+                    cy={toPlotY(y)}
+                    r={4}
+                    fill="#1e3a8a"
+                    stroke="#93c5fd"
+                    strokeWidth={1}
+                    className="cursor-grab"
+                    onPointerDown={handlePointerDown(index)}
+                    onDoubleClick={handleRemovePoint(index)}
+                  />
+                ))}
+              </svg>
+
+              <div className="flex flex-wrap gap-1 mt-1">
+                {PRESET_LABELS.map(([preset, label]) => (
+                  <Button
+                    key={preset}
+                    variant="outline"
+                    size="sm"
+                    onClick={() => setCurve({ ...curve, points: CURVE_PRESETS[preset] })}
+                    className="text-[10px] h-6 px-1.5"
+                  >
+                    {label}
+                  </Button>
+                ))}
+              </div>
+              <div className="flex gap-1 mt-1">
+                <Button
+                  variant={curve.invert ? 'default' : 'outline'}
+                  size="sm"
+                  onClick={() => setCurve({ ...curve, invert: !curve.invert })}
+                  className="flex-1 text-[10px] h-6"
+                  title="Map the human max onto the joint's start of range"
+                >
+                  Invert
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={handleResetCurve}
+                  disabled={!config.curves[channel]}
+                  className="flex-1 text-[10px] h-6"
+                >
+                  Reset
+                </Button>
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default memo(RangeMappingSection)
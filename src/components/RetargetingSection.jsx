@@ -0,0 +1,53 @@
+import React, { memo } from 'react'
+import { cn } from '../lib/utils'
+
+/**
+ * RetargetingSection Component
+ * Shows the load-time validation report of each hand model's retargeting config
+ *
+ * @param {Object} leftHandJointConfig - Loaded left model config ({retargeting, retargetingReport})
+ * @param {Object} rightHandJointConfig - Loaded right model config ({retargeting, retargetingReport})
+ */
+const RetargetingSection = ({ leftHandJointConfig, rightHandJointConfig }) => {
+  const sides = [['left', leftHandJointConfig], ['right', rightHandJointConfig]]
+    .filter(([, config]) => config?.retargetingReport)
+
+  if (sides.length === 0) return null
+
+  return (
+    <div className="p-2 bg-primary/10 border border-primary/30 rounded">
+      <div className="text-[11px] font-medium text-panel-foreground mb-1.5">Retargeting</div>
+      <div className="space-y-1">
+        {sides.map(([side, { retargeting, retargetingReport }]) => {
+          const { errors, warnings } = retargetingReport
+          const channelCount = retargeting ? Object.keys(retargeting.channels).length : 0
+
+          return (
+            <div key={side} className="text-[10px] leading-tight">
+              <div className="flex items-center justify-between">
+                <span className="text-panel-foreground">{side}: {retargeting?.model || '—'}</span>
+                <span className={cn(
+                  'font-mono',
+                  errors.length > 0 ? 'text-red-400' : warnings.length > 0 ? 'text-yellow-400' : 'text-panel-muted-foreground'
+                )}>
+                  {channelCount} ch · {errors.length} err · {warnings.length} warn
+                </span>
+              </div>
+              {[...errors, ...warnings].map(message => (
+                <div
+                  key={message}
+                  className={cn('truncate', errors.includes(message) ? 'text-red-400' : 'text-yellow-400')}
+                  title={message}
+                >
+                  {message}
+                </div>
+              ))}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default memo(RetargetingSection)
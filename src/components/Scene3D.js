@@ -1,13 +1,16 @@
 import { Canvas, useThree } from '@react-three/fiber'
 import { OrbitControls, Grid, Environment, Select } from '@react-three/drei'
-import { useRef, useEffect, useMemo } from 'react'
+import { useRef, useEffect, useMemo, useState, useCallback } from 'react'
 import * as THREE from 'three'
 import HandModel from './HandModel'
 import GimbalControl from './GimbalControl'
+import ArmAssembly from './ArmAssembly'
 import DebugLabels from './DebugLabels'
 import IKVisualization from './IKVisualization'
+import ClampWarningOverlay from './ClampWarningOverlay'
 import { useSceneGraph } from '../editor/useSceneGraph'
 import { ThumbJointVisualizer } from '../ik'
+import { getSceneCameraPosition } from '../utils/handMapping'
 
 // Custom gradient ground plane
 function GradientGround() {
@@ -127,13 +130,30 @@ export default function Scene3D({
   ikDebugData = { left: null, right: null },
   showIKVisualization = true,
   onManualLandmarkDrag = null,
-  cameraLandmarks = { left: null, right: null }
+  cameraLandmarks = { left: null, right: null },
+  showClampWarnings = true,
+  armModel = null,
+  armMounts = { left: null, right: null },
+  onLeftArmIKStats = null,
+  onRightArmIKStats = null,
+  rangeMappings = { left: null, right: null },
+  mirrorView = false
 }) {
   // Ref for OrbitControls to pass to gimbals
   const orbitControlsRef = useRef()
 
-  // Camera position - back view (looking from behind, natural perspective)
-  const cameraPosition = [0, 0.5, -1]
+  // Joints clamped to their limits, reported by each hand model
+  const [clampedJoints, setClampedJoints] = useState({ left: null, right: null })
+  const handleLeftJointsClamped = useCallback((clamped, jointLimits) => {
+    setClampedJoints(prev => ({ ...prev, left: { clamped, jointLimits } }))
+  }, [])
+  const handleRightJointsClamped = useCallback((clamped, jointLimits) => {
+    setClampedJoints(prev => ({ ...prev, right: { clamped, jointLimits } }))
+  }, [])
+
+  // Camera position - back view (looking from behind, natural perspective), or the front
+  // view in mirror mode
+  const cameraPosition = getSceneCameraPosition({ mirror: mirrorView })
 
   // Ensure we always have valid objects for joint rotations
   const safeLeftRotations = leftJointRotations || {}
@@ -163,127 +183,168 @@ export default function Scene3D({
     y: rightWristRotation.y + safeRightGimbal.y,
     z: rightWristRotation.z + safeRightGimbal.z
   }
-  return (
-    <Canvas
-      camera={{ position: cameraPosition, fov: 50 }}
-      style={{ width: '100%', height: '100%' }}
-    >
-      {/* Camera position controller - updates when mirror mode changes */}
-      <CameraController position={cameraPosition} />
-
-      {/* Scene graph reporter - sends hierarchy to parent */}
-      <SceneGraphReporter onSceneGraphUpdate={onSceneGraphUpdate} />
-
-      {/* Enhanced lighting setup */}
-      <ambientLight intensity={2} />
-
-      {/* Key light - main illumination from front-top */}
-      <directionalLight position={[5, 5, 5]} intensity={2} castShadow />
-
-      {/* Fill light - soften shadows from the side */}
-      <directionalLight position={[-5, 3, 2]} intensity={1.5} />
-
-      {/* Back light - highlight edges and depth */}
-      <directionalLight position={[0, 2, -5]} intensity={1} />
-
-      {/* Rim light from below to show underside details */}
-      <pointLight position={[0, -2, 0]} intensity={1} />
-
-      {/* Additional side lights for better structure visibility */}
-      <pointLight position={[3, 0, 0]} intensity={0.8} />
-      <pointLight position={[-3, 0, 0]} intensity={0.8} />
-
-      {/* Environment map for realistic reflections */}
-      <Environment preset="studio" />
-
-      {/* Gradient ground plane with grid overlay - helps understand world direction */}
-      <GradientGround />
-
-      {/* Global coordinate system axes - shows scene orientation */}
-      {showAxes && (
-        <axesHelper args={[0.5]} position={[0, -0.29, 0]} />
-      )}
-
-      {/* Left Hand Model with Gimbal Control */}
-      {leftModel && (
-        <group position={[0.3, 0, 0]}>
-          {/* Hand mesh group rotation locked to [0, 0, 0] */}
-          {/* Local axes at hand mesh group level - does not rotate */}
-          {showAxes && <axesHelper args={[0.15]} />}
-
-          
-            
-          <GimbalControl
-            position={[0, 0, 0]}
-            rotation={leftCombinedRotation}
-            onRotationChange={onLeftGimbalChange}
-            visible={showGimbals}
-            orbitControlsRef={orbitControlsRef}
-          >
-            <HandModel
-              key={`left-${leftModel.id}`}
-              position={[0, 0, 0]}
-              modelPath={leftModel.path}
-              side={leftModel.side}
-              handTrackingData={handTrackingData}
-              jointRotations={safeLeftRotations}
-              cameraPosition={enableCameraPosition ? leftHandPosition : null}
-              zRotationOffset={leftHandZRotation}
-              onRobotLoaded={onLeftRobotLoaded}
-              useMultiDoF={useMultiDoF}
-              showJointGimbals={showJointGimbals}
-              cameraLandmarks={cameraLandmarks.right}
-            />
-          </GimbalControl>
-        </group>
-      )}
-
-      {/* Right Hand Model with Gimbal Control */}
-      {rightModel && (
-        <group position={[-0.3, 0, 0]}>
-          {/* Hand mesh group rotation locked to [0, 0, 0] */}
-          {/* Local axes at hand mesh group level - does not rotate */}
-          {showAxes && <axesHelper args={[0.15]} />}
-          <GimbalControl
-            position={[0, 0, 0]}
-            rotation={rightCombinedRotation}
-            onRotationChange={onRightGimbalChange}
-            visible={showGimbals}
-            orbitControlsRef={orbitControlsRef}
-          >
-            <HandModel
-              key={`right-${rightModel.id}`}
-              position={[0, 0, 0]}
-              modelPath={rightModel.path}
-              side={rightModel.side}
-              handTrackingData={handTrackingData}
-              jointRotations={safeRightRotations}
-              cameraPosition={enableCameraPosition ? rightHandPosition : null}
-              zRotationOffset={rightHandZRotation}
-              onRobotLoaded={onRightRobotLoaded}
-              useMultiDoF={useMultiDoF}
-              showJointGimbals={showJointGimbals}
-              cameraLandmarks={cameraLandmarks.left}
-            />
-          </GimbalControl>
-        </group>
-      )}
-
-      {/* Debug labels for hand identification and scene orientation */}
-      <DebugLabels visible={showDebugLabels} />
-
-      {/* IK Debug Visualization - shows IK solver results */}
-      {/* {controlMode === 'ik' && showIKVisualization && (
-        <IKVisualization
-          ikDebugData={ikDebugData}
-          onDrag={onManualLandmarkDrag}
-        />
-      )} */}
 
-      {/* Thumb Joint Visualizer - shows L10 thumb joints and axes */}
-      {/* <ThumbJointVisualizer /> */}
+  // Hand models, placed by the gimbal (with the tracked position offset) or mounted on an arm
+  const renderLeftHand = (handPosition) => leftModel && (
+    <HandModel
+      key={`left-${leftModel.id}`}
+      position={[0, 0, 0]}
+      modelPath={leftModel.path}
+      side={leftModel.side}
+      handTrackingData={handTrackingData}
+      jointRotations={safeLeftRotations}
+      cameraPosition={handPosition}
+      zRotationOffset={leftHandZRotation}
+      onRobotLoaded={onLeftRobotLoaded}
+      onJointsClamped={handleLeftJointsClamped}
+      rangeMapping={rangeMappings.left}
+      useMultiDoF={useMultiDoF}
+      showJointGimbals={showJointGimbals}
+      cameraLandmarks={cameraLandmarks.left}
+    />
+  )
+  const renderRightHand = (handPosition) => rightModel && (
+    <HandModel
+      key={`right-${rightModel.id}`}
+      position={[0, 0, 0]}
+      modelPath={rightModel.path}
+      side={rightModel.side}
+      handTrackingData={handTrackingData}
+      jointRotations={safeRightRotations}
+      cameraPosition={handPosition}
+      zRotationOffset={rightHandZRotation}
+      onRobotLoaded={onRightRobotLoaded}
+      onJointsClamped={handleRightJointsClamped}
+      rangeMapping={rangeMappings.right}
+      useMultiDoF={useMultiDoF}
+      showJointGimbals={showJointGimbals}
+      cameraLandmarks={cameraLandmarks.right}
+    />
+  )
 
-      <OrbitControls ref={orbitControlsRef} makeDefault />
-    </Canvas>
+  return (
+    <div style={{ position: 'relative', width: '100%', height: '100%' }}>
+      <Canvas
+        camera={{ position: cameraPosition, fov: 50 }}
+        style={{ width: '100%', height: '100%' }}
+      >
+        {/* Camera position controller - updates when mirror mode changes */}
+        <CameraController position={cameraPosition} />
+
+        {/* Scene graph reporter - sends hierarchy to parent */}
+        <SceneGraphReporter onSceneGraphUpdate={onSceneGraphUpdate} />
+
+        {/* Enhanced lighting setup */}
+        <ambientLight intensity={2} />
+
+        {/* Key light - main illumination from front-top */}
+        <directionalLight position={[5, 5, 5]} intensity={2} castShadow />
+
+        {/* Fill light - soften shadows from the side */}
+        <directionalLight position={[-5, 3, 2]} intensity={1.5} />
+
+        {/* Back light - highlight edges and depth */}
+        <directionalLight position={[0, 2, -5]} intensity={1} />
+
+        {/* Rim light from below to show underside details */}
+        <pointLight position={[0, -2, 0]} intensity={1} />
+
+        {/* Additional side lights for better structure visibility */}
+        <pointLight position={[3, 0, 0]} intensity={0.8} />
+        <pointLight position={[-3, 0, 0]} intensity={0.8} />
+
+        {/* Environment map for realistic reflections */}
+        <Environment preset="studio" />
+
+        {/* Gradient ground plane with grid overlay - helps understand world direction */}
+        <GradientGround />
+
+        {/* Global coordinate system axes - shows scene orientation */}
+        {showAxes && (
+          <axesHelper args={[0.5]} position={[0, -0.29, 0]} />
+        )}
+
+        {/* Left Hand Model - on its arm's flange in assembly mode, otherwise with Gimbal Control */}
+        {leftModel && (
+          <group position={[0.3, 0, 0]}>
+            {/* Hand mesh group rotation locked to [0, 0, 0] */}
+            {/* Local axes at hand mesh group level - does not rotate */}
+            {showAxes && <axesHelper args={[0.15]} />}
+            {armModel ? (
+              <ArmAssembly
+                key={`left-arm-${armModel}`}
+                armId={armModel}
+                mount={armMounts.left}
+                targetRotation={leftCombinedRotation}
+                targetPosition={enableCameraPosition ? leftHandPosition : null}
+                onIKStats={onLeftArmIKStats}
+              >
+                {renderLeftHand(null)}
+              </ArmAssembly>
+            ) : (
+              <GimbalControl
+                position={[0, 0, 0]}
+                rotation={leftCombinedRotation}
+                onRotationChange={onLeftGimbalChange}
+                visible={showGimbals}
+                orbitControlsRef={orbitControlsRef}
+              >
+                {renderLeftHand(enableCameraPosition ? leftHandPosition : null)}
+              </GimbalControl>
+            )}
+          </group>
+        )}
+
+        {/* Right Hand Model - on its arm's flange in assembly mode, otherwise with Gimbal Control */}
+        {rightModel && (
+          <group position={[-0.3, 0, 0]}>
+            {/* Hand mesh group rotation locked to [0, 0, 0] */}
+            {/* Local axes at hand mesh group level - does not rotate */}
+            {showAxes && <axesHelper args={[0.15]} />}
+            {armModel ? (
+              <ArmAssembly
+                key={`right-arm-${armModel}`}
+                armId={armModel}
+                mount={armMounts.right}
+                targetRotation={rightCombinedRotation}
+                targetPosition={enableCameraPosition ? rightHandPosition : null}
+                onIKStats={onRightArmIKStats}
+              >
+                {renderRightHand(null)}
+              </ArmAssembly>
+            ) : (
+              <GimbalControl
+                position={[0, 0, 0]}
+                rotation={rightCombinedRotation}
+                onRotationChange={onRightGimbalChange}
+                visible={showGimbals}
+                orbitControlsRef={orbitControlsRef}
+              >
+                {renderRightHand(enableCameraPosition ? rightHandPosition : null)}
+              </GimbalControl>
+            )}
+          </group>
+        )}
+
+        {/* Debug labels for hand identification and scene orientation */}
+        <DebugLabels visible={showDebugLabels} />
+
+        {/* IK Debug Visualization - shows IK solver results */}
+        {/* {controlMode === 'ik' && showIKVisualization && (
+          <IKVisualization
+            ikDebugData={ikDebugData}
+            onDrag={onManualLandmarkDrag}
+          />
+        )} */}
+
+        {/* Thumb Joint Visualizer - shows L10 thumb joints and axes */}
+        {/* <ThumbJointVisualizer /> */}
+
+        <OrbitControls ref={orbitControlsRef} makeDefault />
+      </Canvas>
+
+      {/* Clamp warnings - joints commanded past their (soft) limits */}
+      {showClampWarnings && <ClampWarningOverlay clampedJoints={clampedJoints} />}
+    </div>
   )
 }
@@ -0,0 +1,195 @@
+import { useState, useEffect, useRef } from 'react'
+import { SessionPlayer, loadSessionFile } from '../utils/sessionRecorder'
+
+const SPEED_OPTIONS = [0.25, 0.5, 1, 2, 4]
+
+// Shared button style for the session controls
+const buttonStyle = (active = false, color = '100, 150, 255') => ({
+  padding: '4px 8px',
+  fontSize: '10px',
+  backgroundColor: active ? `rgba(${color}, 0.9)` : 'rgba(255, 255, 255, 0.15)',
+  color: 'white',
+  border: active ? `1px solid rgba(${color}, 1)` : '1px solid rgba(255, 255, 255, 0.3)',
+  borderRadius: '3px',
+  cursor: 'pointer',
+  fontWeight: '600',
+  fontFamily: 'monospace'
+})
+
+// Format milliseconds as m:ss.s
+const formatTime = (ms) => {
+  const totalSeconds = ms / 1000
+  const minutes = Math.floor(totalSeconds / 60)
+  const seconds = (totalSeconds % 60).toFixed(1).padStart(4, '0')
+  return `${minutes}:${seconds}`
+}
+
+/**
+ * SessionControls Component
+ * Records live landmark sessions to a file and replays them through the tracking pipeline
+ *
+ * @param {SessionRecorder} sessionRecorder - Recorder fed by HandTrackingCamera
+ * @param {SessionPlayer|null} replayPlayer - Active replay player (null = live input source)
+ * @param {Function} onReplayPlayerChange - Called with a new player, or null to return to the webcam
+ */
+export default function SessionControls({
+  sessionRecorder,
+  replayPlayer,
+  onReplayPlayerChange,
+  style = {}
+}) {
+  const [isRecording, setIsRecording] = useState(false)
+  const [recordedFrames, setRecordedFrames] = useState(0)
+  const [playerState, setPlayerState] = useState(null)
+  const [loadError, setLoadError] = useState(null)
+  const fileInputRef = useRef(null)
+
+  // Poll the recorder frame count while recording (the recorder itself is not reactive)
+  useEffect(() => {
+    if (!isRecording) return
+
+    const intervalId = setInterval(() => {
+      setRecordedFrames(sessionRecorder.getFrameCount())
+    }, 250)
+
+    return () => clearInterval(intervalId)
+  }, [isRecording, sessionRecorder])
+
+  // Subscribe to player state updates
+  useEffect(() => {
+    if (!replayPlayer) {
+      setPlayerState(null)
+      return
+    }
+
+    replayPlayer.onStateChange = setPlayerState
+    setPlayerState(replayPlayer.getState())
+
+    return () => {
+      replayPlayer.onStateChange = null
+    }
+  }, [replayPlayer])
+
+  const handleToggleRecording = () => {
+    if (isRecording) {
+      sessionRecorder.stop()
+      setRecordedFrames(sessionRecorder.getFrameCount())
+      setIsRecording(false)
+    } else {
+      sessionRecorder.start({ userAgent: navigator.userAgent })
+      setRecordedFrames(0)
+      setIsRecording(true)
+    }
+  }
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      const session = await loadSessionFile(file)
+      const player = new SessionPlayer(session)
+      setLoadError(null)
+      onReplayPlayerChange(player)
+    } catch (error) {
+      console.error('Failed to load session:', error)
+      setLoadError(error.message)
+    }
+  }
+
+  const handleExitReplay = () => {
+    onReplayPlayerChange(null)
+  }
+
+  return (
+    <div style={{
+      backgroundColor: 'rgba(0, 0, 0, 0.6)',
+      color: 'white',
+      padding: '6px 8px',
+      borderRadius: '6px',
+      fontFamily: 'monospace',
+      fontSize: '10px',
+      border: '1px solid rgba(255, 255, 255, 0.3)',
+      width: '320px',
+      boxSizing: 'border-box',
+      ...style
+    }}>
+      {/* Recording */}
+      <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+        <button
+          onClick={handleToggleRecording}
+          disabled={!!replayPlayer}
+          style={{ ...buttonStyle(isRecording, '239, 68, 68'), opacity: replayPlayer ? 0.5 : 1 }}
+        >
+          {isRecording ? '■ Stop' : '● Rec'}
+        </button>
+        <button
+          onClick={() => sessionRecorder.download()}
+          disabled={isRecording || recordedFrames === 0}
+          style={{ ...buttonStyle(), opacity: isRecording || recordedFrames === 0 ? 0.5 : 1 }}
+        >
+          ⬇ Save
+        </button>
+        <button onClick={() => fileInputRef.current?.click()} style={buttonStyle()}>
+          📂 Load
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleFileChange}
+          style={{ display: 'none' }}
+        />
+        <span style={{ marginLeft: 'auto', color: 'rgba(255, 255, 255, 0.7)' }}>
+          {recordedFrames > 0 && `${recordedFrames} frames`}
+        </span>
+      </div>
+
+      {loadError && (
+        <div style={{ marginTop: '4px', color: '#ff6b6b' }}>{loadError}</div>
+      )}
+
+      {/* Replay */}
+      {replayPlayer && playerState && (
+        <div style={{ marginTop: '6px', paddingTop: '6px', borderTop: '1px solid rgba(255, 255, 255, 0.2)' }}>
+          <div style={{ display: 'flex', gap: '4px', alignItems: 'center', marginBottom: '4px' }}>
+            <button
+              onClick={() => (playerState.isPlaying ? replayPlayer.pause() : replayPlayer.play())}
+              style={buttonStyle(playerState.isPlaying)}
+            >
+              {playerState.isPlaying ? '❚❚' : '▶'}
+            </button>
+            <select
+              value={playerState.speed}
+              onChange={(e) => replayPlayer.setSpeed(Number(e.target.value))}
+              style={{ ...buttonStyle(), padding: '3px 4px' }}
+            >
+              {SPEED_OPTIONS.map(speed => (
+                <option key={speed} value={speed} style={{ color: 'black' }}>{speed}×</option>
+              ))}
+            </select>
+            <span style={{ color: 'rgba(255, 255, 255, 0.7)' }}>
+              {formatTime(playerState.currentTime)} / {formatTime(playerState.duration)}
+            </span>
+            <button onClick={handleExitReplay} style={{ ...buttonStyle(), marginLeft: 'auto' }}>
+              Live
+            </button>
+          </div>
+          <input
+            type="range"
+            min={0}
+            max={playerState.duration}
+            step={1}
+            value={playerState.currentTime}
+            onChange={(e) => replayPlayer.seek(Number(e.target.value))}
+            style={{ width: '100%' }}
+          />
+          <div style={{ color: 'rgba(255, 255, 255, 0.5)' }}>
+            Frame {playerState.frameIndex + 1} / {playerState.frameCount}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
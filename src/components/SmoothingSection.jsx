@@ -0,0 +1,156 @@
+import React, { memo } from 'react'
+import { Button } from './ui/button'
+import { DEFAULT_SMOOTHING_CONFIG, JOINT_GROUPS } from '../utils/motionFilter'
+
+const GROUP_LABELS = { wrist: 'Wrist', thumb: 'Thumb', fingers: 'Fingers' }
+
+const TYPE_LABELS = { ema: 'EMA', one_euro: 'One Euro', kalman: 'Kalman' }
+
+// Tunable parameters of each smoothing type
+const TYPE_FIELDS = {
+  ema: [
+    { key: 'alpha', label: 'alpha', step: 0.05, title: 'Weight of the new value (lower = smoother, more lag)' }
+  ],
+  one_euro: [
+    { key: 'minCutoff', label: 'min Hz', step: 0.1, title: 'Cutoff at rest (lower = less jitter)' },
+    { key: 'beta', label: 'beta', step: 0.05, title: 'Cutoff increase per rad/s (higher = less lag in fast motion)' },
+    { key: 'derivativeCutoff', label: 'd Hz', step: 0.1, title: 'Cutoff of the speed estimate' }
+  ],
+  kalman: [
+    { key: 'processNoise', label: 'accel', step: 5, title: 'Acceleration noise (rad²/s³, higher = follows faster)' },
+    { key: 'measurementNoise', label: 'meas', step: 0.0001, title: 'Measurement variance (rad², higher = smoother)' }
+  ]
+}
+
+// Tunable parameters of the landmark filter
+const LANDMARK_FIELDS = [
+  { key: 'minCutoff', label: 'min Hz', step: 0.1, title: 'Cutoff at rest (lower = less jitter)' },
+  { key: 'beta', label: 'beta', step: 0.1, title: 'Cutoff increase per palm length/s (higher = less lag in fast motion)' },
+  { key: 'outlierThreshold', label: 'jump', step: 0.05, title: 'Single-frame jump rejected as an outlier (palm lengths)' },
+  { key: 'boneStiffness', label: 'bones', step: 0.1, title: 'Pull towards the learned bone lengths (0 = off, 1 = exact)' }
+]
+
+const INPUT_CLASS = 'w-full h-6 px-1 rounded bg-panel-muted/30 border border-panel-border text-[10px] text-panel-foreground font-mono'
+const SELECT_CLASS = 'h-6 px-1 rounded bg-panel-muted/30 border border-panel-border text-[10px] text-panel-foreground'
+
+/**
+ * SmoothingSection Component
+ * Tunes the landmark filter ahead of the kinematics, and chooses and tunes the smoothing
+ * stage of the motion filters per joint group (applies to both the Euler and the
+ * quaternion tracking paths)
+ *
+ * @param {Object} config - {wrist, thumb, fingers} smoothing settings (DEFAULT_SMOOTHING_CONFIG shape)
+ * @param {Function} onConfigChange - Called with (group, changed settings), or (null) to restore the defaults
+ * @param {Object} landmarkConfig - Landmark filter settings (DEFAULT_LANDMARK_FILTER_CONFIG shape)
+ * @param {Function} onLandmarkConfigChange - Called with the changed settings, or (null) to restore the defaults
+ */
+const SmoothingSection = ({ config, onConfigChange, landmarkConfig, onLandmarkConfigChange }) => {
+  const handleFieldChange = (group, key, text) => {
+    const value = parseFloat(text)
+    if (Number.isFinite(value) && value >= 0) onConfigChange(group, { [key]: value })
+  }
+
+  const handleLandmarkFieldChange = (key, text) => {
+    const value = parseFloat(text)
+    if (Number.isFinite(value) && value >= 0) onLandmarkConfigChange({ [key]: value })
+  }
+
+  const landmarkToggles = [
+    ['enabled', 'Landmarks', 'Filter the landmarks before the joint angles are computed'],
+    ['outlierRejection', 'Outliers', 'Reject single-frame jumps of individual landmarks'],
+    ['boneConstraints', 'Bones', 'Keep bone lengths consistent with the lengths learned this session']
+  ]
+
+  return (
+    <div className="p-2 bg-primary/10 border border-primary/30 rounded">
+      <div className="flex items-center justify-between mb-1.5">
+        <span className="text-[11px] font-medium text-panel-foreground">Smoothing</span>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => {
+            onConfigChange(null)
+            onLandmarkConfigChange(null)
+          }}
+          className="text-[10px] h-6 px-2"
+        >
+          Defaults
+        </Button>
+      </div>
+
+      {/* Landmark filter: before any angle is computed */}
+      <div className="flex gap-1">
+        {landmarkToggles.map(([key, label, title]) => (
+          <Button
+            key={key}
+            variant={landmarkConfig[key] ? 'default' : 'outline'}
+            size="sm"
+            onClick={() => onLandmarkConfigChange({ [key]: !landmarkConfig[key] })}
+            disabled={key !== 'enabled' && !landmarkConfig.enabled}
+            className="flex-1 text-[10px] h-6 px-1"
+            title={title}
+          >
+            {label}
+          </Button>
+        ))}
+      </div>
+      {landmarkConfig.enabled && (
+        <div className="grid grid-cols-4 gap-1 mt-0.5">
+          {LANDMARK_FIELDS.map(field => (
+            <label key={field.key} className="text-[10px] text-panel-muted-foreground" title={field.title}>
+              {field.label}
+              <input
+                type="number"
+                min={0}
+                step={field.step}
+                value={landmarkConfig[field.key]}
+                onChange={(e) => handleLandmarkFieldChange(field.key, e.target.value)}
+                className={INPUT_CLASS}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      <div className="text-[10px] text-panel-muted-foreground mt-1.5 mb-0.5">Joint angles</div>
+      <div className="space-y-1.5">
+        {JOINT_GROUPS.map(group => {
+          const settings = config[group] || DEFAULT_SMOOTHING_CONFIG[group]
+          return (
+            <div key={group}>
+              <div className="flex items-center justify-between">
+                <span className="text-[10px] text-panel-muted-foreground">{GROUP_LABELS[group]}</span>
+                <select
+                  value={settings.type}
+                  onChange={(e) => onConfigChange(group, { type: e.target.value })}
+                  className={SELECT_CLASS}
+                >
+                  {Object.entries(TYPE_LABELS).map(([type, label]) => (
+                    <option key={type} value={type}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="grid grid-cols-3 gap-1 mt-0.5">
+                {TYPE_FIELDS[settings.type].map(field => (
+                  <label key={field.key} className="text-[10px] text-panel-muted-foreground" title={field.title}>
+                    {field.label}
+                    <input
+                      type="number"
+                      min={0}
+                      step={field.step}
+                      value={settings[field.key]}
+                      onChange={(e) => handleFieldChange(group, field.key, e.target.value)}
+                      className={INPUT_CLASS}
+                    />
+                  </label>
+                ))}
+              </div>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default memo(SmoothingSection)
@@ -0,0 +1,99 @@
+import React, { useState, useEffect, memo } from 'react'
+import { Button } from './ui/button'
+import { cn } from '../lib/utils'
+
+const RATE_OPTIONS = [10, 30, 50, 100]
+
+// Status dot colors
+const STATUS_COLORS = {
+  connected: 'bg-green-500',
+  connecting: 'bg-yellow-500',
+  error: 'bg-red-500',
+  disconnected: 'bg-panel-muted-foreground'
+}
+
+/**
+ * TeleopSection Component
+ * Connects the teleoperation bridge that streams retargeted joint commands over WebSocket
+ *
+ * @param {TeleopBridge} teleopBridge - Bridge instance owned by App
+ * @param {Object} teleopStatus - Latest status from the bridge ({status, message})
+ */
+const TeleopSection = ({ teleopBridge, teleopStatus }) => {
+  const [url, setUrl] = useState(teleopBridge.url)
+  const [rate, setRate] = useState(teleopBridge.rate)
+  const [stats, setStats] = useState(() => teleopBridge.getStats())
+
+  // Poll stats while the bridge is active (the bridge itself is not reactive)
+  const isActive = teleopBridge.isActive
+  useEffect(() => {
+    if (!isActive) return
+
+    const intervalId = setInterval(() => setStats(teleopBridge.getStats()), 500)
+    return () => clearInterval(intervalId)
+  }, [isActive, teleopBridge])
+
+  const handleToggle = () => {
+    if (teleopBridge.isActive) {
+      teleopBridge.disconnect()
+    } else {
+      teleopBridge.configure({ url, rate })
+      teleopBridge.connect()
+    }
+  }
+
+  return (
+    <div className="p-2 bg-primary/10 border border-primary/30 rounded">
+      <div className="flex items-center justify-between mb-1.5">
+        <span className="text-[11px] font-medium text-panel-foreground">Teleop Bridge</span>
+        <span className="flex items-center gap-1 text-[10px] text-panel-muted-foreground">
+          <span className={cn('w-1.5 h-1.5 rounded-full', STATUS_COLORS[teleopStatus.status] || STATUS_COLORS.disconnected)} />
+          {teleopStatus.status}
+        </span>
+      </div>
+      <input
+        type="text"
+        value={url}
+        onChange={(e) => setUrl(e.target.value)}
+        disabled={teleopBridge.isActive}
+        className="w-full h-7 px-2 rounded bg-panel-muted/30 border border-panel-border text-[10px] text-panel-foreground font-mono"
+      />
+      <div className="flex gap-1.5 items-center mt-1.5">
+        <Button
+          variant={teleopBridge.isActive ? 'default' : 'outline'}
+          size="sm"
+          onClick={handleToggle}
+          className="flex-1 text-[11px] h-7"
+        >
+          {teleopBridge.isActive ? 'Disconnect' : 'Connect'}
+        </Button>
+        <select
+          value={rate}
+          onChange={(e) => setRate(Number(e.target.value))}
+          disabled={teleopBridge.isActive}
+          className="h-7 px-1 rounded bg-panel-muted/30 border border-panel-border text-[10px] text-panel-foreground"
+        >
+          {RATE_OPTIONS.map(option => (
+            <option key={option} value={option}>{option} Hz</option>
+          ))}
+        </select>
+      </div>
+      {teleopBridge.isActive && (
+        <div className="mt-1.5 text-[10px] text-panel-muted-foreground font-mono leading-tight">
+          <div>
+            sent {stats.sent} · dropped {stats.dropped} · stops {stats.stops}
+            {stats.latency !== null && ` · ${stats.latency.toFixed(0)}ms`}
+          </div>
+          <div>
+            {['left', 'right'].map(side => `${side}: ${stats.hands[side] || '—'}`).join(' · ')}
+          </div>
+        </div>
+      )}
+      {teleopStatus.status === 'error' && teleopStatus.message && (
+        <div className="mt-1 text-[10px] text-red-400 leading-tight">{teleopStatus.message}</div>
+      )}
+    </div>
+  )
+}
+
+export default memo(TeleopSection)
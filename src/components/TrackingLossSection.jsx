@@ -0,0 +1,106 @@
+import React, { memo } from 'react'
+import { Button } from './ui/button'
+import { cn } from '../lib/utils'
+import { LOSS_BEHAVIORS } from '../input'
+
+const BEHAVIOR_LABELS = {
+  hold: ['Hold', 'Keep the last hand pose'],
+  rest: ['Rest', 'Blend the hand pose to the rest pose'],
+  freeze: ['Freeze', 'Keep the last pose, position and IK targets']
+}
+
+// Tunable parameters of the tracking state machine
+const FIELDS = [
+  { key: 'minHandednessScore', label: 'min score', step: 0.05, title: 'Detections with a lower handedness score are ignored' },
+  { key: 'lossDelay', label: 'loss ms', step: 50, title: 'Missing time before a hand counts as lost' },
+  { key: 'recoveryTime', label: 'ease-in ms', step: 50, title: 'Ease back in on reacquisition' },
+  { key: 'restBlendTime', label: 'rest ms', step: 100, title: 'Blend to the rest pose (Rest behavior)' }
+]
+
+// State dot colors
+const STATE_COLORS = {
+  tracking: 'bg-green-500',
+  recovering: 'bg-yellow-500',
+  lost: 'bg-red-500'
+}
+
+const INPUT_CLASS = 'w-full h-6 px-1 rounded bg-panel-muted/30 border border-panel-border text-[10px] text-panel-foreground font-mono'
+
+/**
+ * TrackingLossSection Component
+ * Shows the tracking state of each hand and sets what a lost hand does (hold, rest,
+ * freeze) and how it eases back in
+ *
+ * @param {Object} config - Tracking state settings (DEFAULT_TRACKING_STATE_CONFIG shape)
+ * @param {Function} onConfigChange - Called with the changed settings, or (null) to restore the defaults
+ * @param {Object} trackingStates - {left, right} status per tracked hand
+ *   ({state, handednessScore, detectionConfidence}), keyed by MediaPipe handedness
+ */
+const TrackingLossSection = ({ config, onConfigChange, trackingStates }) => {
+  const handleFieldChange = (key, text) => {
+    const value = parseFloat(text)
+    if (Number.isFinite(value) && value >= 0) onConfigChange({ [key]: value })
+  }
+
+  return (
+    <div className="p-2 bg-primary/10 border border-primary/30 rounded">
+      <div className="flex items-center justify-between mb-1.5">
+        <span className="text-[11px] font-medium text-panel-foreground">Tracking Loss</span>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => onConfigChange(null)}
+          className="text-[10px] h-6 px-2"
+        >
+          Defaults
+        </Button>
+      </div>
+
+      <div className="text-[10px] text-panel-muted-foreground leading-tight font-mono mb-1">
+        {['left', 'right'].map(side => {
+          const status = trackingStates?.[side]
+          return (
+            <div key={side} className="flex items-center gap-1">
+              <span className={cn('w-1.5 h-1.5 rounded-full', status ? STATE_COLORS[status.state] : 'bg-panel-muted-foreground')} />
+              {side}: {status
+                ? `${status.state} · score ${status.handednessScore.toFixed(2)} · conf ${status.detectionConfidence.toFixed(2)}`
+                : '—'}
+            </div>
+          )
+        })}
+      </div>
+
+      <div className="flex gap-1">
+        {LOSS_BEHAVIORS.map(behavior => (
+          <Button
+            key={behavior}
+            variant={config.lossBehavior === behavior ? 'default' : 'outline'}
+            size="sm"
+            onClick={() => onConfigChange({ lossBehavior: behavior })}
+            className="flex-1 text-[10px] h-6 px-1"
+            title={BEHAVIOR_LABELS[behavior][1]}
+          >
+            {BEHAVIOR_LABELS[behavior][0]}
+          </Button>
+        ))}
+      </div>
+      <div className="grid grid-cols-4 gap-1 mt-0.5">
+        {FIELDS.map(field => (
+          <label key={field.key} className="text-[10px] text-panel-muted-foreground" title={field.title}>
+            {field.label}
+            <input
+              type="number"
+              min={0}
+              step={field.step}
+              value={config[field.key]}
+              onChange={(e) => handleFieldChange(field.key, e.target.value)}
+              className={INPUT_CLASS}
+            />
+          </label>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default memo(TrackingLossSection)
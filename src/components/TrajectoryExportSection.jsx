@@ -0,0 +1,117 @@
+import React, { useState, useEffect, useCallback, memo } from 'react'
+import { Button } from './ui/button'
+
+const RATE_OPTIONS = [10, 30, 60, 100]
+
+/**
+ * TrajectoryExportSection Component
+ * Records the URDF joint values applied to the hand models and exports them as CSV, JSON or ROS JointTrajectory
+ *
+ * @param {JointTrajectoryRecorder} trajectoryRecorder - Recorder that samples the robots
+ * @param {Function} getTrajectoryTargets - Returns the {left, right} robots to record ({robot, jointConfig, modelPath})
+ */
+const TrajectoryExportSection = ({ trajectoryRecorder, getTrajectoryTargets }) => {
+  const [rate, setRate] = useState(30)
+  const [includeMimicJoints, setIncludeMimicJoints] = useState(false)
+  const [isRecording, setIsRecording] = useState(trajectoryRecorder.isRecording)
+  const [error, setError] = useState(null)
+
+  // Samples recorded so far (the panel can remount mid-recording, so start from the recorder)
+  const getSummary = useCallback(() => ({
+    samples: trajectoryRecorder.getSampleCount(),
+    duration: trajectoryRecorder.getDuration(),
+    sides: trajectoryRecorder.getSides()
+  }), [trajectoryRecorder])
+  const [summary, setSummary] = useState(getSummary)
+
+  const updateSummary = useCallback(() => {
+    setSummary(getSummary())
+  }, [getSummary])
+
+  // Poll the recorder while recording (the recorder itself is not reactive)
+  useEffect(() => {
+    if (!isRecording) return
+
+    const intervalId = setInterval(updateSummary, 250)
+    return () => clearInterval(intervalId)
+  }, [isRecording, updateSummary])
+
+  const handleToggleRecording = () => {
+    if (isRecording) {
+      trajectoryRecorder.stop()
+      setIsRecording(false)
+      updateSummary()
+      return
+    }
+
+    const sides = trajectoryRecorder.start(getTrajectoryTargets(), { rate, includeMimicJoints })
+    if (sides.length === 0) {
+      setError('No URDF hand model loaded')
+      return
+    }
+    setError(null)
+    setIsRecording(true)
+    updateSummary()
+  }
+
+  const canExport = !isRecording && summary.samples > 0
+
+  return (
+    <div className="p-2 bg-primary/10 border border-primary/30 rounded">
+      <div className="flex items-center justify-between mb-1.5">
+        <span className="text-[11px] font-medium text-panel-foreground">Joint Trajectory</span>
+        <span className="text-[10px] text-panel-muted-foreground">
+          {summary.samples > 0 && `${summary.samples} @ ${summary.duration.toFixed(1)}s · ${summary.sides.join('+')}`}
+        </span>
+      </div>
+      <div className="flex gap-1.5 items-center">
+        <Button
+          variant={isRecording ? 'default' : 'outline'}
+          size="sm"
+          onClick={handleToggleRecording}
+          className="flex-1 text-[11px] h-7"
+        >
+          {isRecording ? '■ Stop' : '● Record'}
+        </Button>
+        <select
+          value={rate}
+          onChange={(e) => setRate(Number(e.target.value))}
+          disabled={isRecording}
+          className="h-7 px-1 rounded bg-panel-muted/30 border border-panel-border text-[10px] text-panel-foreground"
+        >
+          {RATE_OPTIONS.map(option => (
+            <option key={option} value={option}>{option} Hz</option>
+          ))}
+        </select>
+      </div>
+      <label className="flex items-center gap-1.5 mt-1.5 text-[10px] text-panel-muted-foreground cursor-pointer">
+        <input
+          type="checkbox"
+          checked={includeMimicJoints}
+          onChange={(e) => setIncludeMimicJoints(e.target.checked)}
+          disabled={isRecording}
+        />
+        Include mimic joints
+      </label>
+      <div className="grid grid-cols-3 gap-1 mt-1.5">
+        {[['csv', 'CSV'], ['json', 'JSON'], ['ros', 'ROS']].map(([format, label]) => (
+          <Button
+            key={format}
+            variant="outline"
+            size="sm"
+            disabled={!canExport}
+            onClick={() => trajectoryRecorder.download(format)}
+            className="text-[10px] h-7 px-1"
+          >
+            ⬇ {label}
+          </Button>
+        ))}
+      </div>
+      {error && (
+        <div className="mt-1 text-[10px] text-red-400 leading-tight">{error}</div>
+      )}
+    </div>
+  )
+}
+
+export default memo(TrajectoryExportSection)
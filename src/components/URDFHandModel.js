@@ -1,12 +1,10 @@
 import { useEffect, useState, useRef } from 'react'
 import { useLoader, useFrame } from '@react-three/fiber'
-import URDFLoader from 'urdf-loader'
 import * as THREE from 'three'
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader'
-import { STLLoader } from 'three/examples/jsm/loaders/STLLoader'
 import { getURDFPath } from '../utils/urdfConfig'
-import { mapUIJointToURDF, clampJointValue } from '../utils/urdfJointMapping'
-import { parseJointConfig, createSemanticMapping } from '../utils/urdfParser'
+import { createURDFLoader, disposeRobot } from '../utils/urdfLoader'
+import { computeURDFJointValues, getJointLimits, loadRetargeting } from '../utils/urdfJointMapping'
+import { parseJointConfig, createSemanticMapping, getMimicJointNames } from '../utils/urdfParser'
 import JointGimbalVisualizer from './JointGimbalVisualizer'
 
 /**
@@ -22,14 +20,19 @@ export default function URDFHandModel({
   onRobotLoaded = null,
   useMultiDoF = false,
   showJointGimbals = false,
-  onPalmLengthCalculated = null
+  onPalmLengthCalculated = null,
+  onJointsClamped = null,
+  rangeMapping = null
 }) {
   const [robot, setRobot] = useState(null)
   const [error, setError] = useState(null)
   const [loading, setLoading] = useState(true)
   const [semanticMapping, setSemanticMapping] = useState(null)
   const [mimicJointNames, setMimicJointNames] = useState(new Set())
+  const [retargeting, setRetargeting] = useState(null)
+  const [jointLimits, setJointLimits] = useState(null)
   const groupRef = useRef()
+  const clampKeyRef = useRef('')
 
   // Load URDF model
   useEffect(() => {
@@ -43,8 +46,7 @@ export default function URDFHandModel({
 
     setLoading(true)
     setError(null)
-
-    const loader = new URDFLoader()
+    let isCancelled = false
 
     // Set up loading manager for better error handling
     const manager = new THREE.LoadingManager()
@@ -53,59 +55,9 @@ export default function URDFHandModel({
       setError(`Failed to load: ${url}`)
     }
 
-    loader.manager = manager
-
-    // Register loaders for different mesh file types
-    // Using loadMeshCb as documented in urdf-loader
-    const gltfLoader = new GLTFLoader(manager)
-    const stlLoader = new STLLoader(manager)
-
-    loader.loadMeshCb = (path, manager, onComplete) => {
-      const extension = path.split('.').pop().toLowerCase()
-
-      if (extension === 'stl') {
-        // Load STL file
-        stlLoader.load(
-          path,
-          (geometry) => {
-            // STL loader returns geometry, need to create mesh
-            const material = new THREE.MeshStandardMaterial({
-              color: 0xcccccc,
-              metalness: 0.3,
-              roughness: 0.7
-            })
-            const mesh = new THREE.Mesh(geometry, material)
-            onComplete(mesh)
-          },
-          undefined,
-          (err) => {
-            console.error('Error loading STL mesh:', path, err)
-            onComplete(null, err)
-          }
-        )
-      } else {
-        // Load GLB/GLTF file (existing behavior)
-        gltfLoader.load(
-          path,
-          (result) => {
-            onComplete(result.scene)
-          },
-          undefined,
-          (err) => {
-            console.error('Error loading GLTF mesh:', path, err)
-            onComplete(null, err)
-          }
-        )
-      }
-    }
-
-    // Set the working path for resolving relative mesh paths
-    // Extract the directory from the URDF path
-    const urdfDir = urdfPath.substring(0, urdfPath.lastIndexOf('/'))
-    loader.workingPath = urdfDir + '/'
+    const loader = createURDFLoader(urdfPath, manager)
 
     // console.log(`Loading URDF from: ${urdfPath}`)
-    // console.log(`Working path set to: ${urdfDir}/`)
 
     // Load the URDF file
     loader.load(
@@ -150,24 +102,34 @@ export default function URDFHandModel({
         }
 
         // Detect mimic joints to avoid setting them directly
-        const mimicJoints = new Set()
-        Object.values(loadedRobot.joints).forEach(joint => {
-          if (joint.mimicJoint) {
-            // This joint mimics another joint, don't set it directly
-            mimicJoints.add(joint.name)
-          }
-        })
+        const mimicJoints = getMimicJointNames(jointConfig)
         console.log('🔗 Detected mimic joints:', Array.from(mimicJoints))
-        setMimicJointNames(mimicJoints)
 
-        setRobot(loadedRobot)
-        setSemanticMapping(parsedSemanticMapping)
-        setLoading(false)
-
-        // Notify parent component that robot is loaded
-        if (onRobotLoaded) {
-          onRobotLoaded(loadedRobot, { jointConfig, semanticMapping: parsedSemanticMapping })
-        }
+        // Load the model's retargeting config, validated against the loaded joints
+        loadRetargeting(modelPath, side, jointConfig).then(({ retargeting: loadedRetargeting, errors, warnings }) => {
+          if (isCancelled) return
+
+          // URDF limits narrowed by the config's soft limits
+          const loadedJointLimits = getJointLimits(jointConfig, loadedRetargeting)
+
+          setMimicJointNames(mimicJoints)
+          setRetargeting(loadedRetargeting)
+          setJointLimits(loadedJointLimits)
+          setRobot(loadedRobot)
+          setSemanticMapping(parsedSemanticMapping)
+          setLoading(false)
+
+          // Notify parent component that robot is loaded
+          if (onRobotLoaded) {
+            onRobotLoaded(loadedRobot, {
+              jointConfig,
+              semanticMapping: parsedSemanticMapping,
+              retargeting: loadedRetargeting,
+              retargetingReport: { errors, warnings },
+              jointLimits: loadedJointLimits
+            })
+          }
+        })
       },
       (progress) => {
         // Optional: track loading progress
@@ -186,17 +148,9 @@ export default function URDFHandModel({
 
     // Cleanup
     return () => {
+      isCancelled = true
       if (robot) {
-        robot.traverse((child) => {
-          if (child.geometry) child.geometry.dispose()
-          if (child.material) {
-            if (Array.isArray(child.material)) {
-              child.material.forEach(m => m.dispose())
-            } else {
-              child.material.dispose()
-            }
-          }
-        })
+        disposeRobot(robot)
       }
     }
   }, [modelPath, side])
@@ -205,9 +159,6 @@ export default function URDFHandModel({
   useEffect(() => {
     if (!robot || !groupRef.current) return
 
-    // Handle both old format (flat object) and new format (with joints property)
-    const joints = jointRotations.joints || jointRotations
-
     // Wrist orientation is now handled by GimbalControl in Scene3D
     // Do not apply wrist rotation here to avoid double rotation
     robot.rotation.set(0, 0, 0)
@@ -224,75 +175,53 @@ export default function URDFHandModel({
       groupRef.current.position.set(0, 0, 0)
     }
 
-    // Apply each joint rotation
-    if (Object.keys(joints).length > 0) {
-      Object.entries(joints).forEach(([uiJointName, angleData]) => {
-        // Check if this is multi-DoF data (object with pitch/yaw/roll)
-        const isMultiDoF = typeof angleData === 'object' &&
-                           (angleData.pitch !== undefined ||
-                            angleData.yaw !== undefined ||
-                            angleData.roll !== undefined)
-
-        if (isMultiDoF && useMultiDoF && semanticMapping) {
-          // Multi-DoF mode: apply each axis separately
-          const jointMapping = semanticMapping[uiJointName]
-
-          if (jointMapping) {
-            jointMapping.axes.forEach(axis => {
-              const urdfJointName = jointMapping.urdfJoints[axis]
-              const axisValue = angleData[axis] || 0
-              const [lower, upper] = jointMapping.limits[axis]
-
-              // Skip mimic joints - they will be automatically updated by their master joint
-              if (mimicJointNames.has(urdfJointName)) {
-                console.log(`⏭️  Skipping mimic joint: ${urdfJointName}`)
-                return
-              }
-
-              // Apply with dynamic limits
-              const joint = robot.joints[urdfJointName]
-              if (joint) {
-                const clampedValue = Math.max(lower, Math.min(upper, axisValue))
-                try {
-                  joint.setJointValue(clampedValue)
-                  console.log(`🔧 [URDFHandModel] Set ${urdfJointName} = ${clampedValue.toFixed(3)}`)
-                } catch (error) {
-                  console.error(`Error setting multi-DoF joint ${urdfJointName}:`, error)
-                }
-              }
-            })
-          }
-        } else {
-          // Single-axis mode: use traditional mapping
-          const angle = typeof angleData === 'object' ? 0 : angleData
-          const urdfJointName = mapUIJointToURDF(uiJointName, modelPath)
-
-          if (!urdfJointName) {
-            return
-          }
-
-          // Skip mimic joints - they will be automatically updated by their master joint
-          if (mimicJointNames.has(urdfJointName)) {
-            // console.log(`⏭️  Skipping mimic joint: ${urdfJointName}`)
-            return
-          }
+    // Map UI joint rotations to URDF joint values (mimic joints follow their master joint)
+    const clamped = {}
+    const jointValues = computeURDFJointValues(jointRotations, retargeting, {
+      semanticMapping,
+      useMultiDoF,
+      mimicJointNames,
+      jointLimits,
+      rangeMapping,
+      clamped
+    })
+
+    // Report clamped joints only when the set of clamped joints/bounds changes
+    const clampKey = Object.entries(clamped)
+      .map(([name, { bound, soft }]) => `${name}:${bound}:${soft}`)
+      .sort()
+      .join(',')
+    if (clampKey !== clampKeyRef.current) {
+      clampKeyRef.current = clampKey
+      if (onJointsClamped) {
+        onJointsClamped(clamped, jointLimits)
+      }
+    }
 
-          const joint = robot.joints[urdfJointName]
-          if (!joint) {
-            return
-          }
+    // Apply each joint value
+    Object.entries(jointValues).forEach(([urdfJointName, value]) => {
+      const joint = robot.joints[urdfJointName]
+      if (!joint) {
+        return
+      }
 
-          const clampedAngle = clampJointValue(angle, urdfJointName, modelPath)
+      try {
+        joint.setJointValue(value)
+      } catch (error) {
+        console.error(`Error setting joint value for ${urdfJointName}:`, error)
+      }
+    })
+  }, [robot, jointRotations, retargeting, jointLimits, rangeMapping, cameraPosition, useMultiDoF, semanticMapping, mimicJointNames, onJointsClamped])
 
-          try {
-            joint.setJointValue(clampedAngle)
-          } catch (error) {
-            console.error(`Error setting joint value for ${urdfJointName}:`, error)
-          }
-        }
-      })
+  // Clear the clamp warning when the model is unloaded
+  useEffect(() => {
+    return () => {
+      clampKeyRef.current = ''
+      if (onJointsClamped) {
+        onJointsClamped({}, null)
+      }
     }
-  }, [robot, jointRotations, modelPath, cameraPosition, useMultiDoF, semanticMapping, mimicJointNames])
+  }, [modelPath, side, onJointsClamped])
 
   // Render loading state
   if (loading) {
@@ -0,0 +1,310 @@
+import { useState, useEffect, memo } from 'react'
+import { HUMAN_CHANNELS } from '../utils/urdfJointMapping'
+
+const SIDE_OPTIONS = [
+  ['left', 'Left'],
+  ['right', 'Right'],
+  ['both', 'Both hands']
+]
+
+// Shared button style for the dialog
+const buttonStyle = (primary = false, disabled = false) => ({
+  padding: '6px 14px',
+  fontSize: '12px',
+  backgroundColor: primary ? 'rgba(100, 150, 255, 0.9)' : 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  border: primary ? '1px solid rgba(150, 200, 255, 0.8)' : '1px solid rgba(255, 255, 255, 0.3)',
+  borderRadius: '4px',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  opacity: disabled ? 0.4 : 1,
+  fontWeight: '600'
+})
+
+const inputStyle = {
+  backgroundColor: 'rgba(255, 255, 255, 0.08)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.25)',
+  borderRadius: '4px',
+  fontSize: '11px',
+  padding: '3px 6px'
+}
+
+/**
+ * Color of a mapping confidence: green (sure), orange (check), red (likely wrong)
+ * @param {number} confidence - [0, 1]
+ * @returns {string}
+ */
+const getConfidenceColor = (confidence) => {
+  if (confidence >= 0.8) return 'rgba(120, 220, 120, 1)'
+  if (confidence >= 0.5) return 'rgba(255, 180, 80, 1)'
+  return 'rgba(255, 120, 120, 1)'
+}
+
+/**
+ * Review state of an analyzed URDF: enabled, side and the proposed mapping
+ * @param {Object} urdf - Analyzed URDF (sessionModels.analyzeDroppedFiles)
+ * @returns {Object}
+ */
+const createURDFReview = (urdf) => ({
+  path: urdf.path,
+  enabled: true,
+  side: urdf.side || 'both',
+  channels: { ...urdf.channels }
+})
+
+/**
+ * URDFImportDialog Component
+ * Reviews dropped URDF files before they are added as session models: name, side per
+ * URDF, mesh resolution and the auto-generated joint mapping (editable per channel, with
+ * the classifier's confidence for channels that keep their proposed joint)
+ *
+ * @param {Object} draft - Import draft (sessionModels.analyzeDroppedFiles)
+ * @param {Function} onConfirm - Called with the review ({name, urdfs: [{path, side, enabled, channels}]},
+ *   side null = both hands)
+ * @param {Function} onCancel - Called when the import is dismissed
+ */
+const URDFImportDialog = memo(({ draft, onConfirm, onCancel }) => {
+  const [name, setName] = useState(draft.name)
+  const [urdfs, setUrdfs] = useState(() => draft.urdfs.map(createURDFReview))
+  const [activeIndex, setActiveIndex] = useState(0)
+
+  useEffect(() => {
+    setName(draft.name)
+    setUrdfs(draft.urdfs.map(createURDFReview))
+    setActiveIndex(0)
+  }, [draft])
+
+  const updateURDF = (index, changes) => {
+    setUrdfs(prev => prev.map((urdf, i) => (i === index ? { ...urdf, ...changes } : urdf)))
+  }
+
+  const active = urdfs[activeIndex]
+  const activeAnalysis = draft.urdfs[activeIndex]
+  const mappedJoints = new Set(active ? Object.values(active.channels) : [])
+  const unmappedJoints = activeAnalysis ? activeAnalysis.joints.filter(joint => !mappedJoints.has(joint)) : []
+  // Confidence of the channels still holding the proposed joint
+  const getChannelConfidence = (channel) => (
+    active.channels[channel] && active.channels[channel] === activeAnalysis.channels[channel]
+      ? activeAnalysis.confidence?.[channel] ?? null
+      : null
+  )
+  const uncertainChannels = active
+    ? HUMAN_CHANNELS.filter(channel => (getChannelConfidence(channel) ?? 1) < 0.5).length
+    : 0
+  const enabled = urdfs.filter(urdf => urdf.enabled)
+  const sides = enabled.map(urdf => urdf.side)
+  const sideConflict = enabled.length > 1 && (sides.includes('both') || new Set(sides).size < sides.length)
+  const canConfirm = enabled.length > 0 && !sideConflict && name.trim() !== ''
+
+  const handleConfirm = () => {
+    onConfirm({
+      name: name.trim(),
+      urdfs: urdfs.map(urdf => ({ ...urdf, side: urdf.side === 'both' ? null : urdf.side }))
+    })
+  }
+
+  return (
+    <div
+      onClick={(e) => {
+        if (e.target === e.currentTarget) onCancel()
+      }}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.7)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1100,
+        backdropFilter: 'blur(4px)'
+      }}
+    >
+      <div
+        style={{
+          backgroundColor: 'rgba(20, 20, 30, 0.95)',
+          borderRadius: '12px',
+          padding: '24px',
+          maxWidth: '760px',
+          width: '95%',
+          maxHeight: '85vh',
+          overflowY: 'auto',
+          border: '2px solid rgba(255, 255, 255, 0.2)',
+          boxShadow: '0 8px 32px rgba(0, 0, 0, 0.5)',
+          color: 'white'
+        }}
+      >
+        {/* Header */}
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '16px',
+          paddingBottom: '12px',
+          borderBottom: '1px solid rgba(255, 255, 255, 0.2)'
+        }}>
+          <h2 style={{ fontSize: '18px', fontWeight: 'bold', margin: 0 }}>
+            Import URDF
+          </h2>
+          <span style={{ fontSize: '11px', color: 'rgba(255, 255, 255, 0.5)' }}>
+            {draft.files.length} files · available until the page is reloaded
+          </span>
+        </div>
+
+        {draft.errors.length > 0 && (
+          <div style={{ marginBottom: '12px', fontSize: '11px', color: 'rgba(255, 120, 120, 1)' }}>
+            {draft.errors.map(message => <div key={message}>⚠ {message}</div>)}
+          </div>
+        )}
+
+        {urdfs.length > 0 && (
+          <>
+            {/* Model name */}
+            <label style={{ display: 'block', fontSize: '12px', marginBottom: '12px' }}>
+              Name
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                style={{ ...inputStyle, width: '100%', marginTop: '4px', fontSize: '12px' }}
+              />
+            </label>
+
+            {/* URDF files */}
+            <div style={{ marginBottom: '12px' }}>
+              {urdfs.map((urdf, index) => {
+                const analysis = draft.urdfs[index]
+                const meshTotal = analysis.meshes.found + analysis.meshes.missing.length
+                return (
+                  <div
+                    key={urdf.path}
+                    style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '8px',
+                      padding: '6px 8px',
+                      marginBottom: '4px',
+                      borderRadius: '6px',
+                      backgroundColor: index === activeIndex ? 'rgba(100, 150, 255, 0.2)' : 'rgba(255, 255, 255, 0.05)',
+                      border: index === activeIndex ? '1px solid rgba(100, 150, 255, 0.8)' : '1px solid rgba(255, 255, 255, 0.15)',
+                      cursor: 'pointer'
+                    }}
+                    onClick={() => setActiveIndex(index)}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={urdf.enabled}
+                      onClick={(e) => e.stopPropagation()}
+                      onChange={(e) => updateURDF(index, { enabled: e.target.checked })}
+                    />
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                      <div style={{ fontSize: '12px', fontFamily: 'monospace', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        {urdf.path}
+                      </div>
+                      <div style={{ fontSize: '10px', color: 'rgba(255, 255, 255, 0.6)' }}>
+                        {analysis.robotName} · {analysis.joints.length} joints ·{' '}
+                        <span
+                          style={{ color: analysis.meshes.missing.length > 0 ? 'rgba(255, 180, 80, 1)' : 'inherit' }}
+                          title={analysis.meshes.missing.join('\n')}
+                        >
+                          {analysis.meshes.found}/{meshTotal} meshes found
+                        </span>
+                      </div>
+                    </div>
+                    <select
+                      value={urdf.side}
+                      onClick={(e) => e.stopPropagation()}
+                      onChange={(e) => updateURDF(index, { side: e.target.value })}
+                      style={inputStyle}
+                    >
+                      {SIDE_OPTIONS.map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                )
+              })}
+              {sideConflict && (
+                <div style={{ fontSize: '11px', color: 'rgba(255, 180, 80, 1)' }}>
+                  Each side can only take one URDF
+                </div>
+              )}
+            </div>
+
+            {/* Joint mapping of the selected URDF */}
+            {active && (
+              <div>
+                <div style={{ fontSize: '12px', fontWeight: '600', marginBottom: '6px' }}>
+                  Joint mapping (auto-generated, please review)
+                  {uncertainChannels > 0 && (
+                    <span style={{ marginLeft: '8px', fontWeight: 'normal', fontSize: '11px', color: getConfidenceColor(0) }}>
+                      {uncertainChannels} uncertain
+                    </span>
+                  )}
+                </div>
+                <div style={{
+                  display: 'grid',
+                  gridTemplateColumns: 'repeat(3, 1fr)',
+                  gap: '4px 12px'
+                }}>
+                  {HUMAN_CHANNELS.map(channel => {
+                    const confidence = getChannelConfidence(channel)
+                    return (
+                      <label
+                        key={channel}
+                        style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '10px', fontFamily: 'monospace' }}
+                      >
+                        <span style={{ width: '80px', flexShrink: 0, color: active.channels[channel] ? 'white' : 'rgba(255, 255, 255, 0.4)' }}>
+                          {channel}
+                        </span>
+                        <select
+                          value={active.channels[channel] || ''}
+                          onChange={(e) => updateURDF(activeIndex, {
+                            channels: { ...active.channels, [channel]: e.target.value || null }
+                          })}
+                          style={{ ...inputStyle, flex: 1, minWidth: 0, fontSize: '10px' }}
+                        >
+                          <option value="">—</option>
+                          {activeAnalysis.joints.map(joint => (
+                            <option key={joint} value={joint}>{joint}</option>
+                          ))}
+                        </select>
+                        <span
+                          style={{ width: '28px', flexShrink: 0, textAlign: 'right', color: confidence === null ? 'transparent' : getConfidenceColor(confidence) }}
+                          title="Confidence of the proposed joint"
+                        >
+                          {confidence === null ? '' : `${Math.round(confidence * 100)}%`}
+                        </span>
+                      </label>
+                    )
+                  })}
+                </div>
+                {unmappedJoints.length > 0 && (
+                  <div style={{ marginTop: '8px', fontSize: '10px', color: 'rgba(255, 255, 255, 0.6)' }}>
+                    Not mapped: <span style={{ fontFamily: 'monospace' }}>{unmappedJoints.join(', ')}</span>
+                  </div>
+                )}
+              </div>
+            )}
+          </>
+        )}
+
+        {/* Footer */}
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '16px' }}>
+          <button onClick={onCancel} style={buttonStyle()}>
+            Cancel
+          </button>
+          <button onClick={handleConfirm} disabled={!canConfirm} style={buttonStyle(true, !canConfirm)}>
+            Add model
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+})
+
+URDFImportDialog.displayName = 'URDFImportDialog'
+
+export default URDFImportDialog
@@ -0,0 +1,187 @@
+import React, { useState, memo } from 'react'
+import { Button } from './ui/button'
+import { estimateIntrinsics } from '../utils/wristPose'
+
+const RAD_TO_DEG = 180 / Math.PI
+
+// Intrinsics prefilled when switching to manual entry (the 640x480 overlay size)
+const DEFAULT_IMAGE_WIDTH = 640
+const DEFAULT_IMAGE_HEIGHT = 480
+
+const INTRINSIC_FIELDS = ['fx', 'fy', 'cx', 'cy']
+
+const INPUT_CLASS = 'w-full h-6 px-1 rounded bg-panel-muted/30 border border-panel-border text-[10px] text-panel-foreground font-mono'
+
+/**
+ * Rotation angle of a quaternion (degrees)
+ * @param {Object} quaternion - {x, y, z, w}
+ * @returns {number}
+ */
+function getAngle({ w }) {
+  return 2 * Math.acos(Math.min(1, Math.abs(w))) * RAD_TO_DEG
+}
+
+/**
+ * WristPoseSection Component
+ * Configures the metric wrist pose estimation (camera intrinsics, palm size, palm size
+ * calibration at a known distance) and shows the live pose of each tracked hand
+ *
+ * @param {Object} config - Wrist pose config (DEFAULT_WRIST_POSE_CONFIG shape)
+ * @param {Function} onConfigChange - Called with the changed config fields
+ * @param {Object} wristPoses - {left, right} metric wrist poses, keyed by tracked hand
+ * @param {Function} onCalibratePalmSize - Called with the camera → wrist distance (m); returns false if no hand is tracked
+ */
+const WristPoseSection = ({ config, onConfigChange, wristPoses, onCalibratePalmSize }) => {
+  const [distance, setDistance] = useState(50)
+  const [calibrationError, setCalibrationError] = useState(null)
+
+  const handleNumber = (text, apply) => {
+    const value = parseFloat(text)
+    if (Number.isFinite(value) && value > 0) apply(value)
+  }
+
+  const handleManualIntrinsicsChange = (isManual) => {
+    onConfigChange({
+      intrinsics: isManual
+        ? estimateIntrinsics(DEFAULT_IMAGE_WIDTH, DEFAULT_IMAGE_HEIGHT, config.horizontalFov)
+        : null
+    })
+  }
+
+  const handleCalibrate = () => {
+    const calibrated = onCalibratePalmSize(distance / 100)
+    setCalibrationError(calibrated ? null : 'No hand tracked')
+  }
+
+  return (
+    <div className="p-2 bg-primary/10 border border-primary/30 rounded">
+      <div className="flex items-center justify-between mb-1.5">
+        <span className="text-[11px] font-medium text-panel-foreground">Wrist Pose</span>
+        <Button
+          variant={config.metricPosition ? 'default' : 'outline'}
+          size="sm"
+          onClick={() => onConfigChange({ metricPosition: !config.metricPosition })}
+          className="text-[10px] h-6 px-2"
+          title="Drive the hand position from the metric wrist pose instead of the normalized image position"
+        >
+          Metric position
+        </Button>
+      </div>
+
+      {/* Camera intrinsics: estimated from the field of view, or entered in pixels */}
+      <div className="flex items-center justify-between mb-1">
+        <span className="text-[10px] text-panel-muted-foreground">Intrinsics</span>
+        <div className="flex gap-1">
+          <Button
+            variant={config.intrinsics ? 'outline' : 'default'}
+            size="sm"
+            onClick={() => handleManualIntrinsicsChange(false)}
+            className="text-[10px] h-6 px-2"
+          >
+            FOV
+          </Button>
+          <Button
+            variant={config.intrinsics ? 'default' : 'outline'}
+            size="sm"
+            onClick={() => handleManualIntrinsicsChange(true)}
+            className="text-[10px] h-6 px-2"
+          >
+            Manual
+          </Button>
+        </div>
+      </div>
+      {config.intrinsics ? (
+        <div className="grid grid-cols-4 gap-1">
+          {INTRINSIC_FIELDS.map(field => (
+            <label key={field} className="text-[10px] text-panel-muted-foreground">
+              {field}
+              <input
+                type="number"
+                step={1}
+                value={+config.intrinsics[field].toFixed(1)}
+                onChange={(e) => handleNumber(e.target.value, value =>
+                  onConfigChange({ intrinsics: { ...config.intrinsics, [field]: value } })
+                )}
+                className={INPUT_CLASS}
+              />
+            </label>
+          ))}
+        </div>
+      ) : (
+        <label className="flex items-center gap-1 text-[10px] text-panel-muted-foreground">
+          <span className="w-20">Horizontal FOV°</span>
+          <input
+            type="number"
+            step={1}
+            value={config.horizontalFov}
+            onChange={(e) => handleNumber(e.target.value, value => onConfigChange({ horizontalFov: value }))}
+            className={INPUT_CLASS}
+          />
+        </label>
+      )}
+
+      {/* Palm size and home depth */}
+      <div className="grid grid-cols-2 gap-1 mt-1.5">
+        <label className="text-[10px] text-panel-muted-foreground">
+          Palm (mm)
+          <input
+            type="number"
+            step={1}
+            value={+(config.palmSize * 1000).toFixed(1)}
+            onChange={(e) => handleNumber(e.target.value, value => onConfigChange({ palmSize: value / 1000 }))}
+            className={INPUT_CLASS}
+            title="Wrist to middle finger knuckle"
+          />
+        </label>
+        <label className="text-[10px] text-panel-muted-foreground">
+          Home depth (cm)
+          <input
+            type="number"
+            step={5}
+            value={+(config.referenceDepth * 100).toFixed(1)}
+            onChange={(e) => handleNumber(e.target.value, value => onConfigChange({ referenceDepth: value / 100 }))}
+            className={INPUT_CLASS}
+            title="Camera distance that maps to the model's home position"
+          />
+        </label>
+      </div>
+
+      {/* Palm size calibration: hold the wrist at a measured distance from the camera */}
+      <div className="flex items-center gap-1 mt-1.5">
+        <input
+          type="number"
+          step={5}
+          value={distance}
+          onChange={(e) => handleNumber(e.target.value, setDistance)}
+          className={INPUT_CLASS}
+          title="Measured camera to wrist distance (cm)"
+        />
+        <span className="text-[10px] text-panel-muted-foreground">cm</span>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={handleCalibrate}
+          className="text-[10px] h-6 px-2 shrink-0"
+        >
+          Calibrate palm
+        </Button>
+      </div>
+      {calibrationError && (
+        <div className="mt-1 text-[10px] text-red-400 leading-tight">{calibrationError}</div>
+      )}
+
+      {/* Live camera-frame pose per tracked hand */}
+      <div className="text-[10px] text-panel-muted-foreground leading-tight font-mono mt-1.5">
+        {['left', 'right'].map(hand => {
+          const pose = wristPoses?.[hand]
+          const text = pose
+            ? `${(pose.position.x * 100).toFixed(1)}, ${(pose.position.y * 100).toFixed(1)}, ${(pose.position.z * 100).toFixed(1)}cm · ${getAngle(pose.quaternion).toFixed(0)}° · ${pose.reprojectionError.toFixed(1)}px${pose.source === 'image' ? ' (2D)' : ''}`
+            : '—'
+          return <div key={hand}>{hand}: {text}</div>
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default memo(WristPoseSection)
@@ -2,63 +2,99 @@
  * IKController.js
  *
  * React component that manages IK state and processes camera landmarks
- * through the CCDIKSolver to generate joint rotations
+ * through the selected IK solver (CCD, DLS or FABRIK) to generate joint rotations
  *
- * Updated to use TypeScript skeleton-builder + CCDIKSolver
+ * Each loaded URDF model gets its own ModelIKSpec, generated from the robot
+ * (one chain per finger), so the solver output uses the model's real joint names
  */
 
 import { useEffect, useRef } from 'react'
+import * as THREE from 'three'
 import { buildSkeletonFromSpec } from './builders/skeleton-builder.ts'
-import { linkerhand_l10_left_thumb } from './specs/linkerhand_l10_left.ts'
+import { buildIKSpecFromURDF } from './builders/spec-from-urdf.ts'
+import { buildRobotPalmFrame, mapHumanFingertips } from '../utils/fingertipRetargeting'
+import { getDrivingSides } from '../utils/handMapping'
+
+const OPPOSITE_SIDE = { left: 'right', right: 'left' }
+
+// Default hand mapping (module constant so the solve effect doesn't rerun every render)
+const DEFAULT_DRIVING_SIDES = getDrivingSides()
 
 /**
  * IKController Component
  * Handles IK mode logic - processes camera landmarks and outputs joint rotations
+ * Each model is solved from the landmarks of the tracked hand driving it (utils/handMapping.js)
  *
- * @param {Object} cameraLandmarks - Raw landmarks from HandTrackingCamera
+ * @param {Object} robotRefs - {left, right} refs to the loaded URDF robots (stable object)
+ * @param {Object} modelConfigs - {left, right} loaded model configs ({retargeting, jointLimits})
+ * @param {Object} cameraLandmarks - {left, right} landmarks of the driving hand, keyed by model side
+ * @param {Object} trackedJointRotations - {left, right} rotations of the driving hand, keyed by model
+ *   side (wrist orientation is kept)
+ * @param {Object} drivingSides - Tracked hand driving each model side (getDrivingSides)
  * @param {Function} onIKJointRotations - Callback to send computed joint rotations
  * @param {Function} onIKDebugData - Callback to send debug visualization data
- * @param {Object} ikOptions - IK solver options (iterations, threshold, etc.)
+ * @param {Object} ikOptions - IK solver options (solver, maxIterations, convergenceThreshold, damping, aspectRatio)
  */
 export default function IKController({
+  robotRefs,
+  modelConfigs,
   cameraLandmarks = { left: null, right: null },
+  trackedJointRotations = { left: null, right: null },
+  drivingSides = DEFAULT_DRIVING_SIDES,
   onIKJointRotations,
   onIKDebugData,
   ikOptions = {}
 }) {
-  // IK skeleton instances (built once)
-  const leftSkeletonRef = useRef(null)
-  const rightSkeletonRef = useRef(null)
+  // IK skeleton instances per model side (rebuilt when a model loads)
+  const skeletonsRef = useRef({ left: null, right: null })
 
-  // Initialize skeletons
+  // Tracked rotations only provide the wrist orientation - don't solve again when they change
+  const trackedJointRotationsRef = useRef(trackedJointRotations)
   useEffect(() => {
-    try {
-      // Build left hand skeleton
-      const leftSkeleton = buildSkeletonFromSpec(linkerhand_l10_left_thumb)
-      const leftTarget = leftSkeleton.targets.get('thumb_target')
-      if (leftTarget) {
-        leftTarget.position.set(0.03, 0.02, 0.12) // Default position
-      }
-      leftSkeletonRef.current = leftSkeleton
+    trackedJointRotationsRef.current = trackedJointRotations
+  }, [trackedJointRotations])
+
+  const {
+    solver = 'dls',
+    maxIterations = 10,
+    convergenceThreshold = 0.001,
+    damping = 0.01,
+    aspectRatio = 4 / 3
+  } = ikOptions
+
+  // Initialize skeletons from the loaded robots
+  useEffect(() => {
+    const skeletons = {}
+    Object.keys(OPPOSITE_SIDE).forEach(side => {
+      skeletons[side] = null
+      const robot = robotRefs[side]?.current
+      const config = modelConfigs[side]
+      if (!robot || !config?.jointConfig) return
 
-      // Build right hand skeleton (mirror of left)
-      const rightSkeleton = buildSkeletonFromSpec(linkerhand_l10_left_thumb)
-      const rightTarget = rightSkeleton.targets.get('thumb_target')
-      if (rightTarget) {
-        rightTarget.position.set(-0.03, 0.02, 0.12) // Mirrored position
+      try {
+        const spec = buildIKSpecFromURDF(robot, {
+          modelName: config.modelPath,
+          side: config.retargeting?.side ?? null,
+          fingertips: config.retargeting?.fingertips || {},
+          jointLimits: config.jointLimits || {}
+        })
+        if (!spec || spec.ikChains.length === 0) {
+          console.warn(`⚠️ IK: no finger chains found for ${config.modelPath} (${side})`)
+          return
+        }
+
+        // Solvers are created on first use and keep their skeleton's pose as warm start
+        skeletons[side] = { spec, skeleton: buildSkeletonFromSpec(spec), solvers: {} }
+        console.log(`✅ IK skeleton initialized for ${config.modelPath} (${side}): ${spec.ikChains.map(chain => chain.finger).join(', ')}`)
+      } catch (error) {
+        console.error(`❌ Failed to initialize IK skeleton (${side}):`, error)
       }
-      rightSkeletonRef.current = rightSkeleton
-
-      console.log('✅ IK skeletons initialized')
-    } catch (error) {
-      console.error('❌ Failed to initialize IK skeletons:', error)
-    }
-  }, [])
+    })
+    skeletonsRef.current = skeletons
+  }, [robotRefs, modelConfigs])
 
   // Process camera landmarks through IK solver
   useEffect(() => {
-    if (!leftSkeletonRef.current || !rightSkeletonRef.current) return
-
     const ikJointRotations = {
       left: {},
       right: {}
@@ -69,35 +105,32 @@ export default function IKController({
       right: null
     }
 
-    // Solve IK for left hand
-    if (cameraLandmarks.left) {
-      try {
-        const result = solveHandIK(
-          leftSkeletonRef.current,
-          cameraLandmarks.left,
-          'left'
-        )
-        ikJointRotations.left = result.angles || {}
-        ikDebugData.left = result.debugData || null
-      } catch (error) {
-        console.error('Left hand IK error:', error)
-      }
-    }
+    Object.entries(skeletonsRef.current).forEach(([side, ik]) => {
+      if (!ik || !cameraLandmarks[side]) return
+
+      // Unmirrored camera images show the tracked hand with the opposite chirality of its label
+      const humanChirality = OPPOSITE_SIDE[drivingSides[side]]
+      const mirror = ik.spec.side !== null && humanChirality !== ik.spec.side
 
-    // Solve IK for right hand
-    if (cameraLandmarks.right) {
       try {
-        const result = solveHandIK(
-          rightSkeletonRef.current,
-          cameraLandmarks.right,
-          'right'
-        )
-        ikJointRotations.right = result.angles || {}
-        ikDebugData.right = result.debugData || null
+        const result = solveHandIK(ik, cameraLandmarks[side], {
+          solver,
+          maxIterations,
+          convergenceThreshold,
+          damping,
+          aspectRatio,
+          mirror
+        })
+        ikJointRotations[side] = {
+          wristOrientation: trackedJointRotationsRef.current[side]?.wristOrientation,
+          joints: {},
+          urdfJoints: result.angles
+        }
+        ikDebugData[side] = result.debugData
       } catch (error) {
-        console.error('Right hand IK error:', error)
+        console.error(`${side === 'left' ? 'Left' : 'Right'} hand IK error:`, error)
       }
-    }
+    })
 
     // Send computed joint rotations to parent
     if (onIKJointRotations) {
@@ -108,77 +141,75 @@ export default function IKController({
     if (onIKDebugData) {
       onIKDebugData(ikDebugData)
     }
-  }, [cameraLandmarks, onIKJointRotations, onIKDebugData])
+  }, [cameraLandmarks, drivingSides, solver, maxIterations, convergenceThreshold, damping, aspectRatio, onIKJointRotations, onIKDebugData])
 
   // IKController doesn't render anything visible
   return null
 }
 
 /**
- * Solve IK for hand landmarks using CCDIKSolver
- * @param {Object} skeleton - Skeleton build result
+ * Solve IK for hand landmarks with the selected solver
+ *
+ * @param {Object} ik - {spec, skeleton, solvers} for one model
  * @param {Array} landmarks - MediaPipe 21 landmarks
- * @param {String} handedness - 'left' or 'right'
+ * @param {Object} options - {solver, maxIterations, convergenceThreshold (m), damping, aspectRatio, mirror}
  * @returns {Object} { angles: {...}, debugData: {...} }
  */
-function solveHandIK(skeleton, landmarks, handedness) {
+function solveHandIK(ik, landmarks, { solver, maxIterations, convergenceThreshold, damping, aspectRatio, mirror }) {
   if (!landmarks || landmarks.length !== 21) {
     return { angles: {}, debugData: {} }
   }
 
-  // MediaPipe thumb landmarks: 0 (wrist), 1 (CMC), 2 (MCP), 3 (IP), 4 (tip)
-  const thumbTip = landmarks[4]
+  const { spec, skeleton } = ik
+  skeleton.skinned.updateMatrixWorld(true)
+
+  // Robot palm frame from each chain's base (the joint nearest the palm)
+  const fingers = spec.ikChains.map(chain => chain.finger)
+  const bases = {}
+  spec.ikChains.forEach(chain => {
+    const baseBone = skeleton.bones.get(chain.links[chain.links.length - 1])
+    bases[chain.finger] = baseBone.getWorldPosition(new THREE.Vector3())
+  })
 
-  // Update target position to thumb tip
-  const target = skeleton.targets.get('thumb_target')
-  if (target && thumbTip) {
-    target.position.set(thumbTip.x, thumbTip.y, thumbTip.z)
+  const robotFrame = buildRobotPalmFrame(bases, fingers)
+  if (!robotFrame) {
+    return { angles: skeleton.extractJointAngles(), debugData: { rawLandmarks: landmarks } }
   }
 
+  // Place each finger's target at the mapped human fingertip
+  const targetPositions = mapHumanFingertips(landmarks, robotFrame, fingers, { aspectRatio, mirror })
+  spec.ikChains.forEach(chain => {
+    const target = skeleton.targets.get(chain.target)
+    target.position.copy(targetPositions[chain.finger])
+    target.updateMatrixWorld(true)
+  })
+
   // Solve IK
-  skeleton.solver.update()
-  skeleton.applyAxisConstraints()
-  skeleton.applyMimicConstraints()
+  if (!ik.solvers[solver]) {
+    ik.solvers[solver] = skeleton.createSolver(solver)
+  }
+  const { error, errors, iterations, converged } = ik.solvers[solver].solve({
+    maxIterations,
+    tolerance: convergenceThreshold,
+    damping
+  })
 
-  // Extract joint angles from bones
-  const angles = extractJointAngles(skeleton)
+  // Extract joint angles from bones (URDF joint names)
+  const angles = skeleton.extractJointAngles()
 
   // Debug data
   const debugData = {
     rawLandmarks: landmarks,
-    targetPosition: target ? target.position.toArray() : null,
-    jointAngles: angles
+    targetPositions: Object.fromEntries(
+      Object.entries(targetPositions).map(([finger, position]) => [finger, position.toArray()])
+    ),
+    jointAngles: angles,
+    solver,
+    error,
+    errors,
+    iterations,
+    converged
   }
 
   return { angles, debugData }
 }
-
-/**
- * Extract joint angles from skeleton bones
- * Returns angles in URDF format for use with hand models
- */
-function extractJointAngles(skeleton) {
-  const angles = {}
-
-  // Extract rotation for each joint
-  // For now, just extract Y-axis rotation (common for finger joints)
-  const jointNames = [
-    'thumb_cmc_roll',
-    'thumb_cmc_yaw',
-    'thumb_cmc_pitch',
-    'thumb_mcp',
-    'thumb_ip'
-  ]
-
-  for (const jointName of jointNames) {
-    // Find the child bone for this joint
-    const bone = skeleton.bones.get(jointName.replace('_', '_metacarpals_'))
-    if (bone) {
-      // Simple extraction: use Y-axis rotation
-      // For more complex joints, convert quaternion to axis-angle
-      angles[jointName] = bone.rotation.y
-    }
-  }
-
-  return angles
-}
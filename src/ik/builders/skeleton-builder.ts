@@ -3,11 +3,17 @@
  *
  * Builds Three.js Skeleton + CCDIKSolver from ModelIKSpec
  * Handles per-axis constraints using swing-twist decomposition
+ *
+ * Solvers share one interface (createSolver): Three.js CCD with constraints applied
+ * after every pass, damped least squares and FABRIK (see ../solvers)
  */
 
 import * as THREE from "three";
 import { CCDIKSolver } from "three/examples/jsm/animation/CCDIKSolver.js";
-import type { ModelIKSpec } from "../types/ik-spec";
+import type { JointSpec, ModelIKSpec } from "../types/ik-spec";
+import { createDLSSolver } from "../solvers/dls-solver";
+import { createFABRIKSolver } from "../solvers/fabrik-solver";
+import { measureChainErrors } from "../solvers/chain-utils";
 
 // Type definitions for CCDIKSolver (not exported by Three.js)
 interface IKChain {
@@ -26,10 +32,11 @@ interface IK {
 }
 
 /**
- * Helper to set RPY (Roll-Pitch-Yaw) rotation in XYZ order
+ * Helper to set RPY (Roll-Pitch-Yaw) rotation in URDF order
+ * (fixed-axis roll, pitch, yaw = intrinsic ZYX, as applied by urdf-loader)
  */
 function setRPY(obj: THREE.Object3D, rpy: [number, number, number]) {
-  obj.rotation.set(rpy[0], rpy[1], rpy[2], "XYZ");
+  obj.rotation.set(rpy[0], rpy[1], rpy[2], "ZYX");
 }
 
 /**
@@ -47,6 +54,60 @@ function twistAroundAxis(q: THREE.Quaternion, axis: THREE.Vector3): THREE.Quater
   return twist;
 }
 
+/** Available IK solvers */
+export type IKSolverType = "ccd" | "dls" | "fabrik";
+
+export const IK_SOLVER_TYPES: IKSolverType[] = ["ccd", "dls", "fabrik"];
+
+/**
+ * Options for one solve
+ * @property maxIterations - Maximum solver iterations
+ * @property tolerance - Stop when every effector is this close to its target (meters)
+ * @property damping - DLS damping factor λ (the system is JᵀJ + λ²I)
+ */
+export interface IKSolveOptions {
+  maxIterations?: number;
+  tolerance?: number;
+  damping?: number;
+}
+
+/**
+ * Result of one solve
+ * @property error - Largest effector-to-target distance (meters)
+ * @property errors - Effector-to-target distance per chain
+ * @property iterations - Iterations run
+ * @property converged - Whether the error fell below the tolerance
+ */
+export interface IKSolveResult {
+  error: number;
+  errors: Record<string, number>;
+  iterations: number;
+  converged: boolean;
+}
+
+/**
+ * Common IK solver interface
+ * solve() moves the skeleton towards the current target bone positions,
+ * honoring joint limits and mimic couplings
+ */
+export interface IKSolver {
+  type: IKSolverType;
+  solve: (options?: IKSolveOptions) => IKSolveResult;
+}
+
+/**
+ * Skeleton state shared with the solvers
+ */
+export interface IKSolverContext {
+  spec: ModelIKSpec;
+  root: THREE.Bone;
+  bones: Map<string, THREE.Bone>;
+  targets: Map<string, THREE.Bone>;
+  getJointAngle: (jointName: string) => number | null;
+  setJointAngle: (jointName: string, angle: number) => void;
+  applyMimicConstraints: () => void;
+}
+
 /**
  * Result of building skeleton from spec
  */
@@ -74,6 +135,18 @@ export interface SkeletonBuildResult {
 
   /** Apply per-axis angle limits (call after solver.update()) */
   applyAxisConstraints: () => void;
+
+  /** Angle of a joint around its URDF axis, relative to its origin (radians) */
+  getJointAngle: (jointName: string) => number | null;
+
+  /** Set a joint's angle around its URDF axis */
+  setJointAngle: (jointName: string, angle: number) => void;
+
+  /** Angles of all revolute/continuous joints, keyed by URDF joint name */
+  extractJointAngles: () => Record<string, number>;
+
+  /** Create a solver for this skeleton */
+  createSolver: (type: IKSolverType) => IKSolver;
 }
 
 /**
@@ -110,8 +183,11 @@ export function buildSkeletonFromSpec(spec: ModelIKSpec): SkeletonBuildResult {
     setRPY(child, joint.origin.rpy);
   }
 
-  // 3) Find root bone (typically hand_base_link or first link)
-  const root = bones.get("hand_base_link") ?? bones.get(spec.links[0].name);
+  // 3) Find root bone (spec root, hand_base_link or first link)
+  const root =
+    (spec.root ? bones.get(spec.root) : undefined) ??
+    bones.get("hand_base_link") ??
+    bones.get(spec.links[0].name);
   if (!root) {
     throw new Error("No root bone found");
   }
@@ -181,6 +257,52 @@ export function buildSkeletonFromSpec(spec: ModelIKSpec): SkeletonBuildResult {
   // Build joint lookup maps for constraint application
   const jointByName = new Map(spec.joints.map((j) => [j.name, j]));
 
+  // Rest orientation of each child bone (joint origin) - joint angles are measured from it
+  const originQuaternions = new Map<string, THREE.Quaternion>();
+  for (const joint of spec.joints) {
+    const bone = bones.get(joint.child);
+    if (bone) originQuaternions.set(joint.name, bone.quaternion.clone());
+  }
+
+  const isRotational = (joint: JointSpec) =>
+    joint.type === undefined || joint.type === "revolute" || joint.type === "continuous";
+
+  /**
+   * Angle of a joint around its axis (swing-twist decomposition of the
+   * bone rotation relative to the joint origin)
+   */
+  function getJointAngle(jointName: string): number | null {
+    const joint = jointByName.get(jointName);
+    const bone = joint ? bones.get(joint.child) : undefined;
+    const origin = originQuaternions.get(jointName);
+    if (!joint || !bone || !origin || !isRotational(joint)) return null;
+
+    const axis = new THREE.Vector3(...joint.axis).normalize();
+    const relative = origin.clone().invert().multiply(bone.quaternion);
+    const twist = twistAroundAxis(relative, axis);
+
+    const angle = 2 * Math.acos(THREE.MathUtils.clamp(twist.w, -1, 1));
+    const twistVec = new THREE.Vector3(twist.x, twist.y, twist.z);
+    const signedAngle = twistVec.dot(axis) >= 0 ? angle : -angle;
+
+    // Keep the angle in (-π, π]
+    return signedAngle > Math.PI ? signedAngle - 2 * Math.PI : signedAngle;
+  }
+
+  /**
+   * Set a joint to a pure rotation around its axis (drops any swing)
+   */
+  function setJointAngle(jointName: string, angle: number) {
+    const joint = jointByName.get(jointName);
+    const bone = joint ? bones.get(joint.child) : undefined;
+    const origin = originQuaternions.get(jointName);
+    if (!joint || !bone || !origin || !isRotational(joint)) return;
+
+    const axis = new THREE.Vector3(...joint.axis).normalize();
+    bone.quaternion.copy(origin).multiply(new THREE.Quaternion().setFromAxisAngle(axis, angle));
+    bone.updateMatrixWorld(true);
+  }
+
   /**
    * Apply mimic constraints
    * For joints with mimic spec, sync their angle to master joint
@@ -190,82 +312,98 @@ export function buildSkeletonFromSpec(spec: ModelIKSpec): SkeletonBuildResult {
     for (const joint of spec.joints) {
       if (!joint.mimic) continue;
 
-      const slaveBone = bones.get(joint.child);
-      const masterJoint = jointByName.get(joint.mimic.joint);
-
-      if (!slaveBone || !masterJoint) {
+      const masterAngle = getJointAngle(joint.mimic.joint);
+      if (masterAngle === null) {
         console.warn(`Mimic: missing bone or master joint for ${joint.name}`);
         continue;
       }
 
-      const masterBone = bones.get(masterJoint.child);
-      if (!masterBone) continue;
-
-      // Simple case: assume axis is Y (common for fingers)
-      // For more complex axes, use swing-twist decomposition
-      if (
-        joint.axis[0] === 0 &&
-        joint.axis[1] === 1 &&
-        joint.axis[2] === 0 &&
-        masterJoint.axis[0] === 0 &&
-        masterJoint.axis[1] === 1 &&
-        masterJoint.axis[2] === 0
-      ) {
-        // Both joints rotate around Y axis
-        const masterAngle = masterBone.rotation.y;
-        let slaveAngle = joint.mimic.multiplier * masterAngle + joint.mimic.offset;
-
-        // Apply limits
-        if (joint.limit) {
-          slaveAngle = THREE.MathUtils.clamp(slaveAngle, joint.limit.lower, joint.limit.upper);
-        }
+      let slaveAngle = joint.mimic.multiplier * masterAngle + joint.mimic.offset;
 
-        slaveBone.rotation.y = slaveAngle;
-      } else {
-        // General case: use quaternion-based approach
-        // TODO: implement if needed for non-Y-axis joints
-        console.warn(`Mimic for non-Y-axis joints not yet implemented: ${joint.name}`);
+      // Apply limits
+      if (joint.limit) {
+        slaveAngle = THREE.MathUtils.clamp(slaveAngle, joint.limit.lower, joint.limit.upper);
       }
+
+      setJointAngle(joint.name, slaveAngle);
     }
   }
 
   /**
    * Apply per-axis angle constraints using swing-twist decomposition
-   * Clamps joint rotation to stay within specified limits
+   * Projects each joint's rotation onto its axis (the solver rotates bones freely)
+   * and clamps it to the joint limits
    * Call this AFTER solver.update() and BEFORE applyMimicConstraints()
    */
   function applyAxisConstraints() {
     for (const joint of spec.joints) {
-      if (!joint.limit) continue;
+      if (joint.mimic || !isRotational(joint)) continue;
 
-      const bone = bones.get(joint.child);
-      if (!bone) continue;
+      const angle = getJointAngle(joint.name);
+      if (angle === null) continue;
 
-      const axis = new THREE.Vector3(...joint.axis).normalize();
+      const clampedAngle = joint.limit
+        ? THREE.MathUtils.clamp(angle, joint.limit.lower, joint.limit.upper)
+        : angle;
+      setJointAngle(joint.name, clampedAngle);
+    }
+  }
 
-      // Use swing-twist to extract rotation around this specific axis
-      const twist = twistAroundAxis(bone.quaternion, axis);
+  /**
+   * Extract joint angles from bones, keyed by URDF joint name
+   */
+  function extractJointAngles(): Record<string, number> {
+    const angles: Record<string, number> = {};
+    for (const joint of spec.joints) {
+      const angle = getJointAngle(joint.name);
+      if (angle !== null) angles[joint.name] = angle;
+    }
+    return angles;
+  }
 
-      // Convert twist quaternion to angle
-      const angle = 2 * Math.acos(THREE.MathUtils.clamp(twist.w, -1, 1));
+  const context: IKSolverContext = {
+    spec,
+    root,
+    bones,
+    targets,
+    getJointAngle,
+    setJointAngle,
+    applyMimicConstraints,
+  };
 
-      // Determine sign based on axis direction
-      const twistVec = new THREE.Vector3(twist.x, twist.y, twist.z);
-      const signedAngle = twistVec.dot(axis) >= 0 ? angle : -angle;
+  /**
+   * CCD solver: one CCDIKSolver pass per iteration, then the joints are projected
+   * onto their axes and limits and the mimic joints follow their masters
+   */
+  function createCCDSolver(): IKSolver {
+    return {
+      type: "ccd",
+      solve({ maxIterations = 10, tolerance = 1e-3 } = {}) {
+        skinned.updateMatrixWorld(true);
+        let result = measureChainErrors(context);
+        let iterations = 0;
+
+        while (iterations < maxIterations && result.error > tolerance) {
+          solver.update();
+          applyAxisConstraints();
+          applyMimicConstraints();
+          iterations++;
+          result = measureChainErrors(context);
+        }
 
-      // Clamp to limits
-      const clampedAngle = THREE.MathUtils.clamp(
-        signedAngle,
-        joint.limit.lower,
-        joint.limit.upper
-      );
+        return { ...result, iterations, converged: result.error <= tolerance };
+      },
+    };
+  }
 
-      // If out of bounds, apply correction
-      const delta = clampedAngle - signedAngle;
-      if (Math.abs(delta) > 1e-4) {
-        const correction = new THREE.Quaternion().setFromAxisAngle(axis, delta);
-        bone.quaternion.multiply(correction);
-      }
+  function createSolver(type: IKSolverType): IKSolver {
+    switch (type) {
+      case "dls":
+        return createDLSSolver(context);
+      case "fabrik":
+        return createFABRIKSolver(context);
+      default:
+        return createCCDSolver();
     }
   }
 
@@ -278,5 +416,9 @@ export function buildSkeletonFromSpec(spec: ModelIKSpec): SkeletonBuildResult {
     targets,
     applyMimicConstraints,
     applyAxisConstraints,
+    getJointAngle,
+    setJointAngle,
+    extractJointAngles,
+    createSolver,
   };
 }
@@ -0,0 +1,195 @@
+/**
+ * spec-from-urdf.ts
+ *
+ * Generates a ModelIKSpec from a loaded URDF robot (urdf-loader)
+ * One IK chain per finger, from the palm link to a virtual effector at the fingertip
+ *
+ * - Fingertips are found like fingertip retargeting does: the retargeting config's
+ *   `fingertips`, or leaf links named after the fingers
+ * - Joints keep their URDF names, origins, axes, limits and mimic couplings
+ * - Mimic joints are not solver links; applyMimicConstraints drives them from their master
+ * - Prismatic joints are kept in the hierarchy but not solved (CCD only rotates bones)
+ */
+
+import * as THREE from "three";
+import {
+  FINGERS,
+  findFingertipLinks,
+  getAncestorJoints,
+  computeTipOffset,
+  findPalmLink,
+} from "../../utils/fingertipRetargeting";
+import type { IKChainSpec, JointSpec, LinkSpec, ModelIKSpec, Vec3 } from "../types/ik-spec";
+
+const SOLVED_JOINT_TYPES = ["revolute", "continuous"];
+
+/**
+ * Options for spec generation
+ * @property modelName - Spec name (defaults to the robot name)
+ * @property side - Hand side of the model
+ * @property fingertips - {finger: linkName} overrides from the retargeting config
+ * @property jointLimits - Effective joint limits (getJointLimits), override the URDF limits
+ * @property iteration - CCD iterations per chain per solver update
+ * @property maxAngle - Maximum angle change per CCD step (radians)
+ */
+export interface URDFSpecOptions {
+  modelName?: string;
+  side?: string | null;
+  fingertips?: Record<string, string>;
+  jointLimits?: Record<string, { lower: number; upper: number }>;
+  iteration?: number;
+  maxAngle?: number;
+}
+
+const toVec3 = (v: { x: number; y: number; z: number }): Vec3 => [v.x, v.y, v.z];
+
+/**
+ * Child link of a URDF joint
+ */
+function getChildLink(joint: any): any {
+  return joint.children.find((child: any) => child.isURDFLink);
+}
+
+/**
+ * Convert a URDF joint into a JointSpec (origin taken from the rest transform)
+ */
+function toJointSpec(joint: any, jointLimits: URDFSpecOptions["jointLimits"]): JointSpec | null {
+  const child = getChildLink(joint);
+  if (!joint.parent?.isURDFLink || !child) return null;
+
+  const position: THREE.Vector3 = joint.origPosition ?? joint.position;
+  const quaternion: THREE.Quaternion = joint.origQuaternion ?? joint.quaternion;
+  const rpy = new THREE.Euler().setFromQuaternion(quaternion, "ZYX");
+
+  const spec: JointSpec = {
+    name: joint.name,
+    parent: joint.parent.name,
+    child: child.name,
+    type: joint.jointType === "floating" || joint.jointType === "planar" ? "fixed" : joint.jointType,
+    origin: {
+      xyz: toVec3(position),
+      rpy: [rpy.x, rpy.y, rpy.z],
+    },
+    axis: toVec3(joint.axis ?? new THREE.Vector3(1, 0, 0)),
+  };
+
+  const limit = jointLimits?.[joint.name] ?? (joint.jointType === "revolute" ? joint.limit : null);
+  if (limit && Number.isFinite(limit.lower) && Number.isFinite(limit.upper)) {
+    spec.limit = { lower: limit.lower, upper: limit.upper };
+  }
+
+  if (joint.mimicJoint) {
+    spec.mimic = {
+      joint: joint.mimicJoint,
+      multiplier: joint.multiplier ?? 1,
+      offset: joint.offset ?? 0,
+    };
+  }
+
+  return spec;
+}
+
+/**
+ * Build a ModelIKSpec for every finger of a loaded URDF hand
+ *
+ * @param robot - Loaded URDF robot (urdf-loader)
+ * @param options - Spec generation options
+ * @returns Spec rooted at the palm link, or null if no fingertip was found
+ */
+export function buildIKSpecFromURDF(robot: any, options: URDFSpecOptions = {}): ModelIKSpec | null {
+  const {
+    modelName = robot.robotName || robot.name || "urdf_hand",
+    side = null,
+    fingertips = {},
+    jointLimits = {},
+    iteration = 1,
+    maxAngle = Math.PI / 18,
+  } = options;
+
+  robot.updateMatrixWorld(true);
+
+  const tips: Record<string, any> = findFingertipLinks(robot, fingertips);
+  const fingers = FINGERS.filter((finger) => tips[finger]);
+  if (fingers.length === 0) return null;
+
+  const palm: any = findPalmLink(robot, fingers.map((finger) => tips[finger]));
+  if (!palm.isURDFLink) return null;
+
+  const links: LinkSpec[] = [{ name: palm.name }];
+  const joints: JointSpec[] = [];
+  const ikChains: IKChainSpec[] = [];
+
+  // Fingers may share joints below the palm (e.g. a common metacarpal)
+  const addedJoints = new Set<string>();
+  const addJoint = (joint: any) => {
+    if (addedJoints.has(joint.name)) return;
+    const jointSpec = toJointSpec(joint, jointLimits);
+    if (!jointSpec) return;
+    addedJoints.add(joint.name);
+    joints.push(jointSpec);
+    links.push({ name: jointSpec.child });
+  };
+
+  fingers.forEach((finger) => {
+    const tip = tips[finger];
+
+    // All joints (including fixed ones) between the palm and the fingertip, palm first
+    const path: any[] = [];
+    let node = tip.parent;
+    while (node && node !== palm) {
+      if (node.isURDFJoint) path.unshift(node);
+      node = node.parent;
+    }
+    path.forEach(addJoint);
+
+    // Virtual effector at the fingertip (farthest mesh vertex of the tip link)
+    const effector = `${tip.name}_effector`;
+    links.push({ name: effector });
+    joints.push({
+      name: `${effector}_joint`,
+      parent: tip.name,
+      child: effector,
+      type: "fixed",
+      origin: { xyz: toVec3(computeTipOffset(tip)), rpy: [0, 0, 0] },
+      axis: [0, 0, 1],
+    });
+
+    // Solver links: rotational master joints, from the effector towards the palm
+    const solved = getAncestorJoints(tip)
+      .filter((joint: any) => path.includes(joint))
+      .filter((joint: any) => SOLVED_JOINT_TYPES.includes(joint.jointType) && !joint.mimicJoint)
+      .map((joint: any) => getChildLink(joint).name)
+      .reverse();
+
+    if (solved.length === 0) return;
+
+    ikChains.push({
+      name: `${finger}_ik`,
+      finger,
+      effector,
+      links: solved,
+      target: `${finger}_target`,
+      iteration,
+      maxAngle,
+    });
+  });
+
+  // A mimic joint whose master is not part of any finger path stays at its origin
+  joints
+    .filter((joint) => joint.mimic && !addedJoints.has(joint.mimic.joint))
+    .forEach((joint) => {
+      console.warn(`⚠️ [IK] ${modelName}: mimic master "${joint.mimic!.joint}" of ${joint.name} is outside the finger chains`);
+      delete joint.mimic;
+      joint.type = "fixed";
+    });
+
+  return {
+    modelName,
+    side,
+    root: palm.name,
+    scale: 1,
+    links,
+    joints,
+    ikChains,
+  };
+}
@@ -2,11 +2,12 @@
  * IK Package Exports
  *
  * Central export point for all IK-related modules
- * Now using TypeScript + CCDIKSolver implementation
+ * Now using TypeScript + CCD / DLS / FABRIK solvers behind one interface
  */
 
 export { default as IKController } from './IKController'
-export { buildSkeletonFromSpec } from './builders/skeleton-builder.ts'
+export { buildSkeletonFromSpec, IK_SOLVER_TYPES } from './builders/skeleton-builder.ts'
+export { buildIKSpecFromURDF } from './builders/spec-from-urdf.ts'
 export { linkerhand_l10_left_thumb } from './specs/linkerhand_l10_left.ts'
 export { default as ThumbIKTest } from './components/ThumbIKTest.jsx'
 export { default as ThumbJointVisualizer } from './components/ThumbJointVisualizer.jsx'
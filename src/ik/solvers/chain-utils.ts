@@ -0,0 +1,85 @@
+/**
+ * chain-utils.ts
+ *
+ * Helpers shared by the IK solvers: chain joint paths, joint axes in world space,
+ * limits and effector errors
+ */
+
+import * as THREE from "three";
+import type { IKChainSpec, JointSpec } from "../types/ik-spec";
+import type { IKSolverContext } from "../builders/skeleton-builder";
+
+/**
+ * Joints that move a chain's effector, from the root towards the effector
+ * (every joint whose child bone is an ancestor of, or is, the effector bone)
+ */
+export function getChainJoints(context: IKSolverContext, chain: IKChainSpec): JointSpec[] {
+  const jointByChild = new Map(context.spec.joints.map((joint) => [joint.child, joint]));
+  const joints: JointSpec[] = [];
+
+  let bone: THREE.Object3D | null = context.bones.get(chain.effector) ?? null;
+  while (bone && bone !== context.root) {
+    const joint = jointByChild.get(bone.name);
+    if (joint) joints.unshift(joint);
+    bone = bone.parent;
+  }
+
+  return joints;
+}
+
+/**
+ * Joints driven by the solver (CCD links of the chain), from the root towards the effector
+ */
+export function getSolvedJoints(context: IKSolverContext, chain: IKChainSpec): JointSpec[] {
+  const jointByChild = new Map(context.spec.joints.map((joint) => [joint.child, joint]));
+  return [...chain.links]
+    .reverse()
+    .map((link) => jointByChild.get(link))
+    .filter((joint): joint is JointSpec => joint !== undefined && !joint.mimic);
+}
+
+/**
+ * Joint axis in world space (the axis is expressed in the joint frame, i.e. the child bone)
+ */
+export function getWorldAxis(context: IKSolverContext, joint: JointSpec): THREE.Vector3 {
+  const bone = context.bones.get(joint.child)!;
+  const quaternion = bone.getWorldQuaternion(new THREE.Quaternion());
+  return new THREE.Vector3(...joint.axis).normalize().applyQuaternion(quaternion);
+}
+
+/**
+ * Joint position (origin of the child bone) in world space
+ */
+export function getWorldPosition(context: IKSolverContext, joint: JointSpec): THREE.Vector3 {
+  return context.bones.get(joint.child)!.getWorldPosition(new THREE.Vector3());
+}
+
+/**
+ * Clamp an angle to a joint's limits
+ */
+export function clampToLimit(joint: JointSpec, angle: number): number {
+  return joint.limit ? THREE.MathUtils.clamp(angle, joint.limit.lower, joint.limit.upper) : angle;
+}
+
+/**
+ * Distance from each chain's effector to its target
+ * @returns Per-chain errors (keyed by chain name) and the largest error
+ */
+export function measureChainErrors(context: IKSolverContext): { error: number; errors: Record<string, number> } {
+  const errors: Record<string, number> = {};
+  let error = 0;
+
+  for (const chain of context.spec.ikChains) {
+    const effector = context.bones.get(chain.effector);
+    const target = context.targets.get(chain.target);
+    if (!effector || !target) continue;
+
+    const distance = effector
+      .getWorldPosition(new THREE.Vector3())
+      .distanceTo(target.getWorldPosition(new THREE.Vector3()));
+    errors[chain.name] = distance;
+    error = Math.max(error, distance);
+  }
+
+  return { error, errors };
+}
@@ -0,0 +1,132 @@
+/**
+ * dls-solver.ts
+ *
+ * Damped least-squares (Levenberg-Marquardt) IK solver over all chains at once
+ *
+ * - Variables are the master joints of the chains; a mimic joint adds
+ *   multiplier × its own column to its master's Jacobian column
+ * - Steps are bounded by the joint limits (joints on a limit are frozen while pushed outward)
+ * - A step is kept only if it lowers the squared effector error, otherwise the damping grows
+ */
+
+import * as THREE from "three";
+import { solveBoundedStep } from "../../utils/dampedLeastSquares";
+import type { JointSpec } from "../types/ik-spec";
+import type { IKSolver, IKSolverContext } from "../builders/skeleton-builder";
+import {
+  clampToLimit,
+  getChainJoints,
+  getSolvedJoints,
+  getWorldAxis,
+  getWorldPosition,
+  measureChainErrors,
+} from "./chain-utils";
+
+/**
+ * Create a DLS solver for a skeleton
+ */
+export function createDLSSolver(context: IKSolverContext): IKSolver {
+  const { spec } = context;
+
+  // Solver variables: master joints of every chain (shared joints once)
+  const variables: JointSpec[] = [];
+  spec.ikChains.forEach((chain) => {
+    getSolvedJoints(context, chain).forEach((joint) => {
+      if (!variables.includes(joint)) variables.push(joint);
+    });
+  });
+
+  const chainJoints = spec.ikChains.map((chain) => getChainJoints(context, chain));
+
+  // Jacobian multiplier of a joint with respect to a variable (1, mimic multiplier or 0)
+  const multiplierOf = (joint: JointSpec, variable: JointSpec, masterAngle: number): number => {
+    if (joint === variable) return 1;
+    if (joint.mimic?.joint !== variable.name) return 0;
+
+    // A mimic joint held on its limit doesn't follow its master
+    const angle = joint.mimic.multiplier * masterAngle + joint.mimic.offset;
+    return clampToLimit(joint, angle) === angle ? joint.mimic.multiplier : 0;
+  };
+
+  const apply = (values: number[]) => {
+    variables.forEach((joint, i) => context.setJointAngle(joint.name, values[i]));
+    context.applyMimicConstraints();
+  };
+
+  return {
+    type: "dls",
+    solve({ maxIterations = 10, tolerance = 1e-3, damping = 0.01 } = {}) {
+      const n = variables.length;
+      const values = variables.map((joint) => clampToLimit(joint, context.getJointAngle(joint.name) ?? 0));
+      const bounds = variables.map((joint) => joint.limit);
+      const targets = spec.ikChains.map((chain) =>
+        context.targets.get(chain.target)!.getWorldPosition(new THREE.Vector3())
+      );
+
+      apply(values);
+      let result = measureChainErrors(context);
+      let cost = Object.values(result.errors).reduce((sum, error) => sum + error * error, 0);
+      const minLambda = Math.max(damping * damping, 1e-9);
+      let lambda = minLambda;
+      let iterations = 0;
+
+      while (iterations < maxIterations && result.error > tolerance && n > 0) {
+        iterations++;
+
+        // Normal equations: (JᵀJ + λ²I) Δ = Jᵀe
+        const A = Array.from({ length: n }, () => new Array(n).fill(0));
+        const b = new Array(n).fill(0);
+
+        spec.ikChains.forEach((chain, c) => {
+          const effector = context.bones.get(chain.effector)!.getWorldPosition(new THREE.Vector3());
+          const residual = targets[c].clone().sub(effector);
+
+          const columns = variables.map((variable, i) => {
+            const column = new THREE.Vector3();
+            chainJoints[c].forEach((joint) => {
+              const multiplier = multiplierOf(joint, variable, values[i]);
+              if (multiplier === 0) return;
+              const lever = effector.clone().sub(getWorldPosition(context, joint));
+              column.addScaledVector(getWorldAxis(context, joint).cross(lever), multiplier);
+            });
+            return column;
+          });
+
+          for (let i = 0; i < n; i++) {
+            b[i] += columns[i].dot(residual);
+            for (let j = 0; j <= i; j++) {
+              A[i][j] += columns[i].dot(columns[j]);
+            }
+          }
+        });
+
+        for (let i = 0; i < n; i++) {
+          for (let j = 0; j < i; j++) A[j][i] = A[i][j];
+          A[i][i] += lambda;
+        }
+
+        const step = solveBoundedStep(A, b, values, bounds);
+        if (!step) break;
+
+        const candidate = variables.map((joint, i) => clampToLimit(joint, values[i] + step[i]));
+        apply(candidate);
+        const candidateResult = measureChainErrors(context);
+        const candidateCost = Object.values(candidateResult.errors).reduce((sum, error) => sum + error * error, 0);
+
+        if (candidateCost < cost) {
+          candidate.forEach((value, i) => {
+            values[i] = value;
+          });
+          result = candidateResult;
+          cost = candidateCost;
+          lambda = Math.max(lambda / 10, minLambda);
+        } else {
+          apply(values);
+          lambda *= 10;
+        }
+      }
+
+      return { ...result, iterations, converged: result.error <= tolerance };
+    },
+  };
+}
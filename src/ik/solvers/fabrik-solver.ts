@@ -0,0 +1,111 @@
+/**
+ * fabrik-solver.ts
+ *
+ * FABRIK (Forward And Backward Reaching Inverse Kinematics) with hinge joints
+ *
+ * Each iteration runs one FABRIK pass per chain over the positions of its solved joints
+ * and effector, then fits the hinge joints to the new positions from the root outwards:
+ * each joint turns about its own axis towards the next point, clamped to its limits,
+ * and its mimic joints follow before the next joint is fitted.
+ */
+
+import * as THREE from "three";
+import type { IKSolver, IKSolverContext } from "../builders/skeleton-builder";
+import {
+  clampToLimit,
+  getSolvedJoints,
+  getWorldAxis,
+  getWorldPosition,
+  measureChainErrors,
+} from "./chain-utils";
+
+/**
+ * One FABRIK pass with a fixed base
+ * @param points - Joint positions from the base to the effector (modified)
+ * @param target - Effector target
+ */
+function fabrikPass(points: THREE.Vector3[], target: THREE.Vector3) {
+  const lengths = points.slice(1).map((point, i) => point.distanceTo(points[i]));
+  const base = points[0].clone();
+  const last = points.length - 1;
+
+  // Backward: effector on the target, walk back to the base
+  points[last].copy(target);
+  for (let i = last - 1; i >= 0; i--) {
+    const direction = points[i].clone().sub(points[i + 1]).normalize();
+    points[i].copy(points[i + 1]).addScaledVector(direction, lengths[i]);
+  }
+
+  // Forward: base back in place, walk out to the effector
+  points[0].copy(base);
+  for (let i = 0; i < last; i++) {
+    const direction = points[i + 1].clone().sub(points[i]).normalize();
+    points[i + 1].copy(points[i]).addScaledVector(direction, lengths[i]);
+  }
+}
+
+/**
+ * Signed angle about an axis that turns `from` towards `to` (both projected onto the axis plane)
+ */
+function hingeAngle(axis: THREE.Vector3, from: THREE.Vector3, to: THREE.Vector3): number {
+  const a = from.clone().projectOnPlane(axis);
+  const b = to.clone().projectOnPlane(axis);
+  if (a.lengthSq() < 1e-12 || b.lengthSq() < 1e-12) return 0;
+  return Math.atan2(axis.dot(new THREE.Vector3().crossVectors(a, b)), a.dot(b));
+}
+
+/**
+ * Create a FABRIK solver for a skeleton
+ */
+export function createFABRIKSolver(context: IKSolverContext): IKSolver {
+  const { spec } = context;
+  const chains = spec.ikChains.map((chain) => ({
+    chain,
+    joints: getSolvedJoints(context, chain),
+    effector: context.bones.get(chain.effector)!,
+    target: context.targets.get(chain.target)!,
+  }));
+
+  return {
+    type: "fabrik",
+    solve({ maxIterations = 10, tolerance = 1e-3 } = {}) {
+      let result = measureChainErrors(context);
+      let iterations = 0;
+
+      while (iterations < maxIterations && result.error > tolerance) {
+        iterations++;
+
+        for (const { joints, effector, target } of chains) {
+          if (joints.length === 0) continue;
+
+          const points = [
+            ...joints.map((joint) => getWorldPosition(context, joint)),
+            effector.getWorldPosition(new THREE.Vector3()),
+          ];
+          fabrikPass(points, target.getWorldPosition(new THREE.Vector3()));
+
+          // Fit each hinge to the next FABRIK point
+          joints.forEach((joint, i) => {
+            const origin = getWorldPosition(context, joint);
+            const next = i + 1 < joints.length
+              ? getWorldPosition(context, joints[i + 1])
+              : effector.getWorldPosition(new THREE.Vector3());
+
+            const delta = hingeAngle(
+              getWorldAxis(context, joint),
+              next.sub(origin),
+              points[i + 1].clone().sub(origin)
+            );
+            const angle = context.getJointAngle(joint.name) ?? 0;
+            context.setJointAngle(joint.name, clampToLimit(joint, angle + delta));
+            context.applyMimicConstraints();
+          });
+        }
+
+        result = measureChainErrors(context);
+      }
+
+      return { ...result, iterations, converged: result.error <= tolerance };
+    },
+  };
+}
@@ -112,14 +112,15 @@ export const linkerhand_l10_left_thumb: ModelIKSpec = {
   ikChains: [
     {
       name: "thumb_ik",
+      finger: "thumb",
       effector: "thumb_distal", // Fingertip
-      // Links in IK chain (from base to tip, excluding effector)
+      // Links in IK chain (from the effector towards the base, excluding effector)
       // These are the bones that will be adjusted by IK solver
       links: [
-        "thumb_metacarpals_base1", // CMC roll
-        "thumb_metacarpals_base2", // CMC yaw
-        "thumb_metacarpals",       // CMC pitch
         "thumb_proximal",          // MCP (will be constrained by mimic after IK)
+        "thumb_metacarpals",       // CMC pitch
+        "thumb_metacarpals_base2", // CMC yaw
+        "thumb_metacarpals_base1", // CMC roll
       ],
       target: "thumb_target", // Virtual target bone
       iteration: 3,
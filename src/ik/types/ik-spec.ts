@@ -23,6 +23,7 @@ export type LinkSpec = {
  * @property name - Unique joint identifier (matches URDF joint name)
  * @property parent - Parent link name
  * @property child - Child link name
+ * @property type - URDF joint type (defaults to revolute; fixed joints only place the child)
  * @property origin - Transform from parent to child frame
  * @property axis - Joint rotation axis in local frame (unit vector)
  * @property limit - Optional joint angle limits in radians
@@ -32,9 +33,10 @@ export type JointSpec = {
   name: string;
   parent: string;
   child: string;
+  type?: "revolute" | "continuous" | "prismatic" | "fixed";
   origin: {
     xyz: Vec3;  // Translation in meters
-    rpy: Vec3;  // Roll-Pitch-Yaw rotation in radians
+    rpy: Vec3;  // Roll-Pitch-Yaw rotation in radians (URDF convention)
   };
   axis: Vec3;  // Rotation axis (unit vector)
   limit?: {
@@ -53,8 +55,10 @@ export type JointSpec = {
  * Typically one chain per finger (thumb, index, middle, ring, pinky)
  *
  * @property name - Chain identifier for debugging
+ * @property finger - Finger driven by this chain (thumb, index, middle, ring, pinky)
  * @property effector - End effector link name (fingertip)
- * @property links - Ordered list of link names from base to tip (parent→child order)
+ * @property links - Link names adjusted by the solver, ordered from the effector towards the root
+ *                   (CCDIKSolver order)
  * @property target - Target bone name that the effector tries to reach
  * @property iteration - CCD iteration count (2-10 typical)
  * @property maxAngle - Maximum angle change per CCD iteration (radians)
@@ -62,6 +66,7 @@ export type JointSpec = {
  */
 export type IKChainSpec = {
   name: string;
+  finger?: string;
   effector: string;
   links: string[];
   target: string;
@@ -76,6 +81,8 @@ export type IKChainSpec = {
  * Contains all data needed to build skeleton + IK solver
  *
  * @property modelName - Model identifier
+ * @property side - Hand side of the model ('left', 'right' or null)
+ * @property root - Root link of the skeleton (palm); defaults to hand_base_link or the first link
  * @property scale - Optional uniform scale factor
  * @property links - All rigid bodies in the hand
  * @property joints - All connections between links
@@ -83,6 +90,8 @@ export type IKChainSpec = {
  */
 export type ModelIKSpec = {
   modelName: string;
+  side?: string | null;
+  root?: string;
   scale?: number;
   links: LinkSpec[];
   joints: JointSpec[];
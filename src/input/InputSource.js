@@ -0,0 +1,81 @@
+/**
+ * Input Source Base Class
+ * Common interface for everything that produces hand landmark frames
+ *
+ * Every source emits frames with the same shape as a MediaPipe `Hands` results object:
+ * {
+ *   timestamp: number,                   // ms, monotonically increasing within a run
+ *   multiHandLandmarks: Array<Array>,    // 21 image-normalized {x, y, z} per hand
+ *   multiHandWorldLandmarks: Array<Array>, // 21 metric {x, y, z} per hand (may be empty)
+ *   multiHandedness: Array<{index, score, label}>
+ * }
+ * so that the tracking pipeline does not need to know where a frame came from.
+ */
+
+/**
+ * Build a frame in the common landmark frame shape
+ * @param {Object} data - {multiHandLandmarks, multiHandWorldLandmarks, multiHandedness, timestamp}
+ * @returns {Object} - Landmark frame
+ */
+export function createFrame({ multiHandLandmarks, multiHandWorldLandmarks, multiHandedness, timestamp }) {
+  return {
+    timestamp: timestamp ?? Date.now(),
+    multiHandLandmarks: multiHandLandmarks || [],
+    multiHandWorldLandmarks: multiHandWorldLandmarks || [],
+    multiHandedness: multiHandedness || []
+  }
+}
+
+export class InputSource {
+  /**
+   * @param {string} kind - Source type identifier (e.g. 'webcam', 'video', 'recording')
+   */
+  constructor(kind) {
+    this.kind = kind
+    this.onFrame = null
+    this.onStatusChange = null
+    this.isRunning = false
+    this.status = 'idle'
+  }
+
+  /**
+   * Start producing frames
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.isRunning = true
+    this.setStatus('running')
+  }
+
+  /**
+   * Stop producing frames and release resources
+   */
+  stop() {
+    this.isRunning = false
+    this.setStatus('stopped')
+  }
+
+  /**
+   * Update source status and notify listener
+   * @param {string} status - 'idle' | 'connecting' | 'running' | 'stopped' | 'error'
+   * @param {string|null} message - Optional detail (e.g. error message)
+   */
+  setStatus(status, message = null) {
+    this.status = status
+    if (this.onStatusChange) {
+      this.onStatusChange({ kind: this.kind, status, message })
+    }
+  }
+
+  /**
+   * Send a frame to the consumer
+   * @param {Object} frame - Landmark frame (see createFrame)
+   */
+  emit(frame) {
+    if (this.isRunning && this.onFrame) {
+      this.onFrame(frame)
+    }
+  }
+}
+
+export default InputSource
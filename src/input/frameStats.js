@@ -0,0 +1,121 @@
+/**
+ * Frame Stats
+ * Frame-drop accounting and latency of a live MediaPipe source
+ *
+ *   presented - video frames the browser presented while the source ran
+ *   processed - frames that went through inference and reached the consumer
+ *   dropped   - presented frames that were never processed (inference still busy)
+ *   latency   - capture of the video frame → first animation frame after its result
+ *               was handed to React (capture-to-render)
+ *   inference - time of `hands.send` alone (in the worker or on the main thread)
+ */
+
+// Weight of the newest sample in the running averages
+const AVERAGE_WEIGHT = 0.1
+
+/**
+ * Running average update
+ * @param {number|null} average - Current average (null = no samples yet)
+ * @param {number} value - New sample
+ * @returns {number}
+ */
+function updateAverage(average, value) {
+  return average === null ? value : average + AVERAGE_WEIGHT * (value - average)
+}
+
+/**
+ * FrameStats class
+ */
+export class FrameStats {
+  /**
+   * @param {string} mode - Where inference runs ('worker' or 'main')
+   */
+  constructor(mode = 'main') {
+    this.mode = mode
+    this.reset()
+  }
+
+  /**
+   * Forget all counts and averages
+   */
+  reset() {
+    this.presented = 0
+    this.processed = 0
+    this.dropped = 0
+    this.lastPresentedFrames = null
+    this.lastProcessedTime = null
+    this.fps = null
+    this.latency = null
+    this.peakLatency = null
+    this.inferenceTime = null
+  }
+
+  /**
+   * Count a presented video frame
+   * @param {number|null} presentedFrames - Browser's presented frame counter
+   *   (requestVideoFrameCallback metadata); frames skipped since the last call count as dropped
+   */
+  recordPresented(presentedFrames = null) {
+    if (presentedFrames !== null && this.lastPresentedFrames !== null) {
+      const skipped = Math.max(0, presentedFrames - this.lastPresentedFrames - 1)
+      this.presented += skipped
+      this.dropped += skipped
+    }
+    this.lastPresentedFrames = presentedFrames
+    this.presented++
+  }
+
+  /**
+   * Count a presented frame that was not sent to inference
+   */
+  recordDrop() {
+    this.dropped++
+  }
+
+  /**
+   * Count a processed frame
+   * @param {number} inferenceTime - Duration of the inference (ms)
+   */
+  recordProcessed(inferenceTime) {
+    const now = performance.now()
+    if (this.lastProcessedTime !== null && now > this.lastProcessedTime) {
+      this.fps = updateAverage(this.fps, 1000 / (now - this.lastProcessedTime))
+    }
+    this.lastProcessedTime = now
+    this.processed++
+    this.inferenceTime = updateAverage(this.inferenceTime, inferenceTime)
+  }
+
+  /**
+   * Record that the result of a frame reached the screen
+   * @param {number} captureTime - Capture time of the frame (performance.now() clock)
+   */
+  recordRender(captureTime) {
+    const latency = performance.now() - captureTime
+    this.latency = updateAverage(this.latency, latency)
+    this.peakLatency = Math.max(this.peakLatency ?? 0, latency)
+  }
+
+  /**
+   * Current readout; the peak latency restarts with every snapshot
+   * @returns {Object} - {mode, presented, processed, dropped, dropRate, fps, latency,
+   *   peakLatency, inferenceTime}
+   */
+  getSnapshot() {
+    const snapshot = {
+      mode: this.mode,
+      presented: this.presented,
+      processed: this.processed,
+      dropped: this.dropped,
+      dropRate: this.presented > 0 ? this.dropped / this.presented : 0,
+      fps: this.fps,
+      latency: this.latency,
+      peakLatency: this.peakLatency,
+      inferenceTime: this.inferenceTime
+    }
+    this.peakLatency = null
+    return snapshot
+  }
+}
+
+export default FrameStats
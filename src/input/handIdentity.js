@@ -0,0 +1,237 @@
+/**
+ * Hand Identity
+ * Keeps the identity ('left' / 'right') of each tracked hand from frame to frame instead
+ * of taking MediaPipe's handedness label as is, which can swap when the hands cross or
+ * flicker for a single frame
+ *
+ * Every frame the detections are matched to the two identities by the lowest total cost:
+ *   handedness - difference between the detection's P(label = 'Left') and the identity's
+ *                history of it (a running average, starting at 1 for 'left', 0 for 'right'),
+ *                weighted by TRACKED_LABEL_WEIGHT while the identity's position is known
+ *   position   - distance of the wrist from where the identity's wrist is predicted
+ *                (last position + smoothed velocity), in units of POSITION_SCALE image widths;
+ *                identities not seen for `maxGap` ms cost STALE_COST instead
+ * so a hand that moved continuously keeps its identity even when its label flips.
+ *
+ * Only a sustained disagreement changes an identity: once a hand's handedness history
+ * has moved to the other label (e.g. it entered while mislabeled), it takes the other
+ * identity - swapping with the other hand if that one disagrees too.
+ *
+ * There are two identities, so only the two highest-scoring detections of a frame get one
+ * (sources such as the WebSocket one can send more), and no side is ever given twice.
+ */
+
+export const DEFAULT_HAND_IDENTITY_CONFIG = {
+  enabled: true,
+  maxGap: 1000, // Time (ms) after which a hand's last position no longer counts
+  historyTimeConstant: 1000 // Averaging of the handedness history (ms)
+}
+
+// Wrist distance (image widths) that costs as much as a fully contradicting label
+const POSITION_SCALE = 0.15
+
+// Cost of assigning a detection to an identity without a recent position
+const STALE_COST = 1
+
+// Weight of the handedness cost while an identity's position is known (labels flicker
+// exactly when the hands cross, where position continuity is what tells them apart)
+const TRACKED_LABEL_WEIGHT = 0.1
+
+// Smoothing of the wrist velocity (weight of the newest frame)
+const VELOCITY_SMOOTHING = 0.5
+
+// Longest prediction step (ms), so a fast hand's velocity is not extrapolated too far
+const MAX_PREDICTION = 100
+
+const SIDES = ['left', 'right']
+
+/**
+ * P(label = 'Left') of a MediaPipe handedness entry
+ * @param {Object} handedness - {label, score}
+ * @returns {number}
+ */
+function getLeftness(handedness) {
+  const label = handedness?.label || 'Right'
+  const score = handedness?.score ?? 1
+  return label === 'Left' ? score : 1 - score
+}
+
+/**
+ * Indices of the detections that get an identity: the highest-scoring ones, in frame order
+ * @param {Object[]} multiHandedness - Frame handedness entries ({label, score})
+ * @param {number} count - Number of detections
+ * @returns {number[]}
+ */
+function selectDetections(multiHandedness, count) {
+  const score = index => multiHandedness?.[index]?.score ?? 1
+  return Array.from({ length: count }, (_, index) => index)
+    .sort((a, b) => score(b) - score(a))
+    .slice(0, SIDES.length)
+    .sort((a, b) => a - b)
+}
+
+/**
+ * HandIdentityTracker class
+ */
+export class HandIdentityTracker {
+  constructor(config = DEFAULT_HAND_IDENTITY_CONFIG) {
+    this.config = { ...DEFAULT_HAND_IDENTITY_CONFIG, ...config }
+    this.reset()
+  }
+
+  /**
+   * Update the settings
+   * @param {Object} config - Identity settings (DEFAULT_HAND_IDENTITY_CONFIG shape)
+   */
+  setConfig(config) {
+    this.config = { ...DEFAULT_HAND_IDENTITY_CONFIG, ...config }
+  }
+
+  /**
+   * Forget both identities (e.g. when switching sources)
+   */
+  reset() {
+    this.hands = {
+      left: this.createHand('left'),
+      right: this.createHand('right')
+    }
+  }
+
+  /**
+   * Identity that has not been seen yet
+   * @param {string} side - 'left' or 'right'
+   * @returns {Object}
+   */
+  createHand(side) {
+    return { leftness: side === 'left' ? 1 : 0, position: null, velocity: { x: 0, y: 0 }, lastSeen: null }
+  }
+
+  /**
+   * Whether an identity was seen within maxGap
+   * @param {string} side
+   * @param {number} timestamp - Frame timestamp (ms)
+   * @returns {boolean}
+   */
+  isRecent(side, timestamp) {
+    const hand = this.hands[side]
+    return hand.lastSeen !== null && timestamp - hand.lastSeen <= this.config.maxGap
+  }
+
+  /**
+   * Assign an identity to every detected hand of a frame
+   * @param {Object} frame - Landmark frame (see input/InputSource)
+   * @param {number} timestamp - Frame timestamp (ms)
+   * @returns {Array<string|null>} - 'left' or 'right' per detection index; null for the
+   *   detections beyond the two highest-scoring ones
+   */
+  assign(frame, timestamp) {
+    const multiHandLandmarks = frame.multiHandLandmarks || []
+    const indices = selectDetections(frame.multiHandedness, multiHandLandmarks.length)
+    const detections = indices.map(index => ({
+      wrist: multiHandLandmarks[index][0],
+      leftness: getLeftness(frame.multiHandedness?.[index])
+    }))
+
+    let sides
+    if (!this.config.enabled) {
+      // Without tracking the labels are used as is, except that two hands never share one
+      sides = detections.map(detection => (detection.leftness >= 0.5 ? 'left' : 'right'))
+      if (sides.length === 2 && sides[0] === sides[1]) {
+        sides = detections[0].leftness >= detections[1].leftness ? ['left', 'right'] : ['right', 'left']
+      }
+    } else {
+      if (detections.length === 1) {
+        const cost = side => this.getCost(detections[0], side, timestamp)
+        sides = [cost('left') <= cost('right') ? 'left' : 'right']
+      } else if (detections.length === 2) {
+        const straight = this.getCost(detections[0], 'left', timestamp) + this.getCost(detections[1], 'right', timestamp)
+        const crossed = this.getCost(detections[0], 'right', timestamp) + this.getCost(detections[1], 'left', timestamp)
+        sides = straight <= crossed ? ['left', 'right'] : ['right', 'left']
+      } else {
+        sides = []
+      }
+
+      sides.forEach((side, i) => this.updateHand(this.hands[side], detections[i], timestamp))
+      sides = this.resolveLabels(sides, timestamp)
+    }
+
+    const identities = multiHandLandmarks.map(() => null)
+    indices.forEach((index, i) => {
+      identities[index] = sides[i]
+    })
+    return identities
+  }
+
+  /**
+   * Move hands whose handedness history contradicts their identity to the other identity
+   * @param {string[]} sides - Assigned identity per detection index
+   * @param {number} timestamp - Frame timestamp (ms)
+   * @returns {string[]} - Final identity per detection index
+   */
+  resolveLabels(sides, timestamp) {
+    const isContradicted = side => this.isRecent(side, timestamp) &&
+      (side === 'left' ? this.hands.left.leftness < 0.5 : this.hands.right.leftness > 0.5)
+
+    const leftContradicted = isContradicted('left')
+    const rightContradicted = isContradicted('right')
+    const canSwap = (leftContradicted || rightContradicted) &&
+      (leftContradicted || !this.isRecent('left', timestamp)) &&
+      (rightContradicted || !this.isRecent('right', timestamp))
+    if (!canSwap) return sides
+
+    // A stale identity is replaced by a fresh one where the hand left it
+    const { left, right } = this.hands
+    this.hands = {
+      left: rightContradicted ? right : this.createHand('left'),
+      right: leftContradicted ? left : this.createHand('right')
+    }
+    return sides.map(side => (side === 'left' ? 'right' : 'left'))
+  }
+
+  /**
+   * Cost of assigning a detection to an identity
+   * @param {Object} detection - {wrist, leftness}
+   * @param {string} side - Identity
+   * @param {number} timestamp - Frame timestamp (ms)
+   * @returns {number}
+   */
+  getCost(detection, side, timestamp) {
+    const hand = this.hands[side]
+    const handednessCost = Math.abs(detection.leftness - hand.leftness)
+
+    if (!hand.position || timestamp - hand.lastSeen > this.config.maxGap) {
+      return handednessCost + STALE_COST
+    }
+
+    const step = Math.min(timestamp - hand.lastSeen, MAX_PREDICTION) / 1000
+    const dx = detection.wrist.x - (hand.position.x + hand.velocity.x * step)
+    const dy = detection.wrist.y - (hand.position.y + hand.velocity.y * step)
+    return TRACKED_LABEL_WEIGHT * handednessCost + Math.sqrt(dx * dx + dy * dy) / POSITION_SCALE
+  }
+
+  /**
+   * Update an identity with its assigned detection
+   * @param {Object} hand - Identity state
+   * @param {Object} detection - {wrist, leftness}
+   * @param {number} timestamp - Frame timestamp (ms)
+   */
+  updateHand(hand, detection, timestamp) {
+    const deltaTime = hand.lastSeen === null ? 0 : timestamp - hand.lastSeen
+    const isContinuous = hand.position && deltaTime > 0 && deltaTime <= this.config.maxGap
+
+    hand.velocity = isContinuous
+      ? {
+        x: hand.velocity.x + VELOCITY_SMOOTHING * ((detection.wrist.x - hand.position.x) / (deltaTime / 1000) - hand.velocity.x),
+        y: hand.velocity.y + VELOCITY_SMOOTHING * ((detection.wrist.y - hand.position.y) / (deltaTime / 1000) - hand.velocity.y)
+      }
+      : { x: 0, y: 0 }
+    hand.position = { x: detection.wrist.x, y: detection.wrist.y }
+
+    // Handedness history: running average of P(label = 'Left') over time
+    const weight = isContinuous ? 1 - Math.exp(-deltaTime / Math.max(1, this.config.historyTimeConstant)) : 0.5
+    hand.leftness += weight * (detection.leftness - hand.leftness)
+    hand.lastSeen = timestamp
+  }
+}
+
+export default HandIdentityTracker
@@ -0,0 +1,139 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * Hand Tracking Worker
+ * Runs MediaPipe Hands and the tracking pipeline off the main thread, so inference does
+ * not compete with rendering the scene (see handTrackingWorker.js for the main-thread side)
+ *
+ * Messages in:
+ *   {type: 'options', options} - changed pipeline options (serializable subset, plus
+ *                                `restPoses` {left, right} of the active calibration profile)
+ *   {type: 'frame', bitmap, timestamp, captureTime} - video frame (ImageBitmap, transferred)
+ * Messages out:
+ *   {type: 'ready'} / {type: 'error', message}
+ *   {type: 'result', frame, output, calibrationSamples, captureTime, inferenceTime}
+ *     frame              - landmark frame with MediaPipe's own labels (for recording)
+ *     output             - TrackingPipeline.process output
+ *     calibrationSamples - uncalibrated joint angles per detected hand, for the main
+ *                          thread's CalibrationManager (quick calibration, wizard captures)
+ *
+ * Frames are drawn into an OffscreenCanvas for inference, scaled down to MAX_INFERENCE_SIZE
+ * (MediaPipe resizes them to its model input anyway); landmarks are normalized, and the
+ * pipeline still sees the frame's own size.
+ *
+ * The calibration profile lives on the main thread: the worker only applies its rest poses.
+ * The Thumb 3DoF addon needs the loaded robot, so HandTrackingCamera keeps it on the main thread.
+ */
+
+import { createHandsDetector, locateHandsFile } from './handsDetector'
+import { createFrame } from './InputSource'
+import { TrackingPipeline } from './trackingPipeline'
+import { applyRestPose } from '../utils/coordinateMapping'
+import { getJointAngles } from '../utils/handProfiles'
+
+// MediaPipe loads its wasm with importScripts in a worker; the packed assets loader reads
+// its asset locations from this global (on a web page the solution sets it itself)
+self.createMediapipeSolutionsPackedAssets = { locateFile: locateHandsFile }
+
+// Longest side (px) of the image sent to MediaPipe
+const MAX_INFERENCE_SIZE = 640
+
+const pipeline = new TrackingPipeline()
+let frameCanvas = null
+let frameContext = null
+let options = {}
+let latestResults = null
+
+// Stand-in for the main thread's CalibrationManager inside the pipeline
+const calibration = {
+  restPoses: { left: null, right: null },
+  samples: [],
+  addSample(side, rotations, landmarks, source) {
+    this.samples.push({ side, rotations: getJointAngles(rotations), landmarks, source })
+  },
+  applyCalibration(rotations, side) {
+    return applyRestPose(rotations, this.restPoses[side])
+  }
+}
+
+const hands = createHandsDetector((results) => {
+  latestResults = results
+})
+
+hands.initialize()
+  .then(() => self.postMessage({ type: 'ready' }))
+  .catch((err) => self.postMessage({ type: 'error', message: err?.message || String(err) }))
+
+/**
+ * Draw a frame into the inference canvas, scaled to fit MAX_INFERENCE_SIZE
+ * @param {ImageBitmap} bitmap - Video frame
+ * @returns {ImageBitmap} - Inference image (close after use)
+ */
+function toInferenceImage(bitmap) {
+  const scale = Math.min(1, MAX_INFERENCE_SIZE / Math.max(bitmap.width, bitmap.height))
+  const width = Math.max(1, Math.round(bitmap.width * scale))
+  const height = Math.max(1, Math.round(bitmap.height * scale))
+
+  if (!frameCanvas) {
+    frameCanvas = new OffscreenCanvas(width, height)
+    frameContext = frameCanvas.getContext('2d')
+  } else if (frameCanvas.width !== width || frameCanvas.height !== height) {
+    frameCanvas.width = width
+    frameCanvas.height = height
+  }
+  frameContext.drawImage(bitmap, 0, 0, width, height)
+  return frameCanvas.transferToImageBitmap()
+}
+
+/**
+ * Run one video frame through inference and the pipeline
+ * @param {Object} message - {bitmap, timestamp, captureTime}
+ */
+async function processFrame({ bitmap, timestamp, captureTime }) {
+  const imageSize = { width: bitmap.width, height: bitmap.height }
+  const start = performance.now()
+  latestResults = null
+  let image = null
+  try {
+    image = toInferenceImage(bitmap)
+    await hands.send({ image })
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err?.message || String(err) })
+    return
+  } finally {
+    bitmap.close()
+    image?.close()
+  }
+  const inferenceTime = performance.now() - start
+
+  const frame = createFrame({ ...latestResults, timestamp })
+  latestResults?.image?.close?.()
+
+  calibration.samples = []
+  const output = pipeline.process(frame, { ...options, calibrationManager: calibration, imageSize })
+
+  self.postMessage({
+    type: 'result',
+    frame,
+    output,
+    calibrationSamples: calibration.samples,
+    captureTime,
+    inferenceTime
+  })
+}
+
+self.onmessage = (event) => {
+  const message = event.data
+  switch (message.type) {
+    case 'options': {
+      const { restPoses, ...changes } = message.options
+      if (restPoses) calibration.restPoses = restPoses
+      options = { ...options, ...changes }
+      break
+    }
+    case 'frame':
+      processFrame(message)
+      break
+    default:
+      console.warn('Unknown hand tracking worker message:', message.type)
+  }
+}
@@ -0,0 +1,153 @@
+/**
+ * Hand Tracking Worker Client
+ * Main-thread side of handTracking.worker.js: transfers video frames as ImageBitmaps (the
+ * worker scales them through an OffscreenCanvas for inference), keeps at most one frame in
+ * flight (later frames are dropped, not queued) and forwards pipeline options when they change
+ */
+
+// Pipeline options the worker understands (everything else needs the main thread)
+const WORKER_OPTION_KEYS = [
+  'useQuaternionTracking',
+  'useWorldLandmarks',
+  'wristPoseConfig',
+  'smoothingConfig',
+  'landmarkFilterConfig',
+  'trackingStateConfig',
+  'handIdentityConfig'
+]
+
+/**
+ * HandTrackingWorker class
+ */
+export class HandTrackingWorker {
+  /**
+   * Whether this browser can run inference in a worker: frames are captured with
+   * createImageBitmap and drawn into an OffscreenCanvas in the worker
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof createImageBitmap === 'function'
+  }
+
+  constructor() {
+    this.worker = null
+    this.isReady = false
+    this.isBusy = false
+    this.sentOptions = {}
+    this.sentRestPoses = { left: null, right: null }
+    this.onResult = null
+    this.onError = null
+    this.rejectStart = null
+  }
+
+  /**
+   * Start the worker
+   * @returns {Promise<void>} - Resolves once MediaPipe is loaded in the worker
+   */
+  start() {
+    this.worker = new Worker(new URL('./handTracking.worker.js', import.meta.url))
+
+    return new Promise((resolve, reject) => {
+      this.rejectStart = reject
+      this.worker.onmessage = (event) => {
+        const message = event.data
+        switch (message.type) {
+          case 'ready':
+            this.isReady = true
+            resolve()
+            break
+          case 'result':
+            this.isBusy = false
+            if (this.onResult) this.onResult(message)
+            break
+          case 'error':
+            this.isBusy = false
+            if (!this.isReady) {
+              reject(new Error(message.message))
+            } else if (this.onError) {
+              this.onError(new Error(message.message))
+            }
+            break
+          default:
+            break
+        }
+      }
+      this.worker.onerror = (event) => {
+        const error = new Error(event.message || 'Hand tracking worker failed')
+        if (!this.isReady) {
+          reject(error)
+        } else if (this.onError) {
+          this.onError(error)
+        }
+      }
+    })
+  }
+
+  /**
+   * Send the pipeline options that changed since the last call (compared by identity, so
+   * the worker's pipeline sees stable config objects)
+   * @param {Object} options - Pipeline options (see TrackingPipeline.process)
+   */
+  setOptions(options) {
+    const changes = {}
+    WORKER_OPTION_KEYS.forEach(key => {
+      if (options[key] !== this.sentOptions[key]) changes[key] = options[key]
+    })
+
+    const restPoses = options.calibrationManager?.getRestPoses() || { left: null, right: null }
+    if (restPoses.left !== this.sentRestPoses.left || restPoses.right !== this.sentRestPoses.right) {
+      changes.restPoses = restPoses
+      this.sentRestPoses = restPoses
+    }
+
+    if (Object.keys(changes).length === 0) return
+    this.sentOptions = { ...this.sentOptions, ...changes }
+    this.worker.postMessage({ type: 'options', options: changes })
+  }
+
+  /**
+   * Send a video frame unless a frame is still being processed
+   * @param {CanvasImageSource} image - Video element (or any source of createImageBitmap)
+   * @param {Object} timing - {timestamp (frame timestamp, ms), captureTime (performance.now() clock)}
+   * @returns {Promise<boolean>} - False if the frame was dropped
+   */
+  async sendFrame(image, { timestamp, captureTime }) {
+    if (!this.isReady || this.isBusy) return false
+
+    this.isBusy = true
+    let bitmap
+    try {
+      bitmap = await createImageBitmap(image)
+    } catch (err) {
+      this.isBusy = false
+      return false
+    }
+
+    if (!this.worker) {
+      bitmap.close()
+      return false
+    }
+    this.worker.postMessage({ type: 'frame', bitmap, timestamp, captureTime }, [bitmap])
+    return true
+  }
+
+  /**
+   * Stop the worker (a frame in flight is discarded, a pending start() rejects)
+   */
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate()
+      this.worker = null
+    }
+    if (!this.isReady && this.rejectStart) {
+      this.rejectStart(new Error('Hand tracking worker stopped'))
+    }
+    this.rejectStart = null
+    this.isReady = false
+    this.isBusy = false
+  }
+}
+
+export default HandTrackingWorker
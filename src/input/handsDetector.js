@@ -0,0 +1,37 @@
+/**
+ * Hands Detector
+ * MediaPipe Hands setup shared by the live sources, the inference worker and the offline
+ * video processor
+ */
+
+import { Hands } from '@mediapipe/hands'
+
+/**
+ * URL of a MediaPipe Hands asset (wasm, model, packed data)
+ * @param {string} file - Asset file name
+ * @returns {string}
+ */
+export function locateHandsFile(file) {
+  return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`
+}
+
+/**
+ * Create a configured MediaPipe Hands detector
+ * @param {Function} onResults - Results callback
+ * @returns {Hands} - MediaPipe Hands instance
+ */
+export function createHandsDetector(onResults) {
+  const hands = new Hands({
+    locateFile: locateHandsFile
+  })
+
+  hands.setOptions({
+    maxNumHands: 2,
+    modelComplexity: 1,
+    minDetectionConfidence: 0.5,
+    minTrackingConfidence: 0.5
+  })
+
+  hands.onResults(onResults)
+  return hands
+}
@@ -0,0 +1,53 @@
+/**
+ * Input Package Exports
+ *
+ * Pluggable hand tracking input sources and the shared tracking pipeline
+ */
+
+import { WebcamSource } from './sources/WebcamSource'
+import { VideoFileSource } from './sources/VideoFileSource'
+import { RecordedSessionSource } from './sources/RecordedSessionSource'
+import { SyntheticSource } from './sources/SyntheticSource'
+import { WebSocketSource } from './sources/WebSocketSource'
+
+export { InputSource, createFrame } from './InputSource'
+export { TrackingPipeline } from './trackingPipeline'
+export { TrackingStateMachine, TRACKING_STATES, LOSS_BEHAVIORS, DEFAULT_TRACKING_STATE_CONFIG } from './trackingState'
+export { HandIdentityTracker, DEFAULT_HAND_IDENTITY_CONFIG } from './handIdentity'
+export { processVideoFile, findTrajectoryFrame, downloadTrajectory } from './offlineVideoProcessor'
+export { HandTrackingWorker } from './handTrackingWorker'
+export { FrameStats } from './frameStats'
+export { WebcamSource, VideoFileSource, RecordedSessionSource, SyntheticSource, WebSocketSource }
+
+// Source types selectable in the UI
+export const INPUT_SOURCE_TYPES = [
+  { id: 'webcam', label: 'Webcam' },
+  { id: 'video', label: 'Video File' },
+  { id: 'recording', label: 'Recording' },
+  { id: 'synthetic', label: 'Synthetic' },
+  { id: 'websocket', label: 'WebSocket' }
+]
+
+/**
+ * Create an input source from a source config
+ * @param {Object} config - {type, file?, player?, url?, options?}
+ * @param {Object} context - {video} element used by video-based sources, {useWorker} run
+ *   MediaPipe and the tracking pipeline of video-based sources in a worker
+ * @returns {InputSource}
+ */
+export function createInputSource(config, { video, useWorker = false }) {
+  switch (config.type) {
+    case 'webcam':
+      return new WebcamSource(video, { ...config.options, useWorker })
+    case 'video':
+      return new VideoFileSource(video, config.file, { ...config.options, useWorker })
+    case 'recording':
+      return new RecordedSessionSource(config.player)
+    case 'synthetic':
+      return new SyntheticSource(config.options)
+    case 'websocket':
+      return new WebSocketSource(config.url, config.options)
+    default:
+      throw new Error(`Unknown input source type: ${config.type}`)
+  }
+}
@@ -0,0 +1,307 @@
+/**
+ * Offline Video Processor
+ * Decodes a video file frame by frame (not real time) and runs every frame through
+ * MediaPipe Hands, the tracking pipeline and each hand model's URDF joint mapping
+ *
+ * Unlike VideoFileSource, which processes whatever frame is on screen when MediaPipe is
+ * ready, every frame at the requested rate is processed, and the filters see video time
+ * rather than wall-clock time - the result does not depend on machine speed.
+ *
+ * Trajectory frame shape:
+ *   {
+ *     t,          // ms from the start of the video
+ *     rotations,  // {left, right} pipeline joint rotations, keyed by tracked hand
+ *     positions,  // {left, right} wrist positions, keyed by tracked hand
+ *     wristPoses, // {left, right} metric wrist poses (camera frame), keyed by tracked hand
+ *     tracking,   // {left, right} tracking state ('tracking', 'lost', 'recovering'), keyed by tracked hand
+ *     joints      // {left, right} URDF joint values (radians), keyed by model side
+ *   }
+ * Tracked hands drive the model sides given by `drivingSides` (utils/handMapping.js),
+ * exactly like App's camera mode.
+ *
+ * Calibration is read-only: the active profile's rest poses (when pipelineOptions has a
+ * calibrationManager) are applied, but video frames never reach the live manager's latest
+ * joints or a running wizard capture.
+ *
+ * The trajectory is kept in this shape for scrubbing; downloads use the joint trajectory
+ * export format of utils/trajectoryExporter.js, like the live recorder.
+ */
+
+import { createHandsDetector } from './handsDetector'
+import { TrackingPipeline } from './trackingPipeline'
+import { applyRestPose } from '../utils/coordinateMapping'
+import { computeURDFJointValues } from '../utils/urdfJointMapping'
+import { getMimicJointNames } from '../utils/urdfParser'
+import { getDrivingSides, mapRotationsToModels, toModelSides } from '../utils/handMapping'
+import { getExportedJoints, toWristPoseSample, createTrajectoryExport } from '../utils/trajectoryExporter'
+import { downloadBlob } from '../utils/download'
+
+/**
+ * Load a video file into a detached <video> element
+ * @param {File} file - MP4/WebM file
+ * @returns {Promise<HTMLVideoElement>} - Video with metadata loaded
+ */
+function loadVideo(file) {
+  return new Promise((resolve, reject) => {
+    const video = document.createElement('video')
+    video.muted = true
+    video.playsInline = true
+    video.preload = 'auto'
+    video.onloadeddata = () => resolve(video)
+    video.onerror = () => {
+      URL.revokeObjectURL(video.src)
+      reject(new Error(`Cannot decode video: ${file.name}`))
+    }
+    video.src = URL.createObjectURL(file)
+  })
+}
+
+/**
+ * Seek a video and wait until the frame is decoded
+ * @param {HTMLVideoElement} video - Video element
+ * @param {number} time - Time in seconds
+ * @returns {Promise<void>}
+ */
+function seekTo(video, time) {
+  return new Promise((resolve) => {
+    video.addEventListener('seeked', () => resolve(), { once: true })
+    video.currentTime = time
+  })
+}
+
+/**
+ * Duration of a loaded video
+ * WebM files written by MediaRecorder report an infinite duration until the browser has
+ * read to the end, so those are sought past the end once to find it.
+ * @param {HTMLVideoElement} video - Video with data loaded
+ * @param {string} fileName - File name for the error message
+ * @returns {Promise<number>} - Duration in seconds
+ */
+async function getVideoDuration(video, fileName) {
+  if (!Number.isFinite(video.duration)) {
+    await seekTo(video, Number.MAX_SAFE_INTEGER)
+  }
+  if (!Number.isFinite(video.duration) || video.duration <= 0) {
+    throw new Error(`Cannot determine the duration of ${fileName}`)
+  }
+  return video.duration
+}
+
+/**
+ * Read-only stand-in for the live CalibrationManager inside the pipeline
+ * @param {CalibrationManager|null} calibrationManager - Live calibration
+ * @returns {Object|null} - Applies the rest poses of the active profile at the start of the run
+ */
+function createCalibrationView(calibrationManager) {
+  if (!calibrationManager) return null
+  const restPoses = calibrationManager.getRestPoses()
+  return {
+    addSample() {},
+    applyCalibration(rotations, side) {
+      return applyRestPose(rotations, restPoses[side])
+    }
+  }
+}
+
+/**
+ * Compute URDF joint values for one model side
+ * @param {Object|null} rotations - Pipeline joint rotations of the tracked hand
+ * @param {Object|null} model - {modelPath, jointConfig, semanticMapping, retargeting, jointLimits, rangeMapping}
+ * @param {boolean} useMultiDoF - Use the URDF semantic mapping for multi-DoF joints
+ * @returns {Object|null} - URDF joint values, or null if the hand or model is missing
+ */
+function mapModelJoints(rotations, model, useMultiDoF) {
+  if (!rotations || !model?.modelPath) return null
+
+  return computeURDFJointValues(rotations, model.retargeting, {
+    semanticMapping: model.semanticMapping,
+    useMultiDoF,
+    mimicJointNames: getMimicJointNames(model.jointConfig),
+    jointNames: model.jointConfig ? Object.keys(model.jointConfig) : null,
+    jointLimits: model.jointLimits,
+    rangeMapping: model.rangeMapping
+  })
+}
+
+/**
+ * Process a video file into a per-frame joint trajectory
+ * @param {File} file - MP4/WebM file
+ * @param {Object} options
+ * @param {number} options.fps - Sampling rate in frames per second
+ * @param {Object} options.models - {left, right} model info ({modelPath, jointConfig, semanticMapping, retargeting, jointLimits, rangeMapping})
+ * @param {boolean} options.useMultiDoF - Use the URDF semantic mapping for multi-DoF joints
+ * @param {Object} options.pipelineOptions - TrackingPipeline.process() options (the calibrationManager
+ *   is only read, see createCalibrationView)
+ * @param {Object} options.drivingSides - Tracked hand driving each model side (getDrivingSides)
+ * @param {Function} options.onProgress - Called with {frameIndex, frameCount}
+ * @param {AbortSignal} options.signal - Cancels processing
+ * @returns {Promise<Object>} - Trajectory ({createdAt, source, models, joints, drivingSides, frames}):
+ *   joints are the exported joint configs of each model side
+ */
+export async function processVideoFile(file, {
+  fps = 30,
+  models = {},
+  useMultiDoF = false,
+  pipelineOptions = {},
+  drivingSides = getDrivingSides(),
+  onProgress = null,
+  signal = null
+} = {}) {
+  const video = await loadVideo(file)
+  const pipeline = new TrackingPipeline()
+  const calibrationManager = createCalibrationView(pipelineOptions.calibrationManager)
+  let latestResults = null
+  const hands = createHandsDetector((results) => {
+    latestResults = results
+  })
+
+  try {
+    await hands.initialize()
+
+    const duration = await getVideoDuration(video, file.name)
+    const frameCount = Math.max(1, Math.floor(duration * fps))
+    const imageSize = { width: video.videoWidth, height: video.videoHeight }
+    const frames = []
+
+    for (let frameIndex = 0; frameIndex < frameCount; frameIndex++) {
+      if (signal?.aborted) {
+        throw new Error('Video processing cancelled')
+      }
+
+      const time = frameIndex / fps
+      await seekTo(video, time)
+
+      latestResults = null
+      await hands.send({ image: video })
+
+      const t = time * 1000
+      const output = latestResults
+        ? pipeline.process({ ...latestResults, timestamp: t }, { ...pipelineOptions, calibrationManager, imageSize })
+        : null
+      const rotations = output?.rotations || { left: null, right: null }
+      const modelRotations = mapRotationsToModels(rotations, drivingSides)
+
+      frames.push({
+        t,
+        rotations,
+        positions: output?.positions || { left: null, right: null },
+        wristPoses: output?.wristPoses || { left: null, right: null },
+        tracking: {
+          left: output?.tracking.left.state || 'lost',
+          right: output?.tracking.right.state || 'lost'
+        },
+        joints: {
+          left: mapModelJoints(modelRotations.left, models.left, useMultiDoF),
+          right: mapModelJoints(modelRotations.right, models.right, useMultiDoF)
+        }
+      })
+
+      if (onProgress) {
+        onProgress({ frameIndex: frameIndex + 1, frameCount })
+      }
+    }
+
+    return {
+      createdAt: new Date().toISOString(),
+      source: {
+        fileName: file.name,
+        duration: duration * 1000,
+        width: video.videoWidth,
+        height: video.videoHeight,
+        fps
+      },
+      models: {
+        left: models.left?.modelPath || null,
+        right: models.right?.modelPath || null
+      },
+      joints: {
+        left: models.left?.jointConfig ? getExportedJoints(models.left.jointConfig, false) : [],
+        right: models.right?.jointConfig ? getExportedJoints(models.right.jointConfig, false) : []
+      },
+      drivingSides,
+      frames
+    }
+  } finally {
+    hands.close()
+    URL.revokeObjectURL(video.src)
+    video.removeAttribute('src')
+    video.load()
+  }
+}
+
+/**
+ * Find the trajectory frame at or just before a time
+ * @param {Object} trajectory - Processed trajectory
+ * @param {number} time - Time in ms
+ * @returns {number} - Frame index
+ */
+export function findTrajectoryFrame(trajectory, time) {
+  const { frames } = trajectory
+  let low = 0
+  let high = frames.length - 1
+
+  // Binary search for the last frame with t <= time
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2)
+    if (frames[mid].t <= time) {
+      low = mid
+    } else {
+      high = mid - 1
+    }
+  }
+
+  return low
+}
+
+/**
+ * Convert a processed trajectory to the joint trajectory export format. Values are clamped
+ * to the URDF limits like the recorder's; frames without joint values (no hand detected)
+ * hold the previous values, starting from zero, as the models on screen do.
+ * @param {Object} trajectory - Processed trajectory
+ * @returns {Object} - Joint trajectory document (trajectoryExporter.createTrajectoryExport)
+ */
+export function toTrajectoryExport(trajectory) {
+  const tracks = {}
+  Object.entries(trajectory.models).forEach(([side, modelPath]) => {
+    const joints = trajectory.joints[side]
+    if (!modelPath || joints.length === 0) return
+
+    let positions = joints.map(() => 0)
+    const samples = trajectory.frames.map(frame => {
+      const values = frame.joints[side]
+      if (values) {
+        positions = joints.map((config, i) => {
+          const value = values[config.name] ?? positions[i]
+          const { lower, upper } = config.limits
+          return config.type === 'continuous' ? value : Math.max(lower, Math.min(upper, value))
+        })
+      }
+      const wristPose = toModelSides(frame.wristPoses, trajectory.drivingSides)[side]
+      return { time: frame.t / 1000, positions, wristPose: toWristPoseSample(wristPose) }
+    })
+    tracks[side] = { modelPath, joints, samples }
+  })
+
+  return createTrajectoryExport({
+    createdAt: trajectory.createdAt,
+    rate: trajectory.source.fps,
+    source: trajectory.source,
+    tracks
+  })
+}
+
+/**
+ * Download a trajectory as a joint trajectory JSON file
+ * @param {Object} trajectory - Processed trajectory
+ * @param {string} filename - File name for the download
+ */
+export function downloadTrajectory(trajectory, filename = `joint-trajectory-${Date.now()}.json`) {
+  downloadBlob(JSON.stringify(toTrajectoryExport(trajectory)), filename, 'application/json')
+}
+
+export default {
+  processVideoFile,
+  findTrajectoryFrame,
+  toTrajectoryExport,
+  downloadTrajectory
+}
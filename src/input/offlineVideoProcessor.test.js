@@ -0,0 +1,145 @@
+import { processVideoFile } from './offlineVideoProcessor'
+import { createHandsDetector } from './handsDetector'
+import { CalibrationManager } from '../utils/coordinateMapping'
+
+jest.mock('./handsDetector', () => ({
+  createHandsDetector: jest.fn()
+}))
+// The registry lists the bundled models through webpack's require.context
+jest.mock('../utils/modelRegistry', () => ({}))
+
+/**
+ * MediaPipe results with one open right hand (fingers up, palm facing the camera)
+ */
+function createHandResults() {
+  const point = (x, y, z = 0) => ({ x, y, z })
+  // Thumb out to the side, the other fingers straight up from the knuckles
+  const thumb = [1, 2, 3, 4].map(i => point(0.47 - 0.03 * i, 0.77 - 0.03 * i, -0.01 * i))
+  const fingers = [0.44, 0.48, 0.52, 0.56].flatMap(x =>
+    [0, 1, 2, 3].map(i => point(x, 0.6 - 0.05 * i, -0.005 * i)))
+  const landmarks = [point(0.5, 0.8), ...thumb, ...fingers]
+  const world = landmarks.map(({ x, y, z }) => point((x - 0.5) * 0.2, (y - 0.8) * 0.2, z * 0.2))
+  return {
+    multiHandLandmarks: [landmarks],
+    multiHandWorldLandmarks: [world],
+    multiHandedness: [{ index: 0, score: 0.95, label: 'Right' }]
+  }
+}
+
+/**
+ * Stand-in for a decoded <video>: loads on src, seeks on currentTime
+ * @param {number} reportedDuration - Duration reported once loaded
+ * @param {number} actualDuration - Duration found by seeking past the end
+ */
+function createVideo(reportedDuration, actualDuration) {
+  const listeners = {}
+  let currentTime = 0
+  const video = {
+    duration: NaN,
+    videoWidth: 640,
+    videoHeight: 480,
+    removeAttribute: jest.fn(),
+    load: jest.fn(),
+    addEventListener(type, listener) {
+      listeners[type] = listener
+    },
+    get currentTime() {
+      return currentTime
+    },
+    set currentTime(time) {
+      currentTime = Math.min(time, actualDuration)
+      if (time > actualDuration) video.duration = actualDuration
+      setTimeout(() => listeners.seeked?.(), 0)
+    },
+    set src(url) {
+      video.url = url
+      video.duration = reportedDuration
+      setTimeout(() => video.onloadeddata(), 0)
+    },
+    get src() {
+      return video.url
+    }
+  }
+  return video
+}
+
+describe('processVideoFile', () => {
+  const file = { name: 'recording.webm' }
+  let video
+
+  const mockVideo = (reportedDuration, actualDuration) => {
+    video = createVideo(reportedDuration, actualDuration)
+    const createElement = document.createElement.bind(document)
+    jest.spyOn(document, 'createElement').mockImplementation(tag =>
+      tag === 'video' ? video : createElement(tag))
+  }
+
+  beforeEach(() => {
+    URL.createObjectURL = jest.fn(() => 'blob:recording')
+    URL.revokeObjectURL = jest.fn()
+    // No hands in the video
+    createHandsDetector.mockImplementation(() => ({
+      initialize: () => Promise.resolve(),
+      send: () => Promise.resolve(),
+      close: () => {}
+    }))
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('samples the video at the requested rate', async () => {
+    mockVideo(2, 2)
+
+    const trajectory = await processVideoFile(file, { fps: 5 })
+
+    expect(trajectory.frames.map(frame => frame.t)).toEqual([0, 200, 400, 600, 800, 1000, 1200, 1400, 1600, 1800])
+    expect(trajectory.source.duration).toBe(2000)
+  })
+
+  test('finds the duration of a video that reports an infinite one', async () => {
+    mockVideo(Infinity, 1.5)
+
+    const trajectory = await processVideoFile(file, { fps: 4 })
+
+    expect(trajectory.source.duration).toBe(1500)
+    expect(trajectory.frames).toHaveLength(6)
+    expect(trajectory.frames[0].t).toBe(0)
+  })
+
+  test('rejects a video whose duration stays unknown', async () => {
+    mockVideo(Infinity, Infinity)
+
+    await expect(processVideoFile(file, { fps: 30 })).rejects.toThrow('Cannot determine the duration of recording.webm')
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:recording')
+  })
+
+  test('applies the active calibration without feeding the live manager', async () => {
+    createHandsDetector.mockImplementation(onResults => ({
+      initialize: () => Promise.resolve(),
+      send: () => {
+        onResults(createHandResults())
+        return Promise.resolve()
+      },
+      close: () => {}
+    }))
+    const manager = new CalibrationManager()
+    manager.createProfile('Operator')
+    // A negative rest angle keeps the calibrated flexion above its floor of 0
+    const rest = { index_pip: -0.2 }
+    manager.getActiveProfile().hands = { left: { rest }, right: { rest } }
+    manager.startPoseCapture('open_hand')
+
+    mockVideo(1, 1)
+    const uncalibrated = await processVideoFile(file, { fps: 2 })
+    mockVideo(1, 1)
+    const calibrated = await processVideoFile(file, { fps: 2, pipelineOptions: { calibrationManager: manager } })
+
+    const side = ['left', 'right'].find(hand => uncalibrated.frames[1].rotations[hand])
+    const indexPip = trajectory => trajectory.frames[1].rotations[side].joints.index_pip
+    expect(indexPip(calibrated)).toBeCloseTo(indexPip(uncalibrated) + 0.2)
+    expect(manager.latestJoints).toEqual({ left: null, right: null })
+    expect(manager.capture.samples).toEqual({ left: [], right: [] })
+  })
+})
@@ -0,0 +1,206 @@
+/**
+ * MediaPipe Video Source
+ * Shared base for sources that run MediaPipe Hands on a <video> element in real time,
+ * on the main thread or in a worker (handTracking.worker.js), with frame-drop and latency
+ * accounting (frameStats)
+ */
+
+import { InputSource, createFrame } from '../InputSource'
+import { createHandsDetector } from '../handsDetector'
+import { HandTrackingWorker } from '../handTrackingWorker'
+import { FrameStats } from '../frameStats'
+
+export class MediaPipeVideoSource extends InputSource {
+  /**
+   * @param {string} kind - Source type identifier
+   * @param {HTMLVideoElement} video - Video element that shows the frames
+   * @param {Object} options - {useWorker} run inference and the tracking pipeline in a
+   *   worker (falls back to the main thread where workers can't run MediaPipe)
+   */
+  constructor(kind, video, { useWorker = false } = {}) {
+    super(kind)
+    this.video = video
+    this.useWorker = useWorker
+    this.hands = null
+    this.worker = null
+    this.animationId = null
+    this.videoFrameId = null
+    this.lastVideoTime = null
+    this.captureTime = null // Capture time of the frame in main-thread inference
+    this.frameStats = null
+
+    // Cancel token of the start() in progress, set when stop() is called before it finishes
+    this.startToken = null
+
+    // Pipeline options for the worker, read before every frame (set by the consumer)
+    this.getPipelineOptions = null
+  }
+
+  /**
+   * Attach media to the video element (implemented by subclasses)
+   * @param {{cancelled: boolean, onCancel: Function|null}} token - Cancelled when the source is
+   *   stopped while attaching; media acquired after that must be released rather than attached.
+   *   A pending wait on a media event sets onCancel, so stop() can settle it.
+   * @returns {Promise<void>}
+   */
+  async attachMedia(token) {
+    throw new Error('attachMedia() must be implemented by subclass')
+  }
+
+  /**
+   * Release the media this source attached (implemented by subclasses). The video element
+   * is shared with the next source, so only media still owned by this source is touched.
+   */
+  detachMedia() {}
+
+  async start() {
+    // stop() may be called while any of the awaits below is pending (quick source switches)
+    const token = { cancelled: false, onCancel: null }
+    this.startToken = token
+    this.setStatus('connecting')
+
+    try {
+      await this.attachMedia(token)
+    } catch (err) {
+      if (token.cancelled) {
+        this.detachMedia()
+        return
+      }
+      console.error(`Error starting ${this.kind} source:`, err)
+      this.setStatus('error', err.message)
+      return
+    }
+    if (token.cancelled) {
+      this.detachMedia()
+      return
+    }
+
+    this.isRunning = true
+
+    if (this.useWorker && HandTrackingWorker.isSupported()) {
+      try {
+        await this.startWorker()
+      } catch (err) {
+        if (this.worker) {
+          console.warn('⚠️ Hand tracking worker unavailable, running inference on the main thread:', err.message)
+          this.worker.terminate()
+          this.worker = null
+        }
+      }
+    }
+    // stop() already terminated the worker and released the media
+    if (token.cancelled) return
+
+    if (!this.worker) {
+      this.hands = createHandsDetector((results) => {
+        this.emit({ ...createFrame({ ...results, timestamp: Date.now() }), captureTime: this.captureTime })
+      })
+    }
+    this.frameStats = new FrameStats(this.worker ? 'worker' : 'main')
+    this.startToken = null
+
+    this.setStatus('running')
+    this.scheduleFrame()
+  }
+
+  /**
+   * Start the inference worker; its results arrive with the pipeline output attached
+   * (frame.pipelineOutput, frame.calibrationSamples)
+   * @returns {Promise<void>}
+   */
+  async startWorker() {
+    this.worker = new HandTrackingWorker()
+    this.worker.onResult = ({ frame, output, calibrationSamples, captureTime, inferenceTime }) => {
+      this.frameStats.recordProcessed(inferenceTime)
+      this.emit({ ...frame, captureTime, pipelineOutput: output, calibrationSamples })
+    }
+    this.worker.onError = (err) => {
+      console.error('Hand tracking worker error:', err)
+    }
+    await this.worker.start()
+    console.log('🧵 Hand tracking runs in a worker')
+  }
+
+  /**
+   * Wait for the next video frame (requestVideoFrameCallback where available, otherwise
+   * the next animation frame)
+   */
+  scheduleFrame() {
+    if (!this.isRunning) return
+    if (this.video.requestVideoFrameCallback) {
+      this.videoFrameId = this.video.requestVideoFrameCallback((now, metadata) => this.handleVideoFrame(metadata))
+    } else {
+      this.animationId = requestAnimationFrame(() => this.handleVideoFrame(null))
+    }
+  }
+
+  /**
+   * Process a presented video frame: send it to the worker (dropped while the worker is
+   * busy), or run inference on the main thread before waiting for the next frame
+   * @param {Object|null} metadata - Video frame metadata (null without requestVideoFrameCallback)
+   */
+  async handleVideoFrame(metadata) {
+    if (!this.isRunning) return
+
+    // Without frame callbacks, only animation frames where the video advanced are new frames
+    const video = this.video
+    const isNewFrame = video.readyState === 4 && (metadata !== null || video.currentTime !== this.lastVideoTime)
+    if (!isNewFrame) {
+      this.scheduleFrame()
+      return
+    }
+    this.lastVideoTime = video.currentTime
+    this.frameStats.recordPresented(metadata?.presentedFrames ?? null)
+
+    // Webcam frames carry their capture time; otherwise the frame counts from now
+    const captureTime = metadata?.captureTime ?? performance.now()
+
+    if (this.worker) {
+      // Keep receiving frames while the worker runs, so the busy ones are counted as dropped
+      this.scheduleFrame()
+      if (this.getPipelineOptions) {
+        this.worker.setOptions(this.getPipelineOptions())
+      }
+      const sent = await this.worker.sendFrame(video, { timestamp: Date.now(), captureTime })
+      if (!sent) this.frameStats.recordDrop()
+      return
+    }
+
+    // Main thread: frames presented during inference show up as a jump in presentedFrames
+    const start = performance.now()
+    this.captureTime = captureTime
+    await this.hands.send({ image: video })
+    if (!this.isRunning) return
+    this.frameStats.recordProcessed(performance.now() - start)
+    this.scheduleFrame()
+  }
+
+  stop() {
+    if (this.startToken) {
+      this.startToken.cancelled = true
+      this.startToken.onCancel?.()
+      this.startToken = null
+    }
+    this.isRunning = false
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId)
+      this.animationId = null
+    }
+    if (this.videoFrameId !== null) {
+      this.video.cancelVideoFrameCallback?.(this.videoFrameId)
+      this.videoFrameId = null
+    }
+    if (this.worker) {
+      this.worker.terminate()
+      this.worker = null
+    }
+    if (this.hands) {
+      this.hands.close()
+      this.hands = null
+    }
+    this.detachMedia()
+    this.setStatus('stopped')
+  }
+}
+
+export default MediaPipeVideoSource
@@ -0,0 +1,32 @@
+/**
+ * Recorded Session Source
+ * Replays a recorded landmark session (see utils/sessionRecorder) without a webcam
+ */
+
+import { InputSource, createFrame } from '../InputSource'
+
+export class RecordedSessionSource extends InputSource {
+  /**
+   * @param {SessionPlayer} player - Player for the loaded session (owned by the caller)
+   */
+  constructor(player) {
+    super('recording')
+    this.player = player
+  }
+
+  async start() {
+    await super.start()
+    this.player.onFrame = (results) => this.emit(createFrame(results))
+
+    // Show the player's current frame immediately
+    this.player.seek(this.player.currentTime)
+  }
+
+  stop() {
+    this.player.pause()
+    this.player.onFrame = null
+    super.stop()
+  }
+}
+
+export default RecordedSessionSource
@@ -0,0 +1,133 @@
+/**
+ * Synthetic Source
+ * Procedurally generated hands that open and close - useful for testing without a camera
+ */
+
+import { InputSource, createFrame } from '../InputSource'
+
+// Finger layout for a right hand in image-normalized units (relative to the wrist)
+// base: MCP offset, angle: direction from image-up towards +x, lengths: proximal→distal segments
+const FINGERS = [
+  { base: [0.045, -0.17], angle: 0.15, lengths: [0.07, 0.045, 0.035], phase: 0.0 },  // Index
+  { base: [0.01, -0.18], angle: 0.03, lengths: [0.08, 0.05, 0.037], phase: 0.15 },   // Middle
+  { base: [-0.025, -0.17], angle: -0.08, lengths: [0.075, 0.047, 0.035], phase: 0.3 }, // Ring
+  { base: [-0.055, -0.15], angle: -0.2, lengths: [0.055, 0.035, 0.03], phase: 0.45 }  // Pinky
+]
+const THUMB = { base: [0.04, -0.04], angle: 0.9, lengths: [0.05, 0.045, 0.035], phase: 0.6 }
+
+// Maximum flexion per joint (proximal→distal) at full curl
+const MAX_FLEXION = [0.9, 1.2, 0.8]
+
+// Image units to meters for the world landmarks
+const WORLD_SCALE = 0.45
+
+/**
+ * Build a finger chain starting at its base landmark
+ * @param {Object} wrist - Wrist landmark {x, y, z}
+ * @param {Object} finger - Finger layout
+ * @param {number} curl - Curl amount (0 = open, 1 = closed)
+ * @param {number} mirror - 1 for right hand, -1 for left hand
+ * @returns {Array} - Landmarks from base to tip
+ */
+function buildFingerChain(wrist, finger, curl, mirror) {
+  const points = [{
+    x: wrist.x + finger.base[0] * mirror,
+    y: wrist.y + finger.base[1],
+    z: wrist.z
+  }]
+
+  const dirX = Math.sin(finger.angle) * mirror
+  const dirY = -Math.cos(finger.angle)
+  let flexion = 0
+
+  finger.lengths.forEach((length, i) => {
+    flexion += MAX_FLEXION[i] * curl
+    const prev = points[points.length - 1]
+    // Flexion bends the segment out of the image plane towards the camera (negative z)
+    points.push({
+      x: prev.x + dirX * Math.cos(flexion) * length,
+      y: prev.y + dirY * Math.cos(flexion) * length,
+      z: prev.z - Math.sin(flexion) * length
+    })
+  })
+
+  return points
+}
+
+/**
+ * Generate 21 MediaPipe-ordered landmarks for one hand
+ * @param {number} time - Time in seconds
+ * @param {string} label - 'Left' or 'Right'
+ * @param {number} period - Open/close cycle length in seconds
+ * @returns {Array} - 21 landmarks {x, y, z}
+ */
+export function generateSyntheticHand(time, label, period = 3) {
+  const mirror = label === 'Left' ? -1 : 1
+  const sway = Math.sin(time * 0.7) * 0.03
+  const wrist = { x: 0.5 + mirror * 0.2 + sway, y: 0.8, z: 0 }
+
+  const curlAt = (phase) => 0.5 - 0.5 * Math.cos(2 * Math.PI * (time / period + phase))
+
+  const landmarks = [wrist, ...buildFingerChain(wrist, THUMB, curlAt(THUMB.phase) * 0.6, mirror)]
+  FINGERS.forEach(finger => {
+    landmarks.push(...buildFingerChain(wrist, finger, curlAt(finger.phase), mirror))
+  })
+
+  return landmarks
+}
+
+/**
+ * Convert image-space landmarks to pseudo-metric world landmarks centered on the middle MCP
+ * @param {Array} landmarks - Image landmarks
+ * @returns {Array} - World landmarks in meters
+ */
+function toWorldLandmarks(landmarks) {
+  const origin = landmarks[9]
+  return landmarks.map(p => ({
+    x: (p.x - origin.x) * WORLD_SCALE,
+    y: (p.y - origin.y) * WORLD_SCALE,
+    z: (p.z - origin.z) * WORLD_SCALE
+  }))
+}
+
+export class SyntheticSource extends InputSource {
+  /**
+   * @param {Object} options - {fps, period, hands: ['Left', 'Right']}
+   */
+  constructor({ fps = 30, period = 3, hands = ['Left', 'Right'] } = {}) {
+    super('synthetic')
+    this.fps = fps
+    this.period = period
+    this.hands = hands
+    this.intervalId = null
+    this.startTime = null
+  }
+
+  async start() {
+    await super.start()
+    this.startTime = performance.now()
+
+    this.intervalId = setInterval(() => {
+      const now = performance.now()
+      const time = (now - this.startTime) / 1000
+      const multiHandLandmarks = this.hands.map(label => generateSyntheticHand(time, label, this.period))
+
+      this.emit(createFrame({
+        timestamp: now,
+        multiHandLandmarks,
+        multiHandWorldLandmarks: multiHandLandmarks.map(toWorldLandmarks),
+        multiHandedness: this.hands.map((label, index) => ({ index, score: 1, label }))
+      }))
+    }, 1000 / this.fps)
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId)
+      this.intervalId = null
+    }
+    super.stop()
+  }
+}
+
+export default SyntheticSource
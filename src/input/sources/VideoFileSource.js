@@ -0,0 +1,51 @@
+/**
+ * Video File Source
+ * Plays an uploaded MP4/WebM file in real time through MediaPipe Hands
+ */
+
+import { MediaPipeVideoSource } from './MediaPipeVideoSource'
+
+export class VideoFileSource extends MediaPipeVideoSource {
+  /**
+   * @param {HTMLVideoElement} video - Video element that plays the file
+   * @param {File|Blob} file - Video file
+   * @param {Object} options - {loop} restart when the file ends, {useWorker} see MediaPipeVideoSource
+   */
+  constructor(video, file, { loop = true, useWorker = false } = {}) {
+    super('video', video, { useWorker })
+    this.file = file
+    this.loop = loop
+    this.objectUrl = null
+  }
+
+  async attachMedia(token) {
+    this.objectUrl = URL.createObjectURL(this.file)
+    this.video.srcObject = null
+    this.video.src = this.objectUrl
+    this.video.loop = this.loop
+
+    await new Promise((resolve, reject) => {
+      this.video.onloadeddata = () => resolve()
+      this.video.onerror = () => reject(new Error(`Cannot decode video file: ${this.file.name || 'video'}`))
+      // stop() releases the file, so the load would never finish
+      token.onCancel = resolve
+    })
+    token.onCancel = null
+    if (token.cancelled) return
+
+    await this.video.play()
+  }
+
+  detachMedia() {
+    if (!this.objectUrl) return
+    if (this.video && this.video.src === this.objectUrl) {
+      this.video.pause()
+      this.video.removeAttribute('src')
+      this.video.load()
+    }
+    URL.revokeObjectURL(this.objectUrl)
+    this.objectUrl = null
+  }
+}
+
+export default VideoFileSource
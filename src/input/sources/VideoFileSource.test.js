@@ -0,0 +1,74 @@
+import { VideoFileSource } from './VideoFileSource'
+import { createHandsDetector } from '../handsDetector'
+
+jest.mock('../handsDetector', () => ({
+  createHandsDetector: jest.fn()
+}))
+jest.mock('../handTrackingWorker', () => ({
+  HandTrackingWorker: { isSupported: () => false }
+}))
+
+/**
+ * Stand-in for the shared <video> element
+ */
+function createVideo() {
+  return {
+    src: '',
+    srcObject: null,
+    loop: false,
+    play: jest.fn(() => Promise.resolve()),
+    pause: jest.fn(),
+    load: jest.fn(),
+    removeAttribute(name) {
+      if (name === 'src') this.src = ''
+    },
+    requestVideoFrameCallback: jest.fn(() => 1),
+    cancelVideoFrameCallback: jest.fn()
+  }
+}
+
+describe('VideoFileSource', () => {
+  let video
+  let source
+
+  beforeEach(() => {
+    URL.createObjectURL = jest.fn(() => 'blob:video')
+    URL.revokeObjectURL = jest.fn()
+    createHandsDetector.mockImplementation(() => ({ send: jest.fn(), close: jest.fn() }))
+    video = createVideo()
+    source = new VideoFileSource(video, { name: 'hands.webm' })
+  })
+
+  test('starts once the video has loaded', async () => {
+    const started = source.start()
+    video.onloadeddata()
+    await started
+
+    expect(video.src).toBe('blob:video')
+    expect(video.play).toHaveBeenCalled()
+    expect(source.status).toBe('running')
+    expect(createHandsDetector).toHaveBeenCalled()
+  })
+
+  test('settles a pending load when stopped while attaching', async () => {
+    const started = source.start()
+    source.stop()
+    await started
+
+    expect(video.play).not.toHaveBeenCalled()
+    expect(video.src).toBe('')
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:video')
+    expect(source.status).toBe('stopped')
+    expect(source.isRunning).toBe(false)
+  })
+
+  test('reports files that cannot be decoded', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    const started = source.start()
+    video.onerror()
+    await started
+
+    expect(source.status).toBe('error')
+    console.error.mockRestore()
+  })
+})
@@ -0,0 +1,99 @@
+/**
+ * WebSocket Source
+ * Receives landmark frames from a remote tracker over a WebSocket
+ *
+ * Each message is one JSON frame, either in the MediaPipe results shape
+ *   { timestamp?, multiHandLandmarks, multiHandWorldLandmarks?, multiHandedness }
+ * or in the recorded session frame shape (see utils/sessionRecorder)
+ *   { t, landmarks, worldLandmarks?, handedness }
+ */
+
+import { InputSource, createFrame } from '../InputSource'
+
+/**
+ * Normalize an incoming message to the common frame shape
+ * @param {Object} message - Parsed JSON message
+ * @returns {Object|null} - Landmark frame, or null if the message is not a frame
+ */
+export function messageToFrame(message) {
+  if (message.multiHandLandmarks) {
+    return createFrame(message)
+  }
+  if (message.landmarks) {
+    return createFrame({
+      timestamp: message.t,
+      multiHandLandmarks: message.landmarks,
+      multiHandWorldLandmarks: message.worldLandmarks,
+      multiHandedness: message.handedness
+    })
+  }
+  return null
+}
+
+export class WebSocketSource extends InputSource {
+  /**
+   * @param {string} url - WebSocket URL (e.g. ws://localhost:8765)
+   * @param {Object} options - {reconnectDelay} ms before reconnecting (0 = never)
+   */
+  constructor(url, { reconnectDelay = 2000 } = {}) {
+    super('websocket')
+    this.url = url
+    this.reconnectDelay = reconnectDelay
+    this.socket = null
+    this.reconnectTimer = null
+  }
+
+  async start() {
+    this.isRunning = true
+    this.connect()
+  }
+
+  connect() {
+    this.setStatus('connecting')
+
+    try {
+      this.socket = new WebSocket(this.url)
+    } catch (err) {
+      console.error('Error opening WebSocket source:', err)
+      this.setStatus('error', err.message)
+      return
+    }
+
+    this.socket.onopen = () => this.setStatus('running')
+
+    this.socket.onmessage = (event) => {
+      try {
+        const frame = messageToFrame(JSON.parse(event.data))
+        if (frame) {
+          this.emit(frame)
+        }
+      } catch (err) {
+        console.warn('Ignoring malformed WebSocket frame:', err)
+      }
+    }
+
+    this.socket.onerror = () => this.setStatus('error', `Cannot connect to ${this.url}`)
+
+    this.socket.onclose = () => {
+      this.socket = null
+      if (this.isRunning && this.reconnectDelay > 0) {
+        this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay)
+      }
+    }
+  }
+
+  stop() {
+    this.isRunning = false
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer)
+      this.reconnectTimer = null
+    }
+    if (this.socket) {
+      this.socket.close()
+      this.socket = null
+    }
+    this.setStatus('stopped')
+  }
+}
+
+export default WebSocketSource
@@ -0,0 +1,48 @@
+/**
+ * Webcam Source
+ * Live webcam feed processed by MediaPipe Hands
+ */
+
+import { MediaPipeVideoSource } from './MediaPipeVideoSource'
+
+export class WebcamSource extends MediaPipeVideoSource {
+  /**
+   * @param {HTMLVideoElement} video - Video element that shows the camera feed
+   * @param {Object} options - {width, height} requested capture size, {useWorker} see MediaPipeVideoSource
+   */
+  constructor(video, { width = 640, height = 480, useWorker = false } = {}) {
+    super('webcam', video, { useWorker })
+    this.constraints = { video: { width, height } }
+    this.stream = null
+  }
+
+  async attachMedia(token) {
+    const stream = await navigator.mediaDevices.getUserMedia(this.constraints)
+    if (token.cancelled) {
+      // Stopped while the camera was opening: the video element may belong to the next source
+      stream.getTracks().forEach(track => track.stop())
+      return
+    }
+    this.stream = stream
+    this.video.srcObject = stream
+
+    // Wait for video to load before starting hand detection
+    await new Promise((resolve) => {
+      this.video.onloadedmetadata = () => resolve()
+      // stop() stops the stream, so the metadata may never arrive
+      token.onCancel = resolve
+    })
+    token.onCancel = null
+  }
+
+  detachMedia() {
+    if (!this.stream) return
+    this.stream.getTracks().forEach(track => track.stop())
+    if (this.video && this.video.srcObject === this.stream) {
+      this.video.srcObject = null
+    }
+    this.stream = null
+  }
+}
+
+export default WebcamSource
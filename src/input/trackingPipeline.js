@@ -0,0 +1,264 @@
+/**
+ * Tracking Pipeline
+ * Turns landmark frames from any input source into joint rotations, hand positions,
+ * metric wrist poses and landmarks
+ *
+ * Each detected hand first gets its identity ('left' / 'right') from the hand identity
+ * tracker (wrist continuity and handedness history instead of the raw per-frame label).
+ *
+ * Processing per detected hand:
+ *   image + world landmarks → landmark filter (outlier rejection, smoothing, bone lengths)
+ *   world landmarks (image landmarks if missing) → kinematics (Euler or quaternion path)
+ *     → motion filter (per joint group: EMA, One Euro or Kalman) → calibration
+ *   image + world landmarks → metric wrist pose (camera intrinsics, palm size)
+ *   image landmarks → hand position, IK targets
+ * Then per hand (detected or not): tracking state machine (tracking / lost / recovering),
+ * which holds, rests or freezes a lost hand and eases a reacquired one back in.
+ * The output feeds App's cameraJointRotations, cameraHandPositions, cameraWristPoses,
+ * cameraLandmarks and cameraTrackingStates.
+ */
+
+import { landmarksToJointRotations, selectKinematicLandmarks } from '../utils/handKinematics'
+import { MotionFilter } from '../utils/motionFilter'
+import { landmarksToQuaternions } from '../utils/handKinematicsQuaternion'
+import { quaternionsToURDFJoints } from '../utils/quaternionToAxisAngles'
+import { createQuaternionFilter } from '../utils/quaternionMotionFilter'
+import { applyThumb3DoFAddon, shouldApplyThumb3DoF, mergeThumbOverrides } from '../utils/thumbAddon3DoF'
+import { DEFAULT_WRIST_POSE_CONFIG, estimateWristPose, resolveIntrinsics, toScenePose } from '../utils/wristPose'
+import { LandmarkFilter } from '../utils/landmarkFilter'
+import { TrackingStateMachine } from './trackingState'
+import { HandIdentityTracker } from './handIdentity'
+
+// Overlay size of sources without video (see HandTrackingCamera)
+const DEFAULT_IMAGE_SIZE = { width: 640, height: 480 }
+
+export class TrackingPipeline {
+  constructor() {
+    // Initialize motion filter
+    this.motionFilter = new MotionFilter({
+      alpha: 0.3, // Smoothing strength (lower = smoother but more lag)
+      maxVelocity: 5.0, // Max radians per second
+      enableSmoothing: true,
+      enableVelocityLimiting: true,
+      enableConstraints: true
+    })
+
+    // Initialize quaternion filter
+    this.quaternionFilter = createQuaternionFilter(0.3)
+
+    // Smoothing and landmark filter configs the filters were last configured with
+    this.smoothingConfig = null
+    this.landmarkFilterConfig = null
+    this.trackingStateConfig = null
+    this.handIdentityConfig = null
+
+    // Hand identity across frames (stops left/right swaps when the hands cross)
+    this.handIdentity = new HandIdentityTracker()
+
+    // Landmark filter ahead of the kinematics (learns bone lengths over the session)
+    this.landmarkFilter = new LandmarkFilter()
+
+    // Tracking state per hand (loss behavior, ease-in on reacquisition)
+    this.trackingState = new TrackingStateMachine()
+
+    this.lastTimestamp = -Infinity
+  }
+
+  /**
+   * Reset all time-based filter state (e.g. when switching sources)
+   */
+  reset() {
+    this.motionFilter.reset()
+    this.quaternionFilter.reset()
+    this.landmarkFilter.reset()
+    this.trackingState.reset()
+    this.handIdentity.reset()
+    this.lastTimestamp = -Infinity
+  }
+
+  /**
+   * Process one landmark frame
+   * @param {Object} frame - Landmark frame (see input/InputSource)
+   * @param {Object} options - {calibrationManager, useQuaternionTracking, useThumb3DoF, robotRefs,
+   *   useWorldLandmarks (run the kinematics on world landmarks when the frame has them),
+   *   wristPoseConfig (DEFAULT_WRIST_POSE_CONFIG shape), imageSize ({width, height} of the landmark image),
+   *   smoothingConfig (per joint group smoothing, DEFAULT_SMOOTHING_CONFIG shape; null keeps the current one),
+   *   landmarkFilterConfig (DEFAULT_LANDMARK_FILTER_CONFIG shape; null keeps the current one),
+   *   trackingStateConfig (DEFAULT_TRACKING_STATE_CONFIG shape; null keeps the current one),
+   *   handIdentityConfig (DEFAULT_HAND_IDENTITY_CONFIG shape; null keeps the current one)}
+   * @returns {Object} - {rotations, positions, wristPoses, landmarks, kinematicSources, tracking} keyed by
+   *   hand identity 'left'/'right' (kinematicSources: 'world' or 'image' for detected hands; tracking:
+   *   state machine status, see TrackingStateMachine.update), plus `handedness`: the frame's
+   *   multiHandedness with each label replaced by the hand's identity (detections beyond the two
+   *   tracked hands keep their label). Lost hands follow the loss behavior.
+   */
+  process(frame, {
+    calibrationManager = null,
+    useQuaternionTracking = false,
+    useThumb3DoF = false,
+    robotRefs = {},
+    useWorldLandmarks = true,
+    wristPoseConfig = DEFAULT_WRIST_POSE_CONFIG,
+    imageSize = DEFAULT_IMAGE_SIZE,
+    smoothingConfig = null,
+    landmarkFilterConfig = null,
+    trackingStateConfig = null,
+    handIdentityConfig = null
+  } = {}) {
+    const timestamp = frame.timestamp ?? Date.now()
+
+    // Smoothing settings are tuned live; apply them when they change
+    if (smoothingConfig && smoothingConfig !== this.smoothingConfig) {
+      this.motionFilter.setSmoothingConfig(smoothingConfig)
+      this.quaternionFilter.setSmoothingConfig(smoothingConfig)
+      this.smoothingConfig = smoothingConfig
+    }
+    if (landmarkFilterConfig && landmarkFilterConfig !== this.landmarkFilterConfig) {
+      this.landmarkFilter.setConfig(landmarkFilterConfig)
+      this.landmarkFilterConfig = landmarkFilterConfig
+    }
+    if (trackingStateConfig && trackingStateConfig !== this.trackingStateConfig) {
+      this.trackingState.setConfig(trackingStateConfig)
+      this.trackingStateConfig = trackingStateConfig
+    }
+    if (handIdentityConfig && handIdentityConfig !== this.handIdentityConfig) {
+      this.handIdentity.setConfig(handIdentityConfig)
+      this.handIdentityConfig = handIdentityConfig
+    }
+
+    // Time going backwards (seeking a recording, new source) would look like negative velocity to the filters
+    if (timestamp < this.lastTimestamp) {
+      this.reset()
+    }
+    this.lastTimestamp = timestamp
+
+    const detections = { left: null, right: null }
+    const kinematicSources = { left: null, right: null }
+    const intrinsics = resolveIntrinsics(wristPoseConfig, imageSize)
+
+    // Identity of each detected hand; its label replaces MediaPipe's from here on
+    // (detections beyond the two tracked hands have none, they keep their label and are skipped)
+    const multiHandLandmarks = frame.multiHandLandmarks || []
+    const identities = this.handIdentity.assign(frame, timestamp)
+    const multiHandedness = multiHandLandmarks.map((_, index) => ({
+      index,
+      score: frame.multiHandedness?.[index]?.score ?? 1,
+      label: identities[index]
+        ? (identities[index] === 'left' ? 'Left' : 'Right')
+        : frame.multiHandedness?.[index]?.label || 'Right'
+    }))
+
+    // Process each tracked hand
+    multiHandLandmarks.forEach((rawHandLandmarks, index) => {
+      const side = identities[index]
+      if (!side) return
+      const { label: handedness, score: handednessScore } = multiHandedness[index]
+
+      // Filtered landmarks feed everything below: kinematics, wrist pose, position and IK targets
+      const { landmarks, worldLandmarks } = this.landmarkFilter.filter(
+        side,
+        rawHandLandmarks,
+        frame.multiHandWorldLandmarks?.[index],
+        timestamp,
+        imageSize
+      )
+
+      // Joint angles come from the metric world landmarks; image landmarks only as a fallback
+      const kinematics = selectKinematicLandmarks(landmarks, worldLandmarks, useWorldLandmarks)
+
+      let rotations
+
+      // Choose processing path based on useQuaternionTracking flag
+      if (useQuaternionTracking) {
+        // QUATERNION PATH: Convert landmarks → quaternions → axis angles
+        const quaternions = landmarksToQuaternions(kinematics.landmarks, handedness)
+
+        // Apply quaternion filtering with a hand-specific state
+        const filteredQuaternions = this.quaternionFilter.filter(quaternions, timestamp, handedness === 'Left' ? 'left' : 'right')
+
+        // Decompose quaternions to URDF joint angles
+        rotations = quaternionsToURDFJoints(filteredQuaternions)
+
+        // 🔥 THUMB 3DOF ADDON: Override thumb joints with full 3-axis decomposition
+        const handSide = handedness === 'Left' ? 'left' : 'right'
+        const robot = robotRefs[handSide]?.current
+
+        if (shouldApplyThumb3DoF(useThumb3DoF, useQuaternionTracking, robot)) {
+          const thumbOverrides = applyThumb3DoFAddon(filteredQuaternions, robot, handedness)
+          rotations = mergeThumbOverrides(rotations, thumbOverrides)
+          console.log('🔧 [Thumb3DoF] Applied thumb overrides for', handedness, 'hand')
+        }
+
+        console.log('🔄 Quaternion tracking:', handedness, rotations)
+      } else {
+        // ORIGINAL PATH: Convert landmarks to joint rotations (1-DOF)
+        rotations = landmarksToJointRotations(kinematics.landmarks, handedness)
+
+        // Create hand prefix for filter (lowercase for consistency)
+        const handPrefix = handedness === 'Left' ? 'left' : 'right'
+
+        // Apply motion filtering with hand-specific prefix
+        rotations = this.motionFilter.filter(rotations, timestamp, handPrefix)
+      }
+
+      // Extract wrist position (landmark 0 is always the wrist)
+      const wristLandmark = landmarks[0]
+      // Convert MediaPipe coordinates to Three.js space
+      // MediaPipe: x right, y down, z toward camera (negative = away)
+      // Three.js: x right, y up, z toward viewer (positive = toward)
+      // Scale and center the position
+      let position = {
+        x: (wristLandmark.x - 0.5) * 2,  // Center around 0, scale to -1 to 1
+        y: -(wristLandmark.y - 0.5) * 2, // Invert Y and center
+        z: -wristLandmark.z * 2           // Invert Z and scale
+      }
+
+      // Metric wrist pose (camera frame); optionally replaces the unitless position above
+      // with the real-scale offset from the home position at the reference depth
+      const wristPose = estimateWristPose(landmarks, worldLandmarks, {
+        intrinsics,
+        imageSize,
+        palmSize: wristPoseConfig.palmSize
+      })
+      if (wristPose && wristPoseConfig.metricPosition) {
+        position = toScenePose(wristPose, wristPoseConfig.referenceDepth).position
+      }
+
+      // Apply the calibration profile of this hand if available (the uncalibrated angles
+      // feed the calibration wizard's captures)
+      if (calibrationManager) {
+        calibrationManager.addSample(side, rotations, kinematics.landmarks, kinematics.source)
+        rotations = calibrationManager.applyCalibration(rotations, side)
+      }
+
+      // Apply hand-specific orientation corrections for right hand
+      // Right hand needs 180-degree flip to correct inverted orientation
+      if (handedness === 'Right' && rotations.wristOrientation) {
+        rotations.wristOrientation = {
+          x: -rotations.wristOrientation.x,
+          y: rotations.wristOrientation.y,
+          z: -rotations.wristOrientation.z
+        }
+      }
+
+      // Store rotations, positions, and filtered landmarks by hand side
+      detections[side] = { rotations, position, wristPose, landmarks, handednessScore }
+      kinematicSources[side] = kinematics.source
+    })
+
+    // Tracking state per hand decides what lost and reacquired hands output
+    const hands = this.trackingState.update(detections, timestamp)
+
+    return {
+      rotations: { left: hands.left.output.rotations, right: hands.right.output.rotations },
+      positions: { left: hands.left.output.position, right: hands.right.output.position },
+      wristPoses: { left: hands.left.output.wristPose, right: hands.right.output.wristPose },
+      landmarks: { left: hands.left.output.landmarks, right: hands.right.output.landmarks },
+      kinematicSources,
+      tracking: { left: hands.left.status, right: hands.right.status },
+      handedness: multiHandedness
+    }
+  }
+}
+
+export default TrackingPipeline
@@ -0,0 +1,264 @@
+/**
+ * Tracking State
+ * Per-hand tracking state machine that decides what the pipeline outputs when a hand is
+ * lost and how it comes back
+ *
+ *   tracking ──(no confident detection for lossDelay ms)──→ lost
+ *   lost ──(confident detection)──→ recovering ──(recoveryTime ms)──→ tracking
+ *
+ * A detection counts when its MediaPipe handedness score reaches `minHandednessScore`.
+ * While lost, the hand follows the loss behavior:
+ *   hold   - keep the last hand pose; position, wrist pose and landmarks are cleared
+ *   rest   - blend the hand pose to the rest pose (all angles 0) over `restBlendTime`
+ *   freeze - keep the whole last output (pose, position, wrist pose, landmarks)
+ * While recovering, the output eases from the pose shown at reacquisition to the tracked
+ * one, so the model does not snap (a hand seen for the first time eases in from rest).
+ */
+
+export const TRACKING_STATES = ['tracking', 'lost', 'recovering']
+
+export const LOSS_BEHAVIORS = ['hold', 'rest', 'freeze']
+
+export const DEFAULT_TRACKING_STATE_CONFIG = {
+  lossBehavior: 'hold',
+  minHandednessScore: 0.5, // Detections below this handedness score are ignored
+  lossDelay: 150, // Missing time (ms) before a hand counts as lost
+  restBlendTime: 1000, // Blend to the rest pose (ms, 'rest' behavior)
+  recoveryTime: 400, // Ease back in on reacquisition (ms)
+  confidenceTimeConstant: 300 // Smoothing of the detection confidence (ms)
+}
+
+/**
+ * Ease in and out (smoothstep)
+ * @param {number} t - Progress (0-1)
+ * @returns {number}
+ */
+function ease(t) {
+  const clamped = Math.max(0, Math.min(1, t))
+  return clamped * clamped * (3 - 2 * clamped)
+}
+
+/**
+ * Blend two joint rotation structures (nested objects of angles); angles missing
+ * from `from` start at the rest pose (0)
+ * @param {Object|null} from - Start rotations (null = rest pose)
+ * @param {Object} to - Target rotations
+ * @param {number} t - Blend factor (0 = from, 1 = to)
+ * @returns {Object} - Blended rotations
+ */
+export function blendRotations(from, to, t) {
+  if (typeof to === 'number') {
+    const start = typeof from === 'number' ? from : 0
+    return start + (to - start) * t
+  }
+  if (!to || typeof to !== 'object') return to
+
+  const blended = Array.isArray(to) ? [] : {}
+  for (const key in to) {
+    blended[key] = blendRotations(from && typeof from === 'object' ? from[key] : null, to[key], t)
+  }
+  return blended
+}
+
+/**
+ * Blend two points (positions or landmarks)
+ * @param {Object} from - {x, y, z}
+ * @param {Object} to - {x, y, z}
+ * @param {number} t - Blend factor (0 = from, 1 = to)
+ * @returns {Object}
+ */
+function blendPoint(from, to, t) {
+  return {
+    ...to,
+    x: from.x + (to.x - from.x) * t,
+    y: from.y + (to.y - from.y) * t,
+    z: from.z + (to.z - from.z) * t
+  }
+}
+
+/**
+ * TrackingStateMachine class
+ * Tracks both hands ('left' and 'right', by MediaPipe handedness)
+ */
+export class TrackingStateMachine {
+  constructor(config = DEFAULT_TRACKING_STATE_CONFIG) {
+    this.config = { ...DEFAULT_TRACKING_STATE_CONFIG, ...config }
+    this.reset()
+  }
+
+  /**
+   * Update the settings
+   * @param {Object} config - Tracking state settings (DEFAULT_TRACKING_STATE_CONFIG shape)
+   */
+  setConfig(config) {
+    this.config = { ...DEFAULT_TRACKING_STATE_CONFIG, ...config }
+  }
+
+  /**
+   * Forget both hands (e.g. when switching sources)
+   */
+  reset() {
+    this.hands = {
+      left: this.createHandState(),
+      right: this.createHandState()
+    }
+  }
+
+  /**
+   * Initial state of one hand: lost, with nothing to hold
+   * @returns {Object}
+   */
+  createHandState() {
+    return {
+      state: 'lost',
+      since: null, // Timestamp of the last state change
+      lastSeen: null, // Timestamp of the last confident detection
+      handednessScore: 0,
+      detectionConfidence: 0,
+      timestamp: null,
+      output: null, // Last output {rotations, position, wristPose, landmarks}
+      lostOutput: null, // Output when the hand was lost
+      recoveryFrom: null // Output when the hand was reacquired
+    }
+  }
+
+  /**
+   * Advance both hands by one frame and build their output
+   * @param {Object} detections - {left, right}: {rotations, position, wristPose, landmarks,
+   *   handednessScore} of each detected hand, or null
+   * @param {number} timestamp - Frame timestamp (ms)
+   * @returns {Object} - {left, right}: {output ({rotations, position, wristPose, landmarks},
+   *   each may be null), status ({state, handednessScore, detectionConfidence, lostFor, recovery})}
+   */
+  update(detections, timestamp) {
+    return {
+      left: this.updateHand(this.hands.left, detections.left, timestamp),
+      right: this.updateHand(this.hands.right, detections.right, timestamp)
+    }
+  }
+
+  /**
+   * Advance one hand by one frame
+   * @param {Object} hand - Hand state (createHandState shape)
+   * @param {Object|null} detection - Detection of this hand this frame
+   * @param {number} timestamp - Frame timestamp (ms)
+   * @returns {{output: Object, status: Object}}
+   */
+  updateHand(hand, detection, timestamp) {
+    const config = this.config
+    const detected = !!detection && (detection.handednessScore ?? 1) >= config.minHandednessScore
+
+    // Detection confidence: handedness score of the detections, low-pass filtered over time
+    // (missed frames count as 0)
+    const deltaTime = hand.timestamp === null ? 0 : Math.max(0, timestamp - hand.timestamp)
+    const weight = hand.timestamp === null ? 1 : 1 - Math.exp(-deltaTime / Math.max(1, config.confidenceTimeConstant))
+    const score = detection ? (detection.handednessScore ?? 1) : 0
+    hand.detectionConfidence += weight * ((detected ? score : 0) - hand.detectionConfidence)
+    hand.handednessScore = score
+    hand.timestamp = timestamp
+
+    if (detected) {
+      hand.lastSeen = timestamp
+      if (hand.state === 'lost') {
+        // Ease in from what the model shows now (rest pose for a hand never seen)
+        hand.recoveryFrom = this.getLostOutput(hand, timestamp)
+        this.setState(hand, 'recovering', timestamp)
+      }
+    } else if (hand.state !== 'lost' && (hand.lastSeen === null || timestamp - hand.lastSeen >= config.lossDelay)) {
+      hand.lostOutput = hand.output
+      this.setState(hand, 'lost', timestamp)
+    }
+
+    let output
+    let recovery = null
+    if (hand.state === 'lost') {
+      output = this.getLostOutput(hand, timestamp)
+    } else if (!detected) {
+      // Missing for less than lossDelay: keep the last output
+      output = hand.output
+    } else if (hand.state === 'recovering') {
+      recovery = config.recoveryTime > 0 ? Math.min(1, (timestamp - hand.since) / config.recoveryTime) : 1
+      output = this.blendOutput(hand.recoveryFrom, detection, ease(recovery))
+      hand.output = output
+      if (recovery >= 1) this.setState(hand, 'tracking', timestamp)
+    } else {
+      output = this.toOutput(detection)
+      hand.output = output
+    }
+
+    return {
+      output: output || { rotations: null, position: null, wristPose: null, landmarks: null },
+      status: {
+        state: hand.state,
+        handednessScore: hand.handednessScore,
+        detectionConfidence: hand.detectionConfidence,
+        lostFor: hand.state === 'lost' && hand.lastSeen !== null ? timestamp - hand.lastSeen : null,
+        recovery
+      }
+    }
+  }
+
+  /**
+   * Change the state of one hand
+   * @param {Object} hand - Hand state
+   * @param {string} state - One of TRACKING_STATES
+   * @param {number} timestamp - Frame timestamp (ms)
+   */
+  setState(hand, state, timestamp) {
+    hand.state = state
+    hand.since = timestamp
+  }
+
+  /**
+   * Output of a lost hand, following the loss behavior
+   * @param {Object} hand - Hand state
+   * @param {number} timestamp - Frame timestamp (ms)
+   * @returns {Object|null}
+   */
+  getLostOutput(hand, timestamp) {
+    const last = hand.lostOutput
+    if (!last) return null
+
+    switch (this.config.lossBehavior) {
+      case 'freeze':
+        return last
+      case 'rest': {
+        const t = this.config.restBlendTime > 0 ? ease((timestamp - hand.since) / this.config.restBlendTime) : 1
+        return { rotations: blendRotations(null, last.rotations, 1 - t), position: null, wristPose: null, landmarks: null }
+      }
+      default:
+        return { rotations: last.rotations, position: null, wristPose: null, landmarks: null }
+    }
+  }
+
+  /**
+   * Output of a detection
+   * @param {Object} detection - {rotations, position, wristPose, landmarks}
+   * @returns {Object}
+   */
+  toOutput({ rotations, position, wristPose, landmarks }) {
+    return { rotations, position, wristPose, landmarks }
+  }
+
+  /**
+   * Ease from a previous output to a detection
+   * @param {Object|null} from - Output at reacquisition (null = rest pose)
+   * @param {Object} detection - Current detection
+   * @param {number} t - Eased progress (0 = from, 1 = detection)
+   * @returns {Object}
+   */
+  blendOutput(from, detection, t) {
+    const output = this.toOutput(detection)
+    const blend = (a, b) => (a && b ? blendPoint(a, b, t) : b)
+    return {
+      ...output,
+      rotations: blendRotations(from?.rotations || null, output.rotations, t),
+      position: blend(from?.position, output.position),
+      landmarks: from?.landmarks && output.landmarks && from.landmarks.length === output.landmarks.length
+        ? output.landmarks.map((point, i) => blendPoint(from.landmarks[i], point, t))
+        : output.landmarks
+    }
+  }
+}
+
+export default TrackingStateMachine
@@ -0,0 +1,283 @@
+/**
+ * Arm IK
+ * Solves an arm's joint values so that its flange reaches a 6-DoF target pose
+ *
+ * Damped least squares (Levenberg-Marquardt) over the flange position error and its
+ * orientation error (rotation vector, weighted to trade radians against meters),
+ * with steps bounded by the URDF joint limits. Poses are expressed in the robot's frame.
+ */
+
+import * as THREE from 'three'
+import { solveBoundedStep } from './dampedLeastSquares'
+import { getAncestorJoints } from './fingertipRetargeting'
+
+/**
+ * URDF joint limits of the joints that have them (revolute and prismatic)
+ * @param {Object} joint - URDF joint
+ * @returns {{lower: number, upper: number}|undefined}
+ */
+function getLimit(joint) {
+  if (joint.jointType !== 'revolute' && joint.jointType !== 'prismatic') return undefined
+  return { lower: joint.limit.lower, upper: joint.limit.upper }
+}
+
+/**
+ * Sum of squared residuals
+ * @param {Object} pose - {position: THREE.Vector3, rotation: THREE.Vector3} weighted residuals
+ * @returns {number}
+ */
+function poseCost({ position, rotation }) {
+  return position.lengthSq() + rotation.lengthSq()
+}
+
+/**
+ * Rotation vector (axis × angle) that turns `from` into `to`
+ * @param {THREE.Quaternion} from
+ * @param {THREE.Quaternion} to
+ * @returns {THREE.Vector3}
+ */
+function rotationError(from, to) {
+  const delta = to.clone().multiply(from.clone().invert())
+  if (delta.w < 0) {
+    // Shortest rotation
+    delta.set(-delta.x, -delta.y, -delta.z, -delta.w)
+  }
+  const sinHalf = Math.sqrt(delta.x * delta.x + delta.y * delta.y + delta.z * delta.z)
+  if (sinHalf < 1e-12) return new THREE.Vector3()
+  const angle = 2 * Math.atan2(sinHalf, delta.w)
+  return new THREE.Vector3(delta.x, delta.y, delta.z).multiplyScalar(angle / sinHalf)
+}
+
+export class ArmIKSolver {
+  /**
+   * @param {Object} robot - Loaded arm URDF robot (urdf-loader)
+   * @param {Object} options
+   * @param {string} options.flange - Name of the flange link
+   * @param {Object} options.restPose - {jointName: value} starting pose
+   * @param {number} options.maxIterations - Solver iterations per solve
+   * @param {number} options.damping - Levenberg-Marquardt damping (λ)
+   * @param {number} options.orientationWeight - Meters of position error worth one radian
+   * @param {number} options.positionTolerance - Converged below this position error (m)
+   * @param {number} options.orientationTolerance - Converged below this orientation error (rad)
+   */
+  constructor(robot, {
+    flange,
+    restPose = {},
+    maxIterations = 20,
+    damping = 1e-4,
+    orientationWeight = 0.2,
+    positionTolerance = 1e-3,
+    orientationTolerance = 0.01
+  } = {}) {
+    this.robot = robot
+    this.flange = robot.links[flange] || null
+    this.restPose = restPose
+    this.maxIterations = maxIterations
+    this.damping = damping
+    this.orientationWeight = orientationWeight
+    this.positionTolerance = positionTolerance
+    this.orientationTolerance = orientationTolerance
+
+    // Variables: master (non-mimic) joints between the base and the flange
+    this.variables = this.flange
+      ? getAncestorJoints(this.flange).filter(joint => !joint.mimicJoint)
+      : []
+    this.bounds = this.variables.map(getLimit)
+    this.solution = null
+  }
+
+  /**
+   * Whether the flange link was found and has joints to move it
+   * @returns {boolean}
+   */
+  isSupported() {
+    return this.flange !== null && this.variables.length > 0
+  }
+
+  /**
+   * Joint values of the rest pose (clamped to the joint limits)
+   * @returns {number[]}
+   */
+  getRestValues() {
+    return this.variables.map((joint, i) => this.clampVariable(i, this.restPose[joint.name] ?? 0))
+  }
+
+  /**
+   * Move the arm to its rest pose and forget the warm-start solution
+   */
+  reset() {
+    this.solution = null
+    this.applyValues(this.getRestValues())
+  }
+
+  /**
+   * Clamp a variable to its joint limits
+   * @param {number} index - Variable index
+   * @param {number} value - Joint value
+   * @returns {number}
+   */
+  clampVariable(index, value) {
+    const limits = this.bounds[index]
+    return limits ? Math.max(limits.lower, Math.min(limits.upper, value)) : value
+  }
+
+  /**
+   * Set the solver variables on the robot and update its world matrices
+   * @param {number[]} values - One value per variable
+   */
+  applyValues(values) {
+    this.variables.forEach((joint, i) => joint.setJointValue(values[i]))
+    this.robot.updateMatrixWorld(true)
+  }
+
+  /**
+   * Weighted pose residual and its Jacobian columns at the current joint values
+   * @param {THREE.Vector3} targetPosition - Target flange position (robot frame)
+   * @param {THREE.Quaternion} targetQuaternion - Target flange orientation (robot frame)
+   * @returns {{position: THREE.Vector3, rotation: THREE.Vector3, jacobian: Array}}
+   */
+  computeResidual(targetPosition, targetQuaternion) {
+    const robotInverse = new THREE.Matrix4().copy(this.robot.matrixWorld).invert()
+    const flangePose = robotInverse.clone().multiply(this.flange.matrixWorld)
+    const position = new THREE.Vector3()
+    const quaternion = new THREE.Quaternion()
+    flangePose.decompose(position, quaternion, new THREE.Vector3())
+
+    const w = this.orientationWeight
+    const jacobian = this.variables.map(joint => {
+      const jointPose = robotInverse.clone().multiply(joint.matrixWorld)
+      const axis = joint.axis.clone().transformDirection(jointPose)
+
+      if (joint.jointType === 'prismatic') {
+        return { position: axis, rotation: new THREE.Vector3() }
+      }
+      const origin = new THREE.Vector3().setFromMatrixPosition(jointPose)
+      const lever = position.clone().sub(origin)
+      return {
+        position: axis.clone().cross(lever),
+        rotation: axis.multiplyScalar(1 / w)
+      }
+    })
+
+    return {
+      position: targetPosition.clone().sub(position),
+      rotation: rotationError(quaternion, targetQuaternion).multiplyScalar(1 / w),
+      jacobian
+    }
+  }
+
+  /**
+   * Solve for joint values that put the flange at the target pose
+   * @param {THREE.Matrix4} target - Target flange pose in the robot frame
+   * @returns {{joints: Object, positionError: number, orientationError: number,
+   *   iterations: number, converged: boolean}|null} - URDF joint values (applied to the
+   *   robot) and the remaining error (m, rad); null if unsupported
+   */
+  solve(target) {
+    if (!this.isSupported()) return null
+
+    const targetPosition = new THREE.Vector3()
+    const targetQuaternion = new THREE.Quaternion()
+    target.decompose(targetPosition, targetQuaternion, new THREE.Vector3())
+
+    // Warm start: previous solution, or the rest pose on the first solve
+    let result = this.descend(this.solution || this.getRestValues(), targetPosition, targetQuaternion)
+
+    // Stuck in a local minimum (usually against a joint limit): retry from the rest pose
+    if (!result.converged && this.solution) {
+      const retry = this.descend(this.getRestValues(), targetPosition, targetQuaternion)
+      if (retry.cost < result.cost) {
+        result = retry
+      } else {
+        this.applyValues(result.values)
+      }
+    }
+
+    this.solution = result.values
+    const joints = {}
+    this.variables.forEach((joint, i) => {
+      joints[joint.name] = result.values[i]
+    })
+
+    return {
+      joints,
+      positionError: result.positionError,
+      orientationError: result.orientationError,
+      iterations: result.iterations,
+      converged: result.converged
+    }
+  }
+
+  /**
+   * Levenberg-Marquardt descent from a starting pose (leaves the robot at the result)
+   * @param {number[]} start - Starting value per variable
+   * @param {THREE.Vector3} targetPosition - Target flange position (robot frame)
+   * @param {THREE.Quaternion} targetQuaternion - Target flange orientation (robot frame)
+   * @returns {{values: number[], cost: number, positionError: number, orientationError: number,
+   *   iterations: number, converged: boolean}}
+   */
+  descend(start, targetPosition, targetQuaternion) {
+    const values = [...start]
+    this.applyValues(values)
+
+    const n = this.variables.length
+    const w = this.orientationWeight
+    const isConverged = ({ position, rotation }) =>
+      position.length() <= this.positionTolerance && rotation.length() * w <= this.orientationTolerance
+
+    let lambda = this.damping
+    let residual = this.computeResidual(targetPosition, targetQuaternion)
+    let cost = poseCost(residual)
+    let iterations = 0
+
+    while (iterations < this.maxIterations && !isConverged(residual)) {
+      iterations++
+
+      // Normal equations: (JᵀJ + λI) Δ = Jᵀe
+      const { jacobian } = residual
+      const A = Array.from({ length: n }, () => new Array(n).fill(0))
+      const b = new Array(n).fill(0)
+      for (let i = 0; i < n; i++) {
+        b[i] = jacobian[i].position.dot(residual.position) + jacobian[i].rotation.dot(residual.rotation)
+        for (let j = 0; j <= i; j++) {
+          A[i][j] = jacobian[i].position.dot(jacobian[j].position) + jacobian[i].rotation.dot(jacobian[j].rotation)
+          A[j][i] = A[i][j]
+        }
+      }
+      for (let i = 0; i < n; i++) A[i][i] += lambda
+
+      const step = solveBoundedStep(A, b, values, this.bounds)
+      if (!step) break
+
+      // Levenberg-Marquardt: keep steps that lower the cost, otherwise damp harder and retry
+      const candidate = values.map((value, i) => this.clampVariable(i, value + step[i]))
+      this.applyValues(candidate)
+      const candidateResidual = this.computeResidual(targetPosition, targetQuaternion)
+      const candidateCost = poseCost(candidateResidual)
+      if (candidateCost < cost) {
+        candidate.forEach((value, i) => {
+          values[i] = value
+        })
+        residual = candidateResidual
+        cost = candidateCost
+        lambda = Math.max(lambda / 10, this.damping)
+      } else {
+        this.applyValues(values)
+        lambda *= 10
+      }
+    }
+
+    return {
+      values,
+      cost,
+      positionError: residual.position.length(),
+      orientationError: residual.rotation.length() * w,
+      iterations,
+      converged: isConverged(residual)
+    }
+  }
+}
+
+export default {
+  ArmIKSolver
+}
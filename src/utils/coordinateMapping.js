@@ -1,168 +1,359 @@
 /**
  * Coordinate Mapping and Calibration Module
- * Provides rest pose calibration to align MediaPipe tracking with hand models
+ * Provides per-operator hand calibration profiles to align MediaPipe tracking with hand models
  */
 
-const CALIBRATION_STORAGE_KEY = 'handTracking_calibration'
+import {
+  createProfile,
+  parseProfile,
+  getJointAngles,
+  measureBoneLengths,
+  summarizePoseSamples,
+  computeHandCalibration
+} from './handProfiles'
+
+const PROFILES_STORAGE_KEY = 'handTracking_profiles'
+
+// Single rest-pose calibration of older versions, migrated into a profile on load
+const LEGACY_CALIBRATION_STORAGE_KEY = 'handTracking_calibration'
+
+const DEFAULT_PROFILE_NAME = 'Default'
+const HAND_SIDES = ['left', 'right']
+
+/**
+ * Whether a joint only flexes (never negative after removing the rest pose);
+ * roll and yaw joints are signed
+ * @param {string} joint - Joint name
+ * @returns {boolean}
+ */
+export function isFlexionJoint(joint) {
+  return joint !== 'wrist' && joint.includes('_') && !joint.includes('roll') && !joint.includes('yaw')
+}
+
+/**
+ * Remove a rest pose from joint rotations
+ * @param {Object} rotations - Raw joint rotations (can be flat object or {wristOrientation, joints})
+ * @param {Object|null} rest - Rest pose joint angles ({joint: angle}), null for none
+ * @returns {Object} - Calibrated rotations
+ */
+export function applyRestPose(rotations, rest) {
+  if (!rest) {
+    return rotations // No calibration, return as-is
+  }
+
+  const calibrateJoints = (joints) => {
+    const calibrated = {}
+    for (const [joint, angle] of Object.entries(joints)) {
+      calibrated[joint] = angle - (rest[joint] || 0)
+
+      // Ensure we don't go negative for flexion-only joints
+      if (isFlexionJoint(joint)) {
+        calibrated[joint] = Math.max(0, calibrated[joint])
+      }
+    }
+    return calibrated
+  }
+
+  // Handle new data structure with wristOrientation and joints
+  if (rotations.wristOrientation && rotations.joints) {
+    return {
+      wristOrientation: { ...rotations.wristOrientation },
+      joints: calibrateJoints(rotations.joints)
+    }
+  }
+
+  // Old structure: flat object (quaternion path)
+  return calibrateJoints(rotations)
+}
 
 /**
  * Calibration Manager
- * Handles rest pose calibration with local storage persistence
+ * Holds named per-operator hand profiles (rest pose, range of motion and bone lengths per
+ * hand) with local storage persistence, and captures the wizard's calibration poses
+ *
+ * Hands are keyed by the tracked hand ('left'/'right' handedness), so each of the
+ * operator's hands has its own calibration.
  */
 export class CalibrationManager {
   constructor() {
-    this.calibrationOffsets = {}
-    this.isCalibrated = false
-    this.restPoseRotations = null
+    this.profiles = {}
+    this.activeProfileName = null
 
-    // Load saved calibration from local storage
+    // Latest uncalibrated joint angles per tracked hand (for the quick rest calibration)
+    this.latestJoints = { left: null, right: null }
+
+    // Wizard state: pose being captured and the summaries captured so far
+    this.capture = null
+    this.wizardPoses = {}
+
+    // Load saved profiles from local storage
     this.loadCalibration()
   }
 
   /**
-   * Capture rest pose for calibration
-   * User should have hand in neutral position (open, relaxed)
-   * @param {Object} currentRotations - Current joint rotations from camera
+   * Active profile, or null
+   * @returns {Object|null}
    */
-  calibrate(currentRotations) {
-    if (!currentRotations || Object.keys(currentRotations).length === 0) {
-      console.warn('Cannot calibrate: no rotation data provided')
-      return false
+  getActiveProfile() {
+    return this.profiles[this.activeProfileName] || null
+  }
+
+  /**
+   * Active profile, created as 'Default' if there is none
+   * @returns {Object}
+   */
+  ensureActiveProfile() {
+    if (!this.getActiveProfile()) {
+      this.createProfile(DEFAULT_PROFILE_NAME)
     }
+    return this.getActiveProfile()
+  }
 
-    // Store the rest pose rotations
-    this.restPoseRotations = { ...currentRotations }
+  /**
+   * Whether any hand of the active profile has a rest pose
+   * @returns {boolean}
+   */
+  get isCalibrated() {
+    const profile = this.getActiveProfile()
+    return !!profile && HAND_SIDES.some(side => profile.hands[side]?.rest)
+  }
 
-    // Calculate offsets (how much to subtract from future readings)
-    this.calibrationOffsets = {}
-    for (const [joint, angle] of Object.entries(currentRotations)) {
-      // For rest pose, we want most joints to be at 0
-      // Exception: some joints may have natural offset
-      this.calibrationOffsets[joint] = angle
-    }
+  /**
+   * @returns {string[]} - Profile names, sorted
+   */
+  listProfiles() {
+    return Object.keys(this.profiles).sort((a, b) => a.localeCompare(b))
+  }
 
-    this.isCalibrated = true
+  /**
+   * Create an empty profile and make it active (an existing profile of that name is kept)
+   * @param {string} name - Operator name
+   * @returns {boolean} - False if the name is empty
+   */
+  createProfile(name) {
+    const trimmed = name?.trim()
+    if (!trimmed) return false
 
-    // Save to local storage
+    if (!this.profiles[trimmed]) {
+      this.profiles[trimmed] = createProfile(trimmed)
+    }
+    this.activeProfileName = trimmed
     this.saveCalibration()
+    return true
+  }
 
-    // console.log('Calibration complete:', this.calibrationOffsets)
+  /**
+   * Switch the active profile
+   * @param {string} name - Profile name
+   * @returns {boolean} - False if there is no such profile
+   */
+  selectProfile(name) {
+    if (!this.profiles[name]) return false
+    this.activeProfileName = name
+    this.saveCalibration()
     return true
   }
 
   /**
-   * Apply calibration offsets to rotations
-   * @param {Object} rotations - Raw joint rotations (can be flat object or {wristOrientation, joints})
-   * @returns {Object} - Calibrated rotations
+   * Delete a profile (the first remaining profile becomes active)
+   * @param {string} name - Profile name
    */
-  applyCalibration(rotations) {
-    if (!this.isCalibrated || Object.keys(this.calibrationOffsets).length === 0) {
-      return rotations // No calibration, return as-is
+  deleteProfile(name) {
+    delete this.profiles[name]
+    if (this.activeProfileName === name) {
+      this.activeProfileName = this.listProfiles()[0] || null
     }
+    this.saveCalibration()
+  }
 
-    // Handle new data structure with wristOrientation and joints
-    if (rotations.wristOrientation && rotations.joints) {
-      const calibratedJoints = {}
-      const calibratedWrist = { ...rotations.wristOrientation }
+  /**
+   * Record the uncalibrated joint angles of one tracked hand (called by the tracking
+   * pipeline every frame, before applyCalibration); also feeds a running pose capture
+   * @param {string} side - Tracked hand ('left' or 'right')
+   * @param {Object} rotations - Uncalibrated joint rotations
+   * @param {Array} landmarks - Landmarks the rotations were computed from
+   * @param {string} source - Landmark source ('world' or 'image'); bone lengths need 'world'
+   */
+  addSample(side, rotations, landmarks, source) {
+    const joints = getJointAngles(rotations)
+    this.latestJoints[side] = joints
+
+    if (!this.capture) return
+    this.capture.samples[side].push({
+      joints,
+      boneLengths: source === 'world' && landmarks?.length === 21 ? measureBoneLengths(landmarks) : null
+    })
+  }
 
-      // Calibrate joints
-      for (const [joint, angle] of Object.entries(rotations.joints)) {
-        const offset = this.calibrationOffsets[joint] || 0
-        calibratedJoints[joint] = angle - offset
+  /**
+   * Start capturing samples of one wizard pose
+   * @param {string} poseId - Pose id (see CALIBRATION_POSES)
+   */
+  startPoseCapture(poseId) {
+    this.capture = { poseId, samples: { left: [], right: [] } }
+  }
 
-        // Ensure we don't go negative for flexion-only joints
-        if (joint !== 'wrist' && joint.includes('_')) {
-          calibratedJoints[joint] = Math.max(0, calibratedJoints[joint])
-        }
-      }
+  /**
+   * Stop the running capture and keep its summary per hand
+   * @returns {Object|null} - {left, right} sample counts, null if no capture was running
+   */
+  stopPoseCapture() {
+    if (!this.capture) return null
+
+    const { poseId, samples } = this.capture
+    this.capture = null
+    this.wizardPoses[poseId] = {
+      left: summarizePoseSamples(samples.left),
+      right: summarizePoseSamples(samples.right)
+    }
+    return { left: samples.left.length, right: samples.right.length }
+  }
 
-      // Calibrate wrist orientation (if offsets exist)
-      if (this.calibrationOffsets.wrist_orient_x !== undefined) {
-        calibratedWrist.x -= this.calibrationOffsets.wrist_orient_x || 0
-        calibratedWrist.y -= this.calibrationOffsets.wrist_orient_y || 0
-        calibratedWrist.z -= this.calibrationOffsets.wrist_orient_z || 0
-      }
+  /**
+   * Forget the poses captured by the wizard
+   */
+  resetWizard() {
+    this.capture = null
+    this.wizardPoses = {}
+  }
 
-      return {
-        wristOrientation: calibratedWrist,
-        joints: calibratedJoints
-      }
+  /**
+   * Compute the calibration of every hand captured by the wizard and store it in the
+   * active profile (hands without captures keep their previous calibration)
+   * @returns {string[]} - Calibrated hands
+   */
+  finishWizard() {
+    const profile = this.ensureActiveProfile()
+    const calibrated = []
+
+    HAND_SIDES.forEach(side => {
+      const poses = {}
+      Object.entries(this.wizardPoses).forEach(([poseId, summaries]) => {
+        if (summaries[side]) poses[poseId] = summaries[side]
+      })
+
+      const hand = computeHandCalibration(poses)
+      if (!hand) return
+
+      // Keep the previous rest pose if the flat pose was skipped
+      profile.hands[side] = { ...hand, rest: hand.rest || profile.hands[side]?.rest || null }
+      calibrated.push(side)
+    })
+
+    this.resetWizard()
+    if (calibrated.length > 0) {
+      profile.updatedAt = new Date().toISOString()
+      this.saveCalibration()
+      console.log(`✋ Calibration profile "${profile.name}" updated:`, calibrated)
     }
+    return calibrated
+  }
 
-    // Old structure: flat object (backward compatibility)
-    const calibrated = {}
-
-    for (const [joint, angle] of Object.entries(rotations)) {
-      const offset = this.calibrationOffsets[joint] || 0
-      calibrated[joint] = angle - offset
+  /**
+   * Capture the rest pose of the given hands from their latest joint angles
+   * User should have the hands in neutral position (open, relaxed)
+   * @param {string[]} sides - Currently tracked hands ('left'/'right')
+   * @returns {string[]} - Calibrated hands
+   */
+  calibrate(sides) {
+    const calibrated = sides.filter(side => this.latestJoints[side] && Object.keys(this.latestJoints[side]).length > 0)
+    if (calibrated.length === 0) {
+      console.warn('Cannot calibrate: no rotation data provided')
+      return calibrated
+    }
 
-      // Ensure we don't go negative for flexion-only joints
-      if (joint !== 'wrist' && joint.includes('_')) {
-        calibrated[joint] = Math.max(0, calibrated[joint])
+    const profile = this.ensureActiveProfile()
+    calibrated.forEach(side => {
+      profile.hands[side] = {
+        ranges: {},
+        boneLengths: null,
+        palmSize: null,
+        poses: {},
+        ...profile.hands[side],
+        rest: { ...this.latestJoints[side] }
       }
-    }
+    })
+    profile.updatedAt = new Date().toISOString()
 
+    // Save to local storage
+    this.saveCalibration()
     return calibrated
   }
 
   /**
-   * Reset calibration
+   * Apply the active profile's rest pose of a hand to its rotations
+   * @param {Object} rotations - Raw joint rotations (can be flat object or {wristOrientation, joints})
+   * @param {string} side - Tracked hand ('left' or 'right')
+   * @returns {Object} - Calibrated rotations
    */
-  resetCalibration() {
-    this.calibrationOffsets = {}
-    this.isCalibrated = false
-    this.restPoseRotations = null
+  applyCalibration(rotations, side) {
+    return applyRestPose(rotations, this.getActiveProfile()?.hands[side]?.rest)
+  }
+
+  /**
+   * Rest pose of each tracked hand in the active profile
+   * @returns {{left: Object|null, right: Object|null}}
+   */
+  getRestPoses() {
+    const hands = this.getActiveProfile()?.hands
+    return { left: hands?.left?.rest || null, right: hands?.right?.rest || null }
+  }
 
-    // Clear from local storage
-    localStorage.removeItem(CALIBRATION_STORAGE_KEY)
+  /**
+   * Reset the active profile's calibration (the profile itself is kept)
+   */
+  resetCalibration() {
+    const profile = this.getActiveProfile()
+    if (!profile) return
 
-    // console.log('Calibration reset')
+    profile.hands = { left: null, right: null }
+    profile.updatedAt = new Date().toISOString()
+    this.saveCalibration()
   }
 
   /**
-   * Save calibration to local storage
+   * Save profiles to local storage
    */
   saveCalibration() {
     try {
       const data = {
-        offsets: this.calibrationOffsets,
-        restPose: this.restPoseRotations,
-        timestamp: Date.now(),
+        activeProfile: this.activeProfileName,
+        profiles: this.profiles
       }
-      localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(data))
+      localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(data))
     } catch (error) {
       console.error('Failed to save calibration:', error)
     }
   }
 
   /**
-   * Load calibration from local storage
+   * Load profiles from local storage, migrating a legacy single rest-pose calibration
    */
   loadCalibration() {
     try {
-      const data = localStorage.getItem(CALIBRATION_STORAGE_KEY)
-      if (!data) return
-
-      const parsed = JSON.parse(data)
-
-      // Check if calibration is not too old (expire after 7 days)
-      const age = Date.now() - (parsed.timestamp || 0)
-      const maxAge = 7 * 24 * 60 * 60 * 1000 // 7 days in ms
-
-      if (age > maxAge) {
-        // console.log('Calibration expired, removing')
-        this.resetCalibration()
-        return
+      const data = localStorage.getItem(PROFILES_STORAGE_KEY)
+      if (data) {
+        const parsed = JSON.parse(data)
+        this.profiles = parsed.profiles || {}
+        this.activeProfileName = this.profiles[parsed.activeProfile] ? parsed.activeProfile : null
       }
 
-      this.calibrationOffsets = parsed.offsets || {}
-      this.restPoseRotations = parsed.restPose || null
-      this.isCalibrated = Object.keys(this.calibrationOffsets).length > 0
-
-      // Only log if we actually loaded calibration data
-      // if (this.isCalibrated) {
-      //   console.log('Calibration loaded from storage')
-      // }
+      const legacy = localStorage.getItem(LEGACY_CALIBRATION_STORAGE_KEY)
+      if (legacy) {
+        const { offsets } = JSON.parse(legacy)
+        const rest = getJointAngles(offsets)
+        if (Object.keys(rest).length > 0 && !this.profiles[DEFAULT_PROFILE_NAME]) {
+          // The legacy offsets were shared by both hands
+          const profile = createProfile(DEFAULT_PROFILE_NAME)
+          HAND_SIDES.forEach(side => {
+            profile.hands[side] = { rest: { ...rest }, ranges: {}, boneLengths: null, palmSize: null, poses: {} }
+          })
+          this.profiles[DEFAULT_PROFILE_NAME] = profile
+          this.activeProfileName = this.activeProfileName || DEFAULT_PROFILE_NAME
+        }
+        localStorage.removeItem(LEGACY_CALIBRATION_STORAGE_KEY)
+        this.saveCalibration()
+      }
     } catch (error) {
       console.error('Failed to load calibration:', error)
     }
@@ -170,46 +361,44 @@ export class CalibrationManager {
 
   /**
    * Get calibration status
-   * @returns {Object} - {isCalibrated, jointCount, timestamp}
+   * @returns {Object} - {isCalibrated, activeProfile, profiles, hands}; hands holds the
+   *   active profile's calibration per tracked hand (or null)
    */
   getStatus() {
+    const profile = this.getActiveProfile()
     return {
       isCalibrated: this.isCalibrated,
-      jointCount: Object.keys(this.calibrationOffsets).length,
-      restPose: this.restPoseRotations,
+      activeProfile: this.activeProfileName,
+      profiles: this.listProfiles(),
+      hands: {
+        left: profile?.hands.left || null,
+        right: profile?.hands.right || null
+      }
     }
   }
 
   /**
-   * Export calibration data (for debugging or sharing)
-   * @returns {Object} - Calibration data
+   * Export a profile (defaults to the active one) as a JSON-serializable object
+   * @param {string} name - Profile name
+   * @returns {Object|null} - Profile, or null if there is no such profile
    */
-  exportCalibration() {
-    return {
-      offsets: this.calibrationOffsets,
-      restPose: this.restPoseRotations,
-      isCalibrated: this.isCalibrated,
-    }
+  exportCalibration(name = this.activeProfileName) {
+    const profile = this.profiles[name]
+    return profile ? JSON.parse(JSON.stringify(profile)) : null
   }
 
   /**
-   * Import calibration data
-   * @param {Object} data - Calibration data
+   * Import a profile (replacing a profile of the same name) and make it active
+   * @param {Object} data - Exported profile
+   * @returns {string} - Imported profile name
+   * @throws {Error} - If the data is not a hand profile
    */
   importCalibration(data) {
-    if (!data || !data.offsets) {
-      console.error('Invalid calibration data')
-      return false
-    }
-
-    this.calibrationOffsets = data.offsets
-    this.restPoseRotations = data.restPose || null
-    this.isCalibrated = true
-
+    const profile = parseProfile(data)
+    this.profiles[profile.name] = profile
+    this.activeProfileName = profile.name
     this.saveCalibration()
-
-    // console.log('Calibration imported')
-    return true
+    return profile.name
   }
 }
 
@@ -0,0 +1,93 @@
+/**
+ * Damped Least Squares
+ * Small dense solvers for the normal equations of joint-space least-squares problems
+ * (fingertip retargeting and the DLS IK solver)
+ */
+
+/**
+ * Solve the symmetric positive definite system A x = b (Cholesky)
+ * @param {number[][]} A - n×n matrix (overwritten)
+ * @param {number[]} b - Right-hand side
+ * @returns {number[]|null} - Solution, or null if A is not positive definite
+ */
+export function solveSPD(A, b) {
+  const n = b.length
+  for (let j = 0; j < n; j++) {
+    let sum = A[j][j]
+    for (let k = 0; k < j; k++) sum -= A[j][k] * A[j][k]
+    if (sum <= 0) return null
+    A[j][j] = Math.sqrt(sum)
+    for (let i = j + 1; i < n; i++) {
+      let s = A[i][j]
+      for (let k = 0; k < j; k++) s -= A[i][k] * A[j][k]
+      A[i][j] = s / A[j][j]
+    }
+  }
+
+  const y = new Array(n)
+  for (let i = 0; i < n; i++) {
+    let s = b[i]
+    for (let k = 0; k < i; k++) s -= A[i][k] * y[k]
+    y[i] = s / A[i][i]
+  }
+  const x = new Array(n)
+  for (let i = n - 1; i >= 0; i--) {
+    let s = y[i]
+    for (let k = i + 1; k < n; k++) s -= A[k][i] * x[k]
+    x[i] = s / A[i][i]
+  }
+  return x
+}
+
+/**
+ * Solve the damped normal equations (JᵀJ + λI) Δ = Jᵀe, freezing variables that sit on
+ * a bound and would be pushed further out (a plain clamp of the full step stalls against limits)
+ * @param {number[][]} A - JᵀJ + λI
+ * @param {number[]} b - Jᵀe
+ * @param {number[]} values - Current variable values
+ * @param {Array<{lower: number, upper: number}|undefined>} bounds - Bounds per variable
+ * @returns {number[]|null} - Step per variable (0 for frozen ones)
+ */
+export function solveBoundedStep(A, b, values, bounds) {
+  const n = b.length
+  const frozen = new Array(n).fill(false)
+
+  for (let pass = 0; pass <= n; pass++) {
+    const free = []
+    for (let i = 0; i < n; i++) {
+      if (!frozen[i]) free.push(i)
+    }
+    if (free.length === 0) return new Array(n).fill(0)
+
+    const reduced = solveSPD(
+      free.map(i => free.map(j => A[i][j])),
+      free.map(i => b[i])
+    )
+    if (!reduced) return null
+
+    const step = new Array(n).fill(0)
+    free.forEach((i, k) => {
+      step[i] = reduced[k]
+    })
+
+    let changed = false
+    for (let i = 0; i < n; i++) {
+      const limits = bounds[i]
+      if (frozen[i] || !limits) continue
+      const atLower = values[i] <= limits.lower + 1e-9 && step[i] < 0
+      const atUpper = values[i] >= limits.upper - 1e-9 && step[i] > 0
+      if (atLower || atUpper) {
+        frozen[i] = true
+        changed = true
+      }
+    }
+    if (!changed) return step
+  }
+
+  return null
+}
+
+export default {
+  solveSPD,
+  solveBoundedStep
+}
@@ -0,0 +1,25 @@
+/**
+ * File Download
+ * Saves data produced in the browser (recordings, exports, images) as a file download
+ */
+
+/**
+ * Download data as a file
+ * @param {Blob|string} data - File contents (strings are wrapped in a Blob of the given type)
+ * @param {string} filename - File name for the download
+ * @param {string} mime - MIME type of string data (ignored for Blobs)
+ */
+export function downloadBlob(data, filename, mime = 'application/octet-stream') {
+  const blob = data instanceof Blob ? data : new Blob([data], { type: mime })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  // Revoked on the next task: some browsers start reading the URL after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+export default {
+  downloadBlob
+}
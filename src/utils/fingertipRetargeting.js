@@ -0,0 +1,559 @@
+/**
+ * Fingertip Retargeting
+ * Solves for robot joint angles whose fingertips match the tracked human fingertips
+ *
+ * Instead of copying joint curls by name, each frame minimizes
+ *   Σ w_tip · |p_f(q) - t_f|²  +  Σ w_vec · |(p_f(q) - p_thumb(q)) - (t_f - t_thumb)|²
+ * over the robot's finger joints q, where p_f are fingertip positions from forward kinematics
+ * of the loaded URDF and t_f are the MediaPipe fingertips mapped into the robot palm frame
+ * (scaled by palm length, so hands with different proportions still pinch when the human does).
+ *
+ * - Damped least squares (Levenberg-Marquardt) steps with an analytic Jacobian
+ * - Mimic joints are not variables, they contribute to their master joint's Jacobian column
+ * - Steps are projected onto the joint limits
+ * - Each solve warm-starts from the previous frame's solution
+ *
+ * Fingertip links are taken from the retargeting config (`fingertips`), or found by name.
+ */
+
+import * as THREE from 'three'
+import { solveBoundedStep } from './dampedLeastSquares'
+
+export const FINGERS = ['thumb', 'index', 'middle', 'ring', 'pinky']
+
+// MediaPipe landmark indices
+const HUMAN_WRIST = 0
+const HUMAN_BASES = { thumb: 1, index: 5, middle: 9, ring: 13, pinky: 17 }
+const HUMAN_TIPS = { thumb: 4, index: 8, middle: 12, ring: 16, pinky: 20 }
+
+// Leaf link name patterns used when the retargeting config has no `fingertips`
+// (matched at the start of the name, after an optional side prefix like 'rh_')
+const FINGER_NAME_PATTERNS = {
+  thumb: /^(?:[lr]h_|left_|right_)?(thumb|th)/i,
+  index: /^(?:[lr]h_|left_|right_)?(index|ff|first)/i,
+  middle: /^(?:[lr]h_|left_|right_)?(middle|mf)/i,
+  ring: /^(?:[lr]h_|left_|right_)?(ring|rf)/i,
+  pinky: /^(?:[lr]h_|left_|right_)?(pinky|little|lf)/i
+}
+
+const MOVABLE_JOINT_TYPES = ['revolute', 'continuous', 'prismatic']
+
+/**
+ * Finger a link or joint belongs to, judging by its name
+ * @param {string} name - Link or joint name
+ * @returns {string|null} - Finger name (FINGERS) or null
+ */
+export function getFingerFromName(name) {
+  return FINGERS.find(finger => FINGER_NAME_PATTERNS[finger].test(name)) || null
+}
+
+/**
+ * Find the fingertip link of each finger
+ * @param {Object} robot - Loaded URDF robot (urdf-loader)
+ * @param {Object} fingertips - Configured {finger: linkName} (optional)
+ * @returns {Object} - {finger: link object}
+ */
+export function findFingertipLinks(robot, fingertips = {}) {
+  const links = robot.links
+  const result = {}
+
+  // Leaf links: no child joints below them
+  const leaves = Object.values(links).filter(link =>
+    !link.children.some(child => child.isURDFJoint)
+  )
+
+  FINGERS.forEach(finger => {
+    if (fingertips[finger]) {
+      if (links[fingertips[finger]]) {
+        result[finger] = links[fingertips[finger]]
+      } else {
+        console.warn(`⚠️ [FingertipRetargeting] Fingertip link "${fingertips[finger]}" not found for ${finger}`)
+      }
+      return
+    }
+
+    const match = leaves.find(link => getFingerFromName(link.name) === finger)
+    if (match) {
+      result[finger] = match
+    }
+  })
+
+  return result
+}
+
+/**
+ * Movable joints from the robot root down to a link (root first)
+ * @param {Object} link - URDF link
+ * @returns {Object[]} - URDF joints
+ */
+export function getAncestorJoints(link) {
+  const joints = []
+  let node = link.parent
+  while (node) {
+    if (node.isURDFJoint && MOVABLE_JOINT_TYPES.includes(node.jointType)) {
+      joints.unshift(node)
+    }
+    node = node.parent
+  }
+  return joints
+}
+
+/**
+ * Whether an object is an ancestor of another
+ * @param {THREE.Object3D} ancestor
+ * @param {THREE.Object3D} object
+ * @returns {boolean}
+ */
+function isAncestor(ancestor, object) {
+  let node = object.parent
+  while (node) {
+    if (node === ancestor) return true
+    node = node.parent
+  }
+  return false
+}
+
+/**
+ * Farthest mesh vertex of a link from its origin, in link coordinates
+ * The link origin usually sits on the last joint, so this approximates the fingertip.
+ * @param {Object} link - URDF link
+ * @returns {THREE.Vector3}
+ */
+export function computeTipOffset(link) {
+  const offset = new THREE.Vector3()
+  const inverse = new THREE.Matrix4().copy(link.matrixWorld).invert()
+  const vertex = new THREE.Vector3()
+  let maxDistance = 0
+
+  link.traverse(child => {
+    // Stop at child joints - their meshes belong to other links
+    if (child !== link && child.isURDFJoint) return
+    if (!child.isMesh || !child.geometry?.attributes.position) return
+
+    const positions = child.geometry.attributes.position
+    const toLink = new THREE.Matrix4().multiplyMatrices(inverse, child.matrixWorld)
+    for (let i = 0; i < positions.count; i++) {
+      vertex.fromBufferAttribute(positions, i).applyMatrix4(toLink)
+      const distance = vertex.length()
+      if (distance > maxDistance) {
+        maxDistance = distance
+        offset.copy(vertex)
+      }
+    }
+  })
+
+  return offset
+}
+
+/**
+ * Orthonormal palm frame from wrist, finger bases and middle base
+ * x: pinky → index, y: wrist → middle base, z: x × y
+ * @returns {{origin: THREE.Vector3, basis: THREE.Matrix3, inverse: THREE.Matrix3, size: number}}
+ */
+export function buildPalmFrame(wrist, indexBase, pinkyBase, middleBase) {
+  const y = middleBase.clone().sub(wrist)
+  const size = y.length()
+  y.normalize()
+  const x = indexBase.clone().sub(pinkyBase)
+  x.sub(y.clone().multiplyScalar(x.dot(y))).normalize()
+  const z = new THREE.Vector3().crossVectors(x, y)
+
+  const basis = new THREE.Matrix3().set(
+    x.x, y.x, z.x,
+    x.y, y.y, z.y,
+    x.z, y.z, z.z
+  )
+  return { origin: wrist.clone(), basis, inverse: basis.clone().transpose(), size }
+}
+
+/**
+ * Deepest link that all fingertips hang from
+ * @param {Object} robot - Loaded URDF robot
+ * @param {Object[]} tipLinks - Fingertip links
+ * @returns {Object} - Palm link (the robot itself if none is shared)
+ */
+export function findPalmLink(robot, tipLinks) {
+  let node = tipLinks[0]?.parent
+  while (node) {
+    const candidate = node
+    if (candidate.isURDFLink && tipLinks.every(tip => isAncestor(candidate, tip))) {
+      return candidate
+    }
+    node = node.parent
+  }
+  return robot
+}
+
+/**
+ * Robot palm frame from the finger base positions, in palm-link coordinates
+ * The palm link origin stands in for the wrist.
+ * @param {Object} bases - {finger: THREE.Vector3} base of each finger's first joint
+ * @param {string[]} fingers - Fingers present on the robot (FINGERS order)
+ * @returns {Object|null} - Palm frame (buildPalmFrame)
+ */
+export function buildRobotPalmFrame(bases, fingers) {
+  const nonThumb = fingers.filter(finger => finger !== 'thumb')
+  const indexBase = bases[nonThumb[0]]
+  const pinkyBase = bases[nonThumb[nonThumb.length - 1]]
+  const middleBase = bases[fingers.includes('middle') ? 'middle' : nonThumb[Math.floor(nonThumb.length / 2)]]
+  if (!indexBase || !pinkyBase || !middleBase) return null
+
+  const wrist = new THREE.Vector3()
+  if (wrist.distanceTo(middleBase) < 1e-6) return null
+
+  return buildPalmFrame(wrist, indexBase, pinkyBase, middleBase)
+}
+
+/**
+ * Map the human fingertips into a robot palm frame
+ * Fingertips are expressed in the human palm frame and scaled by the palm size ratio.
+ * @param {Array} landmarks - 21 MediaPipe landmarks
+ * @param {Object} robotFrame - Robot palm frame (buildRobotPalmFrame)
+ * @param {string[]} fingers - Fingers to map
+ * @param {Object} options - {aspectRatio, mirror}
+ * @returns {Object} - {finger: THREE.Vector3}
+ */
+export function mapHumanFingertips(landmarks, robotFrame, fingers, { aspectRatio = 1, mirror = false } = {}) {
+  // Image landmarks: x and z are in image-width units, y in image-height units
+  const point = index => new THREE.Vector3(
+    landmarks[index].x,
+    landmarks[index].y / aspectRatio,
+    landmarks[index].z
+  )
+
+  const humanFrame = buildPalmFrame(
+    point(HUMAN_WRIST),
+    point(HUMAN_BASES.index),
+    point(HUMAN_BASES.pinky),
+    point(HUMAN_BASES.middle)
+  )
+  const scale = robotFrame.size / humanFrame.size
+
+  const targets = {}
+  fingers.forEach(finger => {
+    const local = point(HUMAN_TIPS[finger]).sub(humanFrame.origin).applyMatrix3(humanFrame.inverse)
+    // Mirrored hands have the opposite palm normal in the anatomical frame
+    if (mirror) local.z = -local.z
+    targets[finger] = local.multiplyScalar(scale).applyMatrix3(robotFrame.basis).add(robotFrame.origin)
+  })
+  return targets
+}
+
+/**
+ * Sum of squared residuals
+ * @param {Array<{residual: THREE.Vector3}>} rows - Residual rows
+ * @returns {number}
+ */
+function residualCost(rows) {
+  return rows.reduce((sum, { residual }) => sum + residual.lengthSq(), 0)
+}
+
+export class FingertipRetargeter {
+  /**
+   * @param {Object} robot - Loaded URDF robot (urdf-loader)
+   * @param {Object} options
+   * @param {string|null} options.side - Model side ('left', 'right' or null)
+   * @param {Object} options.jointLimits - Effective joint limits (getJointLimits)
+   * @param {Object} options.fingertips - {finger: linkName} overrides from the retargeting config
+   * @param {number} options.maxIterations - Solver iterations per frame
+   * @param {number} options.damping - Levenberg-Marquardt damping (λ)
+   * @param {number} options.tipWeight - Weight of absolute fingertip error
+   * @param {number} options.vectorWeight - Weight of thumb-to-fingertip vector error
+   * @param {number} options.tolerance - Stop when the step is smaller than this (rad)
+   */
+  constructor(robot, {
+    side = null,
+    jointLimits = {},
+    fingertips = {},
+    maxIterations = 8,
+    damping = 1e-4,
+    tipWeight = 1,
+    vectorWeight = 2,
+    tolerance = 1e-4
+  } = {}) {
+    this.robot = robot
+    this.side = side
+    this.jointLimits = jointLimits
+    this.maxIterations = maxIterations
+    this.damping = damping
+    this.tipWeight = tipWeight
+    this.vectorWeight = vectorWeight
+    this.tolerance = tolerance
+
+    this.tips = findFingertipLinks(robot, fingertips)
+    this.fingers = FINGERS.filter(finger => this.tips[finger])
+    this.tipOffsets = {}
+    this.solution = null
+
+    this.setupChains()
+  }
+
+  /**
+   * Collect the finger joints (solver variables) and the palm link
+   */
+  setupChains() {
+    const chains = {}
+    this.fingers.forEach(finger => {
+      chains[finger] = getAncestorJoints(this.tips[finger])
+    })
+
+    // Joints shared by every finger (wrist) are not finger joints
+    const shared = this.fingers.length > 1
+      ? chains[this.fingers[0]].filter(joint => this.fingers.every(finger => chains[finger].includes(joint)))
+      : []
+
+    this.chains = {}
+    this.fingers.forEach(finger => {
+      this.chains[finger] = chains[finger].filter(joint => !shared.includes(joint))
+    })
+
+    // Variables: master (non-mimic) joints that move at least one fingertip
+    const variables = []
+    this.fingers.forEach(finger => {
+      this.chains[finger].forEach(joint => {
+        const master = joint.mimicJoint ? this.robot.joints[joint.mimicJoint] : joint
+        if (master && !variables.includes(master) && !shared.includes(master)) {
+          variables.push(master)
+        }
+      })
+    })
+    this.variables = variables
+
+    // Palm link: deepest link that all fingertips hang from
+    this.palm = findPalmLink(this.robot, this.fingers.map(finger => this.tips[finger]))
+  }
+
+  /**
+   * Whether the robot has enough fingertips for retargeting
+   * @returns {boolean}
+   */
+  isSupported() {
+    return this.tips.thumb !== undefined && this.fingers.length >= 3 && this.variables.length > 0
+  }
+
+  /**
+   * Forget the warm-start solution (next solve starts from the robot's current pose)
+   */
+  reset() {
+    this.solution = null
+  }
+
+  /**
+   * Robot palm frame in palm-link coordinates, from the finger base joints
+   * @param {THREE.Matrix4} palmInverse - Inverse palm world matrix
+   * @returns {Object|null} - Palm frame (buildPalmFrame)
+   */
+  getRobotPalmFrame(palmInverse) {
+    const bases = {}
+    this.fingers.forEach(finger => {
+      const joint = this.chains[finger][0]
+      if (joint) {
+        bases[finger] = joint.getWorldPosition(new THREE.Vector3()).applyMatrix4(palmInverse)
+      }
+    })
+    return buildRobotPalmFrame(bases, this.fingers)
+  }
+
+  /**
+   * Set the solver variables on the robot and update its world matrices
+   * @param {number[]} values - One value per variable
+   */
+  applyValues(values) {
+    this.variables.forEach((joint, i) => joint.setJointValue(values[i]))
+    this.robot.updateMatrixWorld(true)
+  }
+
+  /**
+   * Clamp a variable to its joint limits
+   * @param {Object} joint - URDF joint
+   * @param {number} value - Joint value
+   * @returns {number}
+   */
+  clampVariable(joint, value) {
+    const limits = this.jointLimits[joint.name]
+    return limits ? Math.max(limits.lower, Math.min(limits.upper, value)) : value
+  }
+
+  /**
+   * Weighted residual rows of the objective: absolute fingertips, then thumb → fingertip vectors
+   * @param {Object} kinematics - Output of computeKinematics
+   * @param {Object} targets - Target fingertip positions in palm coordinates
+   * @returns {Array<{residual: THREE.Vector3, jacobian: THREE.Vector3[]}>}
+   */
+  buildResidualRows(kinematics, targets) {
+    const tipWeight = Math.sqrt(this.tipWeight)
+    const vectorWeight = Math.sqrt(this.vectorWeight)
+    const thumb = kinematics.thumb
+
+    const rows = this.fingers.map(finger => {
+      const { position, jacobian } = kinematics[finger]
+      return {
+        residual: targets[finger].clone().sub(position).multiplyScalar(tipWeight),
+        jacobian: jacobian.map(column => column.clone().multiplyScalar(tipWeight))
+      }
+    })
+    this.fingers.filter(finger => finger !== 'thumb').forEach(finger => {
+      const current = kinematics[finger].position.clone().sub(thumb.position)
+      const target = targets[finger].clone().sub(targets.thumb)
+      rows.push({
+        residual: target.sub(current).multiplyScalar(vectorWeight),
+        jacobian: kinematics[finger].jacobian.map((column, i) =>
+          column.clone().sub(thumb.jacobian[i]).multiplyScalar(vectorWeight)
+        )
+      })
+    })
+
+    return rows
+  }
+
+  /**
+   * Fingertip positions and Jacobians in palm-link coordinates at the current pose
+   * @param {THREE.Matrix4} palmInverse - Inverse palm world matrix
+   * @returns {Object} - {finger: {position: THREE.Vector3, jacobian: THREE.Vector3[]}}
+   */
+  computeKinematics(palmInverse) {
+    const result = {}
+    const origin = new THREE.Vector3()
+    const axis = new THREE.Vector3()
+    const lever = new THREE.Vector3()
+
+    this.fingers.forEach(finger => {
+      const tip = this.tips[finger]
+      if (!this.tipOffsets[finger]) {
+        this.tipOffsets[finger] = computeTipOffset(tip)
+      }
+
+      const position = this.tipOffsets[finger].clone().applyMatrix4(tip.matrixWorld).applyMatrix4(palmInverse)
+      const jacobian = this.variables.map(() => new THREE.Vector3())
+
+      this.chains[finger].forEach(joint => {
+        const master = joint.mimicJoint ? this.robot.joints[joint.mimicJoint] : joint
+        const column = this.variables.indexOf(master)
+        if (column === -1) return
+
+        const multiplier = joint.mimicJoint ? (joint.multiplier ?? 1) : 1
+        axis.copy(joint.axis).transformDirection(joint.matrixWorld).transformDirection(palmInverse)
+
+        if (joint.jointType === 'prismatic') {
+          jacobian[column].addScaledVector(axis, multiplier)
+        } else {
+          joint.getWorldPosition(origin).applyMatrix4(palmInverse)
+          lever.subVectors(position, origin)
+          jacobian[column].addScaledVector(axis.cross(lever), multiplier)
+        }
+      })
+
+      result[finger] = { position, jacobian }
+    })
+
+    return result
+  }
+
+  /**
+   * Solve for joint values matching the human fingertips
+   * @param {Array} landmarks - 21 MediaPipe landmarks of the driving hand
+   * @param {Object} options
+   * @param {number} options.aspectRatio - Image width / height of the landmark source
+   * @param {boolean} options.mirror - Human hand has the opposite chirality of the robot hand
+   * @returns {{joints: Object, error: number, iterations: number}|null} - URDF joint values
+   *   of the variables, RMS fingertip error (model units), iterations used; null if unsupported
+   */
+  solve(landmarks, { aspectRatio = 1, mirror = false } = {}) {
+    if (!this.isSupported() || !landmarks || landmarks.length < 21) return null
+
+    // Warm start: previous solution, or the robot's current pose on the first frame
+    const values = this.solution
+      ? [...this.solution]
+      : this.variables.map(joint => this.clampVariable(joint, joint.jointValue[0] || 0))
+
+    this.applyValues(values)
+    const palmInverse = new THREE.Matrix4().copy(this.palm.matrixWorld).invert()
+    const robotFrame = this.getRobotPalmFrame(palmInverse)
+    if (!robotFrame) return null
+
+    const targets = mapHumanFingertips(landmarks, robotFrame, this.fingers, { aspectRatio, mirror })
+    const n = this.variables.length
+    let lambda = this.damping
+    let rows = this.buildResidualRows(this.computeKinematics(palmInverse), targets)
+    let cost = residualCost(rows)
+    let iterations = 0
+
+    for (; iterations < this.maxIterations; iterations++) {
+      // Normal equations: (JᵀJ + λI) Δ = Jᵀe
+      const A = Array.from({ length: n }, () => new Array(n).fill(0))
+      const b = new Array(n).fill(0)
+      rows.forEach(({ residual, jacobian }) => {
+        for (let i = 0; i < n; i++) {
+          b[i] += jacobian[i].dot(residual)
+          for (let j = 0; j <= i; j++) {
+            A[i][j] += jacobian[i].dot(jacobian[j])
+          }
+        }
+      })
+      for (let i = 0; i < n; i++) {
+        for (let j = 0; j < i; j++) A[j][i] = A[i][j]
+        A[i][i] += lambda
+      }
+
+      const step = solveBoundedStep(A, b, values, this.variables.map(joint => this.jointLimits[joint.name]))
+      if (!step) break
+
+      let stepSize = 0
+      const candidate = this.variables.map((joint, i) => {
+        const next = this.clampVariable(joint, values[i] + step[i])
+        stepSize = Math.max(stepSize, Math.abs(next - values[i]))
+        return next
+      })
+      if (stepSize < this.tolerance) {
+        iterations++
+        break
+      }
+
+      // Levenberg-Marquardt: keep steps that lower the cost, otherwise damp harder and retry
+      this.applyValues(candidate)
+      const candidateRows = this.buildResidualRows(this.computeKinematics(palmInverse), targets)
+      const candidateCost = residualCost(candidateRows)
+      if (candidateCost < cost) {
+        candidate.forEach((value, i) => {
+          values[i] = value
+        })
+        rows = candidateRows
+        cost = candidateCost
+        lambda = Math.max(lambda / 10, this.damping)
+      } else {
+        this.applyValues(values)
+        lambda *= 10
+      }
+    }
+
+    // Residual fingertip error at the solution
+    const kinematics = this.computeKinematics(palmInverse)
+    const squaredError = this.fingers.reduce((sum, finger) =>
+      sum + kinematics[finger].position.distanceToSquared(targets[finger]), 0)
+
+    this.solution = values
+    const joints = {}
+    this.variables.forEach((joint, i) => {
+      joints[joint.name] = values[i]
+    })
+
+    return {
+      joints,
+      error: Math.sqrt(squaredError / this.fingers.length),
+      iterations
+    }
+  }
+}
+
+export default {
+  FINGERS,
+  getFingerFromName,
+  findFingertipLinks,
+  getAncestorJoints,
+  computeTipOffset,
+  buildPalmFrame,
+  findPalmLink,
+  buildRobotPalmFrame,
+  mapHumanFingertips,
+  FingertipRetargeter
+}
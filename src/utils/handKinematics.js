@@ -9,6 +9,15 @@
  * 9-12: MIDDLE (MCP, PIP, DIP, TIP)
  * 13-16: RING (MCP, PIP, DIP, TIP)
  * 17-20: PINKY (MCP, PIP, DIP, TIP)
+ *
+ * Angles are computed from MediaPipe's world landmarks (meters, hand-centered, same axis
+ * directions as the image) whenever the source provides them. Image landmarks have x in
+ * image-width units, y in image-height units and a relative z, so their non-uniform scale
+ * distorts the angles; they are only the fallback (see selectKinematicLandmarks).
+ *
+ * The roll channels of the thumb, index and middle fingers are flipped and offset so that
+ * they grow in the direction the robot joints open; the range mapper (rangeMapper.js) maps
+ * each channel's range of motion onto the target joint's limits.
  */
 
 import * as THREE from 'three'
@@ -504,9 +513,23 @@ export function calculateWristOrientation(landmarks, handedness = 'Right') {
   return { x, y, z }
 }
 
+/**
+ * Pick the landmarks the kinematics run on: world landmarks when available, else image landmarks
+ * @param {Array} landmarks - Image-normalized hand landmarks (21 points)
+ * @param {Array|null} worldLandmarks - World landmarks of the same hand (21 points, meters), if provided
+ * @param {boolean} useWorldLandmarks - Prefer world landmarks (false forces the image landmarks)
+ * @returns {{landmarks: Array, source: string}} - Landmarks and their source ('world' or 'image')
+ */
+export function selectKinematicLandmarks(landmarks, worldLandmarks, useWorldLandmarks = true) {
+  if (useWorldLandmarks && worldLandmarks && worldLandmarks.length === 21) {
+    return { landmarks: worldLandmarks, source: 'world' }
+  }
+  return { landmarks, source: 'image' }
+}
+
 /**
  * Convert MediaPipe landmarks to joint rotations
- * @param {Array} landmarks - MediaPipe hand landmarks (21 points)
+ * @param {Array} landmarks - MediaPipe hand landmarks (21 points; world landmarks preferred, see selectKinematicLandmarks)
  * @param {string} handedness - 'Left' or 'Right'
  * @returns {Object} - Joint rotations and wrist orientation
  */
@@ -571,7 +594,7 @@ export function landmarksToJointRotations(landmarks, handedness = 'Right') {
   joints.index_pip = indexPip
   joints.index_dip = indexDip
   joints.index_tip = indexDip * 0.7
-  joints.index_roll = 0.21-calculateFingerMcpRoll(landmarks, LANDMARKS.INDEX_MCP, LANDMARKS.INDEX_TIP)
+  joints.index_roll = 0.21 - calculateFingerMcpRoll(landmarks, LANDMARKS.INDEX_MCP, LANDMARKS.INDEX_TIP)
 
 
   // MIDDLE FINGER
@@ -587,7 +610,7 @@ export function landmarksToJointRotations(landmarks, handedness = 'Right') {
   joints.middle_pip = middlePip
   joints.middle_dip = middleDip
   joints.middle_tip = middleDip * 0.7
-  joints.middle_roll = 0.17-calculateFingerMcpRoll(landmarks, LANDMARKS.MIDDLE_MCP, LANDMARKS.MIDDLE_TIP)
+  joints.middle_roll = 0.17 - calculateFingerMcpRoll(landmarks, LANDMARKS.MIDDLE_MCP, LANDMARKS.MIDDLE_TIP)
 
   // RING FINGER
   const {mcp: ringMcp, pip: ringPip, dip: ringDip} = calculateFingerMcpPitch(
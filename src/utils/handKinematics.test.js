@@ -0,0 +1,72 @@
+import { landmarksToJointRotations } from './handKinematics'
+import { computeURDFJointValues, parseRetargetingConfig, resolveRetargeting } from './urdfJointMapping'
+import { buildRangeMapping, DEFAULT_RANGE_MAPPING_CONFIG } from './rangeMapper'
+
+jest.mock('./modelRegistry', () => ({}))
+
+const RETARGETING = resolveRetargeting(parseRetargetingConfig({
+  format: 'handvis-retargeting',
+  version: 1,
+  model: 'test_hand',
+  channels: {
+    thumb_roll: { joint: 'thumb_cmc_roll' },
+    index_roll: { joint: 'index_mcp_roll' },
+    middle_roll: { joint: 'middle_mcp_roll' }
+  }
+}), 'right')
+
+const JOINT_LIMITS = {
+  thumb_cmc_roll: { lower: -1, upper: 1 },
+  index_mcp_roll: { lower: -1, upper: 1 },
+  middle_mcp_roll: { lower: -1, upper: 1 }
+}
+
+/**
+ * Straight open right hand in the z = 0 plane (meters, fingers towards -y, thumb towards -x)
+ * @param {Object} pose
+ * @param {number} pose.spread - Tilt of the index and middle fingers towards the thumb (radians)
+ * @param {number} pose.thumbAcross - How far the thumb tip swings across towards the index (meters)
+ * @returns {Array} - 21 landmarks
+ */
+function createHand({ spread = 0, thumbAcross = 0 } = {}) {
+  // MCP, PIP, DIP and TIP of a straight finger
+  const finger = (x, y, tilt) => [0, 1, 2, 3].map(i => (
+    { x: x - Math.sin(tilt) * 0.025 * i, y: y - Math.cos(tilt) * 0.025 * i, z: 0 }
+  ))
+  return [
+    { x: 0, y: 0, z: 0 },
+    { x: -0.03, y: -0.02, z: 0.01 },
+    { x: -0.05, y: -0.04, z: 0.03 },
+    { x: -0.06 + thumbAcross / 2, y: -0.06, z: 0.04 },
+    { x: -0.07 + thumbAcross, y: -0.08, z: 0.05 },
+    ...finger(-0.03, -0.09, spread),
+    ...finger(-0.01, -0.095, spread),
+    ...finger(0.01, -0.09, 0),
+    ...finger(0.03, -0.08, 0)
+  ]
+}
+
+/**
+ * URDF roll joint values of a hand pose
+ * @param {Array} landmarks
+ * @param {Object|null} rangeMapping - buildRangeMapping result, null when range mapping is off
+ */
+function rollJoints(landmarks, rangeMapping) {
+  const { joints } = landmarksToJointRotations(landmarks, 'Right')
+  return computeURDFJointValues(joints, RETARGETING, { jointLimits: JOINT_LIMITS, rangeMapping })
+}
+
+describe('roll channel direction', () => {
+  test.each([
+    ['off', null],
+    ['on', buildRangeMapping(DEFAULT_RANGE_MAPPING_CONFIG, null)]
+  ])('moves the roll joints towards their upper limit with range mapping %s', (_, rangeMapping) => {
+    const rest = rollJoints(createHand(), rangeMapping)
+    const spread = rollJoints(createHand({ spread: 0.2 }), rangeMapping)
+    const across = rollJoints(createHand({ thumbAcross: 0.04 }), rangeMapping)
+
+    expect(spread.index_mcp_roll).toBeGreaterThan(rest.index_mcp_roll)
+    expect(spread.middle_mcp_roll).toBeGreaterThan(rest.middle_mcp_roll)
+    expect(across.thumb_cmc_roll).toBeGreaterThan(rest.thumb_cmc_roll)
+  })
+})
@@ -188,7 +188,8 @@ function calculateFingerQuaternions(landmarks, mcpIdx, pipIdx, dipIdx, tipIdx) {
 /**
  * Main function: Convert MediaPipe landmarks to quaternion rotations
  *
- * @param {Array} landmarks - Array of 21 hand landmarks {x, y, z}
+ * @param {Array} landmarks - Array of 21 hand landmarks {x, y, z} (world landmarks preferred,
+ *   see selectKinematicLandmarks in handKinematics)
  * @param {string} handedness - 'Left' or 'Right'
  * @returns {Object} - Quaternion rotations for all joints
  */
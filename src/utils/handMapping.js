@@ -0,0 +1,118 @@
+/**
+ * Hand Mapping
+ * Decides which tracked hand drives which model, for every consumer of tracking data
+ * (joint rotations, positions, wrist poses, landmarks, IK, fingertip retargeting,
+ * range mapping profiles, teleop and trajectories)
+ *
+ * Tracked hands are keyed by their identity ('left' / 'right' = MediaPipe's label, see
+ * input/handIdentity.js). Unmirrored camera images show each hand with the opposite
+ * chirality of its label, so by default (back view) the tracked right hand - the
+ * operator's left hand - drives the left model.
+ *
+ *   mirror    - front view: the scene camera looks at the models from the front, the
+ *               models mirror the operator (the operator's right hand drives the model on
+ *               the right of the screen, i.e. the left model) and positions are mirrored in x
+ *   swapHands - swap the two models' driving hands on top of that
+ */
+
+export const DEFAULT_HAND_MAPPING_CONFIG = {
+  mirror: false,
+  swapHands: false
+}
+
+// Scene camera positions for the back and front (mirror) views
+const BACK_VIEW_CAMERA = [0, 0.5, -1]
+const FRONT_VIEW_CAMERA = [0, 0.5, 1]
+
+/**
+ * Tracked hand driving each model side
+ * @param {Object} config - Hand mapping settings (DEFAULT_HAND_MAPPING_CONFIG shape)
+ * @returns {{left: string, right: string}} - Tracked side per model side
+ */
+export function getDrivingSides(config = DEFAULT_HAND_MAPPING_CONFIG) {
+  const crossed = !!config.mirror !== !!config.swapHands
+  return crossed ? { left: 'left', right: 'right' } : { left: 'right', right: 'left' }
+}
+
+/**
+ * Re-key per tracked hand data by model side
+ * @param {Object} byTrackedSide - {left, right} keyed by tracked hand
+ * @param {Object} drivingSides - From getDrivingSides()
+ * @returns {Object} - {left, right} keyed by model side
+ */
+export function toModelSides(byTrackedSide, drivingSides) {
+  return {
+    left: byTrackedSide?.[drivingSides.left] ?? null,
+    right: byTrackedSide?.[drivingSides.right] ?? null
+  }
+}
+
+/**
+ * Whether a model is driven by a hand of the opposite chirality (its pose is mirrored)
+ * @param {string} modelSide - 'left' or 'right'
+ * @param {Object} drivingSides - From getDrivingSides()
+ * @returns {boolean}
+ */
+export function isMirroredDrive(modelSide, drivingSides) {
+  // A tracked label shows the opposite chirality, so the same label means the opposite hand
+  return drivingSides[modelSide] === modelSide
+}
+
+/**
+ * Tracked joint rotations keyed by model side; hands of the opposite chirality get their
+ * wrist orientation mirrored (the same correction the pipeline applies between the hands)
+ * @param {Object} trackedRotations - {left, right} rotations keyed by tracked hand
+ * @param {Object} drivingSides - From getDrivingSides()
+ * @returns {Object} - {left, right} rotations keyed by model side
+ */
+export function mapRotationsToModels(trackedRotations, drivingSides) {
+  const mapped = toModelSides(trackedRotations, drivingSides)
+  Object.keys(mapped).forEach(side => {
+    const rotations = mapped[side]
+    if (rotations?.wristOrientation && isMirroredDrive(side, drivingSides)) {
+      mapped[side] = {
+        ...rotations,
+        wristOrientation: {
+          x: -rotations.wristOrientation.x,
+          y: rotations.wristOrientation.y,
+          z: -rotations.wristOrientation.z
+        }
+      }
+    }
+  })
+  return mapped
+}
+
+/**
+ * Tracked hand positions keyed by model side, mirrored in x in the front view
+ * @param {Object} trackedPositions - {left, right} positions keyed by tracked hand
+ * @param {Object} config - Hand mapping settings
+ * @returns {Object} - {left, right} positions keyed by model side
+ */
+export function mapPositionsToModels(trackedPositions, config = DEFAULT_HAND_MAPPING_CONFIG) {
+  const mapped = toModelSides(trackedPositions, getDrivingSides(config))
+  if (!config.mirror) return mapped
+  return {
+    left: mapped.left && { ...mapped.left, x: -mapped.left.x },
+    right: mapped.right && { ...mapped.right, x: -mapped.right.x }
+  }
+}
+
+/**
+ * Scene camera position for the view
+ * @param {Object} config - Hand mapping settings
+ * @returns {number[]}
+ */
+export function getSceneCameraPosition(config = DEFAULT_HAND_MAPPING_CONFIG) {
+  return config.mirror ? FRONT_VIEW_CAMERA : BACK_VIEW_CAMERA
+}
+
+export default {
+  DEFAULT_HAND_MAPPING_CONFIG,
+  getDrivingSides,
+  toModelSides,
+  isMirroredDrive,
+  mapRotationsToModels,
+  mapPositionsToModels,
+  getSceneCameraPosition
+}
@@ -0,0 +1,226 @@
+/**
+ * Hand Profiles
+ * Per-operator hand calibration computed from a guided capture of several poses per hand
+ *
+ * Each pose capture is a set of samples (uncalibrated joint angles and, from world
+ * landmarks, bone lengths). A hand's calibration holds:
+ *   rest        - joint angles of the flat hand (subtracted by CalibrationManager)
+ *   ranges      - per-joint {min, max} over all captured poses (the operator's range of motion)
+ *   boneLengths - mean bone lengths (m), null when only image landmarks were available
+ *   palmSize    - wrist → middle finger MCP (m), for the metric wrist pose
+ *
+ * Hands are keyed by the tracked (operator's) hand, 'left' or 'right'.
+ */
+
+import { downloadBlob } from './download'
+
+export const PROFILE_FORMAT = 'handvis-hand-profile'
+export const PROFILE_FORMAT_VERSION = 1
+
+// Guided capture sequence
+export const CALIBRATION_POSES = [
+  { id: 'flat', label: 'Flat', instruction: 'Open the hand flat, fingers together, palm facing the camera.' },
+  { id: 'fist', label: 'Fist', instruction: 'Close the hand into a tight fist.' },
+  { id: 'spread', label: 'Spread', instruction: 'Open the hand and spread the fingers as wide as possible.' },
+  { id: 'thumb_opposition', label: 'Thumb opposition', instruction: 'Touch the pinky tip with the thumb tip.' }
+]
+
+// Bones as [name, from landmark, to landmark] (MediaPipe indices)
+export const HAND_BONES = [
+  ['thumb_cmc', 0, 1],
+  ['thumb_metacarpal', 1, 2],
+  ['thumb_proximal', 2, 3],
+  ['thumb_distal', 3, 4],
+  ...['index', 'middle', 'ring', 'pinky'].flatMap((finger, i) => {
+    const mcp = 5 + i * 4
+    return [
+      [`${finger}_metacarpal`, 0, mcp],
+      [`${finger}_proximal`, mcp, mcp + 1],
+      [`${finger}_middle`, mcp + 1, mcp + 2],
+      [`${finger}_distal`, mcp + 2, mcp + 3]
+    ]
+  })
+]
+
+/**
+ * Numeric joint angles of a rotations object (Euler path {wristOrientation, joints} or flat)
+ * @param {Object} rotations - Pipeline joint rotations
+ * @returns {Object} - {jointName: angle}
+ */
+export function getJointAngles(rotations) {
+  const joints = rotations?.joints || rotations || {}
+  const angles = {}
+  Object.entries(joints).forEach(([name, value]) => {
+    if (Number.isFinite(value)) angles[name] = value
+  })
+  return angles
+}
+
+/**
+ * Bone lengths of one hand
+ * @param {Array} landmarks - 21 world landmarks (m)
+ * @returns {Object} - {boneName: length}
+ */
+export function measureBoneLengths(landmarks) {
+  const lengths = {}
+  HAND_BONES.forEach(([name, from, to]) => {
+    const a = landmarks[from]
+    const b = landmarks[to]
+    lengths[name] = Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2)
+  })
+  return lengths
+}
+
+/**
+ * Mean of each key over a list of {key: number} objects
+ * @param {Object[]} entries
+ * @returns {Object|null} - null if the list is empty
+ */
+function averageEntries(entries) {
+  if (entries.length === 0) return null
+  const sums = {}
+  const counts = {}
+  entries.forEach(entry => {
+    Object.entries(entry).forEach(([key, value]) => {
+      sums[key] = (sums[key] || 0) + value
+      counts[key] = (counts[key] || 0) + 1
+    })
+  })
+  const means = {}
+  Object.keys(sums).forEach(key => {
+    means[key] = sums[key] / counts[key]
+  })
+  return means
+}
+
+/**
+ * Summarize the samples of one pose capture of one hand
+ * @param {Object[]} samples - [{joints, boneLengths}] (boneLengths null without world landmarks)
+ * @returns {Object|null} - {joints, boneLengths, count}, null without samples
+ */
+export function summarizePoseSamples(samples) {
+  if (!samples || samples.length === 0) return null
+  const bones = samples.map(sample => sample.boneLengths).filter(Boolean)
+  return {
+    joints: averageEntries(samples.map(sample => sample.joints)),
+    boneLengths: averageEntries(bones),
+    count: samples.length
+  }
+}
+
+/**
+ * Calibration of one hand from its pose summaries
+ * @param {Object} poses - {poseId: summarizePoseSamples output}
+ * @returns {Object|null} - {rest, ranges, boneLengths, palmSize, poses}, null without poses
+ */
+export function computeHandCalibration(poses) {
+  const summaries = Object.values(poses).filter(Boolean)
+  if (summaries.length === 0) return null
+
+  // Range of motion: extremes of the per-pose mean angles
+  const ranges = {}
+  summaries.forEach(({ joints }) => {
+    Object.entries(joints).forEach(([name, value]) => {
+      const range = ranges[name] || { min: value, max: value }
+      ranges[name] = { min: Math.min(range.min, value), max: Math.max(range.max, value) }
+    })
+  })
+
+  // Bone lengths: sample-weighted mean over the poses measured from world landmarks
+  let boneLengths = null
+  const measured = summaries.filter(summary => summary.boneLengths)
+  if (measured.length > 0) {
+    const total = measured.reduce((sum, summary) => sum + summary.count, 0)
+    boneLengths = {}
+    measured.forEach(({ boneLengths: lengths, count }) => {
+      Object.entries(lengths).forEach(([name, length]) => {
+        boneLengths[name] = (boneLengths[name] || 0) + length * count / total
+      })
+    })
+  }
+
+  return {
+    rest: poses.flat ? { ...poses.flat.joints } : null,
+    ranges,
+    boneLengths,
+    palmSize: boneLengths ? boneLengths.middle_metacarpal : null,
+    poses: Object.fromEntries(Object.entries(poses)
+      .filter(([, summary]) => summary)
+      .map(([poseId, summary]) => [poseId, { joints: summary.joints, count: summary.count }]))
+  }
+}
+
+/**
+ * Create an empty profile
+ * @param {string} name - Operator name
+ * @returns {Object}
+ */
+export function createProfile(name) {
+  const now = new Date().toISOString()
+  return {
+    format: PROFILE_FORMAT,
+    version: PROFILE_FORMAT_VERSION,
+    name,
+    createdAt: now,
+    updatedAt: now,
+    hands: { left: null, right: null }
+  }
+}
+
+/**
+ * Validate an imported profile
+ * @param {Object} data - Parsed JSON
+ * @returns {Object} - The profile
+ * @throws {Error} - If the data is not a hand profile
+ */
+export function parseProfile(data) {
+  if (!data || data.format !== PROFILE_FORMAT) {
+    throw new Error('Not a hand profile file')
+  }
+  if (data.version > PROFILE_FORMAT_VERSION) {
+    throw new Error(`Unsupported hand profile version ${data.version}`)
+  }
+  if (typeof data.name !== 'string' || !data.name.trim()) {
+    throw new Error('Hand profile has no name')
+  }
+  return {
+    ...createProfile(data.name),
+    ...data,
+    name: data.name.trim(),
+    hands: { left: data.hands?.left || null, right: data.hands?.right || null }
+  }
+}
+
+/**
+ * Download a profile as a JSON file
+ * @param {Object} profile - Hand profile
+ */
+export function downloadProfile(profile) {
+  const filename = `hand-profile-${profile.name.replace(/[^\w-]+/g, '_')}.json`
+  downloadBlob(JSON.stringify(profile, null, 2), filename, 'application/json')
+}
+
+/**
+ * Read a profile from a JSON file
+ * @param {File} file - Exported profile
+ * @returns {Promise<Object>} - Parsed profile data (validate with parseProfile)
+ */
+export async function loadProfileFile(file) {
+  const text = await file.text()
+  return JSON.parse(text)
+}
+
+export default {
+  PROFILE_FORMAT,
+  PROFILE_FORMAT_VERSION,
+  CALIBRATION_POSES,
+  HAND_BONES,
+  getJointAngles,
+  measureBoneLengths,
+  summarizePoseSamples,
+  computeHandCalibration,
+  createProfile,
+  parseProfile,
+  downloadProfile,
+  loadProfileFile
+}
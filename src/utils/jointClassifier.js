@@ -0,0 +1,383 @@
+/**
+ * Joint Classifier
+ * Classifies the joints of a URDF hand from its kinematic structure, so that models with
+ * unknown joint names can be retargeted (see retargetingGenerator.js)
+ *
+ * 1. Chains: the kinematic tree is walked from the base link. Every leaf link ends a chain
+ *    of movable joints; joints shared by all chains are wrist joints. The rest of a chain
+ *    belongs to the finger that branches off at its first unshared joint (several leaves
+ *    on one branch are one finger, the farthest leaf is its tip).
+ * 2. Fingers: the thumb is the finger whose direction (base → tip) deviates most from the
+ *    others. The remaining fingers are ordered along the knuckle line, starting next to
+ *    the thumb: index, middle, ring, pinky. Finger names in the joint and link names
+ *    (thumb/th, index/ff, ...) confirm the topology, or override it when they disagree.
+ * 3. Palm frame: forward = palm origin → knuckles, lateral = pinky → index along the
+ *    knuckles, normal = forward × lateral.
+ * 4. Axes: every joint axis is taken in the zero pose. A finger joint turning about the
+ *    lateral axis flexes, about the normal it abducts, about the finger itself it twists.
+ *    The thumb is opposed to the palm, so its axes are compared against its own frame:
+ *    its most distal joint flexes, and defines the thumb's flexion axis.
+ *
+ * Confidences are in [0, 1]: how clearly the thumb stands out and the fingers are ordered
+ * (or the names agree), and how close a joint axis is to the axis of its kind.
+ */
+
+import * as THREE from 'three'
+import { FINGERS, getFingerFromName } from './fingertipRetargeting'
+
+export const JOINT_KINDS = ['flexion', 'abduction', 'twist']
+
+const MOVABLE_JOINT_TYPES = ['revolute', 'continuous', 'prismatic']
+
+// Joint names by axis kind, used where the geometry is unclear
+const TWIST_NAME_PATTERN = /(roll|twist)/i
+const ABDUCTION_NAME_PATTERN = /(abd|spread|splay|yaw|lateral)/i
+const FLEXION_NAME_PATTERN = /(flex|pitch|curl|bend|(^|_)(mcp|pip|dip|ip)(_|$))/i
+
+// Finger confidence when the names contradict the topology (the names are used)
+const NAME_CONFLICT_CONFIDENCE = 0.6
+
+// Fingers named by their position along the knuckle line (index first)
+const NON_THUMB_FINGERS = FINGERS.filter(finger => finger !== 'thumb')
+
+// Topology confidence by the number of non-thumb fingers: with fewer than four it is
+// unclear which ones are missing
+const ORDER_CONFIDENCE = { 1: 0.4, 2: 0.5, 3: 0.7, 4: 0.9 }
+
+const clamp01 = value => Math.min(1, Math.max(0, value))
+const round = value => Math.round(value * 100) / 100
+
+/**
+ * Collect the movable-joint chain of every leaf link, walking down from the base link
+ * @param {Object} robot - urdf-loader robot
+ * @returns {Array<{link: Object, joints: Object[]}>} - Leaf link and its joints (proximal → distal)
+ */
+function collectChains(robot) {
+  const chains = []
+
+  const walk = (object, joints) => {
+    const childJoints = object.children.filter(child => child.isURDFJoint)
+    if (object.isURDFLink && childJoints.length === 0) {
+      chains.push({ link: object, joints })
+      return
+    }
+    object.children.forEach(child => {
+      if (child.isURDFJoint) {
+        const movable = MOVABLE_JOINT_TYPES.includes(child.jointType)
+        walk(child, movable ? [...joints, child] : joints)
+      } else if (child.isURDFLink) {
+        walk(child, joints)
+      }
+    })
+  }
+
+  walk(robot, [])
+  return chains.filter(chain => chain.joints.length > 0)
+}
+
+/**
+ * Split the chains into wrist joints and finger branches
+ * @param {Array} chains - Leaf chains (collectChains)
+ * @returns {{wrist: Object[], branches: Array<{root: Object, joints: Object[], tip: Object}>}}
+ */
+function splitBranches(chains) {
+  // Wrist: the joints every chain passes through
+  const wrist = []
+  const shortest = Math.min(...chains.map(chain => chain.joints.length))
+  for (let i = 0; i < shortest; i++) {
+    const joint = chains[0].joints[i]
+    if (!chains.every(chain => chain.joints[i] === joint)) break
+    wrist.push(joint)
+  }
+
+  const branches = new Map()
+  chains.forEach(chain => {
+    const joints = chain.joints.slice(wrist.length)
+    if (joints.length === 0) return
+    const root = joints[0]
+    const branch = branches.get(root) || { root, joints: [], leaves: [] }
+    joints.forEach(joint => {
+      if (!branch.joints.includes(joint)) branch.joints.push(joint)
+    })
+    branch.leaves.push(chain.link)
+    branches.set(root, branch)
+  })
+
+  // The farthest leaf from the branch root is the fingertip
+  const result = [...branches.values()].map(({ root, joints, leaves }) => {
+    const rootPosition = getPosition(root)
+    const tip = leaves.reduce((best, leaf) =>
+      getPosition(leaf).distanceTo(rootPosition) > getPosition(best).distanceTo(rootPosition) ? leaf : best
+    )
+    // Joints on the way to the tip come first, side branches after them
+    const tipJoints = new Set(getChainTo(tip, root))
+    joints.sort((a, b) => Number(tipJoints.has(b)) - Number(tipJoints.has(a)))
+    return { root, joints, tip }
+  })
+
+  return { wrist, branches: result }
+}
+
+/**
+ * Movable joints from a branch root down to a link
+ * @param {Object} link - URDF link
+ * @param {Object} root - Branch root joint
+ * @returns {Object[]}
+ */
+function getChainTo(link, root) {
+  const joints = []
+  let node = link
+  while (node && node !== root.parent) {
+    if (node.isURDFJoint && MOVABLE_JOINT_TYPES.includes(node.jointType)) joints.unshift(node)
+    node = node.parent
+  }
+  return joints
+}
+
+/**
+ * World position of an object
+ * @param {THREE.Object3D} object
+ * @returns {THREE.Vector3}
+ */
+function getPosition(object) {
+  return new THREE.Vector3().setFromMatrixPosition(object.matrixWorld)
+}
+
+/**
+ * World direction of a joint axis
+ * @param {Object} joint - URDF joint
+ * @returns {THREE.Vector3}
+ */
+function getWorldAxis(joint) {
+  return joint.axis.clone().transformDirection(joint.matrixWorld)
+}
+
+/**
+ * Finger named by a branch's joints and links, if they agree on one
+ * @param {Object} branch - Finger branch
+ * @returns {string|null}
+ */
+function getBranchNameFinger(branch) {
+  const votes = {}
+  branch.joints.forEach(joint => {
+    const child = joint.children.find(object => object.isURDFLink)
+    const finger = getFingerFromName(joint.name) || (child ? getFingerFromName(child.name) : null)
+    if (finger) votes[finger] = (votes[finger] || 0) + 1
+  })
+  const ranked = Object.entries(votes).sort((a, b) => b[1] - a[1])
+  if (ranked.length === 0 || (ranked[1] && ranked[1][1] === ranked[0][1])) return null
+  return ranked[0][0]
+}
+
+/**
+ * Identify the fingers of the branches by their geometry
+ * @param {Array} branches - Finger branches with base, tip and direction
+ * @param {THREE.Vector3} origin - Palm origin
+ * @returns {{fingers: Map, frame: Object, thumbConfidence: number, orderConfidence: number}}
+ */
+function identifyByTopology(branches, origin) {
+  // Thumb: largest mean angle to the other fingers' directions
+  const deviations = branches.map(branch => {
+    const others = branches.filter(other => other !== branch)
+    return others.reduce((sum, other) => sum + branch.direction.angleTo(other.direction), 0) / others.length
+  })
+  const ranked = [...deviations].sort((a, b) => b - a)
+  const thumb = branches[deviations.indexOf(ranked[0])]
+  // Half a radian of margin over the runner-up makes the thumb certain
+  const thumbConfidence = clamp01((ranked[0] - ranked[1]) / 0.5)
+
+  const others = branches.filter(branch => branch !== thumb)
+  const knuckles = others.reduce((sum, branch) => sum.add(branch.base), new THREE.Vector3())
+    .divideScalar(others.length)
+  const forward = knuckles.clone().sub(origin)
+  if (forward.lengthSq() < 1e-12) {
+    forward.copy(others.reduce((sum, branch) => sum.add(branch.direction), new THREE.Vector3()))
+  }
+  forward.normalize()
+
+  // Lateral: along the knuckles, pointing towards the thumb side. The thumb's base can sit
+  // anywhere below the knuckles, so its side is judged by the middle of the thumb
+  const thumbMiddle = thumb.base.clone().add(thumb.tipPosition).multiplyScalar(0.5)
+  const lateral = new THREE.Vector3()
+  if (others.length > 1) {
+    let widest = 0
+    others.forEach(a => others.forEach(b => {
+      const distance = a.base.distanceTo(b.base)
+      if (distance > widest) {
+        widest = distance
+        lateral.subVectors(a.base, b.base)
+      }
+    }))
+  } else {
+    lateral.subVectors(thumbMiddle, others[0].base)
+  }
+  lateral.sub(forward.clone().multiplyScalar(lateral.dot(forward)))
+  if (lateral.lengthSq() < 1e-12) lateral.set(1, 0, 0).sub(forward.clone().multiplyScalar(forward.x))
+  lateral.normalize()
+  if (thumbMiddle.sub(knuckles).dot(lateral) < 0) lateral.negate()
+  const normal = new THREE.Vector3().crossVectors(forward, lateral).normalize()
+
+  // Index next to the thumb, then outwards
+  const ordered = [...others].sort((a, b) => b.base.dot(lateral) - a.base.dot(lateral))
+  const fingers = new Map([[thumb, 'thumb']])
+  ordered.slice(0, NON_THUMB_FINGERS.length).forEach((branch, i) => fingers.set(branch, NON_THUMB_FINGERS[i]))
+
+  return {
+    fingers,
+    frame: { origin, forward, lateral, normal },
+    thumbConfidence,
+    orderConfidence: ORDER_CONFIDENCE[Math.min(others.length, 4)]
+  }
+}
+
+/**
+ * Kind of a joint from its axis and a reference frame
+ * @param {THREE.Vector3} axis - World joint axis
+ * @param {Object} references - {flexion, abduction, twist} unit vectors
+ * @param {string} name - Joint name (tie-breaker when the axis is ambiguous)
+ * @returns {{kind: string, confidence: number}}
+ */
+function classifyAxis(axis, references, name) {
+  const scores = {}
+  JOINT_KINDS.forEach(kind => { scores[kind] = Math.abs(axis.dot(references[kind])) })
+  const [best, second] = Object.entries(scores).sort((a, b) => b[1] - a[1])
+
+  let kind = best[0]
+  // Within ~10° of the reference axis is certain, 45° between two references is a tie
+  let confidence = clamp01((best[1] - second[1]) * 1.25)
+
+  // Names agreeing with the axis add to the confidence. Names contradicting it win, as
+  // axes that coincide in the zero pose (a thumb's yaw and pitch) can't be told apart
+  const nameKind = TWIST_NAME_PATTERN.test(name) ? 'twist'
+    : ABDUCTION_NAME_PATTERN.test(name) ? 'abduction'
+      : FLEXION_NAME_PATTERN.test(name) ? 'flexion'
+        : null
+  const sideways = value => value === 'abduction' || value === 'twist'
+  if (nameKind && (nameKind === kind || (sideways(nameKind) && sideways(kind)))) {
+    // The name tells a twist from an abduction better than the zero-pose axis
+    kind = nameKind
+    confidence = Math.max(confidence, 0.8)
+  } else if (nameKind) {
+    kind = nameKind
+    confidence = 0.5
+  }
+
+  return { kind, confidence: round(confidence) }
+}
+
+/**
+ * Classify the joints of a URDF hand
+ * Expects the robot in its zero pose with up-to-date world matrices (a freshly parsed
+ * robot after updateMatrixWorld).
+ * @param {Object} robot - urdf-loader robot (meshes not needed)
+ * @param {Object} jointConfig - Parsed joint configuration (parseJointConfig)
+ * @returns {Object} - {wrist: [{joint, kind, confidence}], fingers: {finger: {confidence,
+ *   tip, joints: [{joint, kind, confidence}]}}, frame: {origin, forward, lateral, normal}|null,
+ *   unclassified: string[]} - joints proximal → distal, mimic joints left out
+ */
+export function classifyJoints(robot, jointConfig) {
+  const isDriven = joint => !jointConfig[joint.name]?.mimic
+  const result = { wrist: [], fingers: {}, frame: null, unclassified: [] }
+
+  const chains = collectChains(robot)
+  if (chains.length === 0) return result
+
+  const { wrist, branches } = splitBranches(chains)
+  if (branches.length < 2) {
+    // A single chain (gripper finger, arm) has no palm to classify against
+    result.unclassified = [...wrist, ...branches.flatMap(branch => branch.joints)]
+      .filter(isDriven)
+      .map(joint => joint.name)
+    console.log(`🧩 [JointClassifier] ${branches.length} finger branch(es), nothing to classify`)
+    return result
+  }
+
+  // Palm origin: the link carrying the fingers
+  const lastWrist = wrist[wrist.length - 1]
+  const origin = lastWrist ? getPosition(lastWrist) : getPosition(robot)
+
+  branches.forEach(branch => {
+    branch.base = getPosition(branch.root)
+    branch.tipPosition = getPosition(branch.tip)
+    branch.direction = branch.tipPosition.clone().sub(branch.base)
+    if (branch.direction.lengthSq() < 1e-12) branch.direction.subVectors(branch.base, origin)
+    branch.direction.normalize()
+  })
+
+  const topology = identifyByTopology(branches, origin)
+  const { frame } = topology
+  result.frame = frame
+
+  // Names override the topology when every named branch names a different finger
+  const named = new Map(branches.map(branch => [branch, getBranchNameFinger(branch)]))
+  const namedFingers = [...named.values()].filter(Boolean)
+  const namesUsable = namedFingers.length > 0 && new Set(namedFingers).size === namedFingers.length
+
+  const unclassified = []
+  branches.forEach(branch => {
+    const topologyFinger = topology.fingers.get(branch)
+    const nameFinger = namesUsable ? named.get(branch) : null
+    const finger = nameFinger || topologyFinger
+    if (!finger || result.fingers[finger]) {
+      unclassified.push(...branch.joints.filter(isDriven).map(joint => joint.name))
+      return
+    }
+
+    let confidence = finger === 'thumb'
+      ? topology.thumbConfidence
+      : Math.min(topology.thumbConfidence, topology.orderConfidence)
+    if (nameFinger) confidence = nameFinger === topologyFinger ? 1 : NAME_CONFLICT_CONFIDENCE
+
+    const joints = branch.joints.filter(isDriven)
+    let references
+    if (finger === 'thumb') {
+      // The thumb's own frame: its most distal joint flexes
+      const twist = branch.direction
+      const flexion = getWorldAxis(joints[joints.length - 1] || branch.root)
+      flexion.sub(twist.clone().multiplyScalar(flexion.dot(twist))).normalize()
+      references = { flexion, twist, abduction: new THREE.Vector3().crossVectors(twist, flexion).normalize() }
+    } else {
+      const twist = branch.direction.clone()
+        .sub(frame.lateral.clone().multiplyScalar(branch.direction.dot(frame.lateral))).normalize()
+      references = {
+        flexion: frame.lateral,
+        abduction: new THREE.Vector3().crossVectors(twist, frame.lateral).normalize(),
+        twist
+      }
+    }
+
+    result.fingers[finger] = {
+      confidence: round(confidence),
+      tip: branch.tip.name,
+      joints: joints.map((joint, i) => {
+        // The reference joint of the thumb flexes by definition
+        if (finger === 'thumb' && i === joints.length - 1) {
+          return { joint: joint.name, kind: 'flexion', confidence: 1 }
+        }
+        return { joint: joint.name, ...classifyAxis(getWorldAxis(joint), references, joint.name) }
+      })
+    }
+  })
+
+  // Wrist joints against the palm frame: flexion about lateral, deviation about normal
+  result.wrist = wrist.filter(isDriven).map(joint => ({
+    joint: joint.name,
+    ...classifyAxis(getWorldAxis(joint), {
+      flexion: frame.lateral,
+      abduction: frame.normal,
+      twist: frame.forward
+    }, joint.name)
+  }))
+  result.unclassified = unclassified
+
+  const summary = FINGERS.filter(finger => result.fingers[finger])
+    .map(finger => `${finger} ${result.fingers[finger].confidence}`)
+    .join(', ')
+  console.log(`🧩 [JointClassifier] ${branches.length} fingers (${summary}), ${result.wrist.length} wrist joints`)
+  return result
+}
+
+export default {
+  JOINT_KINDS,
+  classifyJoints
+}
@@ -0,0 +1,181 @@
+import * as THREE from 'three'
+import { classifyJoints } from './jointClassifier'
+
+const SEGMENT_LENGTH = 0.03
+
+/**
+ * Add a joint and its child link, shaped like urdf-loader's URDFJoint and URDFLink
+ * @returns {THREE.Object3D} - Child link
+ */
+function addJoint(parent, name, { type = 'revolute', axis = [1, 0, 0], position = [0, 0, 0] } = {}) {
+  const joint = new THREE.Object3D()
+  joint.isURDFJoint = true
+  joint.name = name
+  joint.jointType = type
+  joint.axis = new THREE.Vector3(...axis).normalize()
+  joint.position.set(...position)
+
+  const link = new THREE.Object3D()
+  link.isURDFLink = true
+  link.name = `${name}_link`
+  joint.add(link)
+  parent.add(joint)
+  return link
+}
+
+/**
+ * Add a finger: movable joints along a direction, ending in a fixed tip link
+ * @returns {string[]} - Joint names, proximal → distal
+ */
+function addFinger(palm, names, base, direction, axes) {
+  const step = direction.clone().normalize().multiplyScalar(SEGMENT_LENGTH)
+  let link = addJoint(palm, names[0], { axis: axes[0], position: base })
+  axes.slice(1).forEach((axis, i) => {
+    link = addJoint(link, names[i + 1], { axis, position: step.toArray() })
+  })
+  addJoint(link, `${names[0]}_tip`, { type: 'fixed', position: step.toArray() })
+  return names
+}
+
+/**
+ * Five-finger hand in its zero pose: palm in the XY plane, fingers along +Y, the thumb on
+ * the +X side of a right hand (-X of a left hand), behind two wrist joints
+ * @param {Object} options
+ * @param {string} options.side - 'right' or 'left'
+ * @param {Object} options.prefixes - {finger: joint name prefix}; anonymous names otherwise
+ * @returns {{robot: THREE.Object3D, joints: Object}} - joints: {wrist|finger: joint names}
+ */
+function createHand({ side = 'right', prefixes = {} } = {}) {
+  const mirror = side === 'left' ? -1 : 1
+  let count = 0
+  const jointNames = (finger, length) => Array.from({ length }, (_, i) =>
+    prefixes[finger] ? `${prefixes[finger]}_j${i + 1}` : `joint_${count++}`)
+
+  const robot = new THREE.Object3D()
+  robot.isURDFLink = true
+  robot.name = 'base_link'
+
+  const joints = { wrist: jointNames('wrist', 2) }
+  const forearm = addJoint(robot, joints.wrist[0], { axis: [0, 0, 1] })
+  const palm = addJoint(forearm, joints.wrist[1], { axis: [1, 0, 0] })
+
+  // Abduction about the palm normal, then three flexion joints about the knuckle line
+  const fingerAxes = [[0, 0, 1], [1, 0, 0], [1, 0, 0], [1, 0, 0]]
+  const knuckles = { index: 0.025, middle: 0.008, ring: -0.008, pinky: -0.025 }
+  Object.entries(knuckles).forEach(([finger, x]) => {
+    joints[finger] = addFinger(palm, jointNames(finger, 4), [mirror * x, 0.09, 0], new THREE.Vector3(0, 1, 0), fingerAxes)
+  })
+
+  // Thumb: twist about itself, abduction, then two joints flexing about its own axis
+  const direction = new THREE.Vector3(mirror, 0.5, 0.6).normalize()
+  const flexion = new THREE.Vector3().crossVectors(direction, new THREE.Vector3(0, 0, 1)).normalize()
+  const abduction = new THREE.Vector3().crossVectors(direction, flexion)
+  const thumbAxes = [direction, abduction, flexion, flexion].map(axis => axis.toArray())
+  joints.thumb = addFinger(palm, jointNames('thumb', 4), [mirror * 0.03, 0.02, 0.01], direction, thumbAxes)
+
+  robot.updateMatrixWorld(true)
+  return { robot, joints }
+}
+
+const kindsOf = classified => classified.joints.map(joint => joint.kind)
+const namesOf = classified => classified.joints.map(joint => joint.joint)
+
+describe('classifyJoints', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test.each(['right', 'left'])('identifies the fingers of a %s hand from its topology', side => {
+    const { robot, joints } = createHand({ side })
+
+    const { fingers, unclassified } = classifyJoints(robot, {})
+
+    expect(Object.keys(fingers).sort()).toEqual(['index', 'middle', 'pinky', 'ring', 'thumb'])
+    Object.entries(fingers).forEach(([finger, classified]) => {
+      expect(namesOf(classified)).toEqual(joints[finger])
+      expect(classified.tip).toBe(`${joints[finger][0]}_tip_link`)
+    })
+    expect(fingers.thumb.confidence).toBe(1)
+    expect(fingers.index.confidence).toBe(0.9)
+    expect(unclassified).toEqual([])
+  })
+
+  test('tells abduction from flexion against the palm frame', () => {
+    const { fingers, frame } = classifyJoints(createHand().robot, {})
+
+    expect(frame.lateral.x).toBeCloseTo(1)
+    expect(frame.forward.y).toBeGreaterThan(0.9)
+    const nonThumbFingers = ['index', 'middle', 'ring', 'pinky']
+    nonThumbFingers.forEach(finger => {
+      expect(kindsOf(fingers[finger])).toEqual(['abduction', 'flexion', 'flexion', 'flexion'])
+    })
+    fingers.index.joints.forEach(joint => expect(joint.confidence).toBe(1))
+  })
+
+  test('classifies the thumb against its own frame', () => {
+    const { fingers } = classifyJoints(createHand().robot, {})
+
+    expect(kindsOf(fingers.thumb)).toEqual(['twist', 'abduction', 'flexion', 'flexion'])
+  })
+
+  test('keeps the joints shared by every finger as wrist joints', () => {
+    const { robot, joints } = createHand()
+
+    const { wrist } = classifyJoints(robot, {})
+
+    expect(wrist).toEqual([
+      { joint: joints.wrist[0], kind: 'abduction', confidence: 1 },
+      { joint: joints.wrist[1], kind: 'flexion', confidence: 1 }
+    ])
+  })
+
+  test('leaves mimic joints out', () => {
+    const { robot, joints } = createHand()
+    const mimicked = joints.index[3]
+
+    const { fingers } = classifyJoints(robot, { [mimicked]: { mimic: { joint: joints.index[2], multiplier: 1 } } })
+
+    expect(namesOf(fingers.index)).toEqual(joints.index.slice(0, 3))
+  })
+
+  test('confirms the topology with finger names', () => {
+    const prefixes = { thumb: 'th', index: 'ff', middle: 'mf', ring: 'rf', pinky: 'lf' }
+    const { robot } = createHand({ prefixes })
+
+    const { fingers } = classifyJoints(robot, {})
+
+    Object.values(fingers).forEach(classified => expect(classified.confidence).toBe(1))
+  })
+
+  test('follows finger names that contradict the topology', () => {
+    const prefixes = { thumb: 'th', index: 'lf', middle: 'mf', ring: 'rf', pinky: 'ff' }
+    const { robot, joints } = createHand({ prefixes })
+
+    const { fingers } = classifyJoints(robot, {})
+
+    expect(namesOf(fingers.index)).toEqual(joints.pinky)
+    expect(namesOf(fingers.pinky)).toEqual(joints.index)
+    expect(fingers.index.confidence).toBe(0.6)
+    expect(fingers.middle.confidence).toBe(1)
+  })
+
+  test('leaves a single chain unclassified', () => {
+    const robot = new THREE.Object3D()
+    robot.isURDFLink = true
+    let link = addJoint(robot, 'shoulder', { axis: [0, 0, 1] })
+    link = addJoint(link, 'elbow', { position: [0, 0.3, 0] })
+    addJoint(link, 'gripper', { type: 'prismatic', position: [0, 0.3, 0] })
+    robot.updateMatrixWorld(true)
+
+    expect(classifyJoints(robot, {})).toEqual({
+      wrist: [],
+      fingers: {},
+      frame: null,
+      unclassified: ['shoulder', 'elbow', 'gripper']
+    })
+  })
+})
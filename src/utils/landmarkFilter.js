@@ -0,0 +1,260 @@
+/**
+ * Landmark Filter
+ * Filters the 21 landmarks of each hand before any angle is computed, so landmark noise is
+ * not amplified by the kinematics
+ *
+ * Per hand and landmark set (image and world landmarks are filtered separately), every frame:
+ *   1. Outlier rejection - a landmark whose single-frame displacement differs from the whole
+ *      hand's (median) displacement by more than `outlierThreshold` palm lengths is replaced
+ *      by its previous position moved with the hand, for at most MAX_REJECTED_FRAMES frames
+ *      in a row. When many landmarks jump at once the hand really moved, and nothing is rejected.
+ *   2. One Euro smoothing of each 3D position, with speeds in palm lengths per second so
+ *      the same settings suit image and world landmarks.
+ *   3. Bone-length consistency - the length of every bone (HAND_BONES), relative to the palm
+ *      (wrist → middle MCP), is learned over the session from frames without outliers.
+ *      Once learned, each bone is pulled towards its learned length from the wrist outwards,
+ *      by `boneStiffness` (0 = off, 1 = exact).
+ *
+ * Image landmarks are filtered in pixel-proportional units (x · width, y · height,
+ * z · width) so that lengths are not distorted by the image aspect ratio.
+ */
+
+import * as THREE from 'three'
+import { HAND_BONES } from './handProfiles'
+import { oneEuroAlpha } from './motionFilter'
+
+const WRIST = 0
+const MIDDLE_MCP = 9
+const LANDMARK_COUNT = 21
+
+// Most frames in a row a landmark may be replaced before its measurement is trusted again
+const MAX_REJECTED_FRAMES = 3
+
+// More jumping landmarks than this means the whole hand moved
+const MAX_OUTLIERS = 7
+
+// Frames of bone-length samples before the constraint applies, and the running-mean window
+const MIN_BONE_SAMPLES = 30
+const BONE_SAMPLE_WINDOW = 300
+
+// A gap longer than this (s) restarts the temporal filtering
+const MAX_FRAME_GAP = 0.5
+
+export const DEFAULT_LANDMARK_FILTER_CONFIG = {
+  enabled: true,
+  minCutoff: 2.0, // Cutoff at rest (Hz)
+  beta: 2.0, // Cutoff increase per palm length/s
+  derivativeCutoff: 1.0, // Cutoff of the speed estimate (Hz)
+  outlierRejection: true,
+  outlierThreshold: 0.6, // Palm lengths per frame, relative to the whole hand's motion
+  boneConstraints: true,
+  boneStiffness: 0.5
+}
+
+/**
+ * Component-wise median of a list of vectors
+ * @param {THREE.Vector3[]} vectors
+ * @returns {THREE.Vector3}
+ */
+function medianVector(vectors) {
+  const median = values => {
+    const sorted = [...values].sort((a, b) => a - b)
+    const middle = Math.floor(sorted.length / 2)
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+  }
+  return new THREE.Vector3(
+    median(vectors.map(v => v.x)),
+    median(vectors.map(v => v.y)),
+    median(vectors.map(v => v.z))
+  )
+}
+
+/**
+ * LandmarkFilter class
+ * Holds the temporal state and the learned bone model of each hand and landmark set
+ */
+export class LandmarkFilter {
+  constructor(config = DEFAULT_LANDMARK_FILTER_CONFIG) {
+    this.config = { ...DEFAULT_LANDMARK_FILTER_CONFIG, ...config }
+    this.states = {} // {'left:world': {points, speeds, rejectedFrames, timestamp}}
+    this.boneModels = {} // {'left:world': {ratios: {bone: length / palm}, count}}
+  }
+
+  /**
+   * Update the settings
+   * @param {Object} config - Landmark filter settings (DEFAULT_LANDMARK_FILTER_CONFIG shape)
+   */
+  setConfig(config) {
+    this.config = { ...DEFAULT_LANDMARK_FILTER_CONFIG, ...config }
+  }
+
+  /**
+   * Reset the temporal state (e.g. when time jumps); the learned bone lengths are kept
+   */
+  reset() {
+    this.states = {}
+  }
+
+  /**
+   * Forget the learned bone lengths (e.g. for another operator)
+   */
+  resetBoneModel() {
+    this.boneModels = {}
+  }
+
+  /**
+   * Number of frames the bone model of a hand has learned from
+   * @param {string} side - 'left' or 'right'
+   * @returns {number} - Sample count of the world landmark model (image model if none)
+   */
+  getBoneSampleCount(side) {
+    return (this.boneModels[`${side}:world`] || this.boneModels[`${side}:image`])?.count || 0
+  }
+
+  /**
+   * Filter the landmarks of one hand
+   * @param {string} side - 'left' or 'right'
+   * @param {Array} landmarks - 21 image-normalized landmarks
+   * @param {Array|null} worldLandmarks - 21 world landmarks (m), if available
+   * @param {number} timestamp - Frame timestamp (ms)
+   * @param {{width: number, height: number}} imageSize - Image size (px)
+   * @returns {{landmarks: Array, worldLandmarks: Array|null, rejected: number}} - Filtered
+   *   landmarks and the number of rejected image and world landmarks
+   */
+  filter(side, landmarks, worldLandmarks, timestamp, imageSize) {
+    if (!this.config.enabled || !landmarks || landmarks.length < LANDMARK_COUNT) {
+      return { landmarks, worldLandmarks, rejected: 0 }
+    }
+
+    const { width, height } = imageSize
+    const image = this.filterSet(`${side}:image`, landmarks.map(p => new THREE.Vector3(p.x * width, p.y * height, p.z * width)), timestamp)
+    let rejected = image.rejected
+    const filteredLandmarks = landmarks.map((p, i) => ({
+      ...p,
+      x: image.points[i].x / width,
+      y: image.points[i].y / height,
+      z: image.points[i].z / width
+    }))
+
+    let filteredWorld = worldLandmarks
+    if (worldLandmarks && worldLandmarks.length >= LANDMARK_COUNT) {
+      const world = this.filterSet(`${side}:world`, worldLandmarks.map(p => new THREE.Vector3(p.x, p.y, p.z)), timestamp)
+      rejected += world.rejected
+      filteredWorld = worldLandmarks.map((p, i) => ({ ...p, x: world.points[i].x, y: world.points[i].y, z: world.points[i].z }))
+    }
+
+    return { landmarks: filteredLandmarks, worldLandmarks: filteredWorld, rejected }
+  }
+
+  /**
+   * Filter one landmark set of one hand
+   * @param {string} key - State key ('<side>:image' or '<side>:world')
+   * @param {THREE.Vector3[]} measured - 21 measured points
+   * @param {number} timestamp - Frame timestamp (ms)
+   * @returns {{points: THREE.Vector3[], rejected: number}}
+   */
+  filterSet(key, measured, timestamp) {
+    const config = this.config
+    const palm = measured[MIDDLE_MCP].distanceTo(measured[WRIST])
+    if (!(palm > 1e-9)) return { points: measured, rejected: 0 }
+
+    const state = this.states[key]
+    const deltaTime = state ? (timestamp - state.timestamp) / 1000 : 0
+    if (!state || deltaTime <= 0 || deltaTime > MAX_FRAME_GAP) {
+      const points = this.constrainBones(key, measured, palm)
+      this.learnBones(key, measured, palm)
+      this.states[key] = {
+        points,
+        speeds: new Array(LANDMARK_COUNT).fill(0),
+        rejectedFrames: new Array(LANDMARK_COUNT).fill(0),
+        timestamp
+      }
+      return { points, rejected: 0 }
+    }
+
+    // 1. Outlier rejection against the whole hand's motion
+    const accepted = measured.map(p => p.clone())
+    const rejectedFrames = [...state.rejectedFrames]
+    let rejected = 0
+    if (config.outlierRejection) {
+      const displacements = measured.map((p, i) => p.clone().sub(state.points[i]))
+      const handMotion = medianVector(displacements)
+      const outliers = displacements
+        .map((d, i) => (d.distanceTo(handMotion) / palm > config.outlierThreshold ? i : -1))
+        .filter(i => i >= 0)
+
+      if (outliers.length <= MAX_OUTLIERS) {
+        outliers.forEach(i => {
+          if (rejectedFrames[i] >= MAX_REJECTED_FRAMES) return
+          accepted[i] = state.points[i].clone().add(handMotion)
+          rejectedFrames[i]++
+          rejected++
+        })
+      }
+      measured.forEach((_, i) => {
+        if (!outliers.includes(i)) rejectedFrames[i] = 0
+      })
+    }
+
+    // 2. One Euro smoothing, speeds in palm lengths per second
+    const speeds = []
+    const smoothed = accepted.map((p, i) => {
+      const speed = p.distanceTo(state.points[i]) / palm / deltaTime
+      speeds[i] = state.speeds[i] + oneEuroAlpha(config.derivativeCutoff, deltaTime) * (speed - state.speeds[i])
+      const cutoff = config.minCutoff + config.beta * speeds[i]
+      return state.points[i].clone().lerp(p, oneEuroAlpha(cutoff, deltaTime))
+    })
+
+    // 3. Bone-length consistency
+    if (rejected === 0) this.learnBones(key, accepted, palm)
+    const points = this.constrainBones(key, smoothed, smoothed[MIDDLE_MCP].distanceTo(smoothed[WRIST]))
+
+    this.states[key] = { points, speeds, rejectedFrames, timestamp }
+    return { points, rejected }
+  }
+
+  /**
+   * Add one frame to the learned bone lengths (running mean, relative to the palm)
+   * @param {string} key - State key
+   * @param {THREE.Vector3[]} points - 21 points
+   * @param {number} palm - Palm length of the points
+   */
+  learnBones(key, points, palm) {
+    const model = this.boneModels[key] || { ratios: {}, count: 0 }
+    const weight = 1 / Math.min(model.count + 1, BONE_SAMPLE_WINDOW)
+    HAND_BONES.forEach(([name, from, to]) => {
+      const ratio = points[to].distanceTo(points[from]) / palm
+      model.ratios[name] = model.count === 0 ? ratio : model.ratios[name] + weight * (ratio - model.ratios[name])
+    })
+    model.count++
+    this.boneModels[key] = model
+  }
+
+  /**
+   * Pull each bone towards its learned length, from the wrist outwards
+   * @param {string} key - State key
+   * @param {THREE.Vector3[]} points - 21 points
+   * @param {number} palm - Palm length of the points
+   * @returns {THREE.Vector3[]} - Constrained points
+   */
+  constrainBones(key, points, palm) {
+    const model = this.boneModels[key]
+    const stiffness = this.config.boneStiffness
+    if (!this.config.boneConstraints || !model || model.count < MIN_BONE_SAMPLES || !(stiffness > 0) || !(palm > 1e-9)) {
+      return points
+    }
+
+    const constrained = points.map(p => p.clone())
+    HAND_BONES.forEach(([name, from, to]) => {
+      // The parent has already moved: keep the bone's direction from it, correct its length
+      const direction = points[to].clone().sub(constrained[from])
+      const length = direction.length()
+      if (length < 1e-12) return
+      const target = length + stiffness * (model.ratios[name] * palm - length)
+      constrained[to] = constrained[from].clone().addScaledVector(direction, target / length)
+    })
+    return constrained
+  }
+}
+
+export default LandmarkFilter
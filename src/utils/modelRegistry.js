@@ -0,0 +1,214 @@
+/**
+ * Model Registry
+ * The hand models the app can load, declared as data: one manifest per model in
+ * src/models/manifests/<model>.json (see Docs/Models.md)
+ *
+ *   {format: 'handvis-model', version, model, name, vendor, dof, sides, urdf, mapping,
+ *    preview, controlModes, tags, order, hidden}
+ *
+ * `urdf` maps each side ('left', 'right', or 'default' for models without sides) to a URDF,
+ * `mapping` is the retargeting config; both are relative to public/assets/robots/hands.
+ * `preview` is relative to public/assets. Absolute URLs are used as they are.
+ *
+ * Bundled manifests are collected at build time. Models imported for the session
+ * (sessionModels.js) register their manifests at runtime.
+ */
+
+const PUBLIC_URL = process.env.PUBLIC_URL || ''
+const HANDS_URL = `${PUBLIC_URL}/assets/robots/hands`
+const ASSETS_URL = `${PUBLIC_URL}/assets`
+
+export const MODEL_MANIFEST_FORMAT = 'handvis-model'
+export const MODEL_MANIFEST_VERSION = 1
+
+// urdf key of models without sides (grippers)
+export const DEFAULT_SIDE = 'default'
+
+/**
+ * Control modes of the Inspector, by the model data they need:
+ * manual - nothing; camera - a retargeting mapping; ik, retarget - fingertip links
+ */
+export const CONTROL_MODES = ['manual', 'camera', 'ik', 'retarget']
+
+const SIDES = ['left', 'right']
+
+// Manifests by model path
+const manifests = new Map()
+
+/**
+ * Check a model manifest's format and fill in defaults
+ * @param {Object} doc - Parsed manifest JSON
+ * @returns {Object} - Manifest
+ * @throws {Error} - If the document is not a valid model manifest
+ */
+export function parseModelManifest(doc) {
+  if (!doc || doc.format !== MODEL_MANIFEST_FORMAT) {
+    throw new Error(`Not a model manifest (expected format "${MODEL_MANIFEST_FORMAT}")`)
+  }
+  if (doc.version > MODEL_MANIFEST_VERSION) {
+    throw new Error(`Unsupported model manifest version ${doc.version}`)
+  }
+  if (typeof doc.model !== 'string' || !doc.model) {
+    throw new Error('Model manifest has no model path')
+  }
+
+  const sides = doc.sides || []
+  if (!Array.isArray(sides) || sides.some(side => !SIDES.includes(side))) {
+    throw new Error(`${doc.model}: sides must be a list of ${SIDES.join(', ')}`)
+  }
+  const urdf = doc.urdf || {}
+  const missing = (sides.length > 0 ? sides : [DEFAULT_SIDE]).filter(side => !urdf[side])
+  if (missing.length > 0) {
+    throw new Error(`${doc.model}: no URDF for ${missing.join(', ')}`)
+  }
+  const controlModes = doc.controlModes || ['manual']
+  const unknownModes = controlModes.filter(mode => !CONTROL_MODES.includes(mode))
+  if (unknownModes.length > 0) {
+    throw new Error(`${doc.model}: unknown control modes ${unknownModes.join(', ')}`)
+  }
+
+  return {
+    model: doc.model,
+    name: doc.name || doc.model,
+    vendor: doc.vendor || null,
+    dof: doc.dof ?? null,
+    sides,
+    urdf,
+    mapping: doc.mapping || null,
+    preview: doc.preview || null,
+    controlModes,
+    tags: doc.tags || [],
+    order: doc.order ?? Infinity,
+    hidden: Boolean(doc.hidden),
+    session: Boolean(doc.session)
+  }
+}
+
+/**
+ * Add a model manifest (replacing one with the same model path)
+ * @param {Object} doc - Manifest document
+ * @returns {Object} - Parsed manifest
+ * @throws {Error} - If the manifest is invalid
+ */
+export function registerModelManifest(doc) {
+  const manifest = parseModelManifest(doc)
+  manifests.set(manifest.model, manifest)
+  return manifest
+}
+
+/**
+ * Remove a model manifest
+ * @param {string} modelPath
+ */
+export function unregisterModelManifest(modelPath) {
+  manifests.delete(modelPath)
+}
+
+/**
+ * Get the manifest of a model
+ * @param {string} modelPath - Model path (e.g., 'shadow_hand')
+ * @returns {Object|null}
+ */
+export function getModelManifest(modelPath) {
+  return manifests.get(modelPath) || null
+}
+
+/**
+ * Registered manifests in display order (by `order`, session models last)
+ * @param {Object} options - {includeHidden}
+ * @returns {Object[]}
+ */
+export function getModelManifests({ includeHidden = false } = {}) {
+  return [...manifests.values()]
+    .filter(manifest => includeHidden || !manifest.hidden)
+    .sort((a, b) => Number(a.session) - Number(b.session) || a.order - b.order)
+}
+
+/**
+ * Model selector entries, one per side of each model
+ * @param {Object[]} models - Manifests (default: all visible ones)
+ * @returns {Object[]} - [{id, name, path, side, session, manifest}]
+ */
+export function getModelEntries(models = getModelManifests()) {
+  return models.flatMap(manifest => {
+    const sides = manifest.sides.length > 0 ? manifest.sides : [null]
+    return sides.map(side => ({
+      id: side ? `${manifest.model}_${side}` : manifest.model,
+      name: side ? `${manifest.name} (${side === 'left' ? 'Left' : 'Right'})` : manifest.name,
+      path: manifest.model,
+      side,
+      session: manifest.session,
+      manifest
+    }))
+  })
+}
+
+/**
+ * Resolve a manifest path to a URL
+ * @param {string|null} path - Relative path, or an absolute URL
+ * @param {string} base - Base URL of relative paths
+ * @returns {string|null}
+ */
+export function resolveModelURL(path, base = HANDS_URL) {
+  if (!path) return null
+  if (/^[a-z][a-z0-9+.-]*:/i.test(path) || path.startsWith('/')) return path
+  return `${base}/${path}`
+}
+
+/**
+ * Get the URDF URL of a model side
+ * @param {string} modelPath - Model path
+ * @param {string|null} side - 'left', 'right' or null (models without sides)
+ * @returns {string|null}
+ */
+export function getModelURDF(modelPath, side) {
+  const manifest = manifests.get(modelPath)
+  return resolveModelURL(manifest?.urdf[side || DEFAULT_SIDE])
+}
+
+/**
+ * Get the preview image URL of a model
+ * @param {string} modelPath - Model path
+ * @returns {string|null}
+ */
+export function getModelPreview(modelPath) {
+  return resolveModelURL(manifests.get(modelPath)?.preview, ASSETS_URL)
+}
+
+/**
+ * Whether a model supports a control mode (unknown models support all of them)
+ * @param {string} modelPath - Model path
+ * @param {string} mode - Control mode (CONTROL_MODES)
+ * @returns {boolean}
+ */
+export function supportsControlMode(modelPath, mode) {
+  const manifest = manifests.get(modelPath)
+  return !manifest || manifest.controlModes.includes(mode)
+}
+
+// Bundled manifests (src/models/manifests/*.json)
+const bundled = require.context('../models/manifests', false, /\.json$/)
+bundled.keys().forEach(key => {
+  try {
+    registerModelManifest(bundled(key))
+  } catch (err) {
+    console.warn(`⚠️ [ModelRegistry] Skipping ${key}: ${err.message}`)
+  }
+})
+
+export default {
+  MODEL_MANIFEST_FORMAT,
+  MODEL_MANIFEST_VERSION,
+  DEFAULT_SIDE,
+  CONTROL_MODES,
+  parseModelManifest,
+  registerModelManifest,
+  unregisterModelManifest,
+  getModelManifest,
+  getModelManifests,
+  getModelEntries,
+  resolveModelURL,
+  getModelURDF,
+  getModelPreview,
+  supportsControlMode
+}
@@ -1,8 +1,105 @@
 /**
  * Motion Filter Module
  * Provides smoothing, constraints, and velocity limiting for hand tracking
+ *
+ * The smoothing stage is configured per joint group (wrist, thumb, fingers), each with one of:
+ *   ema      - fixed-alpha exponential moving average (SLERP on the quaternion path)
+ *   one_euro - One Euro filter: a low-pass whose cutoff rises with speed, so slow motion is
+ *              smoothed hard and fast motion follows with little lag
+ *   kalman   - constant-velocity Kalman filter (angle and angular velocity)
+ * The same config drives QuaternionMotionFilter.
  */
 
+export const SMOOTHING_TYPES = ['ema', 'one_euro', 'kalman']
+export const JOINT_GROUPS = ['wrist', 'thumb', 'fingers']
+
+const DEFAULT_GROUP_SMOOTHING = {
+  type: 'ema',
+  alpha: 0.3, // EMA: smoothing factor (0-1), lower = smoother but more lag
+  minCutoff: 1.0, // One Euro: cutoff frequency at rest (Hz), lower = less jitter
+  beta: 0.5, // One Euro: cutoff increase per rad/s of speed, higher = less lag
+  derivativeCutoff: 1.0, // One Euro: cutoff of the speed estimate (Hz)
+  processNoise: 30, // Kalman: acceleration noise density (rad²/s³), higher = follows faster
+  measurementNoise: 0.0004 // Kalman: measurement variance (rad²), higher = smoother
+}
+
+/**
+ * Default smoothing per joint group
+ */
+export const DEFAULT_SMOOTHING_CONFIG = {
+  wrist: { ...DEFAULT_GROUP_SMOOTHING },
+  thumb: { ...DEFAULT_GROUP_SMOOTHING },
+  fingers: { ...DEFAULT_GROUP_SMOOTHING }
+}
+
+/**
+ * Joint group of a joint or filter key
+ * @param {string} key - Joint name (e.g. 'index_mcp', 'wrist_orient_x') or quaternion group ('thumb', 'index')
+ * @returns {string} - 'wrist', 'thumb' or 'fingers'
+ */
+export function getJointGroup(key) {
+  if (key.startsWith('wrist')) return 'wrist'
+  if (key.startsWith('thumb')) return 'thumb'
+  return 'fingers'
+}
+
+/**
+ * Complete a smoothing config: every group gets every field
+ * @param {Object} config - Partial {group: settings}
+ * @returns {Object} - Smoothing config
+ */
+export function normalizeSmoothingConfig(config = {}) {
+  const normalized = {}
+  JOINT_GROUPS.forEach(group => {
+    normalized[group] = { ...DEFAULT_GROUP_SMOOTHING, ...config[group] }
+    if (!SMOOTHING_TYPES.includes(normalized[group].type)) normalized[group].type = 'ema'
+  })
+  return normalized
+}
+
+/**
+ * Low-pass factor of a first-order filter with the given cutoff over one time step
+ * @param {number} cutoff - Cutoff frequency (Hz)
+ * @param {number} dt - Time step (s)
+ * @returns {number} - Factor in (0, 1] (weight of the new value)
+ */
+export function oneEuroAlpha(cutoff, dt) {
+  const r = 2 * Math.PI * cutoff * dt
+  return r / (r + 1)
+}
+
+/**
+ * Constant-velocity Kalman prediction of a covariance [p00, p01, p11] (position, velocity),
+ * with continuous white-noise acceleration
+ * @param {number[]} P - Covariance [p00, p01, p11]
+ * @param {number} dt - Time step (s)
+ * @param {number} processNoise - Acceleration noise density
+ * @returns {number[]} - Predicted covariance
+ */
+export function predictCovariance([p00, p01, p11], dt, processNoise) {
+  return [
+    p00 + 2 * dt * p01 + dt * dt * p11 + processNoise * dt * dt * dt / 3,
+    p01 + dt * p11 + processNoise * dt * dt / 2,
+    p11 + processNoise * dt
+  ]
+}
+
+/**
+ * Kalman gains and updated covariance for a position measurement
+ * @param {number[]} P - Predicted covariance [p00, p01, p11]
+ * @param {number} measurementNoise - Measurement variance
+ * @returns {{gain: number[], P: number[]}} - [position gain, velocity gain] and updated covariance
+ */
+export function updateCovariance([p00, p01, p11], measurementNoise) {
+  const s = p00 + measurementNoise
+  const k0 = p00 / s
+  const k1 = p01 / s
+  return {
+    gain: [k0, k1],
+    P: [(1 - k0) * p00, (1 - k0) * p01, p11 - k1 * p01]
+  }
+}
+
 /**
  * Exponential Moving Average Filter
  * Reduces jitter and noise from camera tracking
@@ -18,9 +115,10 @@ class ExponentialMovingAverageFilter {
    * @param {string} key - Identifier for the value (e.g., joint name)
    * @param {number} newValue - New value to filter
    * @param {string} prefix - Optional prefix for key (e.g., 'left' or 'right')
+   * @param {number} alpha - Smoothing factor for this value (defaults to the filter's)
    * @returns {number} - Filtered value
    */
-  filter(key, newValue, prefix = '') {
+  filter(key, newValue, prefix = '', alpha = this.alpha) {
     const fullKey = prefix ? `${prefix}_${key}` : key
 
     if (!(fullKey in this.previousValues)) {
@@ -30,7 +128,7 @@ class ExponentialMovingAverageFilter {
     }
 
     // EMA formula: filtered = alpha * new + (1 - alpha) * previous
-    const filtered = this.alpha * newValue + (1 - this.alpha) * this.previousValues[fullKey]
+    const filtered = alpha * newValue + (1 - alpha) * this.previousValues[fullKey]
     this.previousValues[fullKey] = filtered
 
     return filtered
@@ -68,6 +166,106 @@ class ExponentialMovingAverageFilter {
   }
 }
 
+/**
+ * One Euro Filter
+ * Speed-adaptive low-pass (Casiez et al., 2012): the cutoff grows with the filtered speed
+ */
+class OneEuroFilter {
+  constructor() {
+    this.states = {} // {key: {value, derivative, timestamp}}
+  }
+
+  /**
+   * Apply filter to a single value
+   * @param {string} key - Identifier for the value
+   * @param {number} newValue - New value to filter
+   * @param {number} timestamp - Current timestamp in ms
+   * @param {string} prefix - Optional prefix for key (e.g., 'left' or 'right')
+   * @param {Object} settings - {minCutoff, beta, derivativeCutoff}
+   * @returns {number} - Filtered value
+   */
+  filter(key, newValue, timestamp, prefix, { minCutoff, beta, derivativeCutoff }) {
+    const fullKey = prefix ? `${prefix}_${key}` : key
+    const state = this.states[fullKey]
+
+    if (!state) {
+      this.states[fullKey] = { value: newValue, derivative: 0, timestamp }
+      return newValue
+    }
+
+    const deltaTime = (timestamp - state.timestamp) / 1000
+    if (deltaTime <= 0) {
+      return state.value
+    }
+
+    // Smoothed speed sets the cutoff of the value filter
+    const speed = (newValue - state.value) / deltaTime
+    const derivative = state.derivative + oneEuroAlpha(derivativeCutoff, deltaTime) * (speed - state.derivative)
+    const cutoff = minCutoff + beta * Math.abs(derivative)
+    const value = state.value + oneEuroAlpha(cutoff, deltaTime) * (newValue - state.value)
+
+    this.states[fullKey] = { value, derivative, timestamp }
+    return value
+  }
+
+  /**
+   * Reset filter state
+   */
+  reset() {
+    this.states = {}
+  }
+}
+
+/**
+ * Constant-Velocity Kalman Filter
+ * Tracks each value with its velocity; the value is measured, the velocity is inferred
+ */
+class ConstantVelocityKalmanFilter {
+  constructor() {
+    this.states = {} // {key: {value, velocity, P, timestamp}}
+  }
+
+  /**
+   * Apply filter to a single value
+   * @param {string} key - Identifier for the value
+   * @param {number} newValue - Measured value
+   * @param {number} timestamp - Current timestamp in ms
+   * @param {string} prefix - Optional prefix for key (e.g., 'left' or 'right')
+   * @param {Object} settings - {processNoise, measurementNoise}
+   * @returns {number} - Filtered value
+   */
+  filter(key, newValue, timestamp, prefix, { processNoise, measurementNoise }) {
+    const fullKey = prefix ? `${prefix}_${key}` : key
+    const state = this.states[fullKey]
+
+    if (!state) {
+      // Position known to the measurement noise, velocity unknown
+      this.states[fullKey] = { value: newValue, velocity: 0, P: [measurementNoise, 0, 1], timestamp }
+      return newValue
+    }
+
+    const deltaTime = (timestamp - state.timestamp) / 1000
+    if (deltaTime <= 0) {
+      return state.value
+    }
+
+    const predicted = state.value + state.velocity * deltaTime
+    const { gain, P } = updateCovariance(predictCovariance(state.P, deltaTime, processNoise), measurementNoise)
+    const innovation = newValue - predicted
+
+    const value = predicted + gain[0] * innovation
+    this.states[fullKey] = { value, velocity: state.velocity + gain[1] * innovation, P, timestamp }
+    return value
+  }
+
+  /**
+   * Reset filter state
+   */
+  reset() {
+    this.states = {}
+  }
+}
+
 /**
  * Velocity Limiter
  * Prevents unrealistic rapid movements by capping angular velocity
@@ -264,6 +462,11 @@ class JointConstraints {
 export class MotionFilter {
   constructor(config = {}) {
     this.smoothingFilter = new ExponentialMovingAverageFilter(config.alpha || 0.3)
+    this.oneEuroFilter = new OneEuroFilter()
+    this.kalmanFilter = new ConstantVelocityKalmanFilter()
+    // Per-group smoothing; without one, every group uses EMA with `alpha`
+    this.smoothingConfig = normalizeSmoothingConfig(config.smoothing ||
+      Object.fromEntries(JOINT_GROUPS.map(group => [group, { alpha: this.smoothingFilter.alpha }])))
     this.velocityLimiter = new VelocityLimiter(config.maxVelocity || 3.0)
     this.constraints = new JointConstraints()
 
@@ -274,6 +477,41 @@ export class MotionFilter {
     }
   }
 
+  /**
+   * Smooth one value with its joint group's smoothing stage
+   * @param {string} key - Joint or filter key (selects the joint group)
+   * @param {number} value - New value
+   * @param {number} timestamp - Current timestamp in ms
+   * @param {string} prefix - Optional prefix for key (e.g., 'left' or 'right')
+   * @returns {number} - Smoothed value
+   */
+  smooth(key, value, timestamp, prefix) {
+    const settings = this.smoothingConfig[getJointGroup(key)]
+    switch (settings.type) {
+      case 'one_euro':
+        return this.oneEuroFilter.filter(key, value, timestamp, prefix, settings)
+      case 'kalman':
+        return this.kalmanFilter.filter(key, value, timestamp, prefix, settings)
+      default:
+        return this.smoothingFilter.filter(key, value, prefix, settings.alpha)
+    }
+  }
+
+  /**
+   * Smooth all joints of a flat rotations object
+   * @param {Object} rotations - Joint rotations {joint_name: angle}
+   * @param {number} timestamp - Current timestamp in ms
+   * @param {string} prefix - Optional prefix for keys (e.g., 'left' or 'right')
+   * @returns {Object} - Smoothed rotations
+   */
+  smoothAll(rotations, timestamp, prefix) {
+    const smoothed = {}
+    for (const [joint, value] of Object.entries(rotations)) {
+      smoothed[joint] = this.smooth(joint, value, timestamp, prefix)
+    }
+    return smoothed
+  }
+
   /**
    * Apply full filter pipeline to rotations
    * @param {Object} rotations - Raw joint rotations (can be flat object or {wristOrientation, joints})
@@ -291,7 +529,7 @@ export class MotionFilter {
       // Filter joints
       let processedJoints = filteredJoints
       if (this.enabled.smoothing) {
-        processedJoints = this.smoothingFilter.filterAll(processedJoints, prefix)
+        processedJoints = this.smoothAll(processedJoints, timestamp, prefix)
       }
       if (this.enabled.velocityLimiting) {
         processedJoints = this.velocityLimiter.limitAll(processedJoints, timestamp, prefix)
@@ -304,9 +542,9 @@ export class MotionFilter {
       let processedWrist = filteredWrist
       if (this.enabled.smoothing) {
         processedWrist = {
-          x: this.smoothingFilter.filter('wrist_orient_x', filteredWrist.x, prefix),
-          y: this.smoothingFilter.filter('wrist_orient_y', filteredWrist.y, prefix),
-          z: this.smoothingFilter.filter('wrist_orient_z', filteredWrist.z, prefix)
+          x: this.smooth('wrist_orient_x', filteredWrist.x, timestamp, prefix),
+          y: this.smooth('wrist_orient_y', filteredWrist.y, timestamp, prefix),
+          z: this.smooth('wrist_orient_z', filteredWrist.z, timestamp, prefix)
         }
       }
       if (this.enabled.velocityLimiting) {
@@ -327,7 +565,7 @@ export class MotionFilter {
     let filtered = { ...rotations }
 
     if (this.enabled.smoothing) {
-      filtered = this.smoothingFilter.filterAll(filtered, prefix)
+      filtered = this.smoothAll(filtered, timestamp, prefix)
     }
 
     if (this.enabled.velocityLimiting) {
@@ -346,9 +584,26 @@ export class MotionFilter {
    */
   reset() {
     this.smoothingFilter.reset()
+    this.oneEuroFilter.reset()
+    this.kalmanFilter.reset()
     this.velocityLimiter.reset()
   }
 
+  /**
+   * Set the smoothing stage of each joint group
+   * Groups whose filter type changes start over from their next value.
+   * @param {Object} config - {wrist, thumb, fingers} smoothing settings (DEFAULT_SMOOTHING_CONFIG shape)
+   */
+  setSmoothingConfig(config) {
+    const next = normalizeSmoothingConfig(config)
+    if (JOINT_GROUPS.some(group => next[group].type !== this.smoothingConfig[group].type)) {
+      this.smoothingFilter.reset()
+      this.oneEuroFilter.reset()
+      this.kalmanFilter.reset()
+    }
+    this.smoothingConfig = next
+  }
+
   /**
    * Enable/disable specific filters
    * @param {Object} settings - {smoothing: bool, velocityLimiting: bool, constraints: bool}
@@ -371,6 +626,9 @@ export class MotionFilter {
    */
   setSmoothingStrength(alpha) {
     this.smoothingFilter.setAlpha(alpha)
+    JOINT_GROUPS.forEach(group => {
+      this.smoothingConfig[group].alpha = this.smoothingFilter.alpha
+    })
   }
 
   /**
@@ -383,4 +641,4 @@ export class MotionFilter {
 }
 
 // Export individual filters for advanced usage
-export { ExponentialMovingAverageFilter, VelocityLimiter, JointConstraints }
+export { ExponentialMovingAverageFilter, OneEuroFilter, ConstantVelocityKalmanFilter, VelocityLimiter, JointConstraints }
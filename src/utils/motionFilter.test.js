@@ -0,0 +1,157 @@
+import {
+  DEFAULT_SMOOTHING_CONFIG,
+  MotionFilter,
+  OneEuroFilter,
+  ConstantVelocityKalmanFilter,
+  normalizeSmoothingConfig,
+  getJointGroup
+} from './motionFilter'
+
+const FRAME_MS = 1000 / 30
+const ONE_EURO = { ...DEFAULT_SMOOTHING_CONFIG.fingers, type: 'one_euro' }
+const KALMAN = { ...DEFAULT_SMOOTHING_CONFIG.fingers, type: 'kalman' }
+
+/**
+ * Feed a signal sampled at 30 Hz through a filter
+ * @param {Function} filter - (value, timestamp) => filtered value
+ * @param {Function} signal - (seconds) => value
+ * @param {number} duration - Seconds
+ * @returns {number[]} - Filtered values, one per frame
+ */
+function run(filter, signal, duration) {
+  const output = []
+  for (let frame = 0; frame * FRAME_MS <= duration * 1000; frame++) {
+    const timestamp = frame * FRAME_MS
+    output.push(filter(signal(timestamp / 1000), timestamp))
+  }
+  return output
+}
+
+const step = t => (t > 0 ? 1 : 0)
+const ramp = velocity => t => velocity * t
+// Deterministic measurement jitter of ±0.01 rad
+const jitter = t => 0.5 + (Math.round(t * 30) % 2 ? 0.01 : -0.01)
+
+describe('OneEuroFilter', () => {
+  const filterWith = settings => {
+    const oneEuro = new OneEuroFilter()
+    return (value, timestamp) => oneEuro.filter('index_mcp', value, timestamp, 'left', settings)
+  }
+
+  test('converges to a constant input', () => {
+    const output = run(filterWith(ONE_EURO), step, 3)
+
+    expect(output[1]).toBeGreaterThan(0)
+    expect(output[1]).toBeLessThan(1)
+    expect(output[output.length - 1]).toBeCloseTo(1, 4)
+  })
+
+  test('lags a ramp by less than a fixed low-pass at the rest cutoff', () => {
+    const velocity = 1
+    const output = run(filterWith(ONE_EURO), ramp(velocity), 3)
+    const lag = ramp(velocity)(3) - output[output.length - 1]
+
+    // A first-order low-pass at cutoff fc lags a ramp by v / (2π fc)
+    const restLag = velocity / (2 * Math.PI * ONE_EURO.minCutoff)
+    expect(lag).toBeGreaterThan(0)
+    expect(lag).toBeLessThan(restLag)
+  })
+
+  test('lags less as beta grows', () => {
+    const lagWithBeta = beta => {
+      const output = run(filterWith({ ...ONE_EURO, beta }), ramp(1), 3)
+      return 3 - output[output.length - 1]
+    }
+
+    expect(lagWithBeta(0)).toBeCloseTo(1 / (2 * Math.PI * ONE_EURO.minCutoff), 2)
+    expect(lagWithBeta(0.5)).toBeLessThan(lagWithBeta(0))
+    expect(lagWithBeta(2)).toBeLessThan(lagWithBeta(0.5))
+  })
+
+  test('attenuates jitter around a constant value', () => {
+    const output = run(filterWith(ONE_EURO), jitter, 3).slice(-30)
+
+    output.forEach(value => expect(Math.abs(value - 0.5)).toBeLessThan(0.005))
+  })
+
+  test('keeps the last value for repeated timestamps', () => {
+    const filter = filterWith(ONE_EURO)
+    filter(0, 0)
+    const value = filter(1, 100)
+
+    expect(filter(5, 100)).toBe(value)
+  })
+})
+
+describe('ConstantVelocityKalmanFilter', () => {
+  const filterWith = settings => {
+    const kalman = new ConstantVelocityKalmanFilter()
+    return (value, timestamp) => kalman.filter('wrist_orient_x', value, timestamp, 'right', settings)
+  }
+
+  test('converges to a constant input', () => {
+    const output = run(filterWith(KALMAN), step, 3)
+
+    expect(output[output.length - 1]).toBeCloseTo(1, 4)
+  })
+
+  test('tracks a ramp without steady-state lag', () => {
+    const output = run(filterWith(KALMAN), ramp(2), 3)
+
+    expect(Math.abs(ramp(2)(3) - output[output.length - 1])).toBeLessThan(1e-3)
+  })
+
+  test('smooths more with a higher measurement noise', () => {
+    const spread = measurementNoise => {
+      const output = run(filterWith({ ...KALMAN, measurementNoise }), jitter, 3).slice(-30)
+      return Math.max(...output) - Math.min(...output)
+    }
+
+    expect(spread(KALMAN.measurementNoise)).toBeLessThan(0.02)
+    expect(spread(0.01)).toBeLessThan(spread(KALMAN.measurementNoise))
+  })
+})
+
+describe('MotionFilter smoothing config', () => {
+  test('fills in missing settings and rejects unknown types', () => {
+    const config = normalizeSmoothingConfig({ wrist: { type: 'kalman' }, thumb: { type: 'median' } })
+
+    expect(config.wrist).toEqual(KALMAN)
+    expect(config.thumb.type).toBe('ema')
+    expect(config.fingers).toEqual(DEFAULT_SMOOTHING_CONFIG.fingers)
+  })
+
+  test('groups joints by name', () => {
+    expect(getJointGroup('wrist_orient_z')).toBe('wrist')
+    expect(getJointGroup('thumb_mcp')).toBe('thumb')
+    expect(getJointGroup('pinky_dip')).toBe('fingers')
+  })
+
+  test('smooths each joint group with its own filter', () => {
+    const motionFilter = new MotionFilter({
+      smoothing: { wrist: KALMAN, thumb: { alpha: 0.5 }, fingers: ONE_EURO },
+      enableVelocityLimiting: false,
+      enableConstraints: false
+    })
+    const kalman = new ConstantVelocityKalmanFilter()
+    const oneEuro = new OneEuroFilter()
+
+    motionFilter.filter({ wrist_orient_x: 0, thumb_mcp: 0, index_mcp: 0 }, 0, 'left')
+    const filtered = motionFilter.filter({ wrist_orient_x: 1, thumb_mcp: 1, index_mcp: 1 }, FRAME_MS, 'left')
+
+    kalman.filter('wrist_orient_x', 0, 0, 'left', KALMAN)
+    oneEuro.filter('index_mcp', 0, 0, 'left', ONE_EURO)
+    expect(filtered.wrist_orient_x).toBe(kalman.filter('wrist_orient_x', 1, FRAME_MS, 'left', KALMAN))
+    expect(filtered.thumb_mcp).toBeCloseTo(0.5)
+    expect(filtered.index_mcp).toBe(oneEuro.filter('index_mcp', 1, FRAME_MS, 'left', ONE_EURO))
+  })
+
+  test('starts over when a group changes filter type', () => {
+    const motionFilter = new MotionFilter({ enableVelocityLimiting: false, enableConstraints: false })
+    motionFilter.filter({ index_mcp: 0 }, 0)
+
+    motionFilter.setSmoothingConfig({ fingers: ONE_EURO })
+
+    expect(motionFilter.filter({ index_mcp: 1 }, FRAME_MS).index_mcp).toBe(1)
+  })
+})
@@ -129,7 +129,8 @@ function calculateWristRotation3D(landmarks, handedness = 'Right') {
 
 /**
  * Convert MediaPipe landmarks to 3-axis joint rotations
- * @param {Array} landmarks - MediaPipe hand landmarks (21 points)
+ * @param {Array} landmarks - MediaPipe hand landmarks (21 points; world landmarks preferred,
+ *   see selectKinematicLandmarks in handKinematics)
  * @param {string} handedness - 'Left' or 'Right'
  * @returns {Object} - All joint rotations with {pitch, yaw, roll} for each
  */
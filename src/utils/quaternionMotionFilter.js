@@ -1,41 +1,98 @@
 /**
  * Quaternion Motion Filter
  *
- * Provides smoothing for quaternion-based hand tracking using SLERP
- * (Spherical Linear Interpolation) instead of simple exponential moving average.
+ * Provides smoothing for quaternion-based hand tracking on the quaternion sphere
+ * instead of per-angle filtering, which avoids artifacts from linear interpolation
+ * in quaternion space.
  *
- * SLERP ensures smooth interpolation on the quaternion sphere, avoiding
- * artifacts from linear interpolation in quaternion space.
+ * Each joint quaternion is velocity limited, then smoothed by its joint group's
+ * smoothing stage (see motionFilter.js):
+ *   ema      - SLERP towards the new rotation with a fixed alpha
+ *   one_euro - SLERP with a factor from the One Euro cutoff, driven by the angular speed
+ *   kalman   - constant angular velocity Kalman filter on the rotation vector of the
+ *              error between the prediction and the measurement (one covariance shared by
+ *              the three axes)
  */
 
 import * as THREE from 'three'
+import {
+  JOINT_GROUPS,
+  getJointGroup,
+  normalizeSmoothingConfig,
+  oneEuroAlpha,
+  predictCovariance,
+  updateCovariance
+} from './motionFilter'
+
+// Time step when frames carry no timestamp (60 FPS)
+const DEFAULT_DELTA_TIME = 0.016
+
+/**
+ * Rotation vector (axis * angle) of a quaternion, along the shortest arc
+ * @param {THREE.Quaternion} q
+ * @returns {THREE.Vector3}
+ */
+function toRotationVector(q) {
+  const sign = q.w < 0 ? -1 : 1
+  const sinHalf = Math.sqrt(q.x * q.x + q.y * q.y + q.z * q.z)
+  const angle = 2 * Math.atan2(sinHalf, Math.abs(q.w))
+  const scale = sinHalf > 1e-9 ? sign * angle / sinHalf : 2 * sign
+  return new THREE.Vector3(q.x * scale, q.y * scale, q.z * scale)
+}
+
+/**
+ * Quaternion of a rotation vector
+ * @param {THREE.Vector3} v - Axis * angle
+ * @returns {THREE.Quaternion}
+ */
+function fromRotationVector(v) {
+  const angle = v.length()
+  if (angle < 1e-12) return new THREE.Quaternion()
+  return new THREE.Quaternion().setFromAxisAngle(v.clone().divideScalar(angle), angle)
+}
 
 /**
  * QuaternionMotionFilter class
- * Maintains state for each joint's quaternion and applies SLERP smoothing
+ * Maintains state for each joint's quaternion (per hand) and applies the smoothing stage
  */
 export class QuaternionMotionFilter {
-  constructor(alpha = 0.3) {
+  constructor(alpha = 0.3, smoothing = null) {
     this.alpha = alpha // Smoothing factor (0 = no smoothing, 1 = no filtering)
-    this.previousQuaternions = null
-    this.previousTimestamp = null
     this.maxAngularVelocity = 5.0 // radians per second
+    this.smoothingConfig = normalizeSmoothingConfig(smoothing ||
+      Object.fromEntries(JOINT_GROUPS.map(group => [group, { alpha }])))
+    this.states = {} // {key: {quaternion, timestamp, speed, omega, P}}
   }
 
   /**
-   * Set smoothing factor
+   * Set smoothing factor of the EMA stage of every joint group
    * @param {number} alpha - Smoothing factor (0-1)
    */
   setAlpha(alpha) {
     this.alpha = Math.max(0, Math.min(1, alpha))
+    JOINT_GROUPS.forEach(group => {
+      this.smoothingConfig[group].alpha = this.alpha
+    })
+  }
+
+  /**
+   * Set the smoothing stage of each joint group
+   * Groups whose filter type changes start over from their next rotation.
+   * @param {Object} config - {wrist, thumb, fingers} smoothing settings (DEFAULT_SMOOTHING_CONFIG shape)
+   */
+  setSmoothingConfig(config) {
+    const next = normalizeSmoothingConfig(config)
+    if (JOINT_GROUPS.some(group => next[group].type !== this.smoothingConfig[group].type)) {
+      this.reset()
+    }
+    this.smoothingConfig = next
   }
 
   /**
    * Reset filter state
    */
   reset() {
-    this.previousQuaternions = null
-    this.previousTimestamp = null
+    this.states = {}
   }
 
   /**
@@ -51,10 +108,7 @@ export class QuaternionMotionFilter {
     }
 
     // SLERP interpolation: previous → current with factor alpha
-    const smoothed = new THREE.Quaternion()
-    THREE.Quaternion.slerp(previous, current, smoothed, alpha)
-
-    return smoothed
+    return new THREE.Quaternion().slerpQuaternions(previous, current, alpha)
   }
 
   /**
@@ -87,69 +141,99 @@ export class QuaternionMotionFilter {
     const clampFactor = maxAllowedDistance / angularDistance
 
     // SLERP to the clamped position
-    const limited = new THREE.Quaternion()
-    THREE.Quaternion.slerp(previous, current, limited, clampFactor)
-
-    return limited
+    return new THREE.Quaternion().slerpQuaternions(previous, current, clampFactor)
   }
 
   /**
-   * Recursively filter nested quaternion structure
-   * @param {Object} current - Current quaternion structure
-   * @param {Object} previous - Previous quaternion structure
-   * @param {number} alpha - Smoothing factor
-   * @returns {Object} - Filtered quaternion structure
+   * Velocity limit and smooth one joint quaternion
+   * @param {THREE.Quaternion} current - Measured quaternion
+   * @param {Object} state - Previous state of the joint
+   * @param {number} deltaTime - Time delta in seconds
+   * @param {Object} settings - Smoothing settings of the joint's group
+   * @returns {Object} - New state ({quaternion, speed, omega, P})
    */
-  filterQuaternionStructure(current, previous, alpha) {
-    if (!current) {
-      return null
-    }
+  smoothQuaternion(current, state, deltaTime, settings) {
+    const limited = this.applyVelocityLimiting(current, state.quaternion, deltaTime)
 
-    if (current instanceof THREE.Quaternion) {
-      return this.slerpQuaternion(current, previous, alpha)
-    }
+    switch (settings.type) {
+      case 'one_euro': {
+        // Angular speed sets the cutoff of the rotation filter
+        const speed = limited.angleTo(state.quaternion) / deltaTime
+        const smoothedSpeed = state.speed + oneEuroAlpha(settings.derivativeCutoff, deltaTime) * (speed - state.speed)
+        const cutoff = settings.minCutoff + settings.beta * smoothedSpeed
+        return {
+          ...state,
+          quaternion: this.slerpQuaternion(limited, state.quaternion, oneEuroAlpha(cutoff, deltaTime)),
+          speed: smoothedSpeed
+        }
+      }
 
-    if (typeof current === 'object') {
-      const filtered = {}
-      for (const key in current) {
-        filtered[key] = this.filterQuaternionStructure(
-          current[key],
-          previous ? previous[key] : null,
-          alpha
+      case 'kalman': {
+        // Predict with the angular velocity, then correct by the error rotation
+        const predicted = fromRotationVector(state.omega.clone().multiplyScalar(deltaTime)).multiply(state.quaternion)
+        const { gain, P } = updateCovariance(
+          predictCovariance(state.P, deltaTime, settings.processNoise),
+          settings.measurementNoise
         )
+        const error = toRotationVector(limited.clone().multiply(predicted.clone().invert()))
+        return {
+          ...state,
+          quaternion: fromRotationVector(error.clone().multiplyScalar(gain[0])).multiply(predicted).normalize(),
+          omega: state.omega.clone().addScaledVector(error, gain[1]),
+          P
+        }
       }
-      return filtered
-    }
 
-    return current
+      default:
+        return { ...state, quaternion: this.slerpQuaternion(limited, state.quaternion, settings.alpha) }
+    }
   }
 
   /**
-   * Apply velocity limiting to nested quaternion structure
+   * Recursively filter nested quaternion structure
    * @param {Object} current - Current quaternion structure
-   * @param {Object} previous - Previous quaternion structure
-   * @param {number} deltaTime - Time delta in seconds
-   * @returns {Object} - Velocity-limited quaternion structure
+   * @param {string} path - Key path of the structure (e.g. 'thumb.cmc')
+   * @param {string} group - Joint group of the structure
+   * @param {number|null} timestamp - Current timestamp in milliseconds
+   * @returns {Object} - Filtered quaternion structure
    */
-  applyVelocityLimitingToStructure(current, previous, deltaTime) {
+  filterQuaternionStructure(current, path, group, timestamp) {
     if (!current) {
       return null
     }
 
     if (current instanceof THREE.Quaternion) {
-      return this.applyVelocityLimiting(current, previous, deltaTime)
+      const settings = this.smoothingConfig[group]
+      const state = this.states[path]
+
+      if (!state) {
+        this.states[path] = {
+          quaternion: current.clone(),
+          timestamp,
+          speed: 0,
+          omega: new THREE.Vector3(),
+          P: [settings.measurementNoise, 0, 1]
+        }
+        return current
+      }
+
+      let deltaTime = DEFAULT_DELTA_TIME
+      if (timestamp && state.timestamp) {
+        deltaTime = (timestamp - state.timestamp) / 1000 // Convert to seconds
+        deltaTime = Math.max(0.001, Math.min(0.1, deltaTime)) // Clamp to reasonable range
+      }
+
+      const next = this.smoothQuaternion(current, state, deltaTime, settings)
+      this.states[path] = { ...next, timestamp }
+      return next.quaternion
     }
 
     if (typeof current === 'object') {
-      const limited = {}
+      const filtered = {}
       for (const key in current) {
-        limited[key] = this.applyVelocityLimitingToStructure(
-          current[key],
-          previous ? previous[key] : null,
-          deltaTime
-        )
+        filtered[key] = this.filterQuaternionStructure(current[key], `${path}.${key}`, group, timestamp)
       }
-      return limited
+      return filtered
     }
 
     return current
@@ -157,49 +241,22 @@ export class QuaternionMotionFilter {
 
   /**
    * Main filter function
-   * Apply SLERP smoothing and velocity limiting to quaternion hand data
+   * Apply velocity limiting and smoothing to quaternion hand data
    *
    * @param {Object} quaternions - Quaternion structure from landmarksToQuaternions()
    * @param {number} timestamp - Current timestamp in milliseconds (optional)
+   * @param {string} prefix - Hand key ('left' or 'right'), so both hands keep their own state
    * @returns {Object} - Filtered quaternion structure
    */
-  filter(quaternions, timestamp = null) {
+  filter(quaternions, timestamp = null, prefix = '') {
     if (!quaternions) {
       return null
     }
 
-    // Initialize on first call
-    if (!this.previousQuaternions) {
-      this.previousQuaternions = quaternions
-      this.previousTimestamp = timestamp
-      return quaternions
+    const filtered = {}
+    for (const key in quaternions) {
+      filtered[key] = this.filterQuaternionStructure(quaternions[key], `${prefix}:${key}`, getJointGroup(key), timestamp)
     }
-
-    // Calculate delta time
-    let deltaTime = 0.016 // Default to 60 FPS
-    if (timestamp && this.previousTimestamp) {
-      deltaTime = (timestamp - this.previousTimestamp) / 1000 // Convert to seconds
-      deltaTime = Math.max(0.001, Math.min(0.1, deltaTime)) // Clamp to reasonable range
-    }
-
-    // Apply velocity limiting first
-    const velocityLimited = this.applyVelocityLimitingToStructure(
-      quaternions,
-      this.previousQuaternions,
-      deltaTime
-    )
-
-    // Then apply SLERP smoothing
-    const filtered = this.filterQuaternionStructure(
-      velocityLimited,
-      this.previousQuaternions,
-      this.alpha
-    )
-
-    // Update state
-    this.previousQuaternions = filtered
-    this.previousTimestamp = timestamp
-
     return filtered
   }
 }
@@ -207,10 +264,11 @@ export class QuaternionMotionFilter {
 /**
  * Create a new quaternion motion filter instance
  * @param {number} alpha - Smoothing factor (default: 0.3)
+ * @param {Object} smoothing - Per-group smoothing config (default: EMA with alpha for every group)
  * @returns {QuaternionMotionFilter}
  */
-export function createQuaternionFilter(alpha = 0.3) {
-  return new QuaternionMotionFilter(alpha)
+export function createQuaternionFilter(alpha = 0.3, smoothing = null) {
+  return new QuaternionMotionFilter(alpha, smoothing)
 }
 
 export default {
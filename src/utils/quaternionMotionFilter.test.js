@@ -0,0 +1,94 @@
+import * as THREE from 'three'
+import { DEFAULT_SMOOTHING_CONFIG } from './motionFilter'
+import { QuaternionMotionFilter } from './quaternionMotionFilter'
+
+const FRAME_MS = 1000 / 30
+// Frames carry real timestamps (a timestamp of 0 reads as missing)
+const START_MS = 1000
+const AXIS = new THREE.Vector3(1, 1, 0).normalize()
+const ONE_EURO = { ...DEFAULT_SMOOTHING_CONFIG.fingers, type: 'one_euro' }
+const KALMAN = { ...DEFAULT_SMOOTHING_CONFIG.fingers, type: 'kalman' }
+
+const rotation = angle => new THREE.Quaternion().setFromAxisAngle(AXIS, angle)
+
+/**
+ * Feed a rotation about AXIS sampled at 30 Hz through a filter's index joint
+ * @param {QuaternionMotionFilter} filter
+ * @param {Function} signal - (seconds) => angle
+ * @param {number} duration - Seconds
+ * @returns {number} - Angle between the last filtered and measured rotations
+ */
+function finalError(filter, signal, duration) {
+  let error = null
+  for (let frame = 0; frame * FRAME_MS <= duration * 1000; frame++) {
+    const timestamp = frame * FRAME_MS
+    const measured = rotation(signal(timestamp / 1000))
+    const filtered = filter.filter({ index: { mcp: measured } }, START_MS + timestamp, 'left')
+    error = filtered.index.mcp.angleTo(measured)
+  }
+  return error
+}
+
+const smoothingWith = settings => ({ wrist: settings, thumb: settings, fingers: settings })
+const step = t => (t > 0 ? 1 : 0)
+const ramp = velocity => t => velocity * t
+
+describe('QuaternionMotionFilter', () => {
+  test.each([
+    ['EMA', { ...DEFAULT_SMOOTHING_CONFIG.fingers, alpha: 0.3 }],
+    ['One Euro', ONE_EURO],
+    ['Kalman', KALMAN]
+  ])('%s converges to a constant rotation', (_, settings) => {
+    const filter = new QuaternionMotionFilter(0.3, smoothingWith(settings))
+
+    expect(finalError(filter, step, 3)).toBeLessThan(1e-3)
+  })
+
+  test('One Euro lags a rotation ramp by less than a fixed low-pass at the rest cutoff', () => {
+    const velocity = 1
+    const filter = new QuaternionMotionFilter(0.3, smoothingWith(ONE_EURO))
+
+    const lag = finalError(filter, ramp(velocity), 3)
+
+    expect(lag).toBeGreaterThan(0)
+    expect(lag).toBeLessThan(velocity / (2 * Math.PI * ONE_EURO.minCutoff))
+  })
+
+  test('Kalman tracks a rotation ramp without steady-state lag', () => {
+    const filter = new QuaternionMotionFilter(0.3, smoothingWith(KALMAN))
+
+    expect(finalError(filter, ramp(2), 3)).toBeLessThan(1e-3)
+  })
+
+  test('limits the angular velocity before smoothing', () => {
+    const filter = new QuaternionMotionFilter(1)
+    filter.filter({ index: { mcp: rotation(0) } }, START_MS, 'left')
+
+    const filtered = filter.filter({ index: { mcp: rotation(1) } }, START_MS + FRAME_MS, 'left')
+
+    expect(filtered.index.mcp.angleTo(rotation(0))).toBeCloseTo(filter.maxAngularVelocity * FRAME_MS / 1000, 5)
+  })
+
+  test('keeps separate state per hand and joint group', () => {
+    const filter = new QuaternionMotionFilter(0.3, { wrist: KALMAN, thumb: ONE_EURO, fingers: { alpha: 1 } })
+    filter.filter({ wrist: rotation(0), index: { mcp: rotation(0) } }, START_MS, 'left')
+
+    const right = filter.filter({ wrist: rotation(0.1), index: { mcp: rotation(0.1) } }, START_MS + FRAME_MS, 'right')
+    const left = filter.filter({ wrist: rotation(0.1), index: { mcp: rotation(0.1) } }, START_MS + FRAME_MS, 'left')
+
+    // First frame of the right hand passes through; the left index has no smoothing (alpha 1)
+    expect(right.wrist.angleTo(rotation(0.1))).toBeCloseTo(0, 6)
+    expect(left.index.mcp.angleTo(rotation(0.1))).toBeCloseTo(0, 6)
+    expect(left.wrist.angleTo(rotation(0.1))).toBeGreaterThan(1e-3)
+  })
+
+  test('starts over when a group changes filter type', () => {
+    const filter = new QuaternionMotionFilter(0.3)
+    filter.filter({ index: { mcp: rotation(0) } }, START_MS, 'left')
+
+    filter.setSmoothingConfig(smoothingWith(KALMAN))
+    const filtered = filter.filter({ index: { mcp: rotation(0.5) } }, START_MS + FRAME_MS, 'left')
+
+    expect(filtered.index.mcp.angleTo(rotation(0.5))).toBeCloseTo(0, 6)
+  })
+})
@@ -0,0 +1,238 @@
+/**
+ * Range Mapper
+ * Maps the range of motion of each human joint channel onto the limits of the URDF joint it drives
+ *
+ * A human angle is normalized over the operator's range for its channel (t = 0 at the
+ * calibrated min, 1 at the max; typical adult ranges when the hand is not calibrated),
+ * shaped by the channel's response curve and spread over the target joint's limits:
+ *
+ *   urdf = from + curve(t) * (to - from)
+ *
+ * where [from, to] is the joint's [lower, upper] range ([upper, lower] for channels with a
+ * negative sign). This replaces the channel's scale and offset, so a full fist reaches the
+ * robot's flexion limits whatever the proportions of the two hands.
+ *
+ * Response curves are piecewise linear through control points [[t, y], ...] sorted by t,
+ * from t = 0 to t = 1; two points make the linear map. `invert` flips the direction
+ * (t → 1 - t) for channels whose angle decreases as the joint opens.
+ */
+
+import { isFlexionJoint } from './coordinateMapping'
+
+const STORAGE_KEY = 'handTracking_rangeMapping'
+
+// Calibrated ranges narrower than this (one pose captured) fall back to the defaults
+const MIN_RANGE_SPAN = 0.05
+
+/**
+ * Typical adult ranges (radians) of the uncalibrated channels produced by handKinematics
+ */
+export const DEFAULT_HUMAN_RANGES = {
+  thumb_mcp: { min: 0.1, max: 0.9 },
+  thumb_pip: { min: 0.05, max: 1.0 },
+  thumb_dip: { min: 0.05, max: 1.2 },
+  thumb_tip: { min: 0.04, max: 0.96 },
+  thumb_yaw: { min: 0.6, max: 3.0 },
+  thumb_roll: { min: -0.34, max: 0.56 },
+  ...Object.fromEntries(['index', 'middle', 'ring', 'pinky'].flatMap(finger => [
+    [`${finger}_mcp`, { min: 0.1, max: 1.6 }],
+    [`${finger}_pip`, { min: 0.1, max: 1.9 }],
+    [`${finger}_dip`, { min: 0.05, max: 1.3 }],
+    [`${finger}_tip`, { min: 0.035, max: 0.9 }]
+  ])),
+  index_roll: { min: -0.35, max: 0.35 },
+  middle_roll: { min: -0.35, max: 0.35 },
+  ring_roll: { min: -0.35, max: 0.35 },
+  pinky_roll: { min: -0.35, max: 0.35 }
+}
+
+/**
+ * Response curve presets (control points)
+ */
+export const CURVE_PRESETS = {
+  linear: [[0, 0], [1, 1]],
+  ease_in: [[0, 0], [0.5, 0.25], [1, 1]],
+  ease_out: [[0, 0], [0.5, 0.75], [1, 1]],
+  s_curve: [[0, 0], [0.25, 0.1], [0.75, 0.9], [1, 1]],
+  deadband: [[0, 0], [0.15, 0], [1, 1]]
+}
+
+export const DEFAULT_RANGE_MAPPING_CONFIG = {
+  enabled: true,
+  curves: {} // {channel: {points, invert}}, channels not listed use getDefaultCurve
+}
+
+/**
+ * Default response curve of a channel
+ * @param {string} channel - Human joint channel
+ * @returns {{points: Array, invert: boolean}}
+ */
+export function getDefaultCurve(channel) {
+  return { points: CURVE_PRESETS.linear, invert: false }
+}
+
+/**
+ * Validate a response curve: points clamped to [0, 1], sorted by t, pinned to t = 0 and t = 1
+ * @param {Object} curve - {points, invert}
+ * @returns {{points: Array, invert: boolean}}
+ */
+export function normalizeCurve(curve) {
+  const clamp01 = value => Math.max(0, Math.min(1, Number(value) || 0))
+  const points = (Array.isArray(curve?.points) ? curve.points : CURVE_PRESETS.linear)
+    .map(([t, y]) => [clamp01(t), clamp01(y)])
+    .sort((a, b) => a[0] - b[0])
+
+  if (points.length < 2) return { points: CURVE_PRESETS.linear, invert: !!curve?.invert }
+  points[0] = [0, points[0][1]]
+  points[points.length - 1] = [1, points[points.length - 1][1]]
+  return { points, invert: !!curve?.invert }
+}
+
+/**
+ * Evaluate a piecewise linear response curve
+ * @param {Array} points - Control points [[t, y], ...] sorted by t
+ * @param {number} t - Normalized input in [0, 1]
+ * @returns {number} - Normalized output in [0, 1]
+ */
+export function evaluateCurve(points, t) {
+  if (t <= points[0][0]) return points[0][1]
+  for (let i = 1; i < points.length; i++) {
+    const [t1, y1] = points[i]
+    if (t <= t1) {
+      const [t0, y0] = points[i - 1]
+      return t1 > t0 ? y0 + (y1 - y0) * (t - t0) / (t1 - t0) : y1
+    }
+  }
+  return points[points.length - 1][1]
+}
+
+/**
+ * Human ranges of every channel, in the space of the calibrated angles
+ * A profile hand's ranges are captured uncalibrated, so its rest pose is removed the way
+ * CalibrationManager.applyCalibration removes it (flexion never below 0).
+ * @param {Object|null} hand - Profile hand calibration ({rest, ranges}), null if not calibrated
+ * @returns {Object} - {channel: {min, max, source: 'profile'|'default'}}
+ */
+export function resolveHumanRanges(hand) {
+  const rest = hand?.rest || {}
+  const ranges = {}
+
+  Object.entries(DEFAULT_HUMAN_RANGES).forEach(([channel, defaultRange]) => {
+    const measured = hand?.ranges?.[channel]
+    const useMeasured = measured && measured.max - measured.min >= MIN_RANGE_SPAN
+    const { min, max } = useMeasured ? measured : defaultRange
+    const offset = rest[channel] || 0
+    const floor = isFlexionJoint(channel) ? 0 : -Infinity
+
+    ranges[channel] = {
+      min: Math.max(floor, min - offset),
+      max: Math.max(floor, max - offset),
+      source: useMeasured ? 'profile' : 'default'
+    }
+  })
+
+  return ranges
+}
+
+/**
+ * Range of the URDF joint a channel drives, oriented by the channel's sign
+ * @param {Object} channel - Resolved retargeting channel
+ * @param {Object|null} jointLimits - {urdfJoint: {lower, upper}} (getJointLimits)
+ * @returns {[number, number]|null} - [from, to], or null if the joint has no limits
+ */
+export function getTargetRange(channel, jointLimits) {
+  const limits = jointLimits?.[channel.joint]
+  let lower = limits ? limits.lower : -Infinity
+  let upper = limits ? limits.upper : Infinity
+  if (channel.limits) {
+    lower = Math.max(lower, channel.limits[0])
+    upper = Math.min(upper, channel.limits[1])
+  }
+  if (!Number.isFinite(lower) || !Number.isFinite(upper) || lower > upper) return null
+
+  return channel.sign < 0 ? [upper, lower] : [lower, upper]
+}
+
+/**
+ * Map a human angle onto a target joint range
+ * @param {number} angle - Calibrated human angle (radians)
+ * @param {{min: number, max: number}} humanRange - Human range of the channel
+ * @param {[number, number]} targetRange - [from, to] (getTargetRange)
+ * @param {Object} curve - Normalized response curve ({points, invert})
+ * @returns {number} - Joint value
+ */
+export function mapChannelRange(angle, humanRange, targetRange, curve) {
+  const span = humanRange.max - humanRange.min
+  let t = span > 1e-9 ? (angle - humanRange.min) / span : 0
+  t = Math.max(0, Math.min(1, t))
+  if (curve.invert) t = 1 - t
+
+  const [from, to] = targetRange
+  return from + evaluateCurve(curve.points, t) * (to - from)
+}
+
+/**
+ * Range mapping of one model, for computeURDFJointValues
+ * @param {Object} config - Range mapping config (DEFAULT_RANGE_MAPPING_CONFIG shape)
+ * @param {Object|null} hand - Profile hand calibration of the tracked hand driving the model
+ * @returns {Object|null} - {ranges, curves} with a curve for every ranged channel, null when disabled
+ */
+export function buildRangeMapping(config, hand) {
+  if (!config?.enabled) return null
+
+  const ranges = resolveHumanRanges(hand)
+  const curves = {}
+  Object.keys(ranges).forEach(channel => {
+    curves[channel] = config.curves?.[channel]
+      ? normalizeCurve(config.curves[channel])
+      : getDefaultCurve(channel)
+  })
+  return { ranges, curves }
+}
+
+/**
+ * Load the range mapping config from local storage
+ * @returns {Object} - Range mapping config
+ */
+export function loadRangeMappingConfig() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY)
+    if (stored) {
+      const config = JSON.parse(stored)
+      return {
+        enabled: config.enabled !== false,
+        curves: config.curves && typeof config.curves === 'object' ? config.curves : {}
+      }
+    }
+  } catch (error) {
+    console.error('Failed to load range mapping:', error)
+  }
+  return { ...DEFAULT_RANGE_MAPPING_CONFIG }
+}
+
+/**
+ * Save the range mapping config to local storage
+ * @param {Object} config - Range mapping config
+ */
+export function saveRangeMappingConfig(config) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(config))
+  } catch (error) {
+    console.error('Failed to save range mapping:', error)
+  }
+}
+
+export default {
+  DEFAULT_HUMAN_RANGES,
+  CURVE_PRESETS,
+  DEFAULT_RANGE_MAPPING_CONFIG,
+  getDefaultCurve,
+  normalizeCurve,
+  evaluateCurve,
+  resolveHumanRanges,
+  getTargetRange,
+  mapChannelRange,
+  buildRangeMapping,
+  loadRangeMappingConfig,
+  saveRangeMappingConfig
+}
@@ -0,0 +1,174 @@
+import {
+  DEFAULT_HUMAN_RANGES,
+  CURVE_PRESETS,
+  getDefaultCurve,
+  normalizeCurve,
+  evaluateCurve,
+  resolveHumanRanges,
+  getTargetRange,
+  mapChannelRange,
+  buildRangeMapping,
+  loadRangeMappingConfig,
+  saveRangeMappingConfig
+} from './rangeMapper'
+
+const LINEAR = { points: CURVE_PRESETS.linear, invert: false }
+
+describe('evaluateCurve', () => {
+  test('interpolates between control points', () => {
+    expect(evaluateCurve(CURVE_PRESETS.linear, 0.3)).toBeCloseTo(0.3)
+    expect(evaluateCurve(CURVE_PRESETS.ease_in, 0.25)).toBeCloseTo(0.125)
+    expect(evaluateCurve(CURVE_PRESETS.ease_in, 0.75)).toBeCloseTo(0.625)
+  })
+
+  test('holds the end values outside [0, 1]', () => {
+    expect(evaluateCurve(CURVE_PRESETS.s_curve, -1)).toBe(0)
+    expect(evaluateCurve(CURVE_PRESETS.s_curve, 2)).toBe(1)
+  })
+
+  test('keeps the deadband flat', () => {
+    expect(evaluateCurve(CURVE_PRESETS.deadband, 0.1)).toBe(0)
+    expect(evaluateCurve(CURVE_PRESETS.deadband, 1)).toBe(1)
+  })
+})
+
+describe('normalizeCurve', () => {
+  test('clamps, sorts and pins the points to t = 0 and t = 1', () => {
+    const curve = normalizeCurve({ points: [[0.9, 1.4], [0.2, -0.5], [0.5, 0.5]], invert: 1 })
+
+    expect(curve).toEqual({ points: [[0, 0], [0.5, 0.5], [1, 1]], invert: true })
+  })
+
+  test('falls back to the linear map for unusable points', () => {
+    expect(normalizeCurve({ points: [[0.5, 0.5]] }).points).toEqual(CURVE_PRESETS.linear)
+    expect(normalizeCurve(null)).toEqual(LINEAR)
+  })
+})
+
+describe('getDefaultCurve', () => {
+  test('maps every channel linearly in its own direction', () => {
+    expect(getDefaultCurve('index_roll')).toEqual(LINEAR)
+    expect(getDefaultCurve('ring_roll')).toEqual(LINEAR)
+    expect(getDefaultCurve('index_pip')).toEqual(LINEAR)
+  })
+})
+
+describe('resolveHumanRanges', () => {
+  test('uses typical ranges without a calibrated hand', () => {
+    const ranges = resolveHumanRanges(null)
+
+    expect(Object.keys(ranges)).toEqual(Object.keys(DEFAULT_HUMAN_RANGES))
+    expect(ranges.index_mcp).toEqual({ ...DEFAULT_HUMAN_RANGES.index_mcp, source: 'default' })
+  })
+
+  test('removes the rest pose from measured ranges', () => {
+    const hand = {
+      rest: { index_mcp: 0.2, ring_roll: 0.1 },
+      ranges: { index_mcp: { min: 0.1, max: 1.5 }, ring_roll: { min: -0.3, max: 0.3 } }
+    }
+
+    const ranges = resolveHumanRanges(hand)
+
+    // Flexion never goes below 0, spread may
+    expect(ranges.index_mcp.min).toBe(0)
+    expect(ranges.index_mcp.max).toBeCloseTo(1.3)
+    expect(ranges.index_mcp.source).toBe('profile')
+    expect(ranges.ring_roll.min).toBeCloseTo(-0.4)
+    expect(ranges.ring_roll.max).toBeCloseTo(0.2)
+  })
+
+  test('ignores ranges captured from a single pose', () => {
+    const ranges = resolveHumanRanges({ ranges: { middle_pip: { min: 0.8, max: 0.82 } } })
+
+    expect(ranges.middle_pip.source).toBe('default')
+    expect(ranges.middle_pip.min).toBe(DEFAULT_HUMAN_RANGES.middle_pip.min)
+  })
+})
+
+describe('getTargetRange', () => {
+  const jointLimits = { joint_1: { lower: -0.2, upper: 1.4 } }
+
+  test('orients the joint limits by the channel sign', () => {
+    expect(getTargetRange({ joint: 'joint_1', sign: 1 }, jointLimits)).toEqual([-0.2, 1.4])
+    expect(getTargetRange({ joint: 'joint_1', sign: -1 }, jointLimits)).toEqual([1.4, -0.2])
+  })
+
+  test('narrows the limits to the channel limits', () => {
+    expect(getTargetRange({ joint: 'joint_1', sign: 1, limits: [0, 2] }, jointLimits)).toEqual([0, 1.4])
+    expect(getTargetRange({ joint: 'joint_2', sign: 1, limits: [0, 0.5] }, jointLimits)).toEqual([0, 0.5])
+  })
+
+  test('returns null for unlimited joints', () => {
+    expect(getTargetRange({ joint: 'joint_2', sign: 1 }, jointLimits)).toBeNull()
+    expect(getTargetRange({ joint: 'joint_1', sign: 1 }, null)).toBeNull()
+  })
+})
+
+describe('mapChannelRange', () => {
+  const humanRange = { min: 0.1, max: 1.6 }
+
+  test('maps the human range onto the full target range', () => {
+    expect(mapChannelRange(0.1, humanRange, [0, 1.2], LINEAR)).toBeCloseTo(0)
+    expect(mapChannelRange(0.85, humanRange, [0, 1.2], LINEAR)).toBeCloseTo(0.6)
+    expect(mapChannelRange(1.6, humanRange, [0, 1.2], LINEAR)).toBeCloseTo(1.2)
+  })
+
+  test('clamps angles outside the human range', () => {
+    expect(mapChannelRange(-1, humanRange, [0, 1.2], LINEAR)).toBeCloseTo(0)
+    expect(mapChannelRange(3, humanRange, [0, 1.2], LINEAR)).toBeCloseTo(1.2)
+  })
+
+  test('follows reversed target ranges and inverted curves', () => {
+    expect(mapChannelRange(0.1, humanRange, [1.2, 0], LINEAR)).toBeCloseTo(1.2)
+    expect(mapChannelRange(0.1, humanRange, [0, 1.2], { ...LINEAR, invert: true })).toBeCloseTo(1.2)
+  })
+
+  test('applies the response curve', () => {
+    const easeIn = normalizeCurve({ points: CURVE_PRESETS.ease_in })
+
+    expect(mapChannelRange(0.85, humanRange, [0, 1.2], easeIn)).toBeCloseTo(0.3)
+  })
+
+  test('maps a degenerate human range to the start of the target range', () => {
+    expect(mapChannelRange(0.5, { min: 0.5, max: 0.5 }, [0.2, 1], LINEAR)).toBeCloseTo(0.2)
+  })
+})
+
+describe('buildRangeMapping', () => {
+  test('is disabled without an enabled config', () => {
+    expect(buildRangeMapping({ enabled: false, curves: {} }, null)).toBeNull()
+    expect(buildRangeMapping(null, null)).toBeNull()
+  })
+
+  test('gives every channel a curve, custom curves normalized', () => {
+    const mapping = buildRangeMapping({ enabled: true, curves: { index_pip: { points: [[1, 1], [0, 0]] } } }, null)
+
+    expect(Object.keys(mapping.curves)).toEqual(Object.keys(mapping.ranges))
+    expect(mapping.curves.index_pip).toEqual(LINEAR)
+    expect(mapping.curves.middle_roll).toEqual(getDefaultCurve('middle_roll'))
+  })
+})
+
+describe('range mapping storage', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  test('round-trips the config', () => {
+    const config = { enabled: false, curves: { index_mcp: { points: CURVE_PRESETS.s_curve, invert: false } } }
+
+    saveRangeMappingConfig(config)
+
+    expect(loadRangeMappingConfig()).toEqual(config)
+  })
+
+  test('falls back to the defaults for missing or corrupt data', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    expect(loadRangeMappingConfig()).toEqual({ enabled: true, curves: {} })
+    localStorage.setItem('handTracking_rangeMapping', '{not json')
+    expect(loadRangeMappingConfig()).toEqual({ enabled: true, curves: {} })
+
+    console.error.mockRestore()
+  })
+})
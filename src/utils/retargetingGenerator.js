@@ -0,0 +1,106 @@
+/**
+ * Retargeting Generator
+ * Proposes a retargeting mapping for a URDF that has no config (models imported for the
+ * session, see sessionModels.js). The proposal is shown for review before it is used.
+ *
+ * Fingers and joint kinds come from the joint classifier (jointClassifier.js), which works
+ * from the kinematic tree and joint axes, not the names. Each finger's joints are taken
+ * proximal → distal: flexion joints take mcp, pip, dip and tip in order, sideways joints
+ * the finger's roll channel (the thumb: abduction takes thumb_yaw, twist thumb_roll, each
+ * falling back to the other). The wrist channel takes the wrist's flexion joint.
+ *
+ * Every proposed channel gets a confidence: the finger's confidence times the joint's.
+ */
+
+import { FINGERS } from './fingertipRetargeting'
+import { classifyJoints } from './jointClassifier'
+
+const FLEXION_SEGMENTS = ['mcp', 'pip', 'dip', 'tip']
+
+/**
+ * Take a channel from a queue of free channels
+ * @param {string[]} queue - Free channels (modified)
+ * @param {string|null} preferred - Channel to take if it is still free
+ * @returns {string|undefined}
+ */
+function takeChannel(queue, preferred = null) {
+  const index = preferred ? queue.indexOf(preferred) : -1
+  return index === -1 ? queue.shift() : queue.splice(index, 1)[0]
+}
+
+/**
+ * Assign a finger's classified joints (proximal → distal) to its channels
+ * @param {string} finger
+ * @param {Object} classified - Classified finger (classifyJoints)
+ * @param {Object} channels - Channel → joint name map to fill
+ * @param {Object} confidence - Channel → confidence map to fill
+ * @returns {string[]} - Joints left without a channel
+ */
+function assignFingerJoints(finger, classified, channels, confidence) {
+  const sidewaysChannels = finger === 'thumb' ? ['thumb_yaw', 'thumb_roll'] : [`${finger}_roll`]
+  const flexionChannels = FLEXION_SEGMENTS.map(segment => `${finger}_${segment}`)
+  const unmapped = []
+
+  // Flexion joints proximal → distal; sideways joints most confident first, as a finger
+  // has fewer sideways channels than some robots have sideways joints
+  const flexion = classified.joints.filter(joint => joint.kind === 'flexion')
+  const sideways = classified.joints.filter(joint => joint.kind !== 'flexion')
+    .sort((a, b) => b.confidence - a.confidence)
+
+  const assign = ({ joint, kind, confidence: jointConfidence }) => {
+    const channel = kind === 'flexion'
+      ? takeChannel(flexionChannels)
+      : takeChannel(sidewaysChannels, kind === 'twist' ? `${finger}_roll` : sidewaysChannels[0])
+
+    if (channel) {
+      channels[channel] = joint
+      confidence[channel] = Math.round(classified.confidence * jointConfidence * 100) / 100
+    } else {
+      unmapped.push(joint)
+    }
+  }
+  flexion.forEach(assign)
+  sideways.forEach(assign)
+
+  return unmapped
+}
+
+/**
+ * Propose a mapping of the human joint channels onto a robot's joints
+ * @param {Object} robot - urdf-loader robot in its zero pose (meshes not needed)
+ * @param {Object} jointConfig - Parsed joint configuration (parseJointConfig)
+ * @returns {{channels: Object, confidence: Object, fingertips: Object, unmapped: string[]}} -
+ *   channels maps human channel → URDF joint name, confidence human channel → [0, 1],
+ *   fingertips finger → tip link name, unmapped lists the movable joints that got no channel
+ */
+export function generateRetargeting(robot, jointConfig) {
+  const classification = classifyJoints(robot, jointConfig)
+
+  const channels = {}
+  const confidence = {}
+  const fingertips = {}
+  const unmapped = [...classification.unclassified]
+
+  // Wrist: the most distal flexion joint, else the most distal wrist joint
+  const wrist = classification.wrist
+  const wristJoint = [...wrist].reverse().find(joint => joint.kind === 'flexion') || wrist[wrist.length - 1]
+  if (wristJoint) {
+    channels.wrist = wristJoint.joint
+    confidence.wrist = wristJoint.kind === 'flexion' ? wristJoint.confidence : 0
+  }
+  unmapped.push(...wrist.filter(joint => joint !== wristJoint).map(joint => joint.joint))
+
+  FINGERS.forEach(finger => {
+    const classified = classification.fingers[finger]
+    if (!classified) return
+    unmapped.push(...assignFingerJoints(finger, classified, channels, confidence))
+    fingertips[finger] = classified.tip
+  })
+
+  console.log(`🧩 [RetargetingGenerator] ${Object.keys(channels).length} channels proposed, ${unmapped.length} joints unmapped`)
+  return { channels, confidence, fingertips, unmapped }
+}
+
+export default {
+  generateRetargeting
+}
@@ -0,0 +1,463 @@
+/**
+ * Session Models
+ * User-supplied URDF models dropped onto the app (a URDF plus its mesh folder).
+ * They live for the browser session only: the dropped files stay in memory and the
+ * loaders reach them through virtual URLs
+ *
+ *   session://<modelPath>/<path of the file in the dropped folder>
+ *
+ * Mesh references are matched against the dropped files: relative paths are resolved
+ * against the URDF's folder, package:// paths by their package-relative path. When the
+ * dropped folder starts above or below the package root, the longest matching path
+ * suffix wins (case-insensitive), so `package://my_hand/meshes/palm.STL` finds
+ * `my_hand_description/meshes/palm.stl`.
+ */
+
+import URDFLoader from 'urdf-loader'
+import { parseJointConfig } from './urdfParser'
+import { generateRetargeting } from './retargetingGenerator'
+import { RETARGETING_FORMAT, RETARGETING_FORMAT_VERSION, registerRetargetingConfig } from './urdfJointMapping'
+import {
+  MODEL_MANIFEST_FORMAT,
+  MODEL_MANIFEST_VERSION,
+  DEFAULT_SIDE,
+  registerModelManifest,
+  unregisterModelManifest,
+  getModelEntries
+} from './modelRegistry'
+
+export const SESSION_MODEL_PREFIX = 'session_'
+const SESSION_URL_PROTOCOL = 'session://'
+const MESH_EXTENSIONS = ['stl', 'glb', 'gltf', 'dae', 'obj']
+
+// Registered models by model path
+const sessionModels = new Map()
+
+/**
+ * Normalize a file path: forward slashes, no leading './' or '/', '.' and '..' resolved
+ * @param {string} path
+ * @returns {string}
+ */
+export function normalizePath(path) {
+  const parts = []
+  path.replace(/\\/g, '/').split('/').forEach(part => {
+    if (part === '' || part === '.') return
+    if (part === '..') {
+      parts.pop()
+    } else {
+      parts.push(part)
+    }
+  })
+  return parts.join('/')
+}
+
+/**
+ * Directory part of a path ('' for a file at the top level)
+ * @param {string} path
+ * @returns {string}
+ */
+function dirname(path) {
+  const index = path.lastIndexOf('/')
+  return index === -1 ? '' : path.substring(0, index)
+}
+
+/**
+ * Lower-case file extension
+ * @param {string} path
+ * @returns {string}
+ */
+function getExtension(path) {
+  return path.split('.').pop().toLowerCase()
+}
+
+/**
+ * Read a dropped file system entry (recursing into directories)
+ * @param {FileSystemEntry} entry
+ * @param {Array} files - Collected {path, file} entries
+ */
+async function readEntry(entry, files) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject))
+    files.push({ path: normalizePath(entry.fullPath), file })
+  } else if (entry.isDirectory) {
+    const reader = entry.createReader()
+    // readEntries returns the directory in batches until it returns an empty one
+    let batch
+    do {
+      batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+      await Promise.all(batch.map(child => readEntry(child, files)))
+    } while (batch.length > 0)
+  }
+}
+
+/**
+ * Collect the files of a drop, with their paths inside the dropped folders
+ * Must be called from the drop handler itself (the entries expire after it returns).
+ * @param {DataTransfer} dataTransfer - Drop event data
+ * @returns {Promise<Array<{path: string, file: File}>>}
+ */
+export function collectDroppedFiles(dataTransfer) {
+  const entries = Array.from(dataTransfer.items || [])
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean)
+
+  if (entries.length === 0) {
+    return Promise.resolve(getInputFiles(dataTransfer.files))
+  }
+
+  const files = []
+  return Promise.all(entries.map(entry => readEntry(entry, files))).then(() => files)
+}
+
+/**
+ * Files picked with a file input (a folder picker gives their relative paths)
+ * @param {FileList} fileList
+ * @returns {Array<{path: string, file: File}>}
+ */
+export function getInputFiles(fileList) {
+  return Array.from(fileList || []).map(file => ({
+    path: normalizePath(file.webkitRelativePath || file.name),
+    file
+  }))
+}
+
+/**
+ * Index files by lower-case path for mesh lookups
+ * @param {Array<{path: string, file: File}>} files
+ * @returns {Map<string, {path: string, file: File}>}
+ */
+function createFileIndex(files) {
+  return new Map(files.map(entry => [entry.path.toLowerCase(), entry]))
+}
+
+/**
+ * Find a referenced file among the dropped files
+ * Tries the full path first, then ever shorter suffixes of it; among several files with
+ * the same suffix the one with the shortest path wins.
+ * @param {Map} index - File index (createFileIndex)
+ * @param {string} requestedPath - Normalized path (a package:// path without the protocol)
+ * @returns {string|null} - Path of the matched file
+ */
+function findFile(index, requestedPath) {
+  const path = requestedPath.toLowerCase()
+  if (index.has(path)) return index.get(path).path
+
+  const parts = path.split('/')
+  for (let i = 0; i < parts.length; i++) {
+    const suffix = parts.slice(i).join('/')
+    const matches = Array.from(index.keys()).filter(key => key === suffix || key.endsWith('/' + suffix))
+    if (matches.length > 0) {
+      matches.sort((a, b) => a.length - b.length)
+      return index.get(matches[0]).path
+    }
+  }
+  return null
+}
+
+/**
+ * Resolve a mesh filename from a URDF against the dropped files
+ * @param {Map} index - File index
+ * @param {string} filename - Mesh filename as written in the URDF
+ * @param {string} urdfDir - Folder of the URDF file in the drop
+ * @returns {string|null} - Path of the matched file
+ */
+function resolveMeshFilename(index, filename, urdfDir) {
+  if (/^package:\/\//.test(filename)) {
+    return findFile(index, normalizePath(filename.replace(/^package:\/\//, '')))
+  }
+  if (/^file:\/\//.test(filename)) {
+    return findFile(index, normalizePath(filename.replace(/^file:\/\//, '')))
+  }
+  return findFile(index, normalizePath(`${urdfDir}/${filename}`))
+}
+
+/**
+ * Build the virtual URL of a file of a session model
+ * @param {string} modelPath
+ * @param {string} filePath
+ * @returns {string}
+ */
+function toSessionURL(modelPath, filePath) {
+  return `${SESSION_URL_PROTOCOL}${modelPath}/${filePath}`
+}
+
+/**
+ * Split a virtual URL into its model and file path
+ * @param {string} url
+ * @returns {{model: Object, filePath: string}|null}
+ */
+function parseSessionURL(url) {
+  if (!isSessionURL(url)) return null
+  const rest = url.substring(SESSION_URL_PROTOCOL.length)
+  const index = rest.indexOf('/')
+  const model = sessionModels.get(index === -1 ? rest : rest.substring(0, index))
+  if (!model) return null
+  return { model, filePath: normalizePath(index === -1 ? '' : rest.substring(index + 1)) }
+}
+
+/**
+ * Whether a URL points into a session model
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isSessionURL(url) {
+  return typeof url === 'string' && url.startsWith(SESSION_URL_PROTOCOL)
+}
+
+/**
+ * Resolve a mesh path handed to the URDF loader's loadMeshCb to a dropped file
+ * @param {string} path - Mesh path: a session URL (relative filename joined with the
+ *   URDF's folder) or a package:// path
+ * @param {string} urdfURL - Session URL of the URDF being loaded
+ * @returns {string|null} - Session URL of the matched file, or null if it wasn't dropped
+ */
+export function resolveSessionMeshPath(path, urdfURL) {
+  const urdf = parseSessionURL(urdfURL)
+  if (!urdf) return null
+
+  const { model } = urdf
+  const filePath = /^package:\/\//.test(path)
+    ? resolveMeshFilename(model.fileIndex, path, '')
+    : findFile(model.fileIndex, parseSessionURL(path)?.filePath || normalizePath(path))
+
+  return filePath ? toSessionURL(model.path, filePath) : null
+}
+
+/**
+ * Object URL of a dropped file, for a loading manager's URL modifier
+ * Relative references inside meshes (GLTF buffers, textures, Collada images) arrive as
+ * session URLs too and are matched the same way as the meshes.
+ * @param {string} url - Session URL
+ * @returns {string|null} - blob: URL, or null if the URL matches no dropped file
+ */
+export function getSessionFileURL(url) {
+  const parsed = parseSessionURL(url)
+  if (!parsed) return null
+
+  const { model } = parsed
+  const filePath = findFile(model.fileIndex, parsed.filePath)
+  if (!filePath) return null
+
+  if (!model.objectURLs.has(filePath)) {
+    model.objectURLs.set(filePath, URL.createObjectURL(model.fileIndex.get(filePath.toLowerCase()).file))
+  }
+  return model.objectURLs.get(filePath)
+}
+
+/**
+ * Guess the hand side from a file or robot name
+ * @param {string} name
+ * @returns {string|null} - 'left', 'right' or null
+ */
+function guessSide(name) {
+  const lower = name.toLowerCase()
+  if (lower.includes('left') || /(^|[^a-z])lh([^a-z]|$)/.test(lower)) return 'left'
+  if (lower.includes('right') || /(^|[^a-z])rh([^a-z]|$)/.test(lower)) return 'right'
+  return null
+}
+
+/**
+ * Parse a URDF's kinematic structure (no meshes are loaded)
+ * @param {string} text - URDF XML
+ * @returns {Object} - urdf-loader robot
+ */
+function parseURDFStructure(text) {
+  const loader = new URDFLoader()
+  loader.parseVisual = false
+  loader.parseCollision = false
+  const robot = loader.parse(text)
+  robot.updateMatrixWorld(true)
+  return robot
+}
+
+/**
+ * Analyze dropped files for import: parse each URDF, check its mesh references and
+ * propose a retargeting mapping
+ * @param {Array<{path: string, file: File}>} files - Dropped files (collectDroppedFiles)
+ * @returns {Promise<Object>} - Import draft {files, name, urdfs: [{path, robotName, side,
+ *   jointConfig, joints, channels, confidence, fingertips, unmapped, meshes: {found, missing}}],
+ *   errors} (channels: proposed human channel → URDF joint name, confidence: its [0, 1]
+ *   confidence, see retargetingGenerator.js)
+ */
+export async function analyzeDroppedFiles(files) {
+  const fileIndex = createFileIndex(files)
+  const urdfFiles = files.filter(entry => getExtension(entry.path) === 'urdf')
+  const errors = []
+
+  if (urdfFiles.length === 0) {
+    errors.push('No .urdf file in the dropped files')
+  }
+  if (!files.some(entry => MESH_EXTENSIONS.includes(getExtension(entry.path)))) {
+    errors.push(`No mesh files (${MESH_EXTENSIONS.join(', ')}) in the dropped files`)
+  }
+
+  const urdfs = []
+  for (const entry of urdfFiles) {
+    try {
+      const text = await entry.file.text()
+      const robot = parseURDFStructure(text)
+      const jointConfig = parseJointConfig(robot)
+
+      // Mesh references of the visual geometry
+      const urdfDir = dirname(entry.path)
+      const filenames = Array.from(new DOMParser().parseFromString(text, 'text/xml')
+        .querySelectorAll('visual mesh'))
+        .map(mesh => mesh.getAttribute('filename'))
+        .filter(Boolean)
+      const missing = [...new Set(filenames)].filter(filename => !resolveMeshFilename(fileIndex, filename, urdfDir))
+
+      const { channels, confidence, fingertips, unmapped } = generateRetargeting(robot, jointConfig)
+
+      urdfs.push({
+        path: entry.path,
+        robotName: robot.robotName || robot.name || entry.path,
+        side: guessSide(entry.path.split('/').pop()) || guessSide(robot.robotName || ''),
+        jointConfig,
+        joints: Object.values(jointConfig)
+          .filter(joint => joint.type !== 'fixed' && !joint.mimic)
+          .map(joint => joint.name),
+        channels,
+        confidence,
+        fingertips,
+        unmapped,
+        meshes: { found: new Set(filenames).size - missing.length, missing }
+      })
+    } catch (err) {
+      errors.push(`${entry.path}: ${err.message}`)
+    }
+  }
+
+  // Two URDFs for the same side can't both be used: keep the side of the first one
+  const seenSides = new Set()
+  urdfs.forEach(urdf => {
+    if (urdf.side && seenSides.has(urdf.side)) urdf.side = null
+    if (urdf.side) seenSides.add(urdf.side)
+  })
+
+  return {
+    files,
+    name: urdfs[0]?.robotName || 'Custom Hand',
+    urdfs,
+    errors
+  }
+}
+
+/**
+ * Turn a display name into a unique session model path
+ * @param {string} name
+ * @returns {string}
+ */
+function createModelPath(name) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'model'
+  let path = `${SESSION_MODEL_PREFIX}${slug}`
+  for (let i = 2; sessionModels.has(path); i++) {
+    path = `${SESSION_MODEL_PREFIX}${slug}_${i}`
+  }
+  return path
+}
+
+/**
+ * Register a reviewed import draft as a session model
+ * @param {Object} draft - Import draft (analyzeDroppedFiles)
+ * @param {Object} review - {name, urdfs: [{path, side ('left'|'right'|null = both hands),
+ *   channels ({humanChannel: urdfJoint}), enabled}]}
+ * @returns {Object[]} - Model entries for the model selector (modelRegistry.getModelEntries)
+ * @throws {Error} - If no URDF was kept
+ */
+export function registerSessionModel(draft, review) {
+  const urdfs = review.urdfs.filter(urdf => urdf.enabled)
+  if (urdfs.length === 0) {
+    throw new Error('Select at least one URDF to import')
+  }
+
+  const path = createModelPath(review.name)
+  const urdf = {}
+  const sides = {}
+
+  urdfs.forEach(reviewed => {
+    const analyzed = draft.urdfs.find(candidate => candidate.path === reviewed.path)
+    const sideKey = reviewed.side || DEFAULT_SIDE
+    const channels = {}
+    Object.entries(reviewed.channels).forEach(([channel, joint]) => {
+      if (joint) channels[channel] = { joint }
+    })
+
+    urdf[sideKey] = toSessionURL(path, reviewed.path)
+    sides[sideKey] = { channels, fingertips: analyzed?.fingertips || {} }
+  })
+
+  // One URDF: its mapping is the base config; one per side: per-side channels
+  const sideKeys = Object.keys(sides)
+  const retargeting = {
+    format: RETARGETING_FORMAT,
+    version: RETARGETING_FORMAT_VERSION,
+    model: path,
+    description: `${review.name} (imported for this session)`,
+    channels: sideKeys.length === 1 ? sides[sideKeys[0]].channels : {},
+    fingertips: sideKeys.length === 1 ? sides[sideKeys[0]].fingertips : {},
+    sides: sideKeys.length === 1 ? {} : sides
+  }
+
+  sessionModels.set(path, {
+    path,
+    name: review.name,
+    urdf,
+    retargeting,
+    fileIndex: createFileIndex(draft.files),
+    objectURLs: new Map()
+  })
+  const manifest = registerModelManifest({
+    format: MODEL_MANIFEST_FORMAT,
+    version: MODEL_MANIFEST_VERSION,
+    model: path,
+    name: review.name,
+    dof: Math.max(...urdfs.map(reviewed =>
+      draft.urdfs.find(candidate => candidate.path === reviewed.path)?.joints.length || 0
+    )),
+    sides: sideKeys.filter(sideKey => sideKey !== DEFAULT_SIDE),
+    urdf,
+    controlModes: ['manual', 'camera', 'ik', 'retarget'],
+    tags: ['imported'],
+    session: true
+  })
+  registerRetargetingConfig(path, retargeting)
+  console.log(`📦 [SessionModels] Registered ${path} (${sideKeys.join(', ')}) from ${draft.files.length} files`)
+
+  return getModelEntries([manifest])
+}
+
+/**
+ * Get a registered session model
+ * @param {string} modelPath
+ * @returns {Object|undefined} - {path, name, urdf: {left|right|default: url}, retargeting}
+ */
+export function getSessionModel(modelPath) {
+  return sessionModels.get(modelPath)
+}
+
+/**
+ * Forget a session model and release its object URLs
+ * @param {string} modelPath
+ */
+export function removeSessionModel(modelPath) {
+  const model = sessionModels.get(modelPath)
+  if (!model) return
+  model.objectURLs.forEach(url => URL.revokeObjectURL(url))
+  sessionModels.delete(modelPath)
+  unregisterModelManifest(modelPath)
+  registerRetargetingConfig(modelPath, null)
+}
+
+export default {
+  SESSION_MODEL_PREFIX,
+  normalizePath,
+  collectDroppedFiles,
+  getInputFiles,
+  isSessionURL,
+  resolveSessionMeshPath,
+  getSessionFileURL,
+  analyzeDroppedFiles,
+  registerSessionModel,
+  getSessionModel,
+  removeSessionModel
+}
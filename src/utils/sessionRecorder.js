@@ -0,0 +1,325 @@
+/**
+ * Session Recorder Module
+ * Records MediaPipe hand tracking results to a downloadable file and replays them
+ *
+ * A recorded session stores, for every processed frame, the timestamp (ms since the
+ * recording started), the image landmarks, the world landmarks (when available) and
+ * the handedness classification. Replayed frames have the same shape as a MediaPipe
+ * `Hands` results object, so they can be fed straight into the tracking `onResults` path.
+ */
+
+import { downloadBlob } from './download'
+
+export const SESSION_FORMAT = 'handvis-landmark-session'
+export const SESSION_FORMAT_VERSION = 1
+
+/**
+ * Copy a MediaPipe landmark list into plain {x, y, z} objects
+ * @param {Array} landmarks - Landmark list (21 points)
+ * @returns {Array|null} - Plain landmark list
+ */
+function copyLandmarks(landmarks) {
+  if (!landmarks) return null
+  return landmarks.map(({ x, y, z }) => ({ x, y, z }))
+}
+
+/**
+ * Session Recorder
+ * Captures timestamped landmarks and handedness per frame
+ */
+export class SessionRecorder {
+  constructor() {
+    this.frames = []
+    this.isRecording = false
+    this.startTime = null
+    this.metadata = {}
+  }
+
+  /**
+   * Start a new recording (discards any previous frames)
+   * @param {Object} metadata - Extra information stored in the file header
+   */
+  start(metadata = {}) {
+    this.frames = []
+    this.startTime = null
+    this.metadata = metadata
+    this.isRecording = true
+  }
+
+  /**
+   * Stop the current recording
+   */
+  stop() {
+    this.isRecording = false
+  }
+
+  /**
+   * Record one frame of MediaPipe results
+   * @param {Object} results - MediaPipe Hands results
+   * @param {number} timestamp - Frame timestamp in ms
+   */
+  recordFrame(results, timestamp = performance.now()) {
+    if (!this.isRecording || !results) return
+
+    if (this.startTime === null) {
+      this.startTime = timestamp
+    }
+
+    this.frames.push({
+      t: timestamp - this.startTime,
+      landmarks: (results.multiHandLandmarks || []).map(copyLandmarks),
+      worldLandmarks: (results.multiHandWorldLandmarks || []).map(copyLandmarks),
+      handedness: (results.multiHandedness || []).map(({ index, score, label }) => ({ index, score, label }))
+    })
+  }
+
+  /**
+   * Get number of recorded frames
+   * @returns {number}
+   */
+  getFrameCount() {
+    return this.frames.length
+  }
+
+  /**
+   * Get recording duration in ms
+   * @returns {number}
+   */
+  getDuration() {
+    return this.frames.length > 0 ? this.frames[this.frames.length - 1].t : 0
+  }
+
+  /**
+   * Serialize the recording
+   * @returns {Object} - Session file contents
+   */
+  toJSON() {
+    return {
+      format: SESSION_FORMAT,
+      version: SESSION_FORMAT_VERSION,
+      recordedAt: new Date().toISOString(),
+      metadata: this.metadata,
+      duration: this.getDuration(),
+      frames: this.frames
+    }
+  }
+
+  /**
+   * Download the recording as a JSON file
+   * @param {string} filename - File name for the download
+   */
+  download(filename = `hand-session-${Date.now()}.json`) {
+    downloadBlob(JSON.stringify(this.toJSON()), filename, 'application/json')
+  }
+}
+
+/**
+ * Parse and validate a session file
+ * @param {string} text - File contents
+ * @returns {Object} - Parsed session
+ * @throws {Error} - If the file is not a valid session
+ */
+export function parseSession(text) {
+  const session = JSON.parse(text)
+
+  if (session.format !== SESSION_FORMAT) {
+    throw new Error('Not a hand tracking session file')
+  }
+  if (session.version > SESSION_FORMAT_VERSION) {
+    throw new Error(`Unsupported session version: ${session.version}`)
+  }
+  if (!Array.isArray(session.frames) || session.frames.length === 0) {
+    throw new Error('Session contains no frames')
+  }
+
+  return session
+}
+
+/**
+ * Read a session from a File object (e.g. from an <input type="file">)
+ * @param {File} file - Session file
+ * @returns {Promise<Object>} - Parsed session
+ */
+export async function loadSessionFile(file) {
+  const text = await file.text()
+  return parseSession(text)
+}
+
+/**
+ * Convert a recorded frame back into a MediaPipe-shaped results object
+ * @param {Object} frame - Recorded frame
+ * @returns {Object} - Results {multiHandLandmarks, multiHandWorldLandmarks, multiHandedness, timestamp}
+ */
+export function frameToResults(frame) {
+  return {
+    multiHandLandmarks: frame.landmarks,
+    multiHandWorldLandmarks: frame.worldLandmarks,
+    multiHandedness: frame.handedness,
+    timestamp: frame.t
+  }
+}
+
+/**
+ * Session Player
+ * Replays a recorded session in real time (scaled by playback speed)
+ */
+export class SessionPlayer {
+  /**
+   * @param {Object} session - Parsed session
+   * @param {Object} callbacks - {onFrame(results), onStateChange(state)}
+   */
+  constructor(session, { onFrame = null, onStateChange = null } = {}) {
+    this.session = session
+    this.frames = session.frames
+    this.onFrame = onFrame
+    this.onStateChange = onStateChange
+
+    this.isPlaying = false
+    this.speed = 1
+    this.currentTime = 0
+    this.frameIndex = 0
+
+    this.animationId = null
+    this.lastWallTime = null
+    this.tick = this.tick.bind(this)
+  }
+
+  /**
+   * Get session duration in ms
+   * @returns {number}
+   */
+  getDuration() {
+    return this.frames[this.frames.length - 1].t
+  }
+
+  /**
+   * Get current player state (for UI)
+   * @returns {Object} - {isPlaying, speed, currentTime, duration, frameIndex, frameCount}
+   */
+  getState() {
+    return {
+      isPlaying: this.isPlaying,
+      speed: this.speed,
+      currentTime: this.currentTime,
+      duration: this.getDuration(),
+      frameIndex: this.frameIndex,
+      frameCount: this.frames.length
+    }
+  }
+
+  notifyStateChange() {
+    if (this.onStateChange) {
+      this.onStateChange(this.getState())
+    }
+  }
+
+  /**
+   * Emit a frame through the onFrame callback
+   * @param {number} index - Frame index
+   */
+  emitFrame(index) {
+    this.frameIndex = index
+    if (this.onFrame) {
+      this.onFrame(frameToResults(this.frames[index]))
+    }
+  }
+
+  /**
+   * Start or resume playback (restarts from the beginning when at the end)
+   */
+  play() {
+    if (this.isPlaying) return
+
+    if (this.currentTime >= this.getDuration()) {
+      this.seek(0)
+    }
+
+    this.isPlaying = true
+    this.lastWallTime = null
+    this.animationId = requestAnimationFrame(this.tick)
+    this.notifyStateChange()
+  }
+
+  /**
+   * Pause playback
+   */
+  pause() {
+    this.isPlaying = false
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId)
+      this.animationId = null
+    }
+    this.notifyStateChange()
+  }
+
+  /**
+   * Jump to a time in the session and emit the frame at that time
+   * @param {number} time - Time in ms
+   */
+  seek(time) {
+    this.currentTime = Math.max(0, Math.min(this.getDuration(), time))
+
+    // Find the last frame at or before the requested time
+    let index = 0
+    while (index + 1 < this.frames.length && this.frames[index + 1].t <= this.currentTime) {
+      index++
+    }
+
+    this.emitFrame(index)
+    this.notifyStateChange()
+  }
+
+  /**
+   * Set playback speed
+   * @param {number} speed - Speed multiplier (e.g. 0.25, 1, 2)
+   */
+  setSpeed(speed) {
+    this.speed = Math.max(0.05, speed)
+    this.notifyStateChange()
+  }
+
+  /**
+   * Animation loop - advances session time and emits every frame that was passed
+   * @param {number} wallTime - requestAnimationFrame timestamp
+   */
+  tick(wallTime) {
+    if (!this.isPlaying) return
+
+    if (this.lastWallTime !== null) {
+      this.currentTime += (wallTime - this.lastWallTime) * this.speed
+    }
+    this.lastWallTime = wallTime
+
+    // Emit all frames between the previous and current session time so that
+    // time-based filters see the same frame sequence as during recording
+    while (this.frameIndex + 1 < this.frames.length && this.frames[this.frameIndex + 1].t <= this.currentTime) {
+      this.emitFrame(this.frameIndex + 1)
+    }
+
+    if (this.currentTime >= this.getDuration()) {
+      this.currentTime = this.getDuration()
+      this.pause()
+      return
+    }
+
+    this.notifyStateChange()
+    this.animationId = requestAnimationFrame(this.tick)
+  }
+
+  /**
+   * Stop playback and release callbacks
+   */
+  dispose() {
+    this.pause()
+    this.onFrame = null
+    this.onStateChange = null
+  }
+}
+
+export default {
+  SessionRecorder,
+  SessionPlayer,
+  parseSession,
+  loadSessionFile,
+  frameToResults
+}
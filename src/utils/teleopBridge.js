@@ -0,0 +1,304 @@
+/**
+ * Teleoperation Bridge
+ * Streams each hand's retargeted URDF joint values to a robot over a WebSocket
+ *
+ * Joint values come from the same mapping URDFHandModel applies (`computeURDFJointValues`:
+ * the model's retargeting config plus the multi-DoF semantic mapping). Commands are published at a
+ * fixed rate with the latest values only, a heartbeat runs alongside, and a dead-man stop
+ * is sent once per hand when tracking is lost, its data goes stale or its joint values go away.
+ *
+ * Message schema: see Docs/TeleopBridge.md
+ */
+
+export const TELEOP_PROTOCOL = 'handvis-teleop'
+export const TELEOP_PROTOCOL_VERSION = 1
+
+const HAND_SIDES = ['left', 'right']
+
+export class TeleopBridge {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - WebSocket URL of the robot bridge
+   * @param {number} options.rate - Joint command rate in Hz
+   * @param {number} options.heartbeatInterval - ms between heartbeats
+   * @param {number} options.deadmanTimeout - ms without fresh tracking before a hand is stopped
+   * @param {number} options.reconnectDelay - ms before reconnecting (0 = never)
+   * @param {number} options.maxBufferedAmount - Bytes queued in the socket before commands are dropped
+   */
+  constructor({
+    url = 'ws://localhost:9090',
+    rate = 30,
+    heartbeatInterval = 1000,
+    deadmanTimeout = 500,
+    reconnectDelay = 2000,
+    maxBufferedAmount = 64 * 1024
+  } = {}) {
+    this.url = url
+    this.rate = rate
+    this.heartbeatInterval = heartbeatInterval
+    this.deadmanTimeout = deadmanTimeout
+    this.reconnectDelay = reconnectDelay
+    this.maxBufferedAmount = maxBufferedAmount
+
+    this.socket = null
+    this.isActive = false
+    this.status = 'disconnected'
+    this.onStatusChange = null
+
+    this.hands = {}
+    this.seq = 0
+    this.lastHeartbeat = null
+    this.stats = { sent: 0, dropped: 0, stops: 0, latency: null }
+
+    this.publishTimer = null
+    this.heartbeatTimer = null
+    this.reconnectTimer = null
+  }
+
+  /**
+   * Update bridge options (takes effect on the next connect)
+   * @param {Object} options - Same keys as the constructor
+   */
+  configure(options) {
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && key in this) {
+        this[key] = value
+      }
+    })
+  }
+
+  /**
+   * Connect and start publishing
+   */
+  connect() {
+    this.disconnect()
+    this.isActive = true
+    this.stats = { sent: 0, dropped: 0, stops: 0, latency: null }
+    this.open()
+  }
+
+  open() {
+    this.setStatus('connecting')
+
+    try {
+      this.socket = new WebSocket(this.url)
+    } catch (err) {
+      console.error('Error opening teleop WebSocket:', err)
+      this.setStatus('error', err.message)
+      return
+    }
+
+    this.socket.onopen = () => {
+      this.send({
+        type: 'hello',
+        protocol: TELEOP_PROTOCOL,
+        version: TELEOP_PROTOCOL_VERSION,
+        rate: this.rate,
+        heartbeatInterval: this.heartbeatInterval,
+        deadmanTimeout: this.deadmanTimeout
+      })
+      this.publishTimer = setInterval(() => this.publish(), 1000 / this.rate)
+      this.heartbeatTimer = setInterval(() => this.heartbeat(), this.heartbeatInterval)
+      this.setStatus('connected')
+    }
+
+    this.socket.onmessage = (event) => {
+      try {
+        this.handleMessage(JSON.parse(event.data))
+      } catch (err) {
+        console.warn('Ignoring malformed teleop message:', err)
+      }
+    }
+
+    this.socket.onerror = () => this.setStatus('error', `Cannot connect to ${this.url}`)
+
+    this.socket.onclose = () => {
+      this.clearTimers()
+      this.socket = null
+      if (!this.isActive) return
+
+      this.setStatus('disconnected', 'Connection closed')
+      if (this.reconnectDelay > 0) {
+        this.reconnectTimer = setTimeout(() => this.open(), this.reconnectDelay)
+      }
+    }
+  }
+
+  /**
+   * Stop every hand, then close the connection
+   */
+  disconnect() {
+    this.isActive = false
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer)
+      this.reconnectTimer = null
+    }
+    this.clearTimers()
+
+    if (this.socket) {
+      if (this.socket.readyState === WebSocket.OPEN) {
+        HAND_SIDES.forEach(side => this.sendStop(side, 'disconnect'))
+      }
+      this.socket.onclose = null
+      this.socket.close()
+      this.socket = null
+    }
+
+    this.hands = {}
+    this.setStatus('disconnected')
+  }
+
+  clearTimers() {
+    if (this.publishTimer) {
+      clearInterval(this.publishTimer)
+      this.publishTimer = null
+    }
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer)
+      this.heartbeatTimer = null
+    }
+  }
+
+  /**
+   * Update the latest joint values of one hand
+   * @param {string} side - 'left' or 'right' (model side)
+   * @param {Object|null} joints - URDF joint values keyed by joint name
+   * @param {Object} options
+   * @param {string} options.model - Model path (e.g. 'linker_l10')
+   * @param {boolean|null} options.tracked - Whether the driving hand is tracked; null for
+   *   modes not driven by tracking (manual sliders), which disables the dead-man stop
+   * @param {Object|null} options.wristPose - Metric wrist pose of the driving hand (camera frame,
+   *   {position, quaternion}), or null when not tracked
+   */
+  update(side, joints, { model = null, tracked = null, wristPose = null } = {}) {
+    const hand = this.hands[side] || { stopped: false }
+    hand.joints = joints
+    hand.model = model
+    hand.wristPose = wristPose
+    hand.tracked = tracked
+    if (tracked !== false) {
+      hand.updatedAt = performance.now()
+    }
+    this.hands[side] = hand
+  }
+
+  /**
+   * Publish the latest joint command (called at the configured rate)
+   */
+  publish() {
+    if (!this.isOpen()) return
+
+    const now = performance.now()
+    const hands = {}
+
+    HAND_SIDES.forEach(side => {
+      const hand = this.hands[side]
+      if (!hand) return
+
+      // No joint values (model unloaded, none in this mode): stop rather than go silent
+      if (!hand.joints) {
+        if (!hand.stopped) {
+          this.sendStop(side, 'no_joints')
+          hand.stopped = true
+        }
+        return
+      }
+
+      // Dead-man: stop the hand once when tracking is lost or updates stop arriving
+      const isStale = hand.tracked === true && now - hand.updatedAt > this.deadmanTimeout
+      if (hand.tracked === false || isStale) {
+        if (!hand.stopped) {
+          this.sendStop(side, isStale ? 'stale' : 'tracking_lost')
+          hand.stopped = true
+        }
+        return
+      }
+
+      hand.stopped = false
+      hands[side] = {
+        model: hand.model,
+        name: Object.keys(hand.joints),
+        position: Object.values(hand.joints)
+      }
+      if (hand.wristPose) {
+        hands[side].wrist_pose = {
+          position: hand.wristPose.position,
+          orientation: hand.wristPose.quaternion
+        }
+      }
+    })
+
+    if (Object.keys(hands).length === 0) return
+
+    // Rate limiting: drop this command instead of queueing behind a slow connection
+    if (this.socket.bufferedAmount > this.maxBufferedAmount) {
+      this.stats.dropped++
+      return
+    }
+
+    this.send({ type: 'joint_command', hands })
+  }
+
+  heartbeat() {
+    if (!this.isOpen()) return
+    const seq = this.send({ type: 'heartbeat' })
+    this.lastHeartbeat = { seq, sentAt: performance.now() }
+  }
+
+  sendStop(side, reason) {
+    this.send({ type: 'stop', hand: side, reason })
+    this.stats.stops++
+  }
+
+  /**
+   * Handle a message from the robot side
+   * @param {Object} message - Parsed JSON message
+   */
+  handleMessage(message) {
+    if (message.type === 'heartbeat_ack' && message.seq === this.lastHeartbeat?.seq) {
+      this.stats.latency = performance.now() - this.lastHeartbeat.sentAt
+    }
+  }
+
+  /**
+   * Send a message with sequence number and timestamp
+   * @param {Object} message - Message body
+   * @returns {number} - Sequence number
+   */
+  send(message) {
+    const seq = this.seq++
+    this.socket.send(JSON.stringify({ ...message, seq, stamp: Date.now() / 1000 }))
+    this.stats.sent++
+    return seq
+  }
+
+  isOpen() {
+    return this.socket?.readyState === WebSocket.OPEN
+  }
+
+  setStatus(status, message = null) {
+    this.status = status
+    if (this.onStatusChange) {
+      this.onStatusChange({ status, message })
+    }
+  }
+
+  /**
+   * @returns {Object} - {sent, dropped, stops, latency, hands: {side: 'streaming'|'stopped'}}
+   */
+  getStats() {
+    const hands = {}
+    Object.entries(this.hands).forEach(([side, hand]) => {
+      if (hand.joints) {
+        hands[side] = hand.stopped ? 'stopped' : 'streaming'
+      }
+    })
+    return { ...this.stats, hands }
+  }
+}
+
+export default {
+  TELEOP_PROTOCOL,
+  TELEOP_PROTOCOL_VERSION,
+  TeleopBridge
+}
@@ -0,0 +1,168 @@
+import { TeleopBridge } from './teleopBridge'
+import { encodeFrame, decodeFrame } from '../../scripts/teleop-server'
+
+const WRIST_POSE = { position: [0.1, 0.2, 0.5], quaternion: [0, 0, 0, 1] }
+
+/**
+ * Bridge with a fake open socket that records every sent message
+ */
+function createOpenBridge(options) {
+  const bridge = new TeleopBridge(options)
+  const sent = []
+  bridge.socket = {
+    readyState: WebSocket.OPEN,
+    bufferedAmount: 0,
+    send: data => sent.push(JSON.parse(data))
+  }
+  return { bridge, sent }
+}
+
+describe('TeleopBridge messages', () => {
+  let now
+
+  beforeEach(() => {
+    now = 1000
+    jest.spyOn(performance, 'now').mockImplementation(() => now)
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('encodes a joint command per streaming hand', () => {
+    const { bridge, sent } = createOpenBridge()
+    bridge.update('left', { joint_a: 0.5, joint_b: 1.25 }, { model: 'linker_l10', tracked: true, wristPose: WRIST_POSE })
+    bridge.update('right', { joint_c: -0.1 }, { model: 'inspire_hand', tracked: null })
+
+    bridge.publish()
+
+    expect(sent).toHaveLength(1)
+    const [message] = sent
+    expect(message.type).toBe('joint_command')
+    expect(message.seq).toBe(0)
+    expect(typeof message.stamp).toBe('number')
+    expect(message.hands.left).toEqual({
+      model: 'linker_l10',
+      name: ['joint_a', 'joint_b'],
+      position: [0.5, 1.25],
+      wrist_pose: { position: WRIST_POSE.position, orientation: WRIST_POSE.quaternion }
+    })
+    expect(message.hands.right).toEqual({ model: 'inspire_hand', name: ['joint_c'], position: [-0.1] })
+  })
+
+  test('numbers messages sequentially across types', () => {
+    const { bridge, sent } = createOpenBridge()
+    bridge.update('left', { joint_a: 0 }, { tracked: true })
+
+    bridge.publish()
+    bridge.heartbeat()
+    bridge.publish()
+
+    expect(sent.map(message => [message.type, message.seq])).toEqual([
+      ['joint_command', 0],
+      ['heartbeat', 1],
+      ['joint_command', 2]
+    ])
+  })
+
+  test('sends one stop when tracking is lost and resumes when it returns', () => {
+    const { bridge, sent } = createOpenBridge()
+    bridge.update('left', { joint_a: 0 }, { tracked: false })
+
+    bridge.publish()
+    bridge.publish()
+
+    expect(sent).toHaveLength(1)
+    expect(sent[0]).toMatchObject({ type: 'stop', hand: 'left', reason: 'tracking_lost' })
+    expect(bridge.getStats().hands.left).toBe('stopped')
+
+    bridge.update('left', { joint_a: 0.3 }, { tracked: true })
+    bridge.publish()
+
+    expect(sent[1].type).toBe('joint_command')
+    expect(bridge.getStats().hands.left).toBe('streaming')
+  })
+
+  test('sends one stop when a hand loses its joint values', () => {
+    const { bridge, sent } = createOpenBridge()
+    bridge.update('left', { joint_a: 0.2 }, { tracked: true })
+    bridge.publish()
+
+    bridge.update('left', null, { tracked: true })
+    bridge.publish()
+    bridge.publish()
+
+    expect(sent.map(message => message.type)).toEqual(['joint_command', 'stop'])
+    expect(sent[1]).toMatchObject({ hand: 'left', reason: 'no_joints' })
+
+    bridge.update('left', { joint_a: 0.4 }, { tracked: true })
+    bridge.publish()
+
+    expect(sent[2].hands.left.position).toEqual([0.4])
+  })
+
+  test('stops a hand whose updates go stale', () => {
+    const { bridge, sent } = createOpenBridge({ deadmanTimeout: 500 })
+    bridge.update('right', { joint_a: 0 }, { tracked: true })
+
+    now += 501
+    bridge.publish()
+
+    expect(sent).toEqual([expect.objectContaining({ type: 'stop', hand: 'right', reason: 'stale' })])
+  })
+
+  test('drops commands while the socket is backed up', () => {
+    const { bridge, sent } = createOpenBridge({ maxBufferedAmount: 100 })
+    bridge.socket.bufferedAmount = 101
+    bridge.update('left', { joint_a: 0 }, { tracked: true })
+
+    bridge.publish()
+
+    expect(sent).toHaveLength(0)
+    expect(bridge.getStats().dropped).toBe(1)
+  })
+})
+
+describe('teleop server frames', () => {
+  test.each([
+    ['7-bit', 5],
+    ['16-bit', 300],
+    ['64-bit', 70000]
+  ])('round-trips a payload with a %s length', (_, size) => {
+    const payload = Buffer.alloc(size, 'a')
+
+    const frame = decodeFrame(encodeFrame(0x1, payload))
+
+    expect(frame.fin).toBe(true)
+    expect(frame.opcode).toBe(0x1)
+    expect(frame.payload.equals(payload)).toBe(true)
+  })
+
+  test('writes 64-bit lengths as two big-endian 32-bit words', () => {
+    const encoded = encodeFrame(0x1, Buffer.alloc(70000))
+
+    expect(encoded[1]).toBe(127)
+    expect(encoded.readUInt32BE(2)).toBe(0)
+    expect(encoded.readUInt32BE(6)).toBe(70000)
+    expect(encoded.length).toBe(10 + 70000)
+  })
+
+  test('unmasks client frames', () => {
+    const text = Buffer.from('{"type":"heartbeat"}')
+    const mask = Buffer.from([0x12, 0x34, 0x56, 0x78])
+    const masked = Buffer.from(text.map((byte, i) => byte ^ mask[i % 4]))
+    const buffer = Buffer.concat([Buffer.from([0x81, 0x80 | text.length]), mask, masked])
+
+    const frame = decodeFrame(buffer)
+
+    expect(frame.payload.toString()).toBe(text.toString())
+    expect(frame.length).toBe(buffer.length)
+  })
+
+  test('waits for the rest of an incomplete frame', () => {
+    const encoded = encodeFrame(0x1, Buffer.alloc(300))
+
+    expect(decodeFrame(encoded.subarray(0, 3))).toBeNull()
+    expect(decodeFrame(encoded.subarray(0, encoded.length - 1))).toBeNull()
+  })
+})
@@ -0,0 +1,100 @@
+/**
+ * Thumbnail Cache
+ * Keeps rendered model previews (thumbnailRenderer.js) in IndexedDB, so each model is
+ * rendered once per browser rather than every time the model selector opens
+ *
+ * Entries are image Blobs keyed by the renderer's cache key (renderer version + URDF URL).
+ * Without IndexedDB (private browsing, blocked storage) the cache stays empty and previews
+ * are rendered again on the next page load.
+ */
+
+const DB_NAME = 'handvis-thumbnails'
+const DB_VERSION = 1
+const STORE_NAME = 'thumbnails'
+
+let dbPromise = null
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Open the thumbnail database (once per page)
+ * @returns {Promise<IDBDatabase|null>} - null if IndexedDB is not available
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') {
+      dbPromise = Promise.resolve(null)
+    } else {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME)
+      }
+      dbPromise = promisify(request).catch(err => {
+        console.warn('⚠️ [ThumbnailCache] IndexedDB unavailable, previews will not be cached:', err)
+        return null
+      })
+    }
+  }
+  return dbPromise
+}
+
+/**
+ * Run a request against the thumbnail store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - (store) => IDBRequest
+ * @returns {Promise<any>} - Request result (undefined without IndexedDB or on failure)
+ */
+async function withStore(mode, operation) {
+  const db = await openDatabase()
+  if (!db) return undefined
+  try {
+    const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)
+    return await promisify(operation(store))
+  } catch (err) {
+    console.warn('⚠️ [ThumbnailCache] Request failed:', err)
+    return undefined
+  }
+}
+
+/**
+ * Get a cached thumbnail
+ * @param {string} key - Cache key
+ * @returns {Promise<Blob|null>}
+ */
+export async function getCachedThumbnail(key) {
+  return (await withStore('readonly', store => store.get(key))) || null
+}
+
+/**
+ * Store a thumbnail
+ * @param {string} key - Cache key
+ * @param {Blob} blob - Image
+ * @returns {Promise<void>}
+ */
+export async function putCachedThumbnail(key, blob) {
+  await withStore('readwrite', store => store.put(blob, key))
+}
+
+/**
+ * Remove every cached thumbnail
+ * @returns {Promise<void>}
+ */
+export async function clearThumbnailCache() {
+  await withStore('readwrite', store => store.clear())
+}
+
+export default {
+  getCachedThumbnail,
+  putCachedThumbnail,
+  clearThumbnailCache
+}
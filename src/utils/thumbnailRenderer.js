@@ -0,0 +1,416 @@
+/**
+ * Thumbnail Renderer
+ * Renders model previews offscreen, so every registered model has one in the model
+ * selector, including models without a gallery image and URDFs imported for the session
+ *
+ * Each URDF is loaded into a hidden Three scene with its own WebGL canvas (never attached to
+ * the page), posed palm-on with the fingers up from the joint classifier's palm frame, and
+ * framed by a camera fitted to its meshes. Models without a palm (grippers, single chains)
+ * get a three-quarter view of the URDF's Z-up frame instead.
+ *
+ * Renders are serialized on one renderer and cached in IndexedDB (thumbnailCache.js) by
+ * URDF URL; session models are only kept for the page. exportGalleryThumbnails() renders a
+ * batch of models and writes the images out for public/assets/doc/gallery.
+ */
+
+import * as THREE from 'three'
+import { RoomEnvironment } from 'three/examples/jsm/environments/RoomEnvironment'
+import { createURDFLoader, disposeRobot } from './urdfLoader'
+import { parseJointConfig } from './urdfParser'
+import { classifyJoints } from './jointClassifier'
+import { getModelManifest, getModelURDF } from './modelRegistry'
+import { getCachedThumbnail, putCachedThumbnail } from './thumbnailCache'
+import { downloadBlob } from './download'
+
+// Square image size in pixels
+export const THUMBNAIL_SIZE = 512
+
+// Bump to invalidate cached thumbnails when the rendering changes
+const THUMBNAIL_VERSION = 1
+
+const CAMERA_FOV = 30
+// Margin around the model, as a fraction of its half extent
+const FRAME_PADDING = 1.12
+// A URDF whose meshes have not loaded by then is skipped, so it cannot hold up the queue
+const LOAD_TIMEOUT_MS = 30000
+
+// Three-quarter view of models without a palm frame (URDFs are Z-up)
+const DEFAULT_VIEW = {
+  direction: new THREE.Vector3(1, -1, 0.7).normalize(),
+  up: new THREE.Vector3(0, 0, 1)
+}
+
+let renderer = null
+let environment = null
+let renderQueue = Promise.resolve()
+
+// Object URL promises of the thumbnails shown this page, by cache key
+const thumbnailURLs = new Map()
+
+/**
+ * Shared offscreen renderer and its environment map (created on first use)
+ * @returns {THREE.WebGLRenderer}
+ */
+function getRenderer() {
+  if (!renderer) {
+    renderer = new THREE.WebGLRenderer({
+      canvas: document.createElement('canvas'),
+      antialias: true,
+      alpha: true,
+      preserveDrawingBuffer: true
+    })
+    renderer.setPixelRatio(1)
+    renderer.setSize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, false)
+    renderer.setClearColor(0x000000, 0)
+    renderer.toneMapping = THREE.ACESFilmicToneMapping
+    renderer.useLegacyLights = false
+
+    const pmrem = new THREE.PMREMGenerator(renderer)
+    environment = pmrem.fromScene(new RoomEnvironment(), 0.04).texture
+    pmrem.dispose()
+  }
+  return renderer
+}
+
+/**
+ * Run a render after the ones already queued (one renderer, one model at a time)
+ * @param {Function} task - async () => result
+ * @returns {Promise<any>}
+ */
+function enqueue(task) {
+  const run = renderQueue.then(task)
+  renderQueue = run.catch(() => {})
+  return run
+}
+
+/**
+ * Load a URDF and wait for all of its meshes
+ * @param {string} urdfURL
+ * @returns {Promise<Object>} - urdf-loader robot
+ */
+function loadRobot(urdfURL) {
+  return new Promise((resolve, reject) => {
+    const manager = new THREE.LoadingManager()
+    let robot = null
+    let timedOut = false
+    const timeout = setTimeout(() => {
+      timedOut = true
+      reject(new Error(`Timed out loading ${urdfURL}`))
+    }, LOAD_TIMEOUT_MS)
+    manager.onLoad = () => {
+      if (!robot) return
+      if (timedOut) {
+        // Nobody renders a robot that finished after the timeout
+        disposeRobot(robot)
+        return
+      }
+      clearTimeout(timeout)
+      resolve(robot)
+    }
+    createURDFLoader(urdfURL, manager).load(
+      urdfURL,
+      (loadedRobot) => {
+        robot = loadedRobot
+      },
+      undefined,
+      (err) => {
+        clearTimeout(timeout)
+        reject(new Error(`Failed to load URDF ${urdfURL}: ${err?.message || err}`))
+      }
+    )
+  })
+}
+
+/**
+ * Palm-on view of a hand: fingers up, looking at the side the fingers curl towards
+ * @param {Object} robot - urdf-loader robot in its zero pose
+ * @returns {{direction: THREE.Vector3, up: THREE.Vector3}|null} - null if the model has no palm
+ */
+function getHandView(robot) {
+  const { frame, fingers } = classifyJoints(robot, parseJointConfig(robot))
+  if (!frame) return null
+
+  // Flex a finger's base joint to its larger limit and see which way its tip moves
+  let palmSide = 1
+  const finger = fingers.middle || fingers.index || fingers.ring
+  const flexion = finger?.joints.find(joint => joint.kind === 'flexion')
+  const tip = finger && robot.links[finger.tip]
+  if (flexion && tip) {
+    const joint = robot.joints[flexion.joint]
+    const { lower = 0, upper = 0 } = joint.limit || {}
+    const angle = Math.abs(upper) >= Math.abs(lower) ? upper : lower
+    const before = new THREE.Vector3().setFromMatrixPosition(tip.matrixWorld)
+    joint.setJointValue(angle)
+    robot.updateMatrixWorld(true)
+    const after = new THREE.Vector3().setFromMatrixPosition(tip.matrixWorld)
+    joint.setJointValue(0)
+    robot.updateMatrixWorld(true)
+    palmSide = Math.sign(after.sub(before).dot(frame.normal)) || 1
+  }
+
+  // Turned a little towards the thumb and the fingertips, so the fingers have depth
+  const direction = frame.normal.clone().multiplyScalar(palmSide)
+    .addScaledVector(frame.lateral, 0.3)
+    .addScaledVector(frame.forward, 0.15)
+    .normalize()
+  return { direction, up: frame.forward.clone() }
+}
+
+/**
+ * Point a camera along a view direction so that the model's meshes fill the image
+ * @param {THREE.PerspectiveCamera} camera
+ * @param {THREE.Object3D} robot - Model with up-to-date world matrices
+ * @param {{direction: THREE.Vector3, up: THREE.Vector3}} view - From the model towards the camera
+ * @returns {{center: THREE.Vector3, right: THREE.Vector3, up: THREE.Vector3, distance: number}}
+ * @throws {Error} - If the model has no meshes
+ */
+function fitCamera(camera, robot, view) {
+  const right = new THREE.Vector3().crossVectors(view.up, view.direction).normalize()
+  const up = new THREE.Vector3().crossVectors(view.direction, right).normalize()
+  const axes = [right, up, view.direction]
+
+  // Extent of the mesh bounding box corners along the camera axes
+  const min = [Infinity, Infinity, Infinity]
+  const max = [-Infinity, -Infinity, -Infinity]
+  const corner = new THREE.Vector3()
+  robot.traverse((child) => {
+    if (!child.isMesh || !child.geometry) return
+    if (!child.geometry.boundingBox) child.geometry.computeBoundingBox()
+    const box = child.geometry.boundingBox
+    for (let i = 0; i < 8; i++) {
+      corner.set(
+        i & 1 ? box.max.x : box.min.x,
+        i & 2 ? box.max.y : box.min.y,
+        i & 4 ? box.max.z : box.min.z
+      ).applyMatrix4(child.matrixWorld)
+      axes.forEach((axis, a) => {
+        const d = corner.dot(axis)
+        min[a] = Math.min(min[a], d)
+        max[a] = Math.max(max[a], d)
+      })
+    }
+  })
+  if (!Number.isFinite(min[0])) {
+    throw new Error('Model has no meshes to render')
+  }
+
+  const center = new THREE.Vector3()
+  axes.forEach((axis, a) => center.addScaledVector(axis, (min[a] + max[a]) / 2))
+  const [halfWidth, halfHeight, halfDepth] = axes.map((axis, a) => (max[a] - min[a]) / 2)
+
+  // The front of the model must fit, it is the closest to the camera
+  const halfFov = THREE.MathUtils.degToRad(camera.fov / 2)
+  const distance = Math.max(halfWidth, halfHeight, 1e-3) * FRAME_PADDING / Math.tan(halfFov) + halfDepth
+
+  camera.position.copy(center).addScaledVector(view.direction, distance)
+  camera.up.copy(up)
+  camera.lookAt(center)
+  camera.near = Math.max((distance - halfDepth) * 0.5, 1e-4)
+  camera.far = distance + halfDepth * 2
+  camera.updateProjectionMatrix()
+
+  return { center, right, up, distance }
+}
+
+/**
+ * Encode the renderer's canvas (WebP, or PNG where the browser cannot encode WebP)
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Promise<Blob>}
+ */
+function canvasToBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob => (blob ? resolve(blob) : reject(new Error('Could not encode the thumbnail'))),
+      'image/webp',
+      0.9
+    )
+  })
+}
+
+/**
+ * Render a loaded robot
+ * @param {Object} robot - urdf-loader robot
+ * @returns {Promise<Blob>}
+ */
+async function renderRobot(robot) {
+  const gl = getRenderer()
+  const scene = new THREE.Scene()
+  scene.environment = environment
+  scene.add(robot)
+  robot.updateMatrixWorld(true)
+
+  const camera = new THREE.PerspectiveCamera(CAMERA_FOV, 1, 0.01, 10)
+  const { center, right, up, distance } = fitCamera(camera, robot, getHandView(robot) || DEFAULT_VIEW)
+
+  // Key light above the camera on the right, fill from the lower left
+  scene.add(new THREE.HemisphereLight(0xffffff, 0x404050, 1.5))
+  const addLight = (intensity, x, y) => {
+    const light = new THREE.DirectionalLight(0xffffff, intensity)
+    light.position.copy(camera.position)
+      .addScaledVector(right, x * distance)
+      .addScaledVector(up, y * distance)
+    light.target.position.copy(center)
+    scene.add(light, light.target)
+  }
+  addLight(2.5, 0.5, 1)
+  addLight(0.8, -1, -0.3)
+
+  gl.render(scene, camera)
+  const blob = await canvasToBlob(gl.domElement)
+  scene.remove(robot)
+  return blob
+}
+
+/**
+ * Side rendered for a model's preview (right hands, like the gallery images)
+ * @param {Object} manifest - Model manifest
+ * @returns {string|null}
+ */
+function getThumbnailSide(manifest) {
+  if (manifest.sides.includes('right')) return 'right'
+  return manifest.sides[0] || null
+}
+
+/**
+ * Cache key of a URDF's thumbnail
+ * @param {string} urdfURL
+ * @returns {string}
+ */
+function getCacheKey(urdfURL) {
+  return `v${THUMBNAIL_VERSION}:${THUMBNAIL_SIZE}:${urdfURL}`
+}
+
+/**
+ * Render a model side offscreen (not cached)
+ * @param {string} modelPath - Registered model path
+ * @param {string|null} side - 'left', 'right' or null (models without sides)
+ * @returns {Promise<Blob>} - WebP (or PNG) image
+ */
+export function renderModelThumbnail(modelPath, side) {
+  const urdfURL = getModelURDF(modelPath, side)
+  if (!urdfURL) {
+    return Promise.reject(new Error(`No URDF for ${modelPath}${side ? ` (${side})` : ''}`))
+  }
+
+  return enqueue(async () => {
+    const robot = await loadRobot(urdfURL)
+    try {
+      const blob = await renderRobot(robot)
+      console.log(`🖼️ [ThumbnailRenderer] Rendered ${modelPath}${side ? ` (${side})` : ''}`)
+      return blob
+    } finally {
+      disposeRobot(robot)
+    }
+  })
+}
+
+/**
+ * Thumbnail of a model, from this page, the IndexedDB cache or a new render
+ * @param {string} modelPath - Registered model path
+ * @returns {Promise<string|null>} - Object URL of the image, null if the model cannot be rendered
+ */
+export function getModelThumbnail(modelPath) {
+  const manifest = getModelManifest(modelPath)
+  if (!manifest) return Promise.resolve(null)
+  const side = getThumbnailSide(manifest)
+  const key = getCacheKey(getModelURDF(modelPath, side))
+
+  if (!thumbnailURLs.has(key)) {
+    const load = async () => {
+      // Session URDFs are gone after a reload, so they are not worth storing
+      let blob = manifest.session ? null : await getCachedThumbnail(key)
+      if (!blob) {
+        blob = await renderModelThumbnail(modelPath, side)
+        if (!manifest.session) await putCachedThumbnail(key, blob)
+      }
+      return URL.createObjectURL(blob)
+    }
+    thumbnailURLs.set(key, load().catch(err => {
+      console.warn(`⚠️ [ThumbnailRenderer] No thumbnail for ${modelPath}:`, err)
+      return null
+    }))
+  }
+  return thumbnailURLs.get(key)
+}
+
+/**
+ * Ask for the folder to write the gallery images to (browsers with the File System Access API)
+ * @returns {Promise<FileSystemDirectoryHandle|null>} - null to download the images instead
+ * @throws {DOMException} - AbortError if the picker is dismissed
+ */
+async function pickGalleryDirectory() {
+  if (typeof window.showDirectoryPicker !== 'function') return null
+  return window.showDirectoryPicker({ id: 'handvis-gallery', mode: 'readwrite' })
+}
+
+/**
+ * Write an image to the gallery folder, or download it
+ * @param {FileSystemDirectoryHandle|null} directory
+ * @param {string} filename
+ * @param {Blob} blob
+ */
+async function writeGalleryFile(directory, filename, blob) {
+  if (directory) {
+    const handle = await directory.getFileHandle(filename, { create: true })
+    const writable = await handle.createWritable()
+    await writable.write(blob)
+    await writable.close()
+    return
+  }
+  downloadBlob(blob, filename)
+}
+
+/**
+ * Render models and write their previews for the gallery (public/assets/doc/gallery),
+ * as <model>_rt.webp. Asks for the folder where the browser can write to one and downloads
+ * the images otherwise; the rendered images also replace the cached thumbnails.
+ * Must be called from a user gesture (the folder picker needs one).
+ * @param {Object[]} manifests - Model manifests to render
+ * @param {Object} options - {onProgress: (done, total, manifest) => void}
+ * @returns {Promise<Array<{model: string, file?: string, error?: string}>>} - Empty if the
+ *   folder picker was dismissed
+ */
+export async function exportGalleryThumbnails(manifests, { onProgress = null } = {}) {
+  let directory
+  try {
+    directory = await pickGalleryDirectory()
+  } catch (err) {
+    if (err?.name === 'AbortError') return []
+    throw err
+  }
+
+  const results = []
+  for (const [index, manifest] of manifests.entries()) {
+    if (onProgress) onProgress(index, manifests.length, manifest)
+    const side = getThumbnailSide(manifest)
+    try {
+      const blob = await renderModelThumbnail(manifest.model, side)
+      const extension = blob.type === 'image/webp' ? 'webp' : 'png'
+      const file = `${manifest.model}_rt.${extension}`
+      await writeGalleryFile(directory, file, blob)
+
+      const key = getCacheKey(getModelURDF(manifest.model, side))
+      if (!manifest.session) await putCachedThumbnail(key, blob)
+      thumbnailURLs.set(key, Promise.resolve(URL.createObjectURL(blob)))
+      results.push({ model: manifest.model, file })
+    } catch (err) {
+      console.warn(`⚠️ [ThumbnailRenderer] Could not export ${manifest.model}:`, err)
+      results.push({ model: manifest.model, error: err.message })
+    }
+  }
+  if (onProgress) onProgress(manifests.length, manifests.length, null)
+
+  const written = results.filter(result => result.file)
+  if (written.length > 0) {
+    console.log(`🖼️ [ThumbnailRenderer] Wrote ${written.length} previews, reference them in the manifests:\n` +
+      written.map(({ model, file }) => `  ${model}.json: "preview": "doc/gallery/${file}"`).join('\n'))
+  }
+  return results
+}
+
+export default {
+  THUMBNAIL_SIZE,
+  renderModelThumbnail,
+  getModelThumbnail,
+  exportGalleryThumbnails
+}
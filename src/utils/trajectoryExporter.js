@@ -0,0 +1,318 @@
+/**
+ * Joint Trajectory Exporter
+ * Samples the URDF joint values applied to the loaded hand models and exports them
+ * as CSV, JSON or a ROS `trajectory_msgs/JointTrajectory`-shaped JSON message
+ *
+ * Values are read back from the robot joints (`joint.jointValue`), so the export contains
+ * exactly what `URDFHandModel` applied with `setJointValue`, whatever the control mode.
+ * Joint names are the real URDF joint names. Mimic joints are left out by default (the
+ * hardware controller drives them from their master joint) and every value is clamped to
+ * the limits from `parseJointConfig`.
+ *
+ * When a side has a wrist pose source, every sample also carries the metric wrist pose
+ * (camera frame, meters; see wristPose.js), or null while the hand is not tracked.
+ *
+ * The JSON format (TRAJECTORY_EXPORT_FORMAT) is the app's one joint trajectory file format:
+ * offline video processing (input/offlineVideoProcessor.js) writes it too, through
+ * createTrajectoryExport(). Each joint lists its limits as `lower`/`upper`; JSON has no
+ * infinity, so an unbounded side is left out (continuous joints have neither).
+ */
+
+import { downloadBlob } from './download'
+
+export const TRAJECTORY_EXPORT_FORMAT = 'handvis-urdf-joint-trajectory'
+export const TRAJECTORY_EXPORT_VERSION = 1
+
+// Joint types that carry a single exportable value
+const EXPORTED_JOINT_TYPES = new Set(['revolute', 'continuous', 'prismatic'])
+
+// CSV columns of the wrist pose (position in meters, orientation quaternion)
+const WRIST_POSE_COLUMNS = ['wrist_x', 'wrist_y', 'wrist_z', 'wrist_qx', 'wrist_qy', 'wrist_qz', 'wrist_qw']
+
+/**
+ * Copy the exported part of a wrist pose
+ * @param {Object|null} pose - Output of estimateWristPose
+ * @returns {Object|null} - {position, quaternion}
+ */
+export function toWristPoseSample(pose) {
+  if (!pose) return null
+  return { position: { ...pose.position }, quaternion: { ...pose.quaternion } }
+}
+
+/**
+ * CSV cells of a wrist pose sample (empty while not tracked)
+ * @param {Object|null} pose - {position, quaternion}
+ * @returns {string[]}
+ */
+function wristPoseCells(pose) {
+  if (!pose) return WRIST_POSE_COLUMNS.map(() => '')
+  const { position: p, quaternion: q } = pose
+  return [p.x, p.y, p.z, q.x, q.y, q.z, q.w].map(value => value.toFixed(6))
+}
+
+/**
+ * Build the exported joint list for one robot
+ * @param {Object} jointConfig - Parsed joint configuration (parseJointConfig)
+ * @param {boolean} includeMimicJoints - Export mimic joints as well
+ * @returns {Object[]} - Joint configs in URDF order
+ */
+export function getExportedJoints(jointConfig, includeMimicJoints) {
+  return Object.values(jointConfig).filter(config =>
+    EXPORTED_JOINT_TYPES.has(config.type) && (includeMimicJoints || !config.mimic)
+  )
+}
+
+/**
+ * Finite limits of a joint, for JSON
+ * @param {Object} limits - {lower, upper} (±Infinity when unbounded)
+ * @returns {Object} - {lower?, upper?}
+ */
+function getFiniteLimits({ lower, upper }) {
+  const limits = {}
+  if (Number.isFinite(lower)) limits.lower = lower
+  if (Number.isFinite(upper)) limits.upper = upper
+  return limits
+}
+
+/**
+ * Convert seconds to a ROS duration/time ({sec, nanosec})
+ * @param {number} seconds - Time in seconds
+ * @returns {{sec: number, nanosec: number}}
+ */
+function toRosTime(seconds) {
+  const sec = Math.floor(seconds)
+  return { sec, nanosec: Math.round((seconds - sec) * 1e9) }
+}
+
+/**
+ * Build a joint trajectory JSON document
+ * @param {Object} trajectory
+ * @param {string} trajectory.createdAt - ISO time the recording started
+ * @param {number} trajectory.rate - Samples per second
+ * @param {Object} trajectory.tracks - {side: {modelPath, joints, samples}}: joints are joint
+ *   configs (getExportedJoints), samples are {time (s), positions (per joint), wristPose?}
+ * @param {Object|null} trajectory.source - Where the motion came from (e.g. the processed video)
+ * @returns {Object} - {format, version, createdAt, rate, source?, hands: {side: {modelPath,
+ *   jointNames, joints, samples}}}: joints are {name, type, lower?, upper?, mimic}, without
+ *   the limits a joint does not have
+ */
+export function createTrajectoryExport({ createdAt, rate, tracks, source = null }) {
+  const hands = {}
+  Object.entries(tracks).forEach(([side, track]) => {
+    hands[side] = {
+      modelPath: track.modelPath,
+      jointNames: track.joints.map(config => config.name),
+      joints: track.joints.map(config => ({
+        name: config.name,
+        type: config.type,
+        ...getFiniteLimits(config.limits),
+        mimic: config.mimic
+      })),
+      samples: track.samples
+    }
+  })
+
+  return {
+    format: TRAJECTORY_EXPORT_FORMAT,
+    version: TRAJECTORY_EXPORT_VERSION,
+    createdAt,
+    rate,
+    ...(source ? { source } : {}),
+    hands
+  }
+}
+
+export class JointTrajectoryRecorder {
+  constructor() {
+    this.tracks = {}
+    this.isRecording = false
+    this.rate = 30
+    this.startTime = 0
+    this.startedAt = null
+    this.intervalId = null
+  }
+
+  /**
+   * Start sampling the given robots
+   * @param {Object} targets - {left, right} of {robot, jointConfig, modelPath, getWristPose}
+   *   (missing sides are skipped; getWristPose is optional and returns the side's current wrist pose)
+   * @param {Object} options - {rate: samples per second, includeMimicJoints}
+   * @returns {string[]} - Sides being recorded
+   */
+  start(targets, { rate = 30, includeMimicJoints = false } = {}) {
+    this.stop()
+    this.tracks = {}
+    this.rate = rate
+
+    Object.entries(targets).forEach(([side, target]) => {
+      if (!target?.robot || !target.jointConfig) return
+
+      const joints = getExportedJoints(target.jointConfig, includeMimicJoints)
+      if (joints.length === 0) return
+
+      this.tracks[side] = {
+        robot: target.robot,
+        modelPath: target.modelPath || null,
+        joints,
+        getWristPose: target.getWristPose || null,
+        samples: []
+      }
+    })
+
+    const sides = Object.keys(this.tracks)
+    if (sides.length === 0) {
+      console.warn('⚠️ No URDF robots loaded - nothing to record')
+      return sides
+    }
+
+    this.isRecording = true
+    this.startTime = performance.now()
+    this.startedAt = new Date().toISOString()
+    this.sample()
+    this.intervalId = setInterval(() => this.sample(), 1000 / rate)
+
+    console.log(`⏺️ Recording joint trajectory at ${rate} Hz:`, sides)
+    return sides
+  }
+
+  /**
+   * Stop sampling (recorded samples are kept for export)
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId)
+      this.intervalId = null
+    }
+    this.isRecording = false
+  }
+
+  /**
+   * Sample the current joint values of every recorded robot
+   */
+  sample() {
+    const time = (performance.now() - this.startTime) / 1000
+
+    Object.values(this.tracks).forEach(track => {
+      const positions = track.joints.map(config => {
+        const value = track.robot.joints[config.name]?.jointValue?.[0] ?? 0
+        const { lower, upper } = config.limits
+        return config.type === 'continuous' ? value : Math.max(lower, Math.min(upper, value))
+      })
+      if (track.getWristPose) {
+        track.samples.push({ time, positions, wristPose: toWristPoseSample(track.getWristPose()) })
+      } else {
+        track.samples.push({ time, positions })
+      }
+    })
+  }
+
+  /**
+   * @returns {string[]} - Recorded sides
+   */
+  getSides() {
+    return Object.keys(this.tracks)
+  }
+
+  /**
+   * @returns {number} - Number of samples per side
+   */
+  getSampleCount() {
+    const track = Object.values(this.tracks)[0]
+    return track ? track.samples.length : 0
+  }
+
+  /**
+   * @returns {number} - Recorded duration in seconds
+   */
+  getDuration() {
+    const track = Object.values(this.tracks)[0]
+    return track && track.samples.length > 0 ? track.samples[track.samples.length - 1].time : 0
+  }
+
+  /**
+   * Export every recorded side as JSON
+   * @returns {Object} - {format, version, createdAt, rate, hands: {side: {modelPath, joints, samples}}}
+   *   (samples carry wristPose when the side has a wrist pose source)
+   */
+  toJSON() {
+    return createTrajectoryExport({
+      createdAt: this.startedAt,
+      rate: this.rate,
+      tracks: this.tracks
+    })
+  }
+
+  /**
+   * Export one side as CSV (time in seconds, one column per URDF joint, then the wrist
+   * pose columns when the side has a wrist pose source)
+   * @param {string} side - 'left' or 'right'
+   * @returns {string} - CSV text
+   */
+  toCSV(side) {
+    const track = this.tracks[side]
+    if (!track) return ''
+
+    const wristColumns = track.getWristPose ? WRIST_POSE_COLUMNS : []
+    const header = ['time', ...track.joints.map(config => config.name), ...wristColumns].join(',')
+    const rows = track.samples.map(({ time, positions, wristPose }) => [
+      time.toFixed(4),
+      ...positions.map(value => value.toFixed(6)),
+      ...(track.getWristPose ? wristPoseCells(wristPose) : [])
+    ].join(','))
+    return [header, ...rows].join('\n') + '\n'
+  }
+
+  /**
+   * Export one side as a ROS 2 trajectory_msgs/JointTrajectory message (JSON)
+   * @param {string} side - 'left' or 'right'
+   * @returns {Object} - {header, joint_names, points}
+   */
+  toJointTrajectory(side) {
+    const track = this.tracks[side]
+    if (!track) return null
+
+    const stamp = toRosTime(new Date(this.startedAt).getTime() / 1000)
+
+    return {
+      header: { stamp, frame_id: '' },
+      joint_names: track.joints.map(config => config.name),
+      points: track.samples.map(({ time, positions }) => ({
+        positions,
+        velocities: [],
+        accelerations: [],
+        effort: [],
+        time_from_start: toRosTime(time)
+      }))
+    }
+  }
+
+  /**
+   * Download the recording in the given format (CSV and ROS produce one file per side)
+   * @param {string} format - 'json', 'csv' or 'ros'
+   */
+  download(format) {
+    const baseName = `joint-trajectory-${Date.now()}`
+
+    if (format === 'json') {
+      downloadBlob(JSON.stringify(this.toJSON()), `${baseName}.json`, 'application/json')
+      return
+    }
+
+    this.getSides().forEach(side => {
+      if (format === 'csv') {
+        downloadBlob(this.toCSV(side), `${baseName}-${side}.csv`, 'text/csv')
+      } else if (format === 'ros') {
+        downloadBlob(JSON.stringify(this.toJointTrajectory(side), null, 2), `${baseName}-${side}.ros.json`, 'application/json')
+      }
+    })
+  }
+}
+
+export default {
+  TRAJECTORY_EXPORT_FORMAT,
+  TRAJECTORY_EXPORT_VERSION,
+  toWristPoseSample,
+  getExportedJoints,
+  createTrajectoryExport,
+  JointTrajectoryRecorder
+}
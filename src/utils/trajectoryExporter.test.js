@@ -0,0 +1,54 @@
+import { createTrajectoryExport, getExportedJoints, TRAJECTORY_EXPORT_FORMAT } from './trajectoryExporter'
+
+const JOINT_CONFIG = {
+  finger_joint: { name: 'finger_joint', type: 'revolute', limits: { lower: 0, upper: 1.6 }, mimic: null },
+  wrist_roll: { name: 'wrist_roll', type: 'continuous', limits: { lower: -Infinity, upper: Infinity }, mimic: null },
+  slider: { name: 'slider', type: 'prismatic', limits: { lower: 0, upper: Infinity }, mimic: null },
+  finger_tip: {
+    name: 'finger_tip',
+    type: 'revolute',
+    limits: { lower: 0, upper: 1.2 },
+    mimic: { joint: 'finger_joint', multiplier: 0.75, offset: 0 }
+  },
+  palm_fixed: { name: 'palm_fixed', type: 'fixed', limits: { lower: 0, upper: 0 }, mimic: null }
+}
+
+describe('getExportedJoints', () => {
+  test('keeps movable joints, mimic joints on request', () => {
+    expect(getExportedJoints(JOINT_CONFIG, false).map(config => config.name))
+      .toEqual(['finger_joint', 'wrist_roll', 'slider'])
+    expect(getExportedJoints(JOINT_CONFIG, true).map(config => config.name))
+      .toEqual(['finger_joint', 'wrist_roll', 'slider', 'finger_tip'])
+  })
+})
+
+describe('createTrajectoryExport', () => {
+  const exported = createTrajectoryExport({
+    createdAt: '2026-01-01T00:00:00.000Z',
+    rate: 30,
+    tracks: {
+      right: {
+        modelPath: 'linker_l10',
+        joints: getExportedJoints(JOINT_CONFIG, false),
+        samples: [{ time: 0, positions: [0.5, 3.5, 0.01] }]
+      }
+    }
+  })
+
+  test('writes the joint trajectory format', () => {
+    expect(exported.format).toBe(TRAJECTORY_EXPORT_FORMAT)
+    expect(exported.source).toBeUndefined()
+    expect(exported.hands.right.jointNames).toEqual(['finger_joint', 'wrist_roll', 'slider'])
+    expect(exported.hands.right.samples).toEqual([{ time: 0, positions: [0.5, 3.5, 0.01] }])
+  })
+
+  test('leaves out the limits of unbounded joints', () => {
+    const { joints } = JSON.parse(JSON.stringify(exported)).hands.right
+
+    expect(joints).toEqual([
+      { name: 'finger_joint', type: 'revolute', lower: 0, upper: 1.6, mimic: null },
+      { name: 'wrist_roll', type: 'continuous', mimic: null },
+      { name: 'slider', type: 'prismatic', lower: 0, mimic: null }
+    ])
+  })
+})
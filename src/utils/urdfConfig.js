@@ -1,76 +1,82 @@
 /**
  * URDF Configuration Mapping
- * Maps model paths to their corresponding URDF file locations
- * Using GLB versions for better web performance
+ * Resolves model paths to their URDF files and retargeting configs (declared in the model
+ * manifests, see modelRegistry.js) and configures the robot arms of assembly mode
  */
 
+import { getModelManifest, getModelURDF, resolveModelURL } from './modelRegistry'
+
 const PUBLIC_URL = process.env.PUBLIC_URL || ''
 
-export const URDF_MODELS = {
-  ability_hand: {
-    left: `${PUBLIC_URL}/assets/robots/hands/ability_hand/ability_hand_left_glb.urdf`,
-    right: `${PUBLIC_URL}/assets/robots/hands/ability_hand/ability_hand_right_glb.urdf`,
-  },
-  shadow_hand: {
-    left: `${PUBLIC_URL}/assets/robots/hands/shadow_hand/shadow_hand_left_glb.urdf`,
-    right: `${PUBLIC_URL}/assets/robots/hands/shadow_hand/shadow_hand_right_glb.urdf`,
-  },
-  allegro_hand: {
-    left: `${PUBLIC_URL}/assets/robots/hands/allegro_hand/allegro_hand_left_glb.urdf`,
-    right: `${PUBLIC_URL}/assets/robots/hands/allegro_hand/allegro_hand_right_glb.urdf`,
-  },
-  leap_hand: {
-    left: `${PUBLIC_URL}/assets/robots/hands/leap_hand/leap_hand_left_glb.urdf`,
-    right: `${PUBLIC_URL}/assets/robots/hands/leap_hand/leap_hand_right_glb.urdf`,
-  },
-  schunk_hand: {
-    left: `${PUBLIC_URL}/assets/robots/hands/schunk_hand/schunk_svh_hand_left_glb.urdf`,
-    right: `${PUBLIC_URL}/assets/robots/hands/schunk_hand/schunk_svh_hand_right_glb.urdf`,
-  },
-  dclaw_gripper: {
-    null: `${PUBLIC_URL}/assets/robots/hands/dclaw_gripper/dclaw_gripper_glb.urdf`,
-  },
-  barrett_hand: {
-    // Barrett hand may not have GLB version, will need to check
-    null: `${PUBLIC_URL}/assets/robots/hands/barrett_hand/barrett_hand.urdf`,
-  },
-  panda_gripper: {
-    // Panda gripper may not have GLB version, will need to check
-    null: `${PUBLIC_URL}/assets/robots/hands/panda_gripper/panda_gripper.urdf`,
-  },
-  linker_l6: {
-    left: `${PUBLIC_URL}/assets/robots/hands/linker_l6/left/linkerhand_l6_left.urdf`,
-    right: `${PUBLIC_URL}/assets/robots/hands/linker_l6/right/linkerhand_l6_right.urdf`,
-  },
-  linker_l10: {
-    left: `${PUBLIC_URL}/assets/robots/hands/linker_l10/left/linkerhand_l10_left.urdf`,
-    right: `${PUBLIC_URL}/assets/robots/hands/linker_l10/right/linkerhand_l10_right.urdf`,
-  },
-  linker_l20: {
-    left: `${PUBLIC_URL}/assets/robots/hands/linker_l20/left/linkerhand_l20_left.urdf`,
-    right: `${PUBLIC_URL}/assets/robots/hands/linker_l20/right/linkerhand_l20_right.urdf`,
-  },
-  linker_l20pro: {
-    right: `${PUBLIC_URL}/assets/robots/hands/linker_l20pro/right/linkerhand_l20pro_right.urdf`,
-  },
-  linker_l21: {
-    left: `${PUBLIC_URL}/assets/robots/hands/linker_l21/left/linkerhand_l21_left.urdf`,
-    right: `${PUBLIC_URL}/assets/robots/hands/linker_l21/right/linkerhand_l21_right.urdf`,
-  },
-  linker_l25: {
-    left: `${PUBLIC_URL}/assets/robots/hands/linker_l25/left/linkerhand_l25_left.urdf`,
-    right: `${PUBLIC_URL}/assets/robots/hands/linker_l25/right/linkerhand_l25_right.urdf`,
-  },
-  linker_l30: {
-    right: `${PUBLIC_URL}/assets/robots/hands/linker_l30/right/linkerhand_l30_right.urdf`,
-  },
-  linker_o6: {
-    left: `${PUBLIC_URL}/assets/robots/hands/linker_o6/left/linkerhand_o6_left.urdf`,
-    right: `${PUBLIC_URL}/assets/robots/hands/linker_o6/right/linkerhand_o6_right.urdf`,
+/**
+ * Robot arms a hand can be mounted on (assembly mode)
+ * - flange: link the hand is mounted on (the arm's last moving link)
+ * - mount: default flange → hand root transform (URDF xyz/rpy)
+ * - restPose: joint values the arm IK starts from (away from singular stretched poses)
+ * - base: arm base pose in the scene (Y-up, Euler XYZ), relative to the hand's home pose,
+ *   placed so that the tracked wrist workspace around home stays reachable
+ */
+export const ARM_MODELS = {
+  iiwa7: {
+    name: 'KUKA LBR iiwa 7',
+    urdf: `${PUBLIC_URL}/assets/robots/arms/iiwa7/iiwa7_glb.urdf`,
+    flange: 'link_7',
+    mount: { xyz: [0, 0, 0.035], rpy: [0, 0, 0] },
+    restPose: { A2: 0.5, A4: -1.2, A6: 0.8 },
+    base: { position: [0, -0.6, 0.35], rotation: [-Math.PI / 2, 0, 0] },
+  },
+  iiwa14: {
+    name: 'KUKA LBR iiwa 14',
+    urdf: `${PUBLIC_URL}/assets/robots/arms/iiwa14/iiwa14_glb.urdf`,
+    flange: 'link_7',
+    mount: { xyz: [0, 0, 0.035], rpy: [0, 0, 0] },
+    restPose: { A2: 0.5, A4: -1.2, A6: 0.8 },
+    base: { position: [0, -0.6, 0.35], rotation: [-Math.PI / 2, 0, 0] },
+  },
+  ur5e: {
+    name: 'UR5e',
+    urdf: `${PUBLIC_URL}/assets/robots/arms/ur5e/ur5e_glb.urdf`,
+    flange: 'wrist_3_link',
+    mount: { xyz: [0, 0, -0.01], rpy: [0, 0, 0] },
+    restPose: { shoulder_lift_joint: -1.57, elbow_joint: 1.57, wrist_1_joint: -1.57, wrist_2_joint: -1.57 },
+    base: { position: [0, -0.3, 0.35], rotation: [-Math.PI / 2, 0, 0] },
+  },
+  ur10e: {
+    name: 'UR10e',
+    urdf: `${PUBLIC_URL}/assets/robots/arms/ur10e/ur10e_glb.urdf`,
+    flange: 'wrist_3_link',
+    mount: { xyz: [0, 0, -0.01], rpy: [0, 0, 0] },
+    restPose: { shoulder_lift_joint: -1.57, elbow_joint: 1.57, wrist_1_joint: -1.57, wrist_2_joint: -1.57 },
+    base: { position: [0, -0.3, 0.35], rotation: [-Math.PI / 2, 0, 0] },
+  },
+  xarm7: {
+    name: 'xArm7',
+    urdf: `${PUBLIC_URL}/assets/robots/arms/xarm7/xarm7_glb.urdf`,
+    flange: 'link7',
+    mount: { xyz: [0, 0, 0], rpy: [0, 0, 0] },
+    restPose: { joint2: 0.3, joint4: 1.2, joint6: 0.9 },
+    base: { position: [0, -0.3, 0.35], rotation: [-Math.PI / 2, 0, 0] },
+  },
+  rm75: {
+    name: 'RealMan RM75',
+    urdf: `${PUBLIC_URL}/assets/robots/arms/rm75/rm75_glb.urdf`,
+    flange: 'rm75_link_7',
+    mount: { xyz: [0, 0, 0], rpy: [0, 0, 0] },
+    restPose: { joint_2: 0.5, joint_4: -1.2, joint_6: 0.8 },
+    base: { position: [0, -0.45, 0.2], rotation: [0, 0, Math.PI / 2] },
   },
-  linker_o7: {
-    left: `${PUBLIC_URL}/assets/robots/hands/linker_o7/left/linkerhand_o7v3_left.urdf`,
-    right: `${PUBLIC_URL}/assets/robots/hands/linker_o7/right/linkerhand_o7v3_right.urdf`,
+}
+
+/**
+ * Mount transforms of the prebuilt assemblies (public/assets/robots/assembly),
+ * keyed by `${arm}:${handModel}`, with per-side overrides where the sides differ
+ */
+export const ASSEMBLY_MOUNTS = {
+  'ur5e:shadow_hand': { xyz: [0, 0, -0.01], rpy: [0, 0, 0] },
+  'xarm7:ability_hand': { xyz: [0, 0, 0.018], rpy: [0, 0, -1.57079] },
+  'rm75:inspire_hand': {
+    left: { xyz: [0, 0, 0], rpy: [-1.57079, 0, 0] },
+    right: { xyz: [0, 0, 0], rpy: [-1.57079, 0, 3.14159] },
   },
 }
 
@@ -81,12 +87,7 @@ export const URDF_MODELS = {
  * @returns {string|null} - URDF file path or null if not found
  */
 export function getURDFPath(modelPath, side) {
-  const model = URDF_MODELS[modelPath]
-  if (!model) return null
-
-  // For models without side (grippers), use null key
-  const sideKey = side || 'null'
-  return model[sideKey] || null
+  return getModelURDF(modelPath, side)
 }
 
 /**
@@ -95,5 +96,33 @@ export function getURDFPath(modelPath, side) {
  * @returns {boolean} - True if URDF is available
  */
 export function hasURDFSupport(modelPath) {
-  return modelPath in URDF_MODELS
+  const manifest = getModelManifest(modelPath)
+  return Boolean(manifest) && Object.keys(manifest.urdf).length > 0
+}
+
+/**
+ * Get the retargeting config path for a given model
+ * The config lives next to the model's URDF files (see Docs/Retargeting.md)
+ * @param {string} modelPath - Model path (e.g., 'shadow_hand')
+ * @returns {string|null} - Retargeting config path or null if the model has none
+ */
+export function getRetargetingPath(modelPath) {
+  return resolveModelURL(getModelManifest(modelPath)?.mapping)
+}
+
+/**
+ * Get the mount transform of a hand on an arm's flange
+ * Prebuilt assembly mounts take precedence over the arm's default mount
+ * @param {string} armId - Arm id (key of ARM_MODELS)
+ * @param {string} modelPath - Hand model path (e.g., 'shadow_hand')
+ * @param {string|null} side - Side of the hand ('left', 'right', or null)
+ * @returns {{xyz: number[], rpy: number[]}|null} - Mount transform or null if the arm is unknown
+ */
+export function getArmMount(armId, modelPath, side) {
+  const arm = ARM_MODELS[armId]
+  if (!arm) return null
+
+  const assembly = ASSEMBLY_MOUNTS[`${armId}:${modelPath}`]
+  const mount = assembly?.[side] || (assembly?.xyz ? assembly : arm.mount)
+  return { xyz: [...mount.xyz], rpy: [...mount.rpy] }
 }
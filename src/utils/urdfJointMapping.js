@@ -1,312 +1,304 @@
 /**
  * URDF Joint Mapping Utilities
- * Maps UI joint names to actual URDF joint names for different hand models
+ * Retargets human joint channels (UI joint names, e.g. 'index_mcp') onto URDF joints
+ *
+ * Every model has a declarative retargeting config stored next to its URDF
+ * (public/assets/robots/hands/<model>/retargeting.json, see Docs/Retargeting.md).
+ * Each channel maps one human joint to one URDF joint:
+ *
+ *   urdf = sign * scale * human + offset, clamped to the optional `limits`
+ *
+ * and may drive extra joints from the mapped value through `coupling`.
+ * The loader validates every referenced joint against the loaded robot and reports
+ * mismatches at load time.
+ *
+ * Every mapped value is then clamped to the loaded robot's joint limits: the URDF
+ * limits, optionally narrowed by the config's `softLimits`.
+ *
+ * With a range mapping (rangeMapper.js) a channel's scale and offset are replaced by a map
+ * of the operator's range of motion onto the joint's limits; the sign and couplings still apply.
  */
 
+import { getRetargetingPath } from './urdfConfig'
+import { getTargetRange, mapChannelRange } from './rangeMapper'
+
+export const RETARGETING_FORMAT = 'handvis-retargeting'
+export const RETARGETING_FORMAT_VERSION = 1
+
 /**
- * Shadow Hand Joint Mappings
- * UI Name -> URDF Joint Name
- *
- * Shadow hand uses the following naming convention:
- * - WRJ1/WRJ2: Wrist joints
- * - THJ1-5: Thumb joints
- * - FFJ1-4: First Finger (Index) joints
- * - MFJ1-4: Middle Finger joints
- * - RFJ1-4: Ring Finger joints
- * - LFJ1-5: Little Finger (Pinky) joints
+ * Human joint channels produced by the tracking pipeline and the manual sliders
  */
-const SHADOW_HAND_JOINT_MAP = {
-  // Wrist - WRJ1 is primary rotation
-  wrist: 'WRJ1',
-
-  // Thumb - 5 DOF (Degrees of Freedom)
-  thumb_mcp: 'THJ4',   // MCP abduction/adduction
-  thumb_pip: 'THJ3',   // MCP flexion/extension
-  thumb_dip: 'THJ2',   // IP flexion/extension
-  thumb_tip: 'THJ1',   // Distal joint
-
-  // Index finger (First Finger)
-  index_mcp: 'FFJ3',   // MCP flexion/extension
-  index_pip: 'FFJ2',   // PIP joint
-  index_dip: 'FFJ1',   // DIP joint
-
-  // Middle finger
-  middle_mcp: 'MFJ3',  // MCP flexion/extension
-  middle_pip: 'MFJ2',  // PIP joint
-  middle_dip: 'MFJ1',  // DIP joint
-
-  // Ring finger
-  ring_mcp: 'RFJ3',    // MCP flexion/extension
-  ring_pip: 'RFJ2',    // PIP joint
-  ring_dip: 'RFJ1',    // DIP joint
-
-  // Pinky (Little Finger)
-  pinky_mcp: 'LFJ3',   // MCP flexion/extension
-  pinky_pip: 'LFJ2',   // PIP joint
-  pinky_dip: 'LFJ1',   // DIP joint
-}
+export const HUMAN_CHANNELS = [
+  'wrist',
+  'thumb_mcp', 'thumb_pip', 'thumb_dip', 'thumb_tip', 'thumb_roll', 'thumb_yaw',
+  ...['index', 'middle', 'ring', 'pinky'].flatMap(finger =>
+    ['mcp', 'pip', 'dip', 'tip', 'roll'].map(segment => `${finger}_${segment}`)
+  )
+]
+
+// Config documents by model path, fetched or registered (shared by both sides)
+const configCache = new Map()
 
 /**
- * Allegro Hand Joint Mappings
- * Allegro uses numerical joint names: joint_0.0 to joint_15.0
- * Layout: 4 fingers × 4 joints each = 16 joints
+ * Check a retargeting document's format and channel structure
+ * @param {Object} doc - Parsed retargeting JSON
+ * @returns {Object} - The same document
+ * @throws {Error} - If the document is not a valid retargeting config
  */
-const ALLEGRO_HAND_JOINT_MAP = {
-  // Index finger (joints 0-3)
-  index_mcp: 'joint_0.0',
-  index_pip: 'joint_1.0',
-  index_dip: 'joint_2.0',
-  index_tip: 'joint_3.0',
-
-  // Middle finger (joints 4-7)
-  middle_mcp: 'joint_4.0',
-  middle_pip: 'joint_5.0',
-  middle_dip: 'joint_6.0',
-  middle_tip: 'joint_7.0',
-
-  // Ring finger (joints 8-11) - mapped to pinky for consistency with UI
-  pinky_mcp: 'joint_8.0',
-  pinky_pip: 'joint_9.0',
-  pinky_dip: 'joint_10.0',
-  pinky_tip: 'joint_11.0',
-
-  // Thumb (joints 12-15)
-  thumb_mcp: 'joint_12.0',
-  thumb_pip: 'joint_13.0',
-  thumb_dip: 'joint_14.0',
-  thumb_tip: 'joint_15.0',
+export function parseRetargetingConfig(doc) {
+  if (!doc || doc.format !== RETARGETING_FORMAT) {
+    throw new Error(`Not a retargeting config (expected format "${RETARGETING_FORMAT}")`)
+  }
+  if (doc.version > RETARGETING_FORMAT_VERSION) {
+    throw new Error(`Unsupported retargeting config version ${doc.version}`)
+  }
+  if (!doc.channels || typeof doc.channels !== 'object') {
+    throw new Error('Retargeting config has no channels')
+  }
+  return doc
 }
 
 /**
- * Leap Hand Joint Mappings
- * Leap uses simple numerical joint names: 0 to 15
- * Layout: 4 fingers × 4 joints each = 16 joints
+ * Fill in channel defaults
+ * @param {Object} channel - Channel spec from the config
+ * @returns {Object} - {joint, scale, offset, sign, limits, coupling}
  */
-const LEAP_HAND_JOINT_MAP = {
-  // Thumb (joints 0-3)
-  thumb_mcp: '0',
-  thumb_pip: '1',
-  thumb_dip: '2',
-  thumb_tip: '3',
-
-  // Index finger (joints 4-7)
-  index_mcp: '4',
-  index_pip: '5',
-  index_dip: '6',
-  index_tip: '7',
-
-  // Middle finger (joints 8-11)
-  middle_mcp: '8',
-  middle_pip: '9',
-  middle_dip: '10',
-  middle_tip: '11',
-
-  // Ring finger (joints 12-15)
-  ring_mcp: '12',
-  ring_pip: '13',
-  ring_dip: '14',
-  ring_tip: '15',
+function normalizeChannel(channel) {
+  return {
+    joint: channel.joint,
+    scale: channel.scale ?? 1,
+    offset: channel.offset ?? 0,
+    sign: channel.sign ?? 1,
+    limits: channel.limits || null,
+    coupling: (channel.coupling || []).map(coupled => ({
+      joint: coupled.joint,
+      ratio: coupled.ratio ?? 1,
+      offset: coupled.offset ?? 0
+    }))
+  }
 }
 
 /**
- * AbilityHand Joint Mappings
- * AbilityHand uses q1/q2 naming: thumb_q1, thumb_q2, index_q1, etc.
- * Layout: 5 fingers × 2 joints each (MCP and PIP) = 10 joints
- * Joint limits from URDF:
- * - thumb_q1: -2.09 to 0 rad
- * - thumb_q2: 0 to 2.09 rad
- * - All other q1: 0 to 2.09 rad
- * - All other q2: 0 to 2.66 rad (with mimic coupling)
+ * Resolve a retargeting config for one side (base channels + side overrides)
+ * A side override replaces fields of the base channel; `null` removes the channel.
+ * @param {Object} doc - Parsed retargeting config
+ * @param {string|null} side - 'left', 'right' or null
+ * @returns {Object} - {model, side, channels: {channel: normalized spec}}
  */
-const ABILITY_HAND_JOINT_MAP = {
-  // Thumb - 2 DOF
-  thumb_mcp: 'thumb_q1',   // MCP joint (-2.09 to 0 rad)
-  thumb_pip: 'thumb_q2',   // PIP/IP joint (0 to 2.09 rad)
-
-  // Index finger - 2 DOF
-  index_mcp: 'index_q1',   // MCP joint (0 to 2.09 rad)
-  index_pip: 'index_q2',   // PIP joint (0 to 2.66 rad, mimics q1)
-
-  // Middle finger - 2 DOF
-  middle_mcp: 'middle_q1', // MCP joint (0 to 2.09 rad)
-  middle_pip: 'middle_q2', // PIP joint (0 to 2.66 rad, mimics q1)
-
-  // Ring finger - 2 DOF
-  ring_mcp: 'ring_q1',     // MCP joint (0 to 2.09 rad)
-  ring_pip: 'ring_q2',     // PIP joint (0 to 2.66 rad, mimics q1)
-
-  // Pinky - 2 DOF
-  pinky_mcp: 'pinky_q1',   // MCP joint (0 to 2.09 rad)
-  pinky_pip: 'pinky_q2',   // PIP joint (0 to 2.66 rad, mimics q1)
+export function resolveRetargeting(doc, side) {
+  const overrides = (side && doc.sides?.[side]?.channels) || {}
+  const channels = {}
+
+  Object.entries({ ...doc.channels, ...overrides }).forEach(([name, channel]) => {
+    if (!channel) return
+    channels[name] = normalizeChannel({ ...doc.channels[name], ...channel })
+  })
+
+  // Soft limits: side overrides replace the margin and add/replace per-joint ranges
+  const baseSoftLimits = doc.softLimits || {}
+  const sideSoftLimits = (side && doc.sides?.[side]?.softLimits) || {}
+  const softLimits = {
+    margin: sideSoftLimits.margin ?? baseSoftLimits.margin ?? 0,
+    joints: { ...baseSoftLimits.joints, ...sideSoftLimits.joints }
+  }
+
+  // Fingertip links for fingertip retargeting (see fingertipRetargeting.js)
+  const fingertips = { ...doc.fingertips, ...(side && doc.sides?.[side]?.fingertips) }
+
+  return { model: doc.model, side, channels, softLimits, fingertips }
 }
 
 /**
- * Linker Hand L6 Joint Mappings (11 DOF - simpler structure)
- * Thumb: cmc_roll, cmc_pitch, dip (3 DOF)
- * Fingers: mcp_pitch, dip (2 DOF each)
+ * Validate a resolved retargeting config against the loaded robot's joints
+ * @param {Object} retargeting - Resolved retargeting config
+ * @param {Object} jointConfig - Parsed joint configuration (parseJointConfig)
+ * @returns {{errors: string[], warnings: string[]}}
  */
-const LINKER_L6_JOINT_MAP = {
-  // Thumb - 3 DOF (note: typo in URDF "thunb" instead of "thumb")
-  thumb_mcp: 'thunb_cmc_roll',    // Using cmc_roll as MCP equivalent
-  thumb_pip: 'thumb_cmc_pitch',   // Using cmc_pitch as PIP equivalent
-  thumb_dip: 'thumb_dip',
-  thumb_roll: 'thunb_cmc_roll',   // Direct control of roll axis
-  // Note: L6 does not have thumb_yaw joint
-
-  // Index finger - 2 DOF
-  index_mcp: 'index_mcp_pitch',
-  index_pip: 'index_dip',         // Using dip as PIP (no separate PIP joint)
-
-  // Middle finger - 2 DOF
-  middle_mcp: 'middle_mcp_pitch',
-  middle_pip: 'middle_dip',
-
-  // Ring finger - 2 DOF
-  ring_mcp: 'ring_mcp_pitch',
-  ring_pip: 'ring_dip',
-
-  // Pinky - 2 DOF
-  pinky_mcp: 'pinky_mcp_pitch',
-  pinky_pip: 'pinky_dip',
+export function validateRetargeting(retargeting, jointConfig) {
+  const errors = []
+  const warnings = []
+  const drivenBy = {}
+
+  const checkJoint = (source, jointName) => {
+    const joint = jointConfig[jointName]
+    if (!joint) {
+      errors.push(`${source}: URDF has no joint "${jointName}"`)
+      return
+    }
+    if (joint.type === 'fixed') {
+      errors.push(`${source}: joint "${jointName}" is fixed`)
+    }
+    if (joint.mimic) {
+      warnings.push(`${source}: joint "${jointName}" mimics "${joint.mimic.joint}" and is never set directly`)
+    }
+    if (drivenBy[jointName]) {
+      warnings.push(`${source}: joint "${jointName}" is also driven by ${drivenBy[jointName]}`)
+    }
+    drivenBy[jointName] = source
+  }
+
+  Object.entries(retargeting.channels).forEach(([name, channel]) => {
+    if (!HUMAN_CHANNELS.includes(name)) {
+      warnings.push(`${name}: unknown human channel`)
+    }
+    if (!channel.joint) {
+      errors.push(`${name}: missing "joint"`)
+      return
+    }
+
+    checkJoint(name, channel.joint)
+    channel.coupling.forEach(coupled => checkJoint(`${name} coupling`, coupled.joint))
+
+    if (channel.limits) {
+      const [lower, upper] = channel.limits
+      if (!(lower <= upper)) {
+        errors.push(`${name}: invalid limits [${lower}, ${upper}]`)
+        return
+      }
+
+      const joint = jointConfig[channel.joint]
+      if (joint && joint.type !== 'continuous' &&
+          (lower < joint.limits.lower || upper > joint.limits.upper)) {
+        warnings.push(`${name}: limits [${lower}, ${upper}] exceed URDF limits [${joint.limits.lower}, ${joint.limits.upper}]`)
+      }
+    }
+  })
+
+  Object.entries(retargeting.softLimits?.joints || {}).forEach(([jointName, [lower, upper]]) => {
+    const joint = jointConfig[jointName]
+    if (!joint) {
+      errors.push(`softLimits: URDF has no joint "${jointName}"`)
+    } else if (!(lower <= upper)) {
+      errors.push(`softLimits: invalid range [${lower}, ${upper}] for "${jointName}"`)
+    } else if (upper < joint.limits.lower || lower > joint.limits.upper) {
+      warnings.push(`softLimits: range [${lower}, ${upper}] for "${jointName}" lies outside URDF limits [${joint.limits.lower}, ${joint.limits.upper}]`)
+    }
+  })
+
+  return { errors, warnings }
 }
 
 /**
- * Linker Hand L10 Joint Mappings (20 DOF - intermediate structure)
- * Thumb: cmc_roll, cmc_yaw, cmc_pitch, mcp, ip (5 DOF)
- * Index: mcp_roll, mcp_pitch, pip, dip (4 DOF)
- * Middle: mcp_pitch, pip, dip (3 DOF)
- * Ring: mcp_roll, mcp_pitch, pip, dip (4 DOF)
- * Pinky: mcp_roll, mcp_pitch, pip, dip (4 DOF)
+ * Drop channels and couplings that reference joints the robot doesn't have
+ * @param {Object} retargeting - Resolved retargeting config
+ * @param {Object} jointConfig - Parsed joint configuration
+ * @returns {Object} - Retargeting config with only applicable channels
  */
-const LINKER_L10_JOINT_MAP = {
-  // Thumb - 5 DOF
-  thumb_mcp: 'thumb_cmc_pitch',   // Using cmc_pitch as primary control
-  thumb_pip: 'thumb_mcp',
-  thumb_dip: 'thumb_ip',
-  thumb_roll: 'thumb_cmc_roll',   // Direct control of roll axis
-  thumb_yaw: 'thumb_cmc_yaw',     // Direct control of yaw axis
-
-  // Index finger - 4 DOF
-  index_mcp: 'index_mcp_pitch',
-  index_pip: 'index_pip',
-  index_dip: 'index_dip',
-  index_roll: 'index_mcp_roll',
-
-  // Middle finger - 3 DOF (no roll)
-  middle_mcp: 'middle_mcp_pitch',
-  middle_pip: 'middle_pip',
-  middle_dip: 'middle_dip',
-
-  // Ring finger - 4 DOF
-  ring_mcp: 'ring_mcp_pitch',
-  ring_pip: 'ring_pip',
-  ring_dip: 'ring_dip',
-  ring_roll: 'ring_mcp_roll',
-
-  // Pinky - 4 DOF
-  pinky_mcp: 'pinky_mcp_pitch',
-  pinky_pip: 'pinky_pip',
-  pinky_dip: 'pinky_dip',
-  pinky_roll: 'pinky_mcp_roll',
+function pruneRetargeting(retargeting, jointConfig) {
+  const channels = {}
+  Object.entries(retargeting.channels).forEach(([name, channel]) => {
+    if (!jointConfig[channel.joint]) return
+    channels[name] = {
+      ...channel,
+      coupling: channel.coupling.filter(coupled => jointConfig[coupled.joint])
+    }
+  })
+
+  const softLimitJoints = {}
+  Object.entries(retargeting.softLimits.joints).forEach(([jointName, range]) => {
+    if (jointConfig[jointName] && range[0] <= range[1]) {
+      softLimitJoints[jointName] = range
+    }
+  })
+
+  return { ...retargeting, channels, softLimits: { ...retargeting.softLimits, joints: softLimitJoints } }
 }
 
 /**
- * Linker Hand L20/L21/L25/L30/O6/O7 Joint Mappings (21 DOF - full articulation)
- * All fingers: mcp_roll, mcp_pitch, pip, dip (4 DOF each)
- * Thumb: cmc_yaw, cmc_roll, cmc_pitch, mcp, ip (5 DOF)
+ * Fetch (once per model) and parse a model's retargeting config
+ * @param {string} modelPath - Model path (e.g., 'linker_l20')
+ * @returns {Promise<Object>} - Parsed retargeting config
  */
-const LINKER_L20_JOINT_MAP = {
-  // Thumb - 5 DOF
-  thumb_mcp: 'thumb_cmc_pitch',   // Using cmc_pitch as primary control
-  thumb_pip: 'thumb_mcp',
-  thumb_dip: 'thumb_ip',
-  thumb_roll: 'thumb_cmc_roll',   // Direct control of roll axis
-  thumb_yaw: 'thumb_cmc_yaw',     // Direct control of yaw axis
-
-  // Index finger - 4 DOF
-  index_mcp: 'index_mcp_pitch',
-  index_pip: 'index_pip',
-  index_dip: 'index_dip',
-  index_roll: 'index_mcp_roll',
-
-  // Middle finger - 4 DOF
-  middle_mcp: 'middle_mcp_pitch',
-  middle_pip: 'middle_pip',
-  middle_dip: 'middle_dip',
-  middle_roll: 'middle_mcp_roll',
-
-  // Ring finger - 4 DOF
-  ring_mcp: 'ring_mcp_pitch',
-  ring_pip: 'ring_pip',
-  ring_dip: 'ring_dip',
-  ring_roll: 'ring_mcp_roll',
-
-  // Pinky - 4 DOF
-  pinky_mcp: 'pinky_mcp_pitch',
-  pinky_pip: 'pinky_pip',
-  pinky_dip: 'pinky_dip',
-  pinky_roll: 'pinky_mcp_roll',
+function fetchRetargetingConfig(modelPath) {
+  if (!configCache.has(modelPath)) {
+    const path = getRetargetingPath(modelPath)
+    const request = fetch(path)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Failed to load ${path}: HTTP ${response.status}`)
+        }
+        return response.json()
+      })
+      .then(parseRetargetingConfig)
+
+    // Don't cache failures - the next load retries
+    request.catch(() => configCache.delete(modelPath))
+    configCache.set(modelPath, request)
+  }
+  return configCache.get(modelPath)
 }
 
 /**
- * Model-specific joint mappings
+ * Provide a model's retargeting config directly instead of fetching it (models imported
+ * for the session, see sessionModels.js)
+ * @param {string} modelPath - Model path
+ * @param {Object|null} doc - Retargeting config document, or null to remove it
+ * @throws {Error} - If the document is not a valid retargeting config
  */
-const JOINT_MAPPINGS = {
-  ability_hand: ABILITY_HAND_JOINT_MAP,
-  shadow_hand: SHADOW_HAND_JOINT_MAP,
-  allegro_hand: ALLEGRO_HAND_JOINT_MAP,
-  leap_hand: LEAP_HAND_JOINT_MAP,
-  schunk_hand: {}, // TODO: Add Schunk mappings
-  dclaw_gripper: {}, // TODO: Add DClaw mappings
-  barrett_hand: {}, // TODO: Add Barrett mappings
-  panda_gripper: {}, // TODO: Add Panda mappings
-  // Linker Hand models
-  linker_l6: LINKER_L6_JOINT_MAP,
-  linker_l10: LINKER_L10_JOINT_MAP,
-  linker_l20: LINKER_L20_JOINT_MAP,
-  linker_l20pro: LINKER_L20_JOINT_MAP,  // Same structure as L20
-  linker_l21: LINKER_L20_JOINT_MAP,     // Same structure as L20
-  linker_l25: LINKER_L20_JOINT_MAP,     // Same structure as L20
-  linker_l30: LINKER_L20_JOINT_MAP,     // Same structure as L20
-  linker_o6: LINKER_L20_JOINT_MAP,      // Same structure as L20
-  linker_o7: LINKER_L20_JOINT_MAP,      // Same structure as L20
+export function registerRetargetingConfig(modelPath, doc) {
+  if (doc) {
+    configCache.set(modelPath, Promise.resolve(parseRetargetingConfig(doc)))
+  } else {
+    configCache.delete(modelPath)
+  }
 }
 
 /**
- * Map UI joint name to URDF joint name for a specific model
- * @param {string} uiJointName - UI joint name (e.g., 'thumb_mcp')
- * @param {string} modelPath - Model path (e.g., 'shadow_hand')
- * @returns {string|null} - URDF joint name or null if not found
+ * Load, resolve and validate the retargeting config for a loaded robot
+ * Never rejects: load failures and mismatches are reported in `errors`/`warnings`,
+ * and channels whose joints are missing are left out of the returned config.
+ * @param {string} modelPath - Model path (e.g., 'linker_l20')
+ * @param {string|null} side - 'left', 'right' or null
+ * @param {Object} jointConfig - Parsed joint configuration of the loaded robot
+ * @returns {Promise<{retargeting: Object|null, errors: string[], warnings: string[]}>}
  */
-export function mapUIJointToURDF(uiJointName, modelPath) {
-  const modelMapping = JOINT_MAPPINGS[modelPath]
-  if (!modelMapping) {
-    console.warn(`No joint mapping found for model: ${modelPath}`)
-    return null
+export async function loadRetargeting(modelPath, side, jointConfig) {
+  const label = side ? `${modelPath} (${side})` : modelPath
+
+  if (!configCache.has(modelPath) && !getRetargetingPath(modelPath)) {
+    console.warn(`⚠️ [Retargeting] No retargeting config for ${label}`)
+    return { retargeting: null, errors: [], warnings: [`No retargeting config for ${modelPath}`] }
   }
 
-  const urdfJointName = modelMapping[uiJointName]
-  if (!urdfJointName) {
-    // console.warn(`No URDF joint found for UI joint: ${uiJointName} in model: ${modelPath}`)
-    return null
+  let doc
+  try {
+    doc = await fetchRetargetingConfig(modelPath)
+  } catch (err) {
+    console.error(`❌ [Retargeting] ${label}:`, err)
+    return { retargeting: null, errors: [err.message], warnings: [] }
   }
 
-  return urdfJointName
+  const resolved = resolveRetargeting(doc, side)
+  const { errors, warnings } = validateRetargeting(resolved, jointConfig)
+
+  errors.forEach(message => console.error(`❌ [Retargeting] ${label}: ${message}`))
+  warnings.forEach(message => console.warn(`⚠️ [Retargeting] ${label}: ${message}`))
+  console.log(`🎯 [Retargeting] ${label}: ${Object.keys(resolved.channels).length} channels, ${errors.length} errors, ${warnings.length} warnings`)
+
+  return { retargeting: pruneRetargeting(resolved, jointConfig), errors, warnings }
+}
+
+/**
+ * Map UI joint name to URDF joint name
+ * @param {string} uiJointName - UI joint name (e.g., 'thumb_mcp')
+ * @param {Object|null} retargeting - Resolved retargeting config
+ * @returns {string|null} - URDF joint name or null if not mapped
+ */
+export function mapUIJointToURDF(uiJointName, retargeting) {
+  return retargeting?.channels[uiJointName]?.joint || null
 }
 
 /**
- * Map URDF joint name to UI joint name for a specific model
+ * Map URDF joint name to UI joint name
  * @param {string} urdfJointName - URDF joint name (e.g., 'THJ4')
- * @param {string} modelPath - Model path (e.g., 'shadow_hand')
- * @returns {string|null} - UI joint name or null if not found
+ * @param {Object|null} retargeting - Resolved retargeting config
+ * @returns {string|null} - UI joint name or null if not mapped
  */
-export function mapURDFJointToUI(urdfJointName, modelPath) {
-  const modelMapping = JOINT_MAPPINGS[modelPath]
-  if (!modelMapping) return null
+export function mapURDFJointToUI(urdfJointName, retargeting) {
+  if (!retargeting) return null
 
-  // Reverse lookup
-  for (const [uiName, urdfName] of Object.entries(modelMapping)) {
-    if (urdfName === urdfJointName) {
+  for (const [uiName, channel] of Object.entries(retargeting.channels)) {
+    if (channel.joint === urdfJointName) {
       return uiName
     }
   }
@@ -315,77 +307,211 @@ export function mapURDFJointToUI(urdfJointName, modelPath) {
 }
 
 /**
- * Get all UI joint names that have URDF mappings for a model
- * @param {string} modelPath - Model path (e.g., 'shadow_hand')
+ * Get all UI joint names that have URDF mappings
+ * @param {Object|null} retargeting - Resolved retargeting config
  * @returns {string[]} - Array of UI joint names
  */
-export function getAvailableJoints(modelPath) {
-  const modelMapping = JOINT_MAPPINGS[modelPath]
-  if (!modelMapping) return []
-
-  return Object.keys(modelMapping)
+export function getAvailableJoints(retargeting) {
+  return retargeting ? Object.keys(retargeting.channels) : []
 }
 
 /**
- * Get all URDF joint names for a model
- * @param {string} modelPath - Model path (e.g., 'shadow_hand')
+ * Get all URDF joint names driven by a retargeting config (including coupled joints)
+ * @param {Object|null} retargeting - Resolved retargeting config
  * @returns {string[]} - Array of URDF joint names
  */
-export function getURDFJointNames(modelPath) {
-  const modelMapping = JOINT_MAPPINGS[modelPath]
-  if (!modelMapping) return []
+export function getURDFJointNames(retargeting) {
+  if (!retargeting) return []
 
-  return Object.values(modelMapping)
+  return Object.values(retargeting.channels).flatMap(channel =>
+    [channel.joint, ...channel.coupling.map(coupled => coupled.joint)]
+  )
 }
 
 /**
- * Joint limits for AbilityHand (in radians)
- * Values extracted from URDF files
+ * Retarget one human joint angle through a channel
+ * @param {Object} channel - Resolved channel spec
+ * @param {number} angle - Human joint angle in radians
+ * @param {number} [value] - Value of the mapped joint, replacing sign * scale * angle + offset
+ *   (range mapping)
+ * @returns {Array<[string, number]>} - [URDF joint name, value] pairs (mapped joint first)
  */
-const ABILITY_HAND_JOINT_LIMITS = {
-  thumb_q1: { lower: -2.0943951, upper: 0 },
-  thumb_q2: { lower: 0, upper: 2.0943951 },
-  index_q1: { lower: 0, upper: 2.0943951 },
-  index_q2: { lower: 0, upper: 2.6586 },
-  middle_q1: { lower: 0, upper: 2.0943951 },
-  middle_q2: { lower: 0, upper: 2.6586 },
-  ring_q1: { lower: 0, upper: 2.0943951 },
-  ring_q2: { lower: 0, upper: 2.6586 },
-  pinky_q1: { lower: 0, upper: 2.0943951 },
-  pinky_q2: { lower: 0, upper: 2.6586 },
-}
+export function retargetChannel(channel, angle, value = channel.sign * channel.scale * angle + channel.offset) {
+  if (channel.limits) {
+    value = Math.max(channel.limits[0], Math.min(channel.limits[1], value))
+  }
 
-/**
- * Joint limits by model
- */
-const JOINT_LIMITS = {
-  ability_hand: ABILITY_HAND_JOINT_LIMITS,
-  // Other models can be added here as needed
+  return [
+    [channel.joint, value],
+    ...channel.coupling.map(coupled => [coupled.joint, coupled.ratio * value + coupled.offset])
+  ]
 }
 
 /**
- * Get joint limits for a specific URDF joint
- * @param {string} urdfJointName - URDF joint name (e.g., 'thumb_q1')
- * @param {string} modelPath - Model path (e.g., 'ability_hand')
- * @returns {{lower: number, upper: number}|null} - Joint limits or null if not defined
+ * Build the effective joint limits of a loaded robot
+ * Hard limits come from the URDF (revolute and prismatic joints - continuous, fixed and
+ * floating joints are not limited). Soft limits from the retargeting config narrow them:
+ * `margin` shrinks every range from both ends, `joints` sets explicit per-joint ranges.
+ * @param {Object} jointConfig - Parsed joint configuration (parseJointConfig)
+ * @param {Object|null} retargeting - Resolved retargeting config
+ * @returns {Object} - {urdfJoint: {lower, upper, hardLower, hardUpper, soft}}
  */
-export function getJointLimits(urdfJointName, modelPath) {
-  const modelLimits = JOINT_LIMITS[modelPath]
-  if (!modelLimits) return null
+export function getJointLimits(jointConfig, retargeting = null) {
+  const margin = retargeting?.softLimits?.margin || 0
+  const softJoints = retargeting?.softLimits?.joints || {}
+  const jointLimits = {}
+
+  Object.entries(jointConfig).forEach(([jointName, config]) => {
+    if (config.type !== 'revolute' && config.type !== 'prismatic') return
+
+    const { lower: hardLower, upper: hardUpper } = config.limits
+    if (!Number.isFinite(hardLower) || !Number.isFinite(hardUpper)) return
+
+    // Shrink by the margin, but never past the middle of the range
+    const middle = (hardLower + hardUpper) / 2
+    let lower = Math.min(hardLower + margin, middle)
+    let upper = Math.max(hardUpper - margin, middle)
+
+    if (softJoints[jointName]) {
+      lower = Math.max(lower, softJoints[jointName][0])
+      upper = Math.min(upper, softJoints[jointName][1])
+      if (lower > upper) {
+        lower = upper = Math.max(hardLower, Math.min(hardUpper, softJoints[jointName][0]))
+      }
+    }
+
+    jointLimits[jointName] = {
+      lower,
+      upper,
+      hardLower,
+      hardUpper,
+      soft: lower > hardLower || upper < hardUpper
+    }
+  })
 
-  return modelLimits[urdfJointName] || null
+  return jointLimits
 }
 
 /**
  * Clamp a joint value to its limits
- * @param {number} value - Joint value in radians
- * @param {string} urdfJointName - URDF joint name
- * @param {string} modelPath - Model path
+ * @param {number} value - Joint value in radians (or meters for prismatic joints)
+ * @param {{lower: number, upper: number}|null} limits - Joint limits (getJointLimits)
  * @returns {number} - Clamped value
  */
-export function clampJointValue(value, urdfJointName, modelPath) {
-  const limits = getJointLimits(urdfJointName, modelPath)
+export function clampJointValue(value, limits) {
   if (!limits) return value // No limits defined, return as-is
 
   return Math.max(limits.lower, Math.min(limits.upper, value))
 }
+
+/**
+ * Compute URDF joint values from UI joint rotations
+ * Single-axis joints go through the model's retargeting config, multi-DoF joints
+ * ({pitch, yaw, roll}) go through the URDF semantic mapping when enabled, and values
+ * already solved per URDF joint (`jointRotations.urdfJoints`, e.g. fingertip retargeting)
+ * are passed through. Mimic joints are skipped - they follow their master joint.
+ * When `jointLimits` is given every value is clamped to it, and clamped joints are
+ * recorded in `clamped` ({urdfJoint: {commanded, value, bound: 'lower'|'upper', soft}},
+ * `soft` = only a soft limit was exceeded). With `rangeMapping` (buildRangeMapping) the
+ * single-axis channels that have a human range and a limited target joint are range mapped.
+ * @param {Object} jointRotations - UI joint rotations (flat object or {joints: {...}})
+ * @param {Object|null} retargeting - Resolved retargeting config (loadRetargeting)
+ * @param {Object} options - {semanticMapping, useMultiDoF, mimicJointNames, jointNames, jointLimits, rangeMapping, clamped}
+ * @returns {Object} - URDF joint values in radians, keyed by URDF joint name
+ */
+export function computeURDFJointValues(jointRotations, retargeting, {
+  semanticMapping = null,
+  useMultiDoF = false,
+  mimicJointNames = new Set(),
+  jointNames = null,
+  jointLimits = null,
+  rangeMapping = null,
+  clamped = null
+} = {}) {
+  // Handle both old format (flat object) and new format (with joints property)
+  const joints = jointRotations?.joints || jointRotations || {}
+  const knownJoints = jointNames ? new Set(jointNames) : null
+  const values = {}
+
+  const setValue = (urdfJointName, value) => {
+    // Skip mimic joints and joints the loaded robot doesn't have
+    if (mimicJointNames.has(urdfJointName)) return
+    if (knownJoints && !knownJoints.has(urdfJointName)) return
+
+    const limits = jointLimits?.[urdfJointName]
+    const clampedValue = clampJointValue(value, limits)
+    if (clamped && clampedValue !== value) {
+      clamped[urdfJointName] = {
+        commanded: value,
+        value: clampedValue,
+        bound: value < clampedValue ? 'lower' : 'upper',
+        soft: value >= limits.hardLower && value <= limits.hardUpper
+      }
+    }
+    values[urdfJointName] = clampedValue
+  }
+
+  // Values already solved per URDF joint only need limits and mimic filtering
+  Object.entries(jointRotations?.urdfJoints || {}).forEach(([urdfJointName, value]) => {
+    setValue(urdfJointName, value)
+  })
+
+  Object.entries(joints).forEach(([uiJointName, angleData]) => {
+    if (uiJointName === 'urdfJoints') return
+
+    // Check if this is multi-DoF data (object with pitch/yaw/roll)
+    const isMultiDoF = typeof angleData === 'object' && angleData !== null &&
+                       (angleData.pitch !== undefined ||
+                        angleData.yaw !== undefined ||
+                        angleData.roll !== undefined)
+
+    if (isMultiDoF && useMultiDoF && semanticMapping) {
+      // Multi-DoF mode: each axis maps to its own URDF joint with dynamic limits
+      const jointMapping = semanticMapping[uiJointName]
+      if (!jointMapping) return
+
+      jointMapping.axes.forEach(axis => {
+        const axisValue = angleData[axis] || 0
+        if (jointLimits) {
+          setValue(jointMapping.urdfJoints[axis], axisValue)
+        } else {
+          const [lower, upper] = jointMapping.limits[axis]
+          setValue(jointMapping.urdfJoints[axis], Math.max(lower, Math.min(upper, axisValue)))
+        }
+      })
+    } else {
+      // Single-axis mode: use the retargeting config
+      const channel = retargeting?.channels[uiJointName]
+      if (!channel) return
+
+      const angle = typeof angleData === 'object' ? 0 : angleData
+      const humanRange = rangeMapping?.ranges[uiJointName]
+      const targetRange = humanRange && getTargetRange(channel, jointLimits)
+      const pairs = targetRange
+        ? retargetChannel(channel, angle, mapChannelRange(angle, humanRange, targetRange, rangeMapping.curves[uiJointName]))
+        : retargetChannel(channel, angle)
+      pairs.forEach(([urdfJointName, value]) => setValue(urdfJointName, value))
+    }
+  })
+
+  return values
+}
+
+export default {
+  RETARGETING_FORMAT,
+  RETARGETING_FORMAT_VERSION,
+  HUMAN_CHANNELS,
+  parseRetargetingConfig,
+  registerRetargetingConfig,
+  resolveRetargeting,
+  validateRetargeting,
+  loadRetargeting,
+  mapUIJointToURDF,
+  mapURDFJointToUI,
+  getAvailableJoints,
+  getURDFJointNames,
+  retargetChannel,
+  getJointLimits,
+  clampJointValue,
+  computeURDFJointValues
+}
@@ -0,0 +1,142 @@
+/**
+ * URDF Loader Setup
+ * Creates urdf-loader instances with mesh loading for the GLB/GLTF, STL, DAE and OBJ
+ * meshes used by the hand and arm URDFs
+ *
+ * URDFs imported for the session (sessionModels.js) load from the dropped files: their
+ * relative and package:// mesh paths are resolved against the dropped folder, and the
+ * loading manager serves the files (meshes and what they reference) as blob URLs.
+ */
+
+import URDFLoader from 'urdf-loader'
+import * as THREE from 'three'
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader'
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader'
+import { ColladaLoader } from 'three/examples/jsm/loaders/ColladaLoader'
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader'
+import { isSessionURL, resolveSessionMeshPath, getSessionFileURL } from './sessionModels'
+
+/**
+ * Create a URDF loader that resolves mesh paths relative to the URDF file
+ * @param {string} urdfPath - URDF file URL
+ * @param {THREE.LoadingManager} manager - Loading manager shared by the URDF and its meshes
+ * @returns {URDFLoader}
+ */
+export function createURDFLoader(urdfPath, manager) {
+  const loader = new URDFLoader()
+  loader.manager = manager
+
+  const isSessionModel = isSessionURL(urdfPath)
+  if (isSessionModel) {
+    // Keep package:// paths as written, loadMeshCb looks them up in the dropped files
+    loader.packages = (packageName) => `package://${packageName}`
+    manager.setURLModifier(url => getSessionFileURL(url) || url)
+  }
+
+  // Register loaders for different mesh file types
+  // Using loadMeshCb as documented in urdf-loader
+  const gltfLoader = new GLTFLoader(manager)
+  const stlLoader = new STLLoader(manager)
+  const colladaLoader = new ColladaLoader(manager)
+  const objLoader = new OBJLoader(manager)
+
+  loader.loadMeshCb = (requestedPath, manager, onComplete) => {
+    const path = isSessionModel ? resolveSessionMeshPath(requestedPath, urdfPath) : requestedPath
+    if (!path) {
+      const err = new Error(`Mesh not found in the dropped files: ${requestedPath}`)
+      console.error('Error loading mesh:', requestedPath, err)
+      onComplete(null, err)
+      return
+    }
+
+    const extension = path.split('.').pop().toLowerCase()
+
+    if (extension === 'stl') {
+      // Load STL file
+      stlLoader.load(
+        path,
+        (geometry) => {
+          // STL loader returns geometry, need to create mesh
+          const material = new THREE.MeshStandardMaterial({
+            color: 0xcccccc,
+            metalness: 0.3,
+            roughness: 0.7
+          })
+          const mesh = new THREE.Mesh(geometry, material)
+          onComplete(mesh)
+        },
+        undefined,
+        (err) => {
+          console.error('Error loading STL mesh:', path, err)
+          onComplete(null, err)
+        }
+      )
+    } else if (extension === 'dae') {
+      colladaLoader.load(
+        path,
+        (result) => {
+          onComplete(result.scene)
+        },
+        undefined,
+        (err) => {
+          console.error('Error loading Collada mesh:', path, err)
+          onComplete(null, err)
+        }
+      )
+    } else if (extension === 'obj') {
+      objLoader.load(
+        path,
+        (group) => {
+          onComplete(group)
+        },
+        undefined,
+        (err) => {
+          console.error('Error loading OBJ mesh:', path, err)
+          onComplete(null, err)
+        }
+      )
+    } else {
+      // Load GLB/GLTF file (existing behavior)
+      gltfLoader.load(
+        path,
+        (result) => {
+          onComplete(result.scene)
+        },
+        undefined,
+        (err) => {
+          console.error('Error loading GLTF mesh:', path, err)
+          onComplete(null, err)
+        }
+      )
+    }
+  }
+
+  // Set the working path for resolving relative mesh paths
+  // Extract the directory from the URDF path
+  const urdfDir = urdfPath.substring(0, urdfPath.lastIndexOf('/'))
+  loader.workingPath = urdfDir + '/'
+
+  return loader
+}
+
+/**
+ * Dispose the geometries and materials of a loaded robot
+ * @param {THREE.Object3D} robot - Loaded URDF robot
+ */
+export function disposeRobot(robot) {
+  robot.traverse((child) => {
+    if (child.geometry) child.geometry.dispose()
+    if (child.material) {
+      if (Array.isArray(child.material)) {
+        child.material.forEach(m => m.dispose())
+      } else {
+        child.material.dispose()
+      }
+    }
+  })
+}
+
+export default {
+  createURDFLoader,
+  disposeRobot
+}
@@ -154,3 +154,16 @@ export function createSemanticMapping(jointConfig) {
 
   return semanticMap;
 }
+
+/**
+ * Get the names of mimic joints (driven by a master joint, never set directly)
+ * @param {Object} jointConfig - Parsed joint configuration
+ * @returns {Set<string>} - Mimic joint names
+ */
+export function getMimicJointNames(jointConfig) {
+  return new Set(
+    Object.values(jointConfig || {})
+      .filter(config => config.mimic)
+      .map(config => config.name)
+  );
+}
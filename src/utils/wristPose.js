@@ -0,0 +1,217 @@
+/**
+ * Wrist Pose Estimation
+ * Metric 6-DoF wrist pose per hand from one camera frame
+ *
+ * The hand shape comes from MediaPipe's world landmarks (meters, camera-aligned axes, origin
+ * at the hand center), or from the image landmarks and their relative depth when world
+ * landmarks are missing. The shape is scaled so that its palm (wrist → middle MCP) has the
+ * operator's palm size, and the translation that projects it onto the image landmarks
+ * through the camera intrinsics is solved by linear least squares. With a known palm size
+ * this gives real-scale depth; with the default palm size the depth is off by the ratio of
+ * the real to the default palm size (calibrate it with calibratePalmSize).
+ *
+ * Camera frame: x right, y down, z forward (away from the camera), meters.
+ * Palm frame: origin at the wrist, y towards the middle finger MCP, x from the pinky MCP
+ * towards the index MCP, z = x × y (palm normal; its side depends on the hand's chirality).
+ */
+
+import * as THREE from 'three'
+import { solveSPD } from './dampedLeastSquares'
+
+const WRIST = 0
+const INDEX_MCP = 5
+const MIDDLE_MCP = 9
+const PINKY_MCP = 17
+
+export const DEFAULT_WRIST_POSE_CONFIG = {
+  metricPosition: false, // Drive the model positions from the metric pose
+  intrinsics: null, // {fx, fy, cx, cy} in pixels; null = estimate from horizontalFov
+  horizontalFov: 60, // Degrees, typical webcam
+  palmSize: 0.09, // Wrist → middle finger MCP (m), adult average
+  referenceDepth: 0.5 // Camera distance (m) that maps to the model's home position
+}
+
+/**
+ * Estimate pinhole intrinsics from the image size and horizontal field of view
+ * (square pixels, principal point at the image center)
+ * @param {number} width - Image width (px)
+ * @param {number} height - Image height (px)
+ * @param {number} horizontalFov - Horizontal field of view (degrees)
+ * @returns {{fx: number, fy: number, cx: number, cy: number}}
+ */
+export function estimateIntrinsics(width, height, horizontalFov = DEFAULT_WRIST_POSE_CONFIG.horizontalFov) {
+  const fx = (width / 2) / Math.tan(THREE.MathUtils.degToRad(horizontalFov) / 2)
+  return { fx, fy: fx, cx: width / 2, cy: height / 2 }
+}
+
+/**
+ * Intrinsics to use for a frame: user-entered ones, or estimated from the field of view
+ * @param {Object} config - Wrist pose config (DEFAULT_WRIST_POSE_CONFIG shape)
+ * @param {{width: number, height: number}} imageSize - Image size (px)
+ * @returns {{fx: number, fy: number, cx: number, cy: number}}
+ */
+export function resolveIntrinsics(config, imageSize) {
+  return config.intrinsics || estimateIntrinsics(imageSize.width, imageSize.height, config.horizontalFov)
+}
+
+/**
+ * Hand shape relative to the wrist, in meters (before palm scaling)
+ * @param {Array} landmarks - 21 image-normalized landmarks
+ * @param {Array|null} worldLandmarks - 21 world landmarks (m), if available
+ * @param {{width: number, height: number}} imageSize - Image size (px)
+ * @returns {{points: THREE.Vector3[], source: string}} - Shape points and 'world' or 'image'
+ */
+function getHandShape(landmarks, worldLandmarks, imageSize) {
+  if (worldLandmarks && worldLandmarks.length >= 21) {
+    return {
+      points: worldLandmarks.map(p => new THREE.Vector3(p.x, p.y, p.z)),
+      source: 'world'
+    }
+  }
+
+  // MediaPipe's relative depth is roughly in the same scale as x (image width)
+  return {
+    points: landmarks.map(p => new THREE.Vector3(p.x * imageSize.width, p.y * imageSize.height, p.z * imageSize.width)),
+    source: 'image'
+  }
+}
+
+/**
+ * Translation t so that the points + t project onto the image landmarks (linear least squares)
+ * @param {THREE.Vector3[]} points - Scaled hand shape (m, camera axes)
+ * @param {Array} landmarks - 21 image-normalized landmarks
+ * @param {Object} intrinsics - {fx, fy, cx, cy}
+ * @param {{width: number, height: number}} imageSize - Image size (px)
+ * @returns {THREE.Vector3|null} - Translation, or null if degenerate or behind the camera
+ */
+function solveTranslation(points, landmarks, { fx, fy, cx, cy }, imageSize) {
+  // Each landmark gives two equations linear in t:
+  //   fx·tx − (u − cx)·tz = (u − cx)·Pz − fx·Px
+  //   fy·ty − (v − cy)·tz = (v − cy)·Pz − fy·Py
+  const A = [[0, 0, 0], [0, 0, 0], [0, 0, 0]]
+  const b = [0, 0, 0]
+  const addRow = (row, rhs) => {
+    for (let i = 0; i < 3; i++) {
+      b[i] += row[i] * rhs
+      for (let j = 0; j < 3; j++) A[i][j] += row[i] * row[j]
+    }
+  }
+
+  points.forEach((point, i) => {
+    const du = landmarks[i].x * imageSize.width - cx
+    const dv = landmarks[i].y * imageSize.height - cy
+    addRow([fx, 0, -du], du * point.z - fx * point.x)
+    addRow([0, fy, -dv], dv * point.z - fy * point.y)
+  })
+
+  const t = solveSPD(A, b)
+  if (!t || !(t[2] > 0)) return null
+  return new THREE.Vector3(t[0], t[1], t[2])
+}
+
+/**
+ * Palm frame orientation from the hand shape
+ * @param {THREE.Vector3[]} points - Hand shape (camera axes)
+ * @returns {THREE.Quaternion|null} - Palm frame in camera axes, or null if degenerate
+ */
+function computePalmOrientation(points) {
+  const yAxis = points[MIDDLE_MCP].clone().sub(points[WRIST])
+  const across = points[INDEX_MCP].clone().sub(points[PINKY_MCP])
+  if (yAxis.lengthSq() < 1e-12) return null
+  yAxis.normalize()
+
+  const xAxis = across.addScaledVector(yAxis, -across.dot(yAxis))
+  if (xAxis.lengthSq() < 1e-12) return null
+  xAxis.normalize()
+
+  const zAxis = new THREE.Vector3().crossVectors(xAxis, yAxis)
+  return new THREE.Quaternion().setFromRotationMatrix(new THREE.Matrix4().makeBasis(xAxis, yAxis, zAxis))
+}
+
+/**
+ * Estimate the metric wrist pose of one hand
+ * @param {Array} landmarks - 21 image-normalized landmarks
+ * @param {Array|null} worldLandmarks - 21 world landmarks (m), if available
+ * @param {Object} options
+ * @param {Object} options.intrinsics - {fx, fy, cx, cy} in pixels (resolveIntrinsics)
+ * @param {{width: number, height: number}} options.imageSize - Image size (px)
+ * @param {number} options.palmSize - Operator palm size, wrist → middle MCP (m)
+ * @returns {Object|null} - {position, quaternion, scale, reprojectionError, source}:
+ *   wrist position (m) and palm orientation in the camera frame, applied shape scale,
+ *   RMS reprojection error (px) and shape source ('world' or 'image'); null if degenerate
+ */
+export function estimateWristPose(landmarks, worldLandmarks, {
+  intrinsics,
+  imageSize,
+  palmSize = DEFAULT_WRIST_POSE_CONFIG.palmSize
+}) {
+  if (!landmarks || landmarks.length < 21) return null
+
+  const { points: shape, source } = getHandShape(landmarks, worldLandmarks, imageSize)
+  const palmLength = shape[MIDDLE_MCP].distanceTo(shape[WRIST])
+  if (palmLength < 1e-9) return null
+
+  // Scale the shape to the operator's palm, relative to the wrist
+  const scale = palmSize / palmLength
+  const points = shape.map(point => point.clone().sub(shape[WRIST]).multiplyScalar(scale))
+
+  const translation = solveTranslation(points, landmarks, intrinsics, imageSize)
+  const quaternion = computePalmOrientation(points)
+  if (!translation || !quaternion) return null
+
+  // RMS reprojection error of the posed shape
+  let squaredError = 0
+  points.forEach((point, i) => {
+    const p = point.clone().add(translation)
+    const du = intrinsics.fx * p.x / p.z + intrinsics.cx - landmarks[i].x * imageSize.width
+    const dv = intrinsics.fy * p.y / p.z + intrinsics.cy - landmarks[i].y * imageSize.height
+    squaredError += du * du + dv * dv
+  })
+
+  return {
+    position: { x: translation.x, y: translation.y, z: translation.z },
+    quaternion: { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w },
+    scale,
+    reprojectionError: Math.sqrt(squaredError / points.length),
+    source
+  }
+}
+
+/**
+ * Convert a camera-frame wrist pose to the scene convention (x right, y up, z towards the
+ * viewer), as an offset from the home position at the reference depth
+ * @param {Object} pose - Output of estimateWristPose
+ * @param {number} referenceDepth - Camera distance (m) of the home position
+ * @returns {{position: Object, quaternion: Object}} - Scene position (m) and orientation
+ */
+export function toScenePose(pose, referenceDepth = DEFAULT_WRIST_POSE_CONFIG.referenceDepth) {
+  const { position, quaternion } = pose
+  // Camera → scene is a half turn about x: (x, y, z) → (x, −y, −z)
+  return {
+    position: { x: position.x, y: -position.y, z: -(position.z - referenceDepth) },
+    quaternion: { x: quaternion.x, y: -quaternion.y, z: -quaternion.z, w: quaternion.w }
+  }
+}
+
+/**
+ * Calibrate the palm size from a pose measured with the hand at a known camera distance
+ * (the estimated depth scales linearly with the assumed palm size)
+ * @param {Object} pose - Output of estimateWristPose, with the wrist at `distance`
+ * @param {number} distance - True camera → wrist distance (m)
+ * @param {number} palmSize - Palm size the pose was estimated with (m)
+ * @returns {number|null} - Calibrated palm size (m)
+ */
+export function calibratePalmSize(pose, distance, palmSize) {
+  if (!pose || !(pose.position.z > 0) || !(distance > 0)) return null
+  const { x, y, z } = pose.position
+  return palmSize * distance / Math.sqrt(x * x + y * y + z * z)
+}
+
+export default {
+  DEFAULT_WRIST_POSE_CONFIG,
+  estimateIntrinsics,
+  resolveIntrinsics,
+  estimateWristPose,
+  toScenePose,
+  calibratePalmSize
+}